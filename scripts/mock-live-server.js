@@ -0,0 +1,1050 @@
+// Mock live event server for local development of the real-time channel.
+//
+// Serves the live stream over both WebSocket (/api/live/ws) and Server-Sent
+// Events (/api/live/stream), plus the handful of REST endpoints the portal
+// uses for snapshots, so the whole flow works without the real backend:
+//
+//   npm run mock:live
+//   VITE_API_BASE_URL=http://localhost:4001/api npm run dev
+//
+// Environment:
+//   PORT            port to listen on (default 4001)
+//   MOCK_TOURISTS   number of simulated tourists (default 25)
+//   MOCK_DROP_RATE  probability (0-1) of silently skipping an event, to
+//                   exercise the client's gap detection and resync
+//   MOCK_TOKEN_TTL  access token lifetime in seconds (default 900)
+//
+// Any email/password signs in. The role comes from the part of the email
+// before "@" when it is viewer, dispatcher or admin (admin@example.com),
+// otherwise the operator is a dispatcher.
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 4001;
+const TOURIST_COUNT = Number(process.env.MOCK_TOURISTS) || 25;
+const DROP_RATE = Number(process.env.MOCK_DROP_RATE) || 0;
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 900;
+
+const CENTER = { lat: 16.5062, lng: 80.6480 }; // Vijayawada
+const LOCATION_INTERVAL = 2000;
+const ALERT_INTERVAL = 45000;
+const HEARTBEAT_INTERVAL = 15000;
+const DISPATCH_INTERVAL = 2000;
+const UNIT_SPEED = 12; // metres per second, roughly 45 km/h through traffic
+
+const ALERT_TYPES = ['panic_button', 'sos', 'medical', 'geofence', 'inactivity'];
+const SEVERITIES = ['emergency', 'high', 'medium', 'low'];
+const NATIONALITIES = ['India', 'United Kingdom', 'Germany', 'France', 'United States', 'Japan', 'Australia'];
+
+// ---- Simulated state ----
+
+const randomOffset = (spread) => (Math.random() - 0.5) * spread;
+
+const tourists = Array.from({ length: TOURIST_COUNT }, (_, i) => ({
+  _id: `mock-tourist-${i + 1}`,
+  digitalId: `YS-MOCK-${String(i + 1).padStart(4, '0')}`,
+  name: `Mock Tourist ${i + 1}`,
+  email: `tourist${i + 1}@example.com`,
+  phone: `+91 90000 ${String(10000 + i).slice(-5)}`,
+  nationality: NATIONALITIES[i % NATIONALITIES.length],
+  status: 'safe',
+  createdAt: new Date().toISOString(),
+  currentLocation: {
+    coordinates: [CENTER.lng + randomOffset(0.1), CENTER.lat + randomOffset(0.1)],
+    timestamp: new Date().toISOString(),
+    batteryLevel: Math.round(30 + Math.random() * 65),
+    accuracy: Math.round(5 + Math.random() * 20),
+    altitude: Math.round(15 + Math.random() * 15)
+  },
+  emergencyContacts: [
+    { name: `Contact of Tourist ${i + 1}`, relationship: 'Family', phone: `+91 98000 ${String(20000 + i).slice(-5)}` }
+  ],
+  itinerary: [
+    { place: 'Kanaka Durga Temple', startDate: new Date().toISOString(), accommodation: 'Hotel Ilapuram' },
+    { place: 'Undavalli Caves', startDate: new Date(Date.now() + 86400000).toISOString() },
+    { place: 'Amaravati', startDate: new Date(Date.now() + 2 * 86400000).toISOString(), notes: 'Day trip' }
+  ],
+  kycDocuments: [
+    { type: 'passport', number: `P${String(1000000 + i)}`, status: i % 5 === 0 ? 'pending' : 'verified' }
+  ]
+}));
+
+// Travel parties: the first few tourists start out together so the map has a
+// group outline to show; random movement lets members drift apart over time
+let groups = [
+  { _id: 'mock-group-1', name: 'Sharma Family', color: '#7c3aed', memberIds: [0, 1, 2, 3], maxSpreadMeters: 400 },
+  { _id: 'mock-group-2', name: 'Heritage Walk Tour', color: '#0891b2', memberIds: [4, 5, 6, 7, 8], maxSpreadMeters: 600 }
+].filter(group => group.memberIds.every(i => i < tourists.length)).map(group => {
+  const [lng, lat] = tourists[group.memberIds[0]].currentLocation.coordinates;
+  group.memberIds.forEach(i => {
+    tourists[i].currentLocation.coordinates = [lng + randomOffset(0.003), lat + randomOffset(0.003)];
+  });
+  return { ...group, memberIds: group.memberIds.map(i => tourists[i]._id), createdAt: new Date().toISOString() };
+});
+
+// Two tourists whose phones have gone quiet: one ran its battery down, the
+// other lost signal on the hill trail (a warning zone, so a shorter threshold)
+const SILENT_TOURISTS = new Set();
+const silence = (index, minutesAgo, batteryLevel, coordinates) => {
+  const tourist = tourists[index];
+  if (!tourist) return;
+  tourist.currentLocation = {
+    coordinates: coordinates || tourist.currentLocation.coordinates,
+    timestamp: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+    batteryLevel
+  };
+  SILENT_TOURISTS.add(tourist._id);
+};
+silence(10, 45, 6);
+silence(11, 20, 64, [80.6041, 16.5151]);
+
+// A hiker out by Kondapalli, far from any safe zone, with a weak GPS fix and
+// a phone that's nearly flat: the device health page should flag them
+const POOR_GPS_TOURISTS = new Set();
+if (tourists.length > 12) {
+  tourists[12].currentLocation = {
+    ...tourists[12].currentLocation,
+    coordinates: [80.5501, 16.6093],
+    batteryLevel: 17,
+    accuracy: 180,
+    altitude: 95
+  };
+  POOR_GPS_TOURISTS.add(tourists[12]._id);
+}
+
+// Tourist id -> recent positions, newest last. Seeded with a day's worth of
+// wandering that ends at the current position so history views have data.
+const LOCATION_HISTORY_SIZE = 500;
+const HISTORY_BACKFILL_HOURS = 24;
+const HISTORY_BACKFILL_STEP = 15 * 60 * 1000;
+
+const backfillHistory = (tourist) => {
+  const now = new Date(tourist.currentLocation.timestamp).getTime();
+  let [lng, lat] = tourist.currentLocation.coordinates;
+  let batteryLevel = tourist.currentLocation.batteryLevel ?? Math.round(20 + Math.random() * 30);
+  const points = [{ accuracy: 10, ...tourist.currentLocation, batteryLevel }];
+  for (let at = now - HISTORY_BACKFILL_STEP; at > now - HISTORY_BACKFILL_HOURS * 3600000; at -= HISTORY_BACKFILL_STEP) {
+    lng += randomOffset(0.004);
+    lat += randomOffset(0.004);
+    batteryLevel = Math.min(100, batteryLevel + Math.round(Math.random() * 2));
+    points.unshift({
+      coordinates: [lng, lat],
+      timestamp: new Date(at).toISOString(),
+      accuracy: Math.round(5 + Math.random() * 20),
+      speed: Math.random() * 2,
+      altitude: Math.round(15 + Math.random() * 15),
+      batteryLevel
+    });
+  }
+  return points;
+};
+
+const locationHistory = new Map(tourists.map(t => [t._id, backfillHistory(t)]));
+
+// Planned routes by tourist id. One tourist sets off on a short walk: the
+// first stop is where they are now, the later ones they won't get to on time.
+const routes = new Map();
+if (tourists.length > 9) {
+  const tourist = tourists[9];
+  const [lng, lat] = tourist.currentLocation.coordinates;
+  const at = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+  routes.set(tourist._id, {
+    touristId: tourist._id,
+    name: 'Old town walk',
+    corridorMeters: 300,
+    graceMinutes: 15,
+    waypoints: [
+      { name: 'Hotel', latitude: lat, longitude: lng, expectedAt: at(-30) },
+      { name: 'Market', latitude: lat + 0.004, longitude: lng + 0.003, expectedAt: at(10) },
+      { name: 'Riverside cafe', latitude: lat + 0.006, longitude: lng + 0.009, expectedAt: at(60) }
+    ],
+    updatedAt: new Date().toISOString()
+  });
+}
+
+const devices = tourists.map((t, i) => ({
+  deviceId: `mock-device-${i + 1}`,
+  userId: t._id,
+  platform: i % 2 === 0 ? 'Android' : 'iOS',
+  model: i % 2 === 0 ? 'Pixel 7' : 'iPhone 14',
+  appVersion: i % 4 === 3 ? '2.2.1' : '2.3.0',
+  connectedAt: new Date().toISOString()
+}));
+
+// Phones that went quiet have dropped off; the rest report their last ping
+const getConnectedDevices = () => devices
+  .filter(device => !SILENT_TOURISTS.has(device.userId))
+  .map(device => {
+    const { timestamp, batteryLevel } = tourists.find(t => t._id === device.userId).currentLocation;
+    return { ...device, lastSeen: timestamp, batteryLevel };
+  });
+
+let geofences = [
+  {
+    _id: 'mock-fence-1',
+    name: 'Kanaka Durga Temple',
+    type: 'safe',
+    geometry: { type: 'Point', coordinates: [80.6054, 16.5157] },
+    radius: 400,
+    isActive: true
+  },
+  {
+    _id: 'mock-fence-2',
+    name: 'Prakasam Barrage Riverbank',
+    type: 'restricted',
+    geometry: { type: 'Point', coordinates: [80.6052, 16.5064] },
+    radius: 600,
+    // Unlit riverbank: only off-limits after dark
+    schedule: { timeWindows: [{ start: '19:00', end: '06:00' }] },
+    isActive: true
+  },
+  {
+    _id: 'mock-fence-3',
+    name: 'Kondapalli Reserve Forest',
+    type: 'restricted',
+    shape: 'polygon',
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[80.5312, 16.6148], [80.5520, 16.6231], [80.5693, 16.6102], [80.5618, 16.5921], [80.5385, 16.5957], [80.5312, 16.6148]]]
+    },
+    // Closed through the monsoon
+    schedule: { months: [6, 7, 8, 9] },
+    isActive: true
+  },
+  {
+    _id: 'mock-fence-4',
+    name: 'Indrakeeladri Hill Trail',
+    type: 'warning',
+    shape: 'corridor',
+    geometry: { type: 'LineString', coordinates: [[80.6021, 16.5121], [80.6039, 16.5139], [80.6047, 16.5162], [80.6068, 16.5178]] },
+    bufferMeters: 60,
+    isActive: true
+  }
+];
+
+const units = [
+  { _id: 'unit-amb-1', name: 'Ambulance 108-A', agency: 'EMRI 108', type: 'ambulance', offset: [0.02, 0.015] },
+  { _id: 'unit-amb-2', name: 'Ambulance 108-B', agency: 'EMRI 108', type: 'ambulance', offset: [-0.03, -0.01] },
+  { _id: 'unit-pol-1', name: 'Patrol Car 12', agency: 'Vijayawada City Police', type: 'police', offset: [0.01, -0.025] },
+  { _id: 'unit-pol-2', name: 'Tourist Police Bike 3', agency: 'AP Tourist Police', type: 'police', offset: [-0.005, 0.02] },
+  { _id: 'unit-fire-1', name: 'Fire Tender 2', agency: 'AP Fire Services', type: 'fire', offset: [0.035, -0.02] },
+  { _id: 'unit-res-1', name: 'River Rescue Team', agency: 'SDRF', type: 'rescue', offset: [-0.04, 0.005] }
+].map(({ offset, ...unit }) => ({
+  ...unit,
+  status: 'available',
+  phone: '+91 100',
+  location: { coordinates: [CENTER.lng + offset[0], CENTER.lat + offset[1]] }
+}));
+
+let alerts = [];
+const alertNotes = new Map(); // alertId -> notes
+let escalationPolicies = null; // null until an admin saves some; the portal then uses its defaults
+let auditEvents = [];
+let dispatches = [];
+let seq = 0;
+
+// ---- Broadcasting ----
+
+const sseClients = new Set();
+const wss = new WebSocketServer({ noServer: true });
+
+const broadcast = (channel, type, payload) => {
+  seq += 1;
+  if (Math.random() < DROP_RATE) {
+    console.log(`[mock] dropped event #${seq} (${channel}.${type})`);
+    return;
+  }
+
+  const message = JSON.stringify({ seq, channel, type, payload, sentAt: new Date().toISOString() });
+  sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+  wss.clients.forEach(socket => {
+    if (socket.readyState === socket.OPEN) socket.send(message);
+  });
+};
+
+const sendHeartbeat = () => {
+  const message = JSON.stringify({ type: 'heartbeat', sentAt: new Date().toISOString() });
+  sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+  wss.clients.forEach(socket => {
+    if (socket.readyState === socket.OPEN) socket.send(message);
+  });
+};
+
+const moveTourist = () => {
+  const moving = tourists.filter(t => !SILENT_TOURISTS.has(t._id));
+  const tourist = moving[Math.floor(Math.random() * moving.length)];
+  const [lng, lat] = tourist.currentLocation.coordinates;
+  const timestamp = new Date().toISOString();
+
+  // Batteries drain by a point every few updates, roughly 10% an hour
+  const previous = tourist.currentLocation;
+  const readings = {
+    accuracy: POOR_GPS_TOURISTS.has(tourist._id)
+      ? Math.round(120 + Math.random() * 130)
+      : Math.round(5 + Math.random() * 20),
+    speed: Math.random() * 2,
+    altitude: Math.max(0, Math.round((previous.altitude ?? 20) + randomOffset(4))),
+    batteryLevel: Math.max(1, (previous.batteryLevel ?? 80) - (Math.random() < 0.15 ? 1 : 0))
+  };
+  tourist.currentLocation = {
+    coordinates: [lng + randomOffset(0.002), lat + randomOffset(0.002)],
+    timestamp,
+    ...readings
+  };
+  const history = locationHistory.get(tourist._id);
+  history.push({ ...tourist.currentLocation });
+  if (history.length > LOCATION_HISTORY_SIZE) history.shift();
+
+  broadcast('locations', 'updated', {
+    touristId: tourist._id,
+    longitude: tourist.currentLocation.coordinates[0],
+    latitude: tourist.currentLocation.coordinates[1],
+    timestamp,
+    ...readings,
+    status: tourist.status
+  });
+};
+
+const raiseAlert = (
+  tourist = tourists[Math.floor(Math.random() * tourists.length)],
+  type = ALERT_TYPES[Math.floor(Math.random() * ALERT_TYPES.length)],
+  details = {}
+) => {
+  const [lng, lat] = tourist.currentLocation.coordinates;
+  const alert = {
+    alertId: `mock-alert-${Date.now()}`,
+    type,
+    severity: SEVERITIES[Math.floor(Math.random() * SEVERITIES.length)],
+    message: `Simulated alert from ${tourist.name}`,
+    status: 'new',
+    statusHistory: [],
+    escalations: [],
+    createdAt: new Date().toISOString(),
+    location: { latitude: lat, longitude: lng },
+    touristId: tourist._id,
+    tourist: {
+      name: tourist.name,
+      email: tourist.email,
+      phone: tourist.phone,
+      digitalId: tourist.digitalId,
+      currentLocation: tourist.currentLocation
+    },
+    ...details
+  };
+
+  alerts = [alert, ...alerts];
+  broadcast('alerts', 'created', alert);
+  return alert;
+};
+
+// Panicking tourists press SOS more than once
+const raiseAlertWithRepeats = () => {
+  const alert = raiseAlert();
+  if (Math.random() < 0.4) {
+    const tourist = tourists.find(t => t.digitalId === alert.tourist.digitalId);
+    const repeats = 1 + Math.floor(Math.random() * 3);
+    for (let i = 1; i <= repeats; i += 1) {
+      setTimeout(() => raiseAlert(tourist, alert.type), i * (3000 + Math.random() * 5000));
+    }
+  }
+};
+
+const OPEN_STATUSES = ['new', 'acknowledged', 'assigned', 'in_progress', 'escalated'];
+
+const setAlertStatus = (alert, status, reason, by) => {
+  alert.statusHistory.push({ from: alert.status, to: status, reason, by, at: new Date().toISOString() });
+  alert.status = status;
+  broadcast('alerts', 'updated', alert);
+};
+
+// ---- Auth ----
+
+const MOCK_ROLES = ['viewer', 'dispatcher', 'admin'];
+const sessions = new Map(); // refreshToken -> operator
+const accessTokens = new Map(); // accessToken -> operator
+
+// Everyone who can be assigned an incident; signed-in operators are added too
+const operators = new Map([
+  ['mock-operator-control-1', { id: 'mock-operator-control-1', name: 'Control Room 1', role: 'dispatcher' }],
+  ['mock-operator-control-2', { id: 'mock-operator-control-2', name: 'Control Room 2', role: 'dispatcher' }],
+  ['mock-operator-supervisor', { id: 'mock-operator-supervisor', name: 'Shift Supervisor', role: 'admin' }]
+]);
+
+const issueTokens = (operator) => {
+  const refreshToken = `mock-refresh-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const accessToken = `mock-access-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  sessions.set(refreshToken, operator);
+  accessTokens.set(accessToken, operator);
+  operators.set(operator.id, operator);
+  return {
+    success: true,
+    data: {
+      user: operator,
+      accessToken,
+      refreshToken,
+      expiresIn: TOKEN_TTL
+    }
+  };
+};
+
+const getRequestOperator = (req) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const operator = accessTokens.get(token);
+  return operator ? { id: operator.id, name: operator.name } : { id: 'unknown', name: 'Unknown operator' };
+};
+
+const readJsonBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch {
+      resolve({});
+    }
+  });
+});
+
+// ---- Dispatch ----
+
+const distanceBetween = ([lng1, lat1], [lng2, lat2]) => {
+  const rad = (d) => d * Math.PI / 180;
+  const h = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+// A wobbly line from the unit to the scene, standing in for a road route
+const buildRoute = (from, to, points = 12) => Array.from({ length: points + 1 }, (_, i) => {
+  const t = i / points;
+  const wobble = i === 0 || i === points ? 0 : randomOffset(0.003);
+  return [from[0] + (to[0] - from[0]) * t + wobble, from[1] + (to[1] - from[1]) * t + wobble];
+});
+
+const routeLength = (route) => route.slice(1).reduce((total, point, i) => total + distanceBetween(route[i], point), 0);
+
+const dispatchPayload = (dispatch) => ({
+  ...dispatch,
+  unit: units.find(u => u._id === dispatch.unitId),
+  unitLocation: { coordinates: dispatch.route[0] },
+  route: { type: 'LineString', coordinates: dispatch.route },
+  etaSeconds: Math.round(routeLength(dispatch.route) / UNIT_SPEED),
+  updatedAt: new Date().toISOString()
+});
+
+const setDispatchStatus = (dispatch, status, note = '', by = 'system') => {
+  dispatch.status = status;
+  dispatch.history.push({ status, at: new Date().toISOString(), note, by });
+  if (status === 'resolved' || status === 'cancelled') {
+    const unit = units.find(u => u._id === dispatch.unitId);
+    if (unit) {
+      unit.status = 'available';
+      unit.location = { coordinates: dispatch.route[0] };
+    }
+  }
+};
+
+// Units set off a few seconds after assignment, drive the route, then wait on scene
+const advanceDispatches = () => {
+  dispatches.forEach(dispatch => {
+    if (dispatch.status === 'assigned' && Date.now() - new Date(dispatch.createdAt).getTime() > 5000) {
+      setDispatchStatus(dispatch, 'en_route', 'Unit rolling');
+    } else if (dispatch.status === 'en_route') {
+      dispatch.route = dispatch.route.slice(1);
+      if (dispatch.route.length <= 1) setDispatchStatus(dispatch, 'on_scene', 'Unit arrived');
+    } else {
+      return;
+    }
+    broadcast('dispatches', 'updated', dispatchPayload(dispatch));
+  });
+};
+
+// ---- HTTP ----
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+};
+
+// Keeps location entries between the optional startDate/endDate query params
+const filterByDate = (locations, params) => {
+  const start = params.get('startDate') ? new Date(params.get('startDate')).getTime() : -Infinity;
+  const end = params.get('endDate') ? new Date(params.get('endDate')).getTime() : Infinity;
+  return locations.filter(({ timestamp }) => {
+    const at = new Date(timestamp).getTime();
+    return at >= start && at <= end;
+  });
+};
+
+// ?bbox=west,south,east,north as sent by the map; no bbox matches everything
+const parseBbox = (params) => {
+  const bbox = (params.get('bbox') || '').split(',').map(Number);
+  return bbox.length === 4 && bbox.every(Number.isFinite) ? bbox : null;
+};
+
+// ?startHour=&endHour= limit the heatmap to hours of the day in the caller's
+// time zone (?utcOffset= minutes east of UTC); end exclusive
+const inHourWindow = (timestamp, params) => {
+  if (!params.has('startHour') || !params.has('endHour')) return true;
+  const offset = Number(params.get('utcOffset')) || 0;
+  const hour = new Date(new Date(timestamp).getTime() + offset * 60000).getUTCHours();
+  return hour >= Number(params.get('startHour')) && hour < Number(params.get('endHour'));
+};
+
+const inBbox = ([lng, lat], bbox) => (
+  !bbox || (lng >= bbox[0] && lat >= bbox[1] && lng < bbox[2] && lat < bbox[3])
+);
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end();
+    return;
+  }
+
+  if (url.pathname === '/api/live/stream') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write(': connected\n\n');
+    sseClients.add(res);
+    console.log(`[mock] SSE client connected (${sseClients.size})`);
+    req.on('close', () => sseClients.delete(res));
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/auth/login') {
+    readJsonBody(req).then(({ email = '' }) => {
+      const prefix = email.split('@')[0];
+      const operator = {
+        id: `mock-operator-${prefix || 'anon'}`,
+        name: prefix || 'Operator',
+        email,
+        role: MOCK_ROLES.includes(prefix) ? prefix : 'dispatcher'
+      };
+      console.log(`[mock] ${operator.email} signed in as ${operator.role}`);
+      sendJson(res, 200, issueTokens(operator));
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/auth/refresh') {
+    readJsonBody(req).then(({ refreshToken }) => {
+      const operator = sessions.get(refreshToken);
+      if (!operator) {
+        sendJson(res, 401, { success: false, message: 'Invalid refresh token' });
+        return;
+      }
+      sessions.delete(refreshToken);
+      sendJson(res, 200, issueTokens(operator));
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/auth/logout') {
+    readJsonBody(req).then(({ refreshToken }) => {
+      sessions.delete(refreshToken);
+      sendJson(res, 200, { success: true });
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/audit/events') {
+    readJsonBody(req).then(({ events = [] }) => {
+      auditEvents = [...events, ...auditEvents].slice(0, 5000);
+      sendJson(res, 200, { success: true, data: { stored: events.length } });
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/audit/events') {
+    sendJson(res, 200, { success: true, data: { events: auditEvents } });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/dispatch/units') {
+    sendJson(res, 200, { success: true, data: { units } });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/dispatch/active') {
+    const active = dispatches.filter(d => d.status !== 'resolved' && d.status !== 'cancelled');
+    sendJson(res, 200, { success: true, data: { dispatches: active.map(dispatchPayload) } });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/dispatch') {
+    readJsonBody(req).then(({ alertId, unitId, notes = '', destination }) => {
+      const unit = units.find(u => u._id === unitId);
+      const alert = alerts.find(a => a.alertId === alertId);
+      const target = destination || alert?.location;
+      if (!unit || unit.status !== 'available' || !target) {
+        sendJson(res, 400, { success: false, message: 'Unit is not available or the alert has no location' });
+        return;
+      }
+
+      unit.status = 'busy';
+      const dispatch = {
+        _id: `mock-dispatch-${Date.now()}`,
+        alertId,
+        unitId,
+        notes,
+        status: 'assigned',
+        destination: target,
+        createdAt: new Date().toISOString(),
+        history: [],
+        route: buildRoute(unit.location.coordinates, [target.longitude, target.latitude])
+      };
+      setDispatchStatus(dispatch, 'assigned', notes, 'operator');
+      dispatches.push(dispatch);
+
+      const payload = dispatchPayload(dispatch);
+      broadcast('dispatches', 'created', payload);
+      sendJson(res, 201, { success: true, data: { dispatch: payload } });
+    });
+    return;
+  }
+
+  const dispatchStatusMatch = url.pathname.match(/^\/api\/dispatch\/([^/]+)\/status$/);
+  if (req.method === 'PATCH' && dispatchStatusMatch) {
+    readJsonBody(req).then(({ status, note }) => {
+      const dispatch = dispatches.find(d => d._id === decodeURIComponent(dispatchStatusMatch[1]));
+      if (!dispatch) {
+        sendJson(res, 404, { success: false, message: 'Dispatch not found' });
+        return;
+      }
+      setDispatchStatus(dispatch, status, note, 'operator');
+      const payload = dispatchPayload(dispatch);
+      broadcast('dispatches', 'updated', payload);
+      sendJson(res, 200, { success: true, data: { dispatch: payload } });
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/tourists/all') {
+    const bbox = parseBbox(url.searchParams);
+    const ids = url.searchParams.get('ids') ? url.searchParams.get('ids').split(',') : null;
+    sendJson(res, 200, {
+      success: true,
+      data: {
+        tourists: tourists.filter(t => (!ids || ids.includes(t._id)) && inBbox(t.currentLocation.coordinates, bbox))
+      }
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/users/all') {
+    const params = url.searchParams;
+    const search = (params.get('search') || '').toLowerCase();
+    const nationality = (params.get('nationality') || '').toLowerCase();
+    const page = Number(params.get('page')) || 1;
+    const limit = Number(params.get('limit')) || 20;
+    const sortBy = params.get('sortBy') || 'createdAt';
+    const direction = params.get('sortOrder') === 'asc' ? 1 : -1;
+    const sortValue = (t) => (sortBy === 'lastSeen' ? t.currentLocation?.timestamp : t[sortBy]) || '';
+    const matching = tourists
+      .filter(t =>
+        (!params.get('status') || t.status === params.get('status')) &&
+        (!nationality || t.nationality.toLowerCase().includes(nationality)) &&
+        (!search || `${t.name} ${t.email} ${t.phone} ${t.digitalId}`.toLowerCase().includes(search))
+      )
+      .sort((a, b) => String(sortValue(a)).localeCompare(String(sortValue(b)), undefined, { numeric: true }) * direction);
+    sendJson(res, 200, {
+      success: true,
+      data: {
+        users: matching.slice((page - 1) * limit, page * limit),
+        pagination: { page, limit, total: matching.length, pages: Math.max(1, Math.ceil(matching.length / limit)) }
+      }
+    });
+    return;
+  }
+
+  const userMatch = url.pathname.match(/^\/api\/users\/([^/]+)$/);
+  if (req.method === 'GET' && userMatch) {
+    const tourist = tourists.find(t => t._id === decodeURIComponent(userMatch[1]));
+    if (!tourist) {
+      sendJson(res, 404, { success: false, message: 'Tourist not found' });
+      return;
+    }
+    sendJson(res, 200, { success: true, data: { user: tourist } });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/location/heatmap') {
+    // One point per ~100 m cell, weighted by how many updates fell in it, or
+    // by distinct tourists (?weight=tourists) or alerts raised (?weight=alerts)
+    const params = url.searchParams;
+    const weight = params.get('weight');
+    const tallies = new Map(); // cell -> Set of tourist ids, or a number
+    const tally = ([lng, lat], touristId) => {
+      const key = `${lng.toFixed(3)},${lat.toFixed(3)}`;
+      if (weight === 'tourists') {
+        if (!tallies.has(key)) tallies.set(key, new Set());
+        tallies.get(key).add(touristId);
+      } else {
+        tallies.set(key, (tallies.get(key) || 0) + 1);
+      }
+    };
+    if (weight === 'alerts') {
+      filterByDate(alerts.map(alert => ({ ...alert, timestamp: alert.createdAt })), params)
+        .filter(alert => alert.location && inHourWindow(alert.timestamp, params))
+        .forEach(({ location }) => tally([location.longitude, location.latitude]));
+    } else {
+      locationHistory.forEach((history, touristId) => {
+        filterByDate(history, params)
+          .filter(({ timestamp }) => inHourWindow(timestamp, params))
+          .forEach(({ coordinates }) => tally(coordinates, touristId));
+      });
+    }
+    const cells = [...tallies].map(([key, value]) => [key, weight === 'tourists' ? value.size : value]);
+    // Scaled by the busiest cell overall so tiles loaded separately agree
+    const bbox = parseBbox(params);
+    const max = Math.max(1, ...cells.map(([, count]) => count));
+    const points = cells
+      .map(([key, count]) => {
+        const [longitude, latitude] = key.split(',').map(Number);
+        return { longitude, latitude, intensity: count / max, count };
+      })
+      .filter(({ longitude, latitude }) => inBbox([longitude, latitude], bbox));
+    sendJson(res, 200, { success: true, data: { points } });
+    return;
+  }
+
+  const historyMatch = url.pathname.match(/^\/api\/tracking\/location\/history\/([^/]+)$/);
+  if (req.method === 'GET' && historyMatch) {
+    const touristId = decodeURIComponent(historyMatch[1]);
+    const limit = Number(url.searchParams.get('limit')) || 0;
+    const locations = filterByDate(locationHistory.get(touristId) || [], url.searchParams);
+    const tourist = tourists.find(t => t._id === touristId);
+    sendJson(res, 200, {
+      success: true,
+      data: { touristName: tourist?.name, locations: limit ? locations.slice(-limit) : locations }
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/devices/connected') {
+    sendJson(res, 200, { success: true, data: { devices: getConnectedDevices() } });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname.startsWith('/api/videos/user/')) {
+    sendJson(res, 200, { success: true, data: [] });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/auth/operators') {
+    sendJson(res, 200, { success: true, data: { operators: [...operators.values()] } });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/alerts/active') {
+    const page = Number(url.searchParams.get('page')) || 1;
+    const limit = Number(url.searchParams.get('limit')) || 20;
+    const open = alerts.filter(a => OPEN_STATUSES.includes(a.status));
+    sendJson(res, 200, {
+      success: true,
+      data: {
+        alerts: open.slice((page - 1) * limit, page * limit),
+        pagination: { page, limit, total: open.length, pages: Math.max(1, Math.ceil(open.length / limit)) }
+      }
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/alerts') {
+    const params = url.searchParams;
+    const statuses = params.get('status') ? params.get('status').split(',') : null;
+    const search = (params.get('search') || '').toLowerCase();
+    const page = Number(params.get('page')) || 1;
+    const limit = Number(params.get('limit')) || 25;
+    const matching = alerts.filter(a =>
+      (!statuses || statuses.includes(a.status)) &&
+      (!params.get('severity') || a.severity === params.get('severity')) &&
+      (!params.get('type') || a.type === params.get('type')) &&
+      (!params.get('touristId') || a.touristId === params.get('touristId')) &&
+      (!search || `${a.tourist.name} ${a.message} ${a.alertId}`.toLowerCase().includes(search))
+    );
+    sendJson(res, 200, {
+      success: true,
+      data: {
+        alerts: matching.slice((page - 1) * limit, page * limit),
+        pagination: { page, limit, total: matching.length, pages: Math.max(1, Math.ceil(matching.length / limit)) }
+      }
+    });
+    return;
+  }
+
+  const alertStatusMatch = url.pathname.match(/^\/api\/tracking\/alerts\/([^/]+)\/(status|assign)$/);
+  if (req.method === 'PATCH' && alertStatusMatch) {
+    readJsonBody(req).then(({ status, operatorId, reason = '' }) => {
+      const alert = alerts.find(a => a.alertId === decodeURIComponent(alertStatusMatch[1]));
+      if (!alert) {
+        sendJson(res, 404, { success: false, message: 'Alert not found' });
+        return;
+      }
+      if (!reason.trim()) {
+        sendJson(res, 400, { success: false, message: 'A reason is required' });
+        return;
+      }
+      if (alertStatusMatch[2] === 'assign') {
+        const assignee = operators.get(operatorId);
+        if (!assignee) {
+          sendJson(res, 400, { success: false, message: 'Unknown operator' });
+          return;
+        }
+        alert.assignedTo = { id: assignee.id, name: assignee.name };
+      }
+      const nextStatus = alertStatusMatch[2] === 'assign' ? 'assigned' : status;
+      setAlertStatus(alert, nextStatus, reason, getRequestOperator(req));
+      sendJson(res, 200, { success: true, data: { alert } });
+    });
+    return;
+  }
+
+  const alertEscalationMatch = url.pathname.match(/^\/api\/tracking\/alerts\/([^/]+)\/escalations$/);
+  if (req.method === 'POST' && alertEscalationMatch) {
+    readJsonBody(req).then((escalation) => {
+      const alert = alerts.find(a => a.alertId === decodeURIComponent(alertEscalationMatch[1]));
+      if (!alert) {
+        sendJson(res, 404, { success: false, message: 'Alert not found' });
+        return;
+      }
+      // Every console runs the engine, so the same step can arrive more than once
+      if (!alert.escalations.some(e => e.stepKey === escalation.stepKey)) {
+        alert.escalations.push({ ...escalation, at: new Date().toISOString() });
+        console.log(`[mock] ${alert.alertId}: ${escalation.action}${escalation.target ? ` ${escalation.target}` : ''}`);
+        if (escalation.action === 'supervisor' && alert.status !== 'escalated') {
+          setAlertStatus(alert, 'escalated', `Unacknowledged after ${escalation.afterMinutes} min`, { id: 'system', name: 'Escalation policy' });
+        } else {
+          broadcast('alerts', 'updated', alert);
+        }
+      }
+      sendJson(res, 200, { success: true, data: { alert } });
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/escalation/policies') {
+    sendJson(res, 200, { success: true, data: { policies: escalationPolicies } });
+    return;
+  }
+
+  if (req.method === 'PUT' && url.pathname === '/api/escalation/policies') {
+    readJsonBody(req).then(({ policies }) => {
+      escalationPolicies = Array.isArray(policies) ? policies : escalationPolicies;
+      sendJson(res, 200, { success: true, data: { policies: escalationPolicies } });
+    });
+    return;
+  }
+
+  const alertNotesMatch = url.pathname.match(/^\/api\/tracking\/alerts\/([^/]+)\/notes$/);
+  if (alertNotesMatch) {
+    const alertId = decodeURIComponent(alertNotesMatch[1]);
+    if (req.method === 'GET') {
+      sendJson(res, 200, { success: true, data: { notes: alertNotes.get(alertId) || [] } });
+      return;
+    }
+    if (req.method === 'POST') {
+      readJsonBody(req).then(({ text = '', parentId = null }) => {
+        const note = {
+          id: `mock-note-${Date.now()}`,
+          parentId,
+          text,
+          author: getRequestOperator(req),
+          at: new Date().toISOString()
+        };
+        alertNotes.set(alertId, [...(alertNotes.get(alertId) || []), note]);
+        sendJson(res, 201, { success: true, data: { note } });
+      });
+      return;
+    }
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/geofences') {
+    sendJson(res, 200, { success: true, data: { geofences } });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/tracking/geofences') {
+    readJsonBody(req).then(({ coordinates, ...body }) => {
+      const fence = {
+        _id: `mock-fence-${Date.now()}`,
+        isActive: true,
+        ...body,
+        // Circles arrive as a centre; store them as a GeoJSON point like the backend
+        geometry: body.geometry || { type: 'Point', coordinates: [coordinates?.longitude, coordinates?.latitude] }
+      };
+      geofences = [...geofences, fence];
+      broadcast('geofences', 'created', fence);
+      sendJson(res, 201, { success: true, data: { geofence: fence } });
+    });
+    return;
+  }
+
+  const geofenceMatch = url.pathname.match(/^\/api\/tracking\/geofences\/([^/]+)$/);
+  if (geofenceMatch && (req.method === 'PUT' || req.method === 'DELETE')) {
+    const fenceId = decodeURIComponent(geofenceMatch[1]);
+    const fence = geofences.find(f => f._id === fenceId);
+    if (!fence) {
+      sendJson(res, 404, { success: false, message: 'Geofence not found' });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      geofences = geofences.filter(f => f._id !== fenceId);
+      broadcast('geofences', 'deleted', { fenceId });
+      sendJson(res, 200, { success: true });
+      return;
+    }
+    readJsonBody(req).then(({ coordinates, ...changes }) => {
+      Object.assign(fence, changes);
+      if (coordinates) fence.geometry = { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] };
+      broadcast('geofences', 'updated', fence);
+      sendJson(res, 200, { success: true, data: { geofence: fence } });
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/tracking/alerts/emergency') {
+    readJsonBody(req).then(({ touristId, type = 'sos', ...details }) => {
+      const tourist = tourists.find(t => t._id === touristId);
+      if (!tourist) {
+        sendJson(res, 404, { success: false, message: 'Tourist not found' });
+        return;
+      }
+      // One open alert per tourist and type, like the backend
+      const open = alerts.find(a => a.touristId === touristId && a.type === type && OPEN_STATUSES.includes(a.status));
+      if (open) {
+        sendJson(res, 200, { success: true, data: { alert: open } });
+        return;
+      }
+      sendJson(res, 201, { success: true, data: { alert: raiseAlert(tourist, type, details) } });
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/config') {
+    sendJson(res, 200, {
+      success: true,
+      data: { config: { silentAfterMinutes: 30, zoneThresholds: { restricted: 10, warning: 15 }, lowBatteryPercent: 15 } }
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/inactive-users') {
+    const cutoff = Date.now() - 30 * 60000;
+    const users = tourists
+      .filter(t => new Date(t.currentLocation.timestamp).getTime() < cutoff)
+      .map(t => ({ touristId: t._id, name: t.name, lastSeenAt: t.currentLocation.timestamp, currentLocation: t.currentLocation }));
+    sendJson(res, 200, { success: true, data: { users } });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/routes') {
+    sendJson(res, 200, { success: true, data: { routes: [...routes.values()] } });
+    return;
+  }
+
+  const routeMatch = url.pathname.match(/^\/api\/tracking\/routes\/([^/]+)$/);
+  if (routeMatch && (req.method === 'PUT' || req.method === 'DELETE')) {
+    const touristId = decodeURIComponent(routeMatch[1]);
+    if (!tourists.some(t => t._id === touristId)) {
+      sendJson(res, 404, { success: false, message: 'Tourist not found' });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      routes.delete(touristId);
+      broadcast('routes', 'deleted', { touristId });
+      sendJson(res, 200, { success: true });
+      return;
+    }
+    readJsonBody(req).then(body => {
+      const route = { ...body, touristId, updatedAt: new Date().toISOString() };
+      routes.set(touristId, route);
+      broadcast('routes', 'updated', route);
+      sendJson(res, 200, { success: true, data: { route } });
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/tracking/groups') {
+    sendJson(res, 200, { success: true, data: { groups } });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/tracking/groups') {
+    readJsonBody(req).then(body => {
+      const group = { _id: `mock-group-${Date.now()}`, memberIds: [], ...body, createdAt: new Date().toISOString() };
+      groups = [...groups, group];
+      broadcast('groups', 'created', group);
+      sendJson(res, 201, { success: true, data: { group } });
+    });
+    return;
+  }
+
+  const groupMatch = url.pathname.match(/^\/api\/tracking\/groups\/([^/]+)$/);
+  if (groupMatch && (req.method === 'PUT' || req.method === 'DELETE')) {
+    const groupId = decodeURIComponent(groupMatch[1]);
+    const group = groups.find(g => g._id === groupId);
+    if (!group) {
+      sendJson(res, 404, { success: false, message: 'Group not found' });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      groups = groups.filter(g => g._id !== groupId);
+      broadcast('groups', 'deleted', { groupId });
+      sendJson(res, 200, { success: true });
+      return;
+    }
+    readJsonBody(req).then(changes => {
+      Object.assign(group, changes);
+      broadcast('groups', 'updated', group);
+      sendJson(res, 200, { success: true, data: { group } });
+    });
+    return;
+  }
+
+  const acknowledgeMatch = url.pathname.match(/^\/api\/tracking\/alerts\/acknowledge\/(.+)$/);
+  if (req.method === 'POST' && acknowledgeMatch) {
+    const alert = alerts.find(a => a.alertId === decodeURIComponent(acknowledgeMatch[1]));
+    if (alert) setAlertStatus(alert, 'acknowledged', 'Acknowledged', getRequestOperator(req));
+    sendJson(res, 200, { success: true });
+    return;
+  }
+
+  sendJson(res, 404, { success: false, message: `Mock server has no route for ${req.method} ${url.pathname}` });
+});
+
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  if (pathname !== '/api/live/ws') {
+    socket.destroy();
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    console.log(`[mock] WebSocket client connected (${wss.clients.size})`);
+    wss.emit('connection', ws, req);
+  });
+});
+
+setInterval(moveTourist, LOCATION_INTERVAL);
+setInterval(raiseAlertWithRepeats, ALERT_INTERVAL);
+setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+setInterval(advanceDispatches, DISPATCH_INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`[mock] Live event server on http://localhost:${PORT}`);
+  console.log(`[mock] ${TOURIST_COUNT} tourists, drop rate ${DROP_RATE}`);
+});
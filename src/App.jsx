@@ -1,12 +1,32 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import AzureMap from './components/AzureMap';
 import AlertsOverlay from './components/AlertsOverlay';
 import TouristsSidebar from './components/TouristsSidebar';
 import VideosModal from './components/VideosModal';
+import ConnectionStatus from './components/ConnectionStatus';
+import LoginScreen from './components/LoginScreen';
+import TopNavigation from './components/TopNavigation';
+import AlertManagement from './components/AlertManagement';
+import TouristManagement from './components/TouristManagement';
+import TouristProfile from './components/TouristProfile';
+import GeofenceAnalytics from './components/GeofenceAnalytics';
+import DeviceHealth from './components/DeviceHealth';
+import liveUpdates from './services/liveUpdates';
+import dataStore from './services/dataStore';
+import viewportLoader from './services/viewportLoader';
+import escalationEngine from './services/escalationEngine';
+import alertNotifier from './services/alertNotifier';
+import geofenceMonitor from './services/geofenceMonitor';
+import groupMonitor from './services/groupMonitor';
+import routeMonitor from './services/routeMonitor';
+import silenceMonitor from './services/silenceMonitor';
+import deviceHealthMonitor from './services/deviceHealthMonitor';
+import { useAuth } from './hooks/useAuth';
 import './index.css';
 
 // Full-screen map app with alerts overlay
-const App = () => {
+const PortalView = () => {
   const mapRef = useRef(null);
   const [showVideosModal, setShowVideosModal] = useState(false);
   const [selectedTouristForVideos, setSelectedTouristForVideos] = useState(null);
@@ -59,6 +79,10 @@ const App = () => {
       />
       
       <AlertsOverlay onViewOnMap={handleViewAlertOnMap} />
+
+      <TopNavigation style={{ position: 'absolute', top: '16px', right: '352px', zIndex: 1000 }} />
+
+      <ConnectionStatus style={{ position: 'absolute', bottom: '24px', right: '16px', zIndex: 1000 }} />
       
       {showVideosModal && selectedTouristForVideos && (
         <VideosModal
@@ -71,4 +95,58 @@ const App = () => {
   );
 };
 
+// Only signed-in operators get past the login screen
+const App = () => {
+  const { isAuthenticated } = useAuth();
+
+  // Don't leave the previous operator's data behind after logout
+  useEffect(() => {
+    if (!isAuthenticated) {
+      dataStore.reset();
+      viewportLoader.reset();
+    }
+  }, [isAuthenticated]);
+
+  // One shared live connection feeds every page while signed in; the
+  // escalation engine and the notifier watch the alerts it delivers, the
+  // geofence, group, route, silence and device health monitors the tourist
+  // locations
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    liveUpdates.connect();
+    escalationEngine.start();
+    alertNotifier.start();
+    geofenceMonitor.start();
+    groupMonitor.start();
+    routeMonitor.start();
+    silenceMonitor.start();
+    deviceHealthMonitor.start();
+    dataStore.load('alerts');
+    return () => {
+      deviceHealthMonitor.stop();
+      silenceMonitor.stop();
+      routeMonitor.stop();
+      groupMonitor.stop();
+      geofenceMonitor.stop();
+      alertNotifier.stop();
+      escalationEngine.stop();
+      liveUpdates.disconnect();
+    };
+  }, [isAuthenticated]);
+
+  if (!isAuthenticated) return <LoginScreen />;
+
+  return (
+    <Routes>
+      <Route path="/" element={<PortalView />} />
+      <Route path="/alerts" element={<AlertManagement />} />
+      <Route path="/tourists" element={<TouristManagement />} />
+      <Route path="/tourists/:touristId" element={<TouristProfile />} />
+      <Route path="/geofences/analytics" element={<GeofenceAnalytics />} />
+      <Route path="/devices" element={<DeviceHealth />} />
+      <Route path="*" element={<Navigate to="/" replace />} />
+    </Routes>
+  );
+};
+
 export default App;
@@ -1,5 +1,8 @@
 import React, { useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Link, useLocation } from 'react-router-dom';
+import AlertManagement from './components/AlertManagement';
+import TouristManagement from './components/TouristManagement';
+import TouristProfile from './components/TouristProfile';
 import './index.css';
 
 // Simple test component instead of GoogleMap for now
@@ -155,24 +158,6 @@ const LiveMapPage = () => (
   </div>
 );
 
-const TouristManagement = () => (
-  <div>
-    <h2 style={{ color: '#1e293b' }}>Tourist Management</h2>
-    <div className="dashboard-card">
-      <p>Tourist profile management, KYC verification, and tracking history will be implemented here.</p>
-    </div>
-  </div>
-);
-
-const AlertsManagement = () => (
-  <div>
-    <h2 style={{ color: '#1e293b' }}>Alerts & Incident Management</h2>
-    <div className="dashboard-card">
-      <p>Emergency alerts, incident reports, and response management will be implemented here.</p>
-    </div>
-  </div>
-);
-
 const GeofenceManagement = () => (
   <div>
     <h2 style={{ color: '#1e293b' }}>Geofence Management</h2>
@@ -212,7 +197,8 @@ const App = () => {
             <Route path="/" element={<Dashboard />} />
             <Route path="/map" element={<LiveMapPage />} />
             <Route path="/tourists" element={<TouristManagement />} />
-            <Route path="/alerts" element={<AlertsManagement />} />
+            <Route path="/tourists/:touristId" element={<TouristProfile />} />
+            <Route path="/alerts" element={<AlertManagement />} />
             <Route path="/geofences" element={<GeofenceManagement />} />
             <Route path="/ocr" element={<OCRProcessing />} />
             <Route path="/analytics" element={<Analytics />} />
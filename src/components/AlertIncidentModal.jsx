@@ -0,0 +1,83 @@
+import React from 'react';
+import AlertIncidentPanel from './AlertIncidentPanel';
+
+// Full-screen modal around the incident panel, opened from the alerts overlay
+const AlertIncidentModal = ({ alert, onClose }) => {
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.5)',
+          backdropFilter: 'blur(4px)',
+          zIndex: 1100
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '480px',
+        maxWidth: '95vw',
+        maxHeight: '90vh',
+        background: 'white',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        zIndex: 1101,
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden'
+      }}>
+        {/* Header */}
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid #eee',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          background: 'linear-gradient(135deg, #1a73e822, #1a73e844)'
+        }}>
+          <div>
+            <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1a1a1a' }}>
+              📋 Incident
+            </h3>
+            <p style={{ margin: '4px 0 0 0', fontSize: '13px', color: '#666' }}>
+              {alert.tourist?.name || 'Unknown tourist'} • {new Date(alert.createdAt || alert.timestamp).toLocaleString()}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              width: '32px',
+              height: '32px',
+              borderRadius: '50%',
+              border: 'none',
+              background: 'rgba(0,0,0,0.1)',
+              cursor: 'pointer',
+              fontSize: '18px',
+              color: '#666'
+            }}
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Content */}
+        <div style={{ flex: 1, overflowY: 'auto', padding: '16px 20px' }}>
+          <AlertIncidentPanel alert={alert} />
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AlertIncidentModal;
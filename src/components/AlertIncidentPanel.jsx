@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { alertAPI, authAPI } from '../services/api';
+import dataStore from '../services/dataStore';
+import { useAuth } from '../hooks/useAuth';
+import {
+  ALERT_STATUS,
+  ALERT_TRANSITIONS,
+  getAlertStatus,
+  getAlertStatusStyle,
+  getTransitionLabel
+} from '../utils/alertLifecycle';
+import { ESCALATION_ACTION_LABELS } from '../utils/escalation';
+
+const getPersonName = (person) => (typeof person === 'string' ? person : person?.name || 'Unknown');
+
+// Lifecycle controls, status history and notes thread for one alert.
+// Used inside the alerts overlay modal and on the incidents page.
+const AlertIncidentPanel = ({ alert, onUpdated }) => {
+  const { operator, can } = useAuth();
+  const canUpdate = can('alerts:update');
+  const status = getAlertStatus(alert);
+  const statusStyle = getAlertStatusStyle(status);
+
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [reason, setReason] = useState('');
+  const [assigneeId, setAssigneeId] = useState(operator?.id || '');
+  const [operators, setOperators] = useState([]);
+  const [notes, setNotes] = useState([]);
+  const [notesLoading, setNotesLoading] = useState(true);
+  const [noteText, setNoteText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reset the forms and reload the thread whenever another alert is shown
+  useEffect(() => {
+    let cancelled = false;
+    setPendingStatus(null);
+    setReason('');
+    setReplyTo(null);
+    setNotesLoading(true);
+
+    alertAPI.getNotes(alert.id)
+      .then(response => {
+        if (!cancelled) setNotes(response.data.data?.notes || response.data?.notes || []);
+      })
+      .catch(err => {
+        console.error('Failed to load alert notes:', err);
+        if (!cancelled) setNotes([]);
+      })
+      .finally(() => {
+        if (!cancelled) setNotesLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [alert.id]);
+
+  useEffect(() => {
+    if (!canUpdate) return;
+    authAPI.getOperators()
+      .then(response => setOperators(response.data.data?.operators || response.data?.operators || []))
+      .catch(err => console.warn('Failed to load operators:', err.message));
+  }, [canUpdate]);
+
+  // Replies hang off their parent note; everything is shown oldest first
+  const noteThreads = useMemo(() => {
+    const byParent = {};
+    notes.forEach(note => {
+      const key = note.parentId || 'root';
+      (byParent[key] = byParent[key] || []).push(note);
+    });
+    Object.values(byParent).forEach(list => list.sort((a, b) => new Date(a.at) - new Date(b.at)));
+    return byParent;
+  }, [notes]);
+
+  const applyUpdate = (response, fallback) => {
+    const updated = response.data.data?.alert || response.data.data || fallback;
+    dataStore.upsert('alerts', updated);
+    if (onUpdated) onUpdated({ ...alert, ...updated });
+  };
+
+  const handleTransition = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+    setBusy(true);
+    setError(null);
+
+    try {
+      if (pendingStatus === ALERT_STATUS.ASSIGNED) {
+        const response = await alertAPI.assign(alert.id, assigneeId, reason.trim());
+        const assignee = operators.find(o => (o._id || o.id) === assigneeId) || operator;
+        applyUpdate(response, { ...alert, status: ALERT_STATUS.ASSIGNED, assignedTo: assignee });
+      } else {
+        const response = await alertAPI.updateStatus(alert.id, pendingStatus, reason.trim());
+        applyUpdate(response, { ...alert, status: pendingStatus });
+      }
+      setPendingStatus(null);
+      setReason('');
+    } catch (err) {
+      console.error('Failed to update alert:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!noteText.trim()) return;
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await alertAPI.addNote(alert.id, noteText.trim(), replyTo?.id || null);
+      const note = response.data.data?.note || response.data.data;
+      setNotes(prev => [...prev, note]);
+      setNoteText('');
+      setReplyTo(null);
+    } catch (err) {
+      console.error('Failed to add note:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderNotes = (parentKey, depth = 0) => (noteThreads[parentKey] || []).map(note => (
+    <div key={note.id || note._id} style={{ marginLeft: depth ? '16px' : 0, borderLeft: depth ? '2px solid #e5e7eb' : 'none', paddingLeft: depth ? '10px' : 0 }}>
+      <div style={{ padding: '8px 0' }}>
+        <div style={{ fontSize: '11px', color: '#888' }}>
+          <strong style={{ color: '#333' }}>{getPersonName(note.author)}</strong> • {new Date(note.at).toLocaleString()}
+        </div>
+        <div style={{ fontSize: '13px', color: '#1a1a1a', marginTop: '2px', whiteSpace: 'pre-wrap' }}>{note.text}</div>
+        {canUpdate && (
+          <button
+            onClick={() => setReplyTo(note)}
+            style={{ border: 'none', background: 'none', color: '#1a73e8', fontSize: '11px', padding: 0, marginTop: '2px', cursor: 'pointer' }}
+          >
+            Reply
+          </button>
+        )}
+      </div>
+      {renderNotes(note.id || note._id, depth + 1)}
+    </div>
+  ));
+
+  const sectionLabel = { fontSize: '10px', color: '#888', fontWeight: '600', marginBottom: '6px' };
+  const inputStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '13px',
+    boxSizing: 'border-box'
+  };
+
+  return (
+    <div>
+      {error && (
+        <div style={{
+          background: '#fef2f2',
+          border: '1px solid #ef4444',
+          color: '#dc2626',
+          borderRadius: '8px',
+          padding: '8px 12px',
+          fontSize: '12px',
+          marginBottom: '12px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* Status */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px' }}>
+        <span style={{
+          padding: '4px 10px',
+          borderRadius: '12px',
+          background: statusStyle.bg,
+          color: statusStyle.color,
+          fontWeight: '600',
+          fontSize: '12px'
+        }}>
+          {statusStyle.label}
+        </span>
+        {alert.assignedTo && (
+          <span style={{ fontSize: '12px', color: '#555' }}>👤 {getPersonName(alert.assignedTo)}</span>
+        )}
+      </div>
+
+      {canUpdate && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+          {(ALERT_TRANSITIONS[status] || []).map(next => {
+            const nextStyle = getAlertStatusStyle(next);
+            const isPending = pendingStatus === next;
+            return (
+              <button
+                key={next}
+                onClick={() => setPendingStatus(isPending ? null : next)}
+                style={{
+                  padding: '6px 12px',
+                  borderRadius: '16px',
+                  border: `1px solid ${nextStyle.color}`,
+                  background: isPending ? nextStyle.color : 'white',
+                  color: isPending ? 'white' : nextStyle.color,
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                {getTransitionLabel(status, next)}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {pendingStatus && (
+        <form onSubmit={handleTransition} style={{ background: '#f9fafb', borderRadius: '8px', padding: '10px', marginBottom: '16px' }}>
+          {pendingStatus === ALERT_STATUS.ASSIGNED && (
+            <select
+              value={assigneeId}
+              onChange={(e) => setAssigneeId(e.target.value)}
+              style={{ ...inputStyle, marginBottom: '8px' }}
+            >
+              {operator && <option value={operator.id}>Me ({operator.name})</option>}
+              {operators
+                .filter(o => (o._id || o.id) !== operator?.id)
+                .map(o => <option key={o._id || o.id} value={o._id || o.id}>{o.name}</option>)}
+            </select>
+          )}
+          <textarea
+            placeholder={`Reason for "${getTransitionLabel(status, pendingStatus)}" (required)`}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={2}
+            required
+            autoFocus
+            style={{ ...inputStyle, resize: 'vertical', marginBottom: '8px' }}
+          />
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+            <button
+              type="button"
+              onClick={() => setPendingStatus(null)}
+              style={{ padding: '6px 12px', borderRadius: '6px', border: '1px solid #d1d5db', background: 'white', fontSize: '12px', cursor: 'pointer' }}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={busy || !reason.trim()}
+              style={{
+                padding: '6px 12px',
+                borderRadius: '6px',
+                border: 'none',
+                background: busy || !reason.trim() ? '#93c5fd' : '#1a73e8',
+                color: 'white',
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: busy || !reason.trim() ? 'not-allowed' : 'pointer'
+              }}
+            >
+              {busy ? 'Saving...' : 'Confirm'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Status history */}
+      {alert.statusHistory?.length > 0 && (
+        <div style={{ marginBottom: '16px' }}>
+          <div style={sectionLabel}>STATUS HISTORY</div>
+          {[...alert.statusHistory].reverse().map((entry, index) => (
+            <div key={index} style={{ fontSize: '12px', color: '#444', padding: '6px 0', borderBottom: '1px solid #f0f0f0' }}>
+              <strong>{getAlertStatusStyle(entry.from).label}</strong> → <strong>{getAlertStatusStyle(entry.to).label}</strong>
+              <span style={{ color: '#888' }}> • {getPersonName(entry.by)} • {new Date(entry.at).toLocaleString()}</span>
+              {entry.reason && <div style={{ color: '#666', marginTop: '2px' }}>“{entry.reason}”</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Escalation history */}
+      {alert.escalations?.length > 0 && (
+        <div style={{ marginBottom: '16px' }}>
+          <div style={sectionLabel}>ESCALATIONS</div>
+          {[...alert.escalations].reverse().map(entry => (
+            <div key={entry.stepKey} style={{ fontSize: '12px', color: '#444', padding: '6px 0', borderBottom: '1px solid #f0f0f0' }}>
+              ⏫ <strong>{ESCALATION_ACTION_LABELS[entry.action] || entry.action}</strong>
+              {entry.target ? ` (${entry.target})` : ''}
+              <span style={{ color: '#888' }}> • after {entry.afterMinutes} min • {new Date(entry.at).toLocaleString()}</span>
+              {entry.policyName && <div style={{ color: '#666', marginTop: '2px' }}>Policy: {entry.policyName}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Notes */}
+      <div>
+        <div style={sectionLabel}>NOTES</div>
+        {notesLoading ? (
+          <div style={{ fontSize: '12px', color: '#888' }}>Loading notes...</div>
+        ) : notes.length === 0 ? (
+          <div style={{ fontSize: '12px', color: '#888' }}>No notes yet</div>
+        ) : (
+          renderNotes('root')
+        )}
+
+        {canUpdate && (
+          <form onSubmit={handleAddNote} style={{ marginTop: '10px' }}>
+            {replyTo && (
+              <div style={{ fontSize: '11px', color: '#555', marginBottom: '4px' }}>
+                Replying to {getPersonName(replyTo.author)}{' '}
+                <button
+                  type="button"
+                  onClick={() => setReplyTo(null)}
+                  style={{ border: 'none', background: 'none', color: '#dc2626', fontSize: '11px', cursor: 'pointer' }}
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="text"
+                placeholder={replyTo ? 'Write a reply...' : 'Add a note...'}
+                value={noteText}
+                onChange={(e) => setNoteText(e.target.value)}
+                style={inputStyle}
+              />
+              <button
+                type="submit"
+                disabled={busy || !noteText.trim()}
+                style={{
+                  padding: '8px 14px',
+                  borderRadius: '8px',
+                  border: 'none',
+                  background: busy || !noteText.trim() ? '#93c5fd' : '#1a73e8',
+                  color: 'white',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  cursor: busy || !noteText.trim() ? 'not-allowed' : 'pointer'
+                }}
+              >
+                Post
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertIncidentPanel;
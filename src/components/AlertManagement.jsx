@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { alertAPI } from '../services/api';
+import { useLiveChannel } from '../hooks/useLiveUpdates';
+import { normalizeAlert } from '../utils/normalizers';
+import {
+  ALERT_STATUS_FILTERS,
+  getAlertStatus,
+  getAlertStatusStyle,
+  matchesStatusFilter
+} from '../utils/alertLifecycle';
+import TopNavigation from './TopNavigation';
+import AlertIncidentPanel from './AlertIncidentPanel';
+
+const SEVERITIES = ['emergency', 'high', 'medium', 'low'];
+const ALERT_TYPES = ['panic_button', 'sos', 'medical', 'geofence', 'group_separation', 'route_deviation', 'route_overdue', 'safety', 'inactivity', 'low_battery'];
+const PAGE_SIZE = 25;
+
+const formatType = (type) => (type || 'alert').replace(/_/g, ' ');
+
+// Alerts & Incidents page: every alert in any state, with the full lifecycle panel
+const AlertManagement = () => {
+  const [alerts, setAlerts] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [filters, setFilters] = useState({ status: 'open', severity: '', type: '', search: '' });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const statusFilter = ALERT_STATUS_FILTERS.find(f => f.value === filters.status);
+      const response = await alertAPI.getAll({
+        status: statusFilter?.statuses ? statusFilter.statuses.join(',') : undefined,
+        severity: filters.severity || undefined,
+        type: filters.type || undefined,
+        search: filters.search || undefined,
+        page,
+        limit: PAGE_SIZE
+      });
+      const body = response.data.data || response.data;
+      setAlerts((body.alerts || []).map(normalizeAlert));
+      setPagination(body.pagination || { page, pages: 1, total: (body.alerts || []).length });
+    } catch (err) {
+      console.error('Failed to load alerts:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  // Keep rows on this page current; new alerts only show up on the first page
+  useLiveChannel('alerts', ({ type, payload }) => {
+    if (type === 'resync') {
+      loadAlerts();
+      return;
+    }
+    if (type !== 'created' && type !== 'updated' && type !== 'acknowledged') return;
+
+    const incoming = normalizeAlert(type === 'acknowledged' ? { ...payload, status: 'acknowledged' } : payload);
+    setAlerts(prev => {
+      const index = prev.findIndex(a => a.id === incoming.id);
+      if (index >= 0) {
+        const next = [...prev];
+        next[index] = { ...prev[index], ...incoming };
+        return next;
+      }
+      if (type === 'created' && page === 1 && matchesStatusFilter(incoming, filters.status)) {
+        return [incoming, ...prev].slice(0, PAGE_SIZE);
+      }
+      return prev;
+    });
+  });
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleUpdated = (updated) => {
+    setAlerts(prev => prev.map(a => (a.id === updated.id ? normalizeAlert({ ...a, ...updated }) : a)));
+  };
+
+  const selectedAlert = alerts.find(a => a.id === selectedId) || null;
+
+  const selectStyle = {
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '13px',
+    background: 'white',
+    textTransform: 'capitalize'
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#f8fafc', padding: '24px', boxSizing: 'border-box' }}>
+      {/* Header */}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '20px' }}>
+        <div>
+          <h2 style={{ margin: 0, color: '#1e293b' }}>🚨 Alerts & Incidents</h2>
+          <p style={{ margin: '4px 0 0 0', color: '#6b7280', fontSize: '13px' }}>
+            {pagination.total} incident{pagination.total === 1 ? '' : 's'} matching the filters
+          </p>
+        </div>
+        <TopNavigation />
+      </div>
+
+      {/* Filters */}
+      <div className="dashboard-card" style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '16px' }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+          {ALERT_STATUS_FILTERS.map(filter => {
+            const isActive = filters.status === filter.value;
+            return (
+              <button
+                key={filter.value}
+                onClick={() => updateFilter('status', filter.value)}
+                style={{
+                  padding: '6px 12px',
+                  borderRadius: '16px',
+                  border: '1px solid ' + (isActive ? '#1a73e8' : '#d1d5db'),
+                  background: isActive ? '#1a73e8' : 'white',
+                  color: isActive ? 'white' : '#374151',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                {filter.label}
+              </button>
+            );
+          })}
+        </div>
+        <select value={filters.severity} onChange={(e) => updateFilter('severity', e.target.value)} style={selectStyle}>
+          <option value="">All severities</option>
+          {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+        </select>
+        <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)} style={selectStyle}>
+          <option value="">All types</option>
+          {ALERT_TYPES.map(type => <option key={type} value={type}>{formatType(type)}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder="Search tourist, message or ID..."
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+          style={{ ...selectStyle, flex: 1, minWidth: '200px', textTransform: 'none' }}
+        />
+        <button
+          onClick={loadAlerts}
+          style={{ ...selectStyle, cursor: 'pointer', fontWeight: '600', color: '#374151' }}
+        >
+          🔄 Refresh
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 3fr) minmax(0, 2fr)', gap: '16px', alignItems: 'start' }}>
+        {/* Incident list */}
+        <div className="dashboard-card" style={{ padding: 0, overflow: 'hidden' }}>
+          {error && (
+            <div style={{ padding: '12px 16px', background: '#fef2f2', color: '#dc2626', fontSize: '13px' }}>
+              Failed to load alerts: {error}
+            </div>
+          )}
+          {loading && alerts.length === 0 ? (
+            <div style={{ padding: '40px', textAlign: 'center', color: '#6b7280' }}>Loading incidents...</div>
+          ) : alerts.length === 0 ? (
+            <div style={{ padding: '40px', textAlign: 'center', color: '#6b7280' }}>No incidents match these filters</div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ background: '#f9fafb', textAlign: 'left', color: '#6b7280', fontSize: '11px' }}>
+                  <th style={{ padding: '10px 16px' }}>TOURIST</th>
+                  <th style={{ padding: '10px 8px' }}>TYPE</th>
+                  <th style={{ padding: '10px 8px' }}>SEVERITY</th>
+                  <th style={{ padding: '10px 8px' }}>STATUS</th>
+                  <th style={{ padding: '10px 8px' }}>ASSIGNEE</th>
+                  <th style={{ padding: '10px 16px' }}>RAISED</th>
+                </tr>
+              </thead>
+              <tbody>
+                {alerts.map(alertItem => {
+                  const statusStyle = getAlertStatusStyle(getAlertStatus(alertItem));
+                  const isSelected = alertItem.id === selectedId;
+                  return (
+                    <tr
+                      key={alertItem.id}
+                      onClick={() => setSelectedId(alertItem.id)}
+                      style={{
+                        borderTop: '1px solid #f0f0f0',
+                        background: isSelected ? '#e8f0fe' : 'white',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      <td style={{ padding: '10px 16px', fontWeight: '600', color: '#1f2937' }}>
+                        {alertItem.tourist?.name || 'Unknown tourist'}
+                      </td>
+                      <td style={{ padding: '10px 8px', textTransform: 'capitalize' }}>{formatType(alertItem.type)}</td>
+                      <td style={{ padding: '10px 8px', textTransform: 'capitalize' }}>{alertItem.severity}</td>
+                      <td style={{ padding: '10px 8px' }}>
+                        <span style={{
+                          padding: '2px 8px',
+                          borderRadius: '10px',
+                          background: statusStyle.bg,
+                          color: statusStyle.color,
+                          fontSize: '11px',
+                          fontWeight: '600'
+                        }}>
+                          {statusStyle.label}
+                        </span>
+                      </td>
+                      <td style={{ padding: '10px 8px', color: '#4b5563' }}>
+                        {alertItem.assignedTo?.name || alertItem.assignedTo || '—'}
+                      </td>
+                      <td style={{ padding: '10px 16px', color: '#6b7280' }}>
+                        {new Date(alertItem.createdAt || alertItem.timestamp).toLocaleString()}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          {/* Pagination */}
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            padding: '10px 16px',
+            borderTop: '1px solid #eee',
+            fontSize: '12px',
+            color: '#6b7280'
+          }}>
+            <span>Page {pagination.page} of {pagination.pages}</span>
+            <div style={{ display: 'flex', gap: '6px' }}>
+              <button
+                onClick={() => setPage(p => p - 1)}
+                disabled={page <= 1 || loading}
+                style={{ ...selectStyle, cursor: page <= 1 ? 'not-allowed' : 'pointer' }}
+              >
+                ← Prev
+              </button>
+              <button
+                onClick={() => setPage(p => p + 1)}
+                disabled={page >= pagination.pages || loading}
+                style={{ ...selectStyle, cursor: page >= pagination.pages ? 'not-allowed' : 'pointer' }}
+              >
+                Next →
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Incident detail */}
+        <div className="dashboard-card">
+          {selectedAlert ? (
+            <>
+              <h3 className="card-title" style={{ marginBottom: '4px' }}>
+                {selectedAlert.tourist?.name || 'Unknown tourist'}
+              </h3>
+              <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#4b5563' }}>
+                {typeof selectedAlert.message === 'object' ? selectedAlert.message.english : selectedAlert.message}
+              </p>
+              <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '16px' }}>
+                {selectedAlert.tourist?.phone && <div>📱 {selectedAlert.tourist.phone}</div>}
+                {selectedAlert.location && (
+                  <div style={{ fontFamily: 'monospace' }}>
+                    📍 {selectedAlert.location.latitude?.toFixed(6)}, {selectedAlert.location.longitude?.toFixed(6)}
+                  </div>
+                )}
+                <div>🆔 {selectedAlert.id}</div>
+              </div>
+              <AlertIncidentPanel alert={selectedAlert} onUpdated={handleUpdated} />
+            </>
+          ) : (
+            <div style={{ padding: '24px', textAlign: 'center', color: '#6b7280', fontSize: '13px' }}>
+              Select an incident to see its history and notes
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertManagement;
@@ -1,34 +1,88 @@
-import React, { useState, useEffect } from 'react';
-import { trackingAPI } from '../services/api';
+import React, { useState, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { createPortal } from 'react-dom';
+import { alertAPI } from '../services/api';
+import dataStore, { selectAlerts, selectTouristsById, selectIsFirstLoad, selectDispatches } from '../services/dataStore';
+import { CONNECTION_STATUS } from '../services/liveUpdates';
+import escalationEngine from '../services/escalationEngine';
+import { useDataStore } from '../hooks/useDataStore';
+import { useLiveStatus } from '../hooks/useLiveUpdates';
+import { useAuth } from '../hooks/useAuth';
+import { getDispatchStatusStyle, getUnitTypeIcon, isDispatchActive, formatEta } from '../utils/dispatch';
+import {
+  ALERT_STATUS_FILTERS,
+  getAlertStatus,
+  getAlertStatusStyle,
+  isAlertOpen,
+  isAlertUnacknowledged,
+  matchesStatusFilter
+} from '../utils/alertLifecycle';
+import { groupAlerts } from '../utils/alertGrouping';
+import {
+  ESCALATION_ACTION_SHORT_LABELS,
+  findPolicy,
+  getNextStep,
+  isEscalating,
+  formatCountdown
+} from '../utils/escalation';
+import DispatchPanel from './DispatchPanel';
+import AlertIncidentModal from './AlertIncidentModal';
 
 const AlertsOverlay = ({ onViewOnMap }) => {
-  const [alerts, setAlerts] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+  // Alerts come from the shared store, which the live channel keeps current
+  const allAlerts = useDataStore(selectAlerts);
+  const touristsById = useDataStore(selectTouristsById);
+  const isLoading = useDataStore(selectIsFirstLoad('alerts'));
   const [isMinimized, setIsMinimized] = useState(false);
   const [expandedAlert, setExpandedAlert] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [incidentAlertId, setIncidentAlertId] = useState(null);
   const [actionLoading, setActionLoading] = useState(null);
+  const { status: liveStatus } = useLiveStatus();
+  const { can } = useAuth();
+  const dispatches = useDataStore(selectDispatches);
+  const [dispatchAlert, setDispatchAlert] = useState(null);
+  const { policies } = useSyncExternalStore(escalationEngine.subscribe, escalationEngine.getState);
+  const [now, setNow] = useState(Date.now());
+
+  // Current (unresolved) dispatch for each alert
+  const dispatchByAlert = useMemo(() => {
+    const byAlert = {};
+    dispatches.filter(isDispatchActive).forEach(d => { byAlert[d.alertId] = d; });
+    return byAlert;
+  }, [dispatches]);
+
+  const alerts = useMemo(() => (
+    allAlerts.filter(alertItem => matchesStatusFilter(alertItem, statusFilter))
+  ), [allAlerts, statusFilter]);
+  // Repeated presses and duplicate reports show up as one card
+  const groups = useMemo(() => groupAlerts(alerts), [alerts]);
+  const openCount = useMemo(() => groupAlerts(allAlerts.filter(isAlertOpen)).length, [allAlerts]);
+  // Look the alert up in the store so the modal follows live status changes
+  const incidentAlert = allAlerts.find(a => a.id === incidentAlertId) || null;
 
   useEffect(() => {
-    loadAlerts();
-    const interval = setInterval(loadAlerts, 30000);
-    return () => clearInterval(interval);
+    dataStore.load('alerts');
+    dataStore.load('dispatches');
   }, []);
 
-  const loadAlerts = async () => {
-    try {
-      setIsLoading(true);
-      const response = await trackingAPI.getAlerts();
-      console.log('Alerts API Response:', response.data);
-      const alertsData = response.data.data?.alerts || response.data?.alerts || [];
-      console.log('Parsed alerts:', alertsData);
-      setAlerts(alertsData);
-    } catch (error) {
-      console.error('Failed to load alerts:', error);
-      setAlerts([]);
-    } finally {
-      setIsLoading(false);
-    }
-  };
+  // Tick the escalation countdowns while anything is still unacknowledged
+  const hasEscalating = useMemo(() => allAlerts.some(isEscalating), [allAlerts]);
+  useEffect(() => {
+    if (!hasEscalating) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasEscalating]);
+
+  // Bring an escalated alert back in front of the operator
+  useEffect(() => {
+    return escalationEngine.onEscalation(({ alert }) => {
+      setIsMinimized(false);
+      setStatusFilter('open');
+      setExpandedAlert(alert.id || alert.alertId);
+    });
+  }, []);
+
+  const loadAlerts = () => dataStore.load('alerts', { force: true });
 
   const getSeverityColor = (severity) => {
     switch (severity) {
@@ -47,9 +101,13 @@ const AlertsOverlay = ({ onViewOnMap }) => {
       case 'panic_button': return '🆘';
       case 'medical': return '🏥';
       case 'geofence': return '🛡️';
+      case 'group_separation': return '👪';
+      case 'route_deviation': return '🧭';
+      case 'route_overdue': return '⌛';
       case 'safety': return '⚠️';
       case 'sos': return '🚨';
       case 'inactivity': return '⏰';
+      case 'low_battery': return '🪫';
       default: return '📢';
     }
   };
@@ -59,9 +117,13 @@ const AlertsOverlay = ({ onViewOnMap }) => {
       case 'panic_button': return 'Panic Button';
       case 'medical': return 'Medical Emergency';
       case 'geofence': return 'Geofence Alert';
+      case 'group_separation': return 'Separated from Group';
+      case 'route_deviation': return 'Off Planned Route';
+      case 'route_overdue': return 'Overdue at Stop';
       case 'safety': return 'Safety Alert';
       case 'sos': return 'SOS';
       case 'inactivity': return 'Inactivity Alert';
+      case 'low_battery': return 'Low Battery';
       default: return type || 'Alert';
     }
   };
@@ -88,24 +150,6 @@ const AlertsOverlay = ({ onViewOnMap }) => {
     });
   };
 
-  const dismissAlert = async (alertId) => {
-    try {
-      setActionLoading(alertId);
-      await trackingAPI.dismissAlert(alertId);
-      setAlerts(prev => prev.filter(alert =>
-        alert.id !== alertId &&
-        alert._id !== alertId &&
-        alert.alertId !== alertId
-      ));
-      setExpandedAlert(null);
-    } catch (error) {
-      console.error('Failed to dismiss alert:', error);
-      alert('Failed to dismiss alert. Please try again.');
-    } finally {
-      setActionLoading(null);
-    }
-  };
-
   const handleViewOnMap = (location) => {
     if (location?.latitude && location?.longitude) {
       if (onViewOnMap) {
@@ -125,29 +169,22 @@ const AlertsOverlay = ({ onViewOnMap }) => {
     }
   };
 
-  const handleDispatchHelp = (alertData) => {
-    const tourist = alertData.tourist;
-    const location = alertData.location;
-
-    const details = [
-      'Tourist: ' + (tourist?.name || 'Unknown'),
-      'Phone: ' + (tourist?.phone || 'N/A'),
-      'Email: ' + (tourist?.email || 'N/A'),
-      location ? 'Location: ' + location.latitude?.toFixed(5) + ', ' + location.longitude?.toFixed(5) : null
-    ].filter(Boolean).join('\n');
+  // Acknowledge every alert in a group that nobody has picked up yet
+  const acknowledgeGroup = async (group) => {
+    const pending = group.alerts.filter(isAlertUnacknowledged);
+    setActionLoading(group.id);
 
-    const confirmDispatch = window.confirm(
-      '🚨 DISPATCH EMERGENCY SERVICES\n\n' + details + '\n\nProceed with dispatch?'
-    );
+    const results = await Promise.allSettled(pending.map(alertItem => alertAPI.acknowledgeAlert(alertItem.id)));
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') dataStore.upsert('alerts', { ...pending[index], status: 'acknowledged' });
+    });
 
-    if (confirmDispatch) {
-      console.log('Dispatching help for alert:', alertData);
-      window.alert('✅ Emergency services have been notified!\n\nA response team is being dispatched to the location.');
+    const failed = results.filter(result => result.status === 'rejected').length;
+    if (failed > 0) {
+      console.error('Failed to acknowledge alerts:', results.filter(result => result.status === 'rejected').map(r => r.reason));
+      alert(`Failed to acknowledge ${failed} of ${pending.length} alerts. Please try again.`);
     }
-  };
-
-  const toggleExpand = (alertId) => {
-    setExpandedAlert(expandedAlert === alertId ? null : alertId);
+    setActionLoading(null);
   };
 
   if (isLoading) {
@@ -182,7 +219,7 @@ const AlertsOverlay = ({ onViewOnMap }) => {
     );
   }
 
-  const hasAlerts = alerts.length > 0;
+  const hasAlerts = openCount > 0;
 
   return (
     <div style={{
@@ -229,7 +266,7 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                   borderRadius: '50%',
                   animation: 'pulse 1.5s infinite'
                 }}></span>
-                {alerts.length + ' active alert' + (alerts.length > 1 ? 's' : '')}
+                {openCount + ' open alert' + (openCount > 1 ? 's' : '')}
               </span>
             ) : (
               'All tourists safe'
@@ -248,14 +285,42 @@ const AlertsOverlay = ({ onViewOnMap }) => {
         </div>
       </div>
 
+      {/* Status filter */}
+      {!isMinimized && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', padding: '8px 8px 0 8px' }}>
+          {ALERT_STATUS_FILTERS.map(filter => {
+            const isActive = statusFilter === filter.value;
+            const count = groupAlerts(allAlerts.filter(a => matchesStatusFilter(a, filter.value))).length;
+            return (
+              <button
+                key={filter.value}
+                onClick={() => setStatusFilter(filter.value)}
+                style={{
+                  padding: '3px 8px',
+                  borderRadius: '10px',
+                  border: '1px solid ' + (isActive ? '#1a73e8' : '#ddd'),
+                  background: isActive ? '#1a73e8' : 'white',
+                  color: isActive ? 'white' : '#555',
+                  fontSize: '10px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                {filter.label} {count > 0 ? count : ''}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
       {/* Alerts List */}
       {!isMinimized && (
         <div style={{ flex: 1, overflowY: 'auto', padding: '8px' }}>
-          {alerts.length === 0 ? (
+          {groups.length === 0 ? (
             <div style={{ padding: '20px', textAlign: 'center' }}>
               <div style={{ fontSize: '40px', marginBottom: '12px' }}>🎉</div>
               <p style={{ margin: 0, color: '#16a34a', fontWeight: '600', fontSize: '14px' }}>
-                All Clear
+                {statusFilter === 'open' ? 'All Clear' : 'Nothing here'}
               </p>
               <p style={{ margin: '6px 0 0 0', color: '#666', fontSize: '12px' }}>
                 No active emergency alerts
@@ -265,11 +330,25 @@ const AlertsOverlay = ({ onViewOnMap }) => {
               </p>
             </div>
           ) : (
-            alerts.map(alertItem => {
-              const colors = getSeverityColor(alertItem.severity);
-              const alertKey = alertItem.alertId || alertItem.id || alertItem._id;
-              const isExpanded = expandedAlert === alertKey;
+            groups.map(group => {
+              // The newest alert stands for the group
+              const alertItem = group.primary;
+              const colors = getSeverityColor(group.severity);
+              const alertKey = group.id;
+              const isExpanded = group.alerts.some(a => a.id === expandedAlert);
+              const unacknowledged = group.alerts.filter(isAlertUnacknowledged);
               const tourist = alertItem.tourist;
+              // Prefer the store's copy so the position matches the map and sidebar
+              const storeTourist = touristsById[alertItem.touristId];
+              const dispatchedAlert = group.alerts.find(a => dispatchByAlert[a.id]);
+              const dispatch = dispatchedAlert ? dispatchByAlert[dispatchedAlert.id] : null;
+              const dispatchStyle = dispatch ? getDispatchStatusStyle(dispatch.status) : null;
+              const statusStyle = getAlertStatusStyle(getAlertStatus(alertItem));
+              const nextEscalation = group.alerts
+                .map(a => getNextStep(a, findPolicy(a, policies), now))
+                .filter(Boolean)
+                .sort((a, b) => a.dueAt - b.dueAt)[0];
+              const escalationCount = group.alerts.reduce((total, a) => total + (a.escalations?.length || 0), 0);
 
               return (
                 <div
@@ -285,7 +364,7 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                 >
                   {/* Alert Header - Clickable */}
                   <div
-                    onClick={() => toggleExpand(alertKey)}
+                    onClick={() => setExpandedAlert(isExpanded ? null : alertKey)}
                     style={{
                       padding: '12px',
                       cursor: 'pointer',
@@ -331,8 +410,18 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                             {tourist?.name || 'Unknown Tourist'}
                           </span>
                         </div>
-                        <div style={{ fontSize: '11px', color: '#666', marginTop: '2px' }}>
+                        <div style={{ fontSize: '11px', color: '#666', marginTop: '2px', display: 'flex', alignItems: 'center', gap: '6px' }}>
                           {getTypeLabel(alertItem.type)}
+                          <span style={{
+                            padding: '1px 6px',
+                            borderRadius: '8px',
+                            background: statusStyle.bg,
+                            color: statusStyle.color,
+                            fontSize: '10px',
+                            fontWeight: '600'
+                          }}>
+                            {statusStyle.label}
+                          </span>
                         </div>
                       </div>
 
@@ -346,8 +435,25 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                         fontWeight: '600',
                         textTransform: 'uppercase'
                       }}>
-                        {alertItem.severity}
+                        {group.severity}
                       </div>
+
+                      {/* Repeat count */}
+                      {group.count > 1 && (
+                        <div
+                          title={`${group.count} alerts grouped into this incident`}
+                          style={{
+                            padding: '3px 7px',
+                            borderRadius: '12px',
+                            background: '#1f2937',
+                            color: 'white',
+                            fontSize: '10px',
+                            fontWeight: '700'
+                          }}
+                        >
+                          ×{group.count}
+                        </div>
+                      )}
                     </div>
 
                     {/* Message Preview */}
@@ -372,6 +478,42 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                       alignItems: 'center'
                     }}>
                       <span>{formatTimeAgo(alertItem.createdAt || alertItem.timestamp)}</span>
+                      {nextEscalation ? (
+                        <span
+                          title={`Escalation step ${escalationCount + 1}`}
+                          style={{
+                            padding: '2px 6px',
+                            borderRadius: '8px',
+                            background: '#fef3c7',
+                            color: '#b45309',
+                            fontWeight: '600'
+                          }}
+                        >
+                          ⏱ {ESCALATION_ACTION_SHORT_LABELS[nextEscalation.step.action]} in {formatCountdown(nextEscalation.dueAt - now)}
+                        </span>
+                      ) : escalationCount > 0 && (
+                        <span style={{
+                          padding: '2px 6px',
+                          borderRadius: '8px',
+                          background: '#ffe4e6',
+                          color: '#be123c',
+                          fontWeight: '600'
+                        }}>
+                          ⏫ Escalated ×{escalationCount}
+                        </span>
+                      )}
+                      {dispatch && (
+                        <span style={{
+                          padding: '2px 6px',
+                          borderRadius: '8px',
+                          background: dispatchStyle.bg,
+                          color: dispatchStyle.color,
+                          fontWeight: '600'
+                        }}>
+                          {getUnitTypeIcon(dispatch.unit?.type)} {dispatchStyle.label}
+                          {dispatch.status !== 'on_scene' && formatEta(dispatch.etaAt) ? ` • ${formatEta(dispatch.etaAt)}` : ''}
+                        </span>
+                      )}
                       <span style={{ fontSize: '12px' }}>{isExpanded ? '▲' : '▼'}</span>
                     </div>
                   </div>
@@ -458,13 +600,15 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                               📍 CURRENT LOCATION
                             </div>
                             <div style={{ fontSize: '12px', color: '#0c4a6e', fontFamily: 'monospace' }}>
-                              {tourist?.currentLocation?.coordinates ?
-                                tourist.currentLocation.coordinates[1]?.toFixed(6) + ', ' + tourist.currentLocation.coordinates[0]?.toFixed(6) :
-                                'Not available'}
+                              {storeTourist?.lat != null ?
+                                storeTourist.lat.toFixed(6) + ', ' + storeTourist.lng.toFixed(6) :
+                                tourist?.currentLocation?.coordinates ?
+                                  tourist.currentLocation.coordinates[1]?.toFixed(6) + ', ' + tourist.currentLocation.coordinates[0]?.toFixed(6) :
+                                  'Not available'}
                             </div>
-                            {tourist?.currentLocation?.timestamp && (
+                            {(storeTourist?.lastSeenAt || tourist?.currentLocation?.timestamp) && (
                               <div style={{ fontSize: '10px', color: '#0369a1', marginTop: '4px' }}>
-                                ⏱️ Last updated: {formatFullTime(tourist.currentLocation.timestamp)}
+                                ⏱️ Last updated: {formatFullTime(storeTourist?.lastSeenAt || tourist.currentLocation.timestamp)}
                               </div>
                             )}
                           </div>
@@ -484,6 +628,76 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                         </div>
                       </div>
 
+                      {/* Grouped alerts */}
+                      {group.count > 1 && (
+                        <div style={{ padding: '0 12px 12px 12px' }}>
+                          <div style={{ fontSize: '10px', color: '#666', fontWeight: '600', marginBottom: '6px' }}>
+                            🔁 {group.count} ALERTS IN THIS INCIDENT
+                          </div>
+                          {group.alerts.map(child => {
+                            const childStatus = getAlertStatusStyle(getAlertStatus(child));
+                            return (
+                              <div
+                                key={child.id}
+                                onClick={(e) => { e.stopPropagation(); setIncidentAlertId(child.id); }}
+                                style={{
+                                  display: 'flex',
+                                  alignItems: 'center',
+                                  gap: '6px',
+                                  padding: '6px 8px',
+                                  marginBottom: '4px',
+                                  background: 'white',
+                                  borderRadius: '6px',
+                                  border: '1px solid #eee',
+                                  fontSize: '11px',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                <span style={{ color: '#666', minWidth: '58px' }}>{formatTimeAgo(child.createdAt || child.timestamp)}</span>
+                                <span style={{ color: getSeverityColor(child.severity).text, fontWeight: '600', textTransform: 'uppercase', fontSize: '10px' }}>
+                                  {child.severity}
+                                </span>
+                                <span style={{
+                                  marginLeft: 'auto',
+                                  padding: '1px 6px',
+                                  borderRadius: '8px',
+                                  background: childStatus.bg,
+                                  color: childStatus.color,
+                                  fontSize: '10px',
+                                  fontWeight: '600'
+                                }}>
+                                  {childStatus.label}
+                                </span>
+                              </div>
+                            );
+                          })}
+                        </div>
+                      )}
+
+                      {/* Acknowledge the whole group */}
+                      {can('alerts:acknowledge') && unacknowledged.length > 0 && (
+                        <div style={{ padding: '0 12px 10px 12px' }}>
+                          <button
+                            onClick={(e) => { e.stopPropagation(); acknowledgeGroup(group); }}
+                            disabled={actionLoading === alertKey}
+                            style={{
+                              width: '100%',
+                              padding: '7px 10px',
+                              borderRadius: '6px',
+                              border: 'none',
+                              background: '#1a73e8',
+                              color: 'white',
+                              fontSize: '11px',
+                              fontWeight: '600',
+                              cursor: actionLoading === alertKey ? 'not-allowed' : 'pointer',
+                              opacity: actionLoading === alertKey ? 0.7 : 1
+                            }}
+                          >
+                            {actionLoading === alertKey ? '⏳' : '✓'} Acknowledge{unacknowledged.length > 1 ? ` all ${unacknowledged.length}` : ''}
+                          </button>
+                        </div>
+                      )}
+
                       {/* Action Buttons */}
                       <div style={{
                         display: 'flex',
@@ -513,29 +727,30 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                         >
                           🗺️ Locate
                         </button>
+                        {can('alerts:dispatch') && (
+                          <button
+                            onClick={(e) => { e.stopPropagation(); setDispatchAlert(dispatchedAlert || alertItem); }}
+                            style={{
+                              flex: 1,
+                              padding: '6px 10px',
+                              borderRadius: '6px',
+                              border: '1px solid #ef4444',
+                              background: 'white',
+                              color: '#ef4444',
+                              fontSize: '11px',
+                              fontWeight: '600',
+                              cursor: 'pointer',
+                              display: 'flex',
+                              alignItems: 'center',
+                              justifyContent: 'center',
+                              gap: '4px'
+                            }}
+                          >
+                            🚑 {dispatch ? 'Track' : 'Dispatch'}
+                          </button>
+                        )}
                         <button
-                          onClick={(e) => { e.stopPropagation(); handleDispatchHelp(alertItem); }}
-                          style={{
-                            flex: 1,
-                            padding: '6px 10px',
-                            borderRadius: '6px',
-                            border: '1px solid #ef4444',
-                            background: 'white',
-                            color: '#ef4444',
-                            fontSize: '11px',
-                            fontWeight: '600',
-                            cursor: 'pointer',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            gap: '4px'
-                          }}
-                        >
-                          🚑 Dispatch
-                        </button>
-                        <button
-                          onClick={(e) => { e.stopPropagation(); dismissAlert(alertKey); }}
-                          disabled={actionLoading === alertKey}
+                          onClick={(e) => { e.stopPropagation(); setIncidentAlertId(alertItem.id); }}
                           style={{
                             flex: 1,
                             padding: '6px 10px',
@@ -545,15 +760,14 @@ const AlertsOverlay = ({ onViewOnMap }) => {
                             color: 'white',
                             fontSize: '11px',
                             fontWeight: '600',
-                            cursor: actionLoading === alertKey ? 'not-allowed' : 'pointer',
-                            opacity: actionLoading === alertKey ? 0.7 : 1,
+                            cursor: 'pointer',
                             display: 'flex',
                             alignItems: 'center',
                             justifyContent: 'center',
                             gap: '4px'
                           }}
                         >
-                          {actionLoading === alertKey ? '⏳' : '✓'} Resolve
+                          📋 {can('alerts:update') ? 'Status' : 'Details'}
                         </button>
                       </div>
                     </div>
@@ -566,7 +780,7 @@ const AlertsOverlay = ({ onViewOnMap }) => {
       )}
 
       {/* Footer */}
-      {!isMinimized && alerts.length > 0 && (
+      {!isMinimized && allAlerts.length > 0 && (
         <div style={{
           padding: '10px 12px',
           borderTop: '1px solid #eee',
@@ -594,13 +808,13 @@ const AlertsOverlay = ({ onViewOnMap }) => {
             🔄 Refresh
           </button>
           <span style={{ fontSize: '10px', color: '#999' }}>
-            Auto-refresh: 30s
+            {liveStatus === CONNECTION_STATUS.LIVE ? 'Live updates' : 'Auto-refresh: 30s'}
           </span>
         </div>
       )}
 
       {/* Pulse indicator when minimized */}
-      {isMinimized && alerts.length > 0 && (
+      {isMinimized && openCount > 0 && (
         <div style={{
           position: 'absolute',
           top: '-4px',
@@ -619,9 +833,25 @@ const AlertsOverlay = ({ onViewOnMap }) => {
           fontWeight: '700',
           boxShadow: '0 2px 8px rgba(239, 68, 68, 0.5)'
         }}>
-          {alerts.length}
+          {openCount}
         </div>
       )}
+
+      {/* The modals are portalled to the body; the overlay's backdrop filter
+          would otherwise clip their fixed positioning to the overlay */}
+      {dispatchAlert && createPortal(
+        <DispatchPanel
+          alert={dispatchAlert}
+          onClose={() => setDispatchAlert(null)}
+          onViewOnMap={(point) => handleViewOnMap({ latitude: point.lat, longitude: point.lng })}
+        />,
+        document.body
+      )}
+
+      {incidentAlert && createPortal(
+        <AlertIncidentModal alert={incidentAlert} onClose={() => setIncidentAlertId(null)} />,
+        document.body
+      )}
     </div>
   );
 };
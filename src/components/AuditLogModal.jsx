@@ -0,0 +1,382 @@
+import React, { useState, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { auditAPI } from '../services/api';
+import auditLog, { AUDIT_ACTION_LABELS, AUDIT_OUTCOMES } from '../services/auditLog';
+import { ROLE_LABELS } from '../utils/permissions';
+import { toCsv, downloadFile } from '../utils/exportFile';
+
+const getActionLabel = (action) => AUDIT_ACTION_LABELS[action] || action;
+
+const getOutcomeStyle = (outcome) => {
+  switch (outcome) {
+    case 'success': return { color: '#16a34a', bg: '#dcfce7' };
+    case 'denied': return { color: '#d97706', bg: '#fef3c7' };
+    default: return { color: '#dc2626', bg: '#fee2e2' };
+  }
+};
+
+const CSV_COLUMNS = [
+  { label: 'Timestamp', value: (e) => e.at },
+  { label: 'Operator', value: (e) => e.operator?.name },
+  { label: 'Operator ID', value: (e) => e.operator?.id },
+  { label: 'Role', value: (e) => e.operator?.role },
+  { label: 'Action', value: (e) => e.action },
+  { label: 'Target ID', value: (e) => e.targetId },
+  { label: 'Outcome', value: (e) => e.outcome },
+  { label: 'Error', value: (e) => e.error },
+  { label: 'Request', value: (e) => (e.request ? `${e.request.method} ${e.request.url}` : '') },
+  { label: 'Before', value: (e) => e.before },
+  { label: 'After', value: (e) => e.after }
+];
+
+// Audit trail of operator actions with filtering and CSV export
+const AuditLogModal = ({ onClose }) => {
+  const localEvents = useSyncExternalStore(auditLog.subscribe, auditLog.getEvents);
+  const [serverEvents, setServerEvents] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [filters, setFilters] = useState({
+    operator: '',
+    action: '',
+    outcome: '',
+    from: '',
+    to: '',
+    search: ''
+  });
+
+  useEffect(() => {
+    loadEvents();
+  }, []);
+
+  const loadEvents = async () => {
+    try {
+      setLoading(true);
+      setLoadError(null);
+      const response = await auditAPI.getEvents();
+      setServerEvents(response.data.data?.events || response.data?.events || []);
+    } catch (err) {
+      console.error('Failed to load audit events:', err);
+      setLoadError(err.response?.data?.message || err.message);
+      setServerEvents(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Server history plus anything recorded here that hasn't been shipped yet
+  const events = useMemo(() => {
+    if (!serverEvents) return localEvents;
+    const seen = new Set(serverEvents.map(e => e.id));
+    const pending = localEvents.filter(e => !e.synced && !seen.has(e.id));
+    return [...pending, ...serverEvents].sort((a, b) => new Date(b.at) - new Date(a.at));
+  }, [serverEvents, localEvents]);
+
+  const operatorOptions = useMemo(() => {
+    const names = new Set(events.map(e => e.operator?.name).filter(Boolean));
+    return [...names].sort();
+  }, [events]);
+
+  const actionOptions = useMemo(() => {
+    return [...new Set(events.map(e => e.action))].sort();
+  }, [events]);
+
+  const filteredEvents = useMemo(() => {
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+    const search = filters.search.trim().toLowerCase();
+
+    return events.filter(e => {
+      const at = new Date(e.at).getTime();
+      if (filters.operator && e.operator?.name !== filters.operator) return false;
+      if (filters.action && e.action !== filters.action) return false;
+      if (filters.outcome && e.outcome !== filters.outcome) return false;
+      if (from !== null && at < from) return false;
+      if (to !== null && at > to) return false;
+      if (search && !`${e.targetId || ''} ${e.error || ''}`.toLowerCase().includes(search)) return false;
+      return true;
+    });
+  }, [events, filters]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleExport = () => {
+    const csv = toCsv(filteredEvents, CSV_COLUMNS);
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(`audit-log-${stamp}.csv`, csv, 'text/csv;charset=utf-8');
+  };
+
+  const inputStyle = {
+    padding: '6px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '12px',
+    background: 'white'
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.5)',
+          backdropFilter: 'blur(4px)',
+          zIndex: 1100
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '960px',
+        maxWidth: '95vw',
+        height: '85vh',
+        background: 'white',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        zIndex: 1101,
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden'
+      }}>
+        {/* Header */}
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid #eee',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          background: 'linear-gradient(135deg, #1a73e822, #1a73e844)'
+        }}>
+          <div>
+            <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1a1a1a' }}>
+              📜 Audit Log
+            </h3>
+            <p style={{ margin: '4px 0 0 0', fontSize: '13px', color: '#666' }}>
+              Every action taken by operators from the portal
+            </p>
+          </div>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <button
+              onClick={handleExport}
+              disabled={filteredEvents.length === 0}
+              style={{
+                padding: '8px 14px',
+                borderRadius: '8px',
+                border: 'none',
+                background: filteredEvents.length === 0 ? '#ccc' : '#1a73e8',
+                color: 'white',
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: filteredEvents.length === 0 ? 'not-allowed' : 'pointer'
+              }}
+            >
+              ⬇️ Export CSV
+            </button>
+            <button
+              onClick={onClose}
+              style={{
+                width: '32px',
+                height: '32px',
+                borderRadius: '50%',
+                border: 'none',
+                background: 'rgba(0,0,0,0.1)',
+                cursor: 'pointer',
+                fontSize: '18px',
+                color: '#666'
+              }}
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div style={{
+          padding: '12px 20px',
+          borderBottom: '1px solid #eee',
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '8px',
+          alignItems: 'center'
+        }}>
+          <select value={filters.operator} onChange={(e) => updateFilter('operator', e.target.value)} style={inputStyle}>
+            <option value="">All operators</option>
+            {operatorOptions.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} style={inputStyle}>
+            <option value="">All actions</option>
+            {actionOptions.map(action => <option key={action} value={action}>{getActionLabel(action)}</option>)}
+          </select>
+          <select value={filters.outcome} onChange={(e) => updateFilter('outcome', e.target.value)} style={inputStyle}>
+            <option value="">All outcomes</option>
+            {AUDIT_OUTCOMES.map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+          </select>
+          <label style={{ fontSize: '12px', color: '#666' }}>
+            From <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} style={inputStyle} />
+          </label>
+          <label style={{ fontSize: '12px', color: '#666' }}>
+            To <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} style={inputStyle} />
+          </label>
+          <input
+            type="text"
+            placeholder="Search target ID or error"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            style={{ ...inputStyle, flex: 1, minWidth: '160px' }}
+          />
+        </div>
+
+        {loadError && (
+          <div style={{
+            margin: '12px 20px 0',
+            padding: '8px 12px',
+            borderRadius: '8px',
+            background: '#fffbeb',
+            border: '1px solid #f59e0b',
+            color: '#b45309',
+            fontSize: '12px',
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }}>
+            <span>Couldn't reach the audit server ({loadError}). Showing events recorded in this browser.</span>
+            <button
+              onClick={loadEvents}
+              style={{ border: 'none', background: 'none', color: '#b45309', fontWeight: '600', cursor: 'pointer' }}
+            >
+              Retry
+            </button>
+          </div>
+        )}
+
+        {/* Events */}
+        <div style={{ flex: 1, overflowY: 'auto', padding: '12px 20px' }}>
+          {loading ? (
+            <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>Loading audit events...</div>
+          ) : filteredEvents.length === 0 ? (
+            <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+              <div style={{ fontSize: '40px', marginBottom: '8px' }}>📭</div>
+              No audit events match these filters
+            </div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: '#666', borderBottom: '2px solid #eee' }}>
+                  <th style={{ padding: '8px 6px' }}>Time</th>
+                  <th style={{ padding: '8px 6px' }}>Operator</th>
+                  <th style={{ padding: '8px 6px' }}>Action</th>
+                  <th style={{ padding: '8px 6px' }}>Target</th>
+                  <th style={{ padding: '8px 6px' }}>Outcome</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredEvents.map(event => {
+                  const outcomeStyle = getOutcomeStyle(event.outcome);
+                  const isExpanded = expandedId === event.id;
+                  return (
+                    <React.Fragment key={event.id}>
+                      <tr
+                        onClick={() => setExpandedId(isExpanded ? null : event.id)}
+                        style={{ borderBottom: '1px solid #f0f0f0', cursor: 'pointer', background: isExpanded ? '#f9fafb' : 'white' }}
+                      >
+                        <td style={{ padding: '8px 6px', whiteSpace: 'nowrap' }}>{new Date(event.at).toLocaleString()}</td>
+                        <td style={{ padding: '8px 6px' }}>
+                          <div style={{ fontWeight: '600' }}>{event.operator?.name || 'Unknown'}</div>
+                          <div style={{ fontSize: '10px', color: '#888' }}>
+                            {ROLE_LABELS[event.operator?.role] || event.operator?.role || ''}
+                          </div>
+                        </td>
+                        <td style={{ padding: '8px 6px' }}>{getActionLabel(event.action)}</td>
+                        <td style={{ padding: '8px 6px', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                          {event.targetId || '—'}
+                        </td>
+                        <td style={{ padding: '8px 6px' }}>
+                          <span style={{
+                            padding: '2px 8px',
+                            borderRadius: '10px',
+                            background: outcomeStyle.bg,
+                            color: outcomeStyle.color,
+                            fontWeight: '600',
+                            fontSize: '11px'
+                          }}>
+                            {event.outcome}
+                          </span>
+                          {!event.synced && serverEvents === null && (
+                            <span title="Not yet stored on the server" style={{ marginLeft: '6px' }}>⏳</span>
+                          )}
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr>
+                          <td colSpan={5} style={{ padding: '8px 6px 16px', background: '#f9fafb' }}>
+                            {event.error && (
+                              <div style={{ color: '#dc2626', marginBottom: '8px' }}>Error: {event.error}</div>
+                            )}
+                            {event.request && (
+                              <div style={{ color: '#666', marginBottom: '8px', fontFamily: 'monospace' }}>
+                                {event.request.method} {event.request.url}
+                              </div>
+                            )}
+                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                              <PayloadBlock label="Before" value={event.before} />
+                              <PayloadBlock label="After" value={event.after} />
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div style={{
+          padding: '12px 16px',
+          borderTop: '1px solid #eee',
+          background: '#f9f9f9',
+          textAlign: 'center'
+        }}>
+          <span style={{ fontSize: '12px', color: '#666' }}>
+            {filteredEvents.length} of {events.length} event{events.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+      </div>
+    </>
+  );
+};
+
+const PayloadBlock = ({ label, value }) => (
+  <div>
+    <div style={{ fontSize: '10px', fontWeight: '600', color: '#888', marginBottom: '4px' }}>{label.toUpperCase()}</div>
+    <pre style={{
+      margin: 0,
+      padding: '8px',
+      background: 'white',
+      border: '1px solid #e5e7eb',
+      borderRadius: '6px',
+      fontSize: '11px',
+      maxHeight: '200px',
+      overflow: 'auto',
+      whiteSpace: 'pre-wrap',
+      wordBreak: 'break-word'
+    }}>
+      {value === null || value === undefined ? '—' : JSON.stringify(value, null, 2)}
+    </pre>
+  </div>
+);
+
+export default AuditLogModal;
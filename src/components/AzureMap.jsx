@@ -1,8 +1,35 @@
-import React, { useRef, useEffect, useState, useCallback, forwardRef, useImperativeHandle } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo, useSyncExternalStore, forwardRef, useImperativeHandle } from 'react';
+import { Link } from 'react-router-dom';
 import azureMapsService from '../services/azureMaps';
-import { trackingAPI, geofenceAPI, alertAPI, safetyAPI } from '../services/api';
+import { trackingAPI, alertAPI } from '../services/api';
+import dataStore, { selectTourists, selectGeofences, selectSafetyScores, selectDispatches, selectGroups } from '../services/dataStore';
+import geofenceMonitor from '../services/geofenceMonitor';
+import silenceMonitor from '../services/silenceMonitor';
+import viewportLoader from '../services/viewportLoader';
 import MapThemeSelector from './MapThemeSelector';
 import GeofenceManager from './GeofenceManager';
+import HistoryPlayback from './HistoryPlayback';
+import HeatmapPanel from './HeatmapPanel';
+import RoutePlanOverlay from './RoutePlanOverlay';
+import { useDataStore } from '../hooks/useDataStore';
+import { useAuth } from '../hooks/useAuth';
+import { hasLocation } from '../utils/normalizers';
+import { GEOFENCE_SHAPES, getGeofencePolygons, getGeofenceBounds } from '../utils/geofenceShapes';
+import { isGeofenceInForce, toDateTimeInputValue } from '../utils/geofenceSchedules';
+import { isDispatchActive, getDispatchStatusStyle, getUnitTypeIcon, formatEta } from '../utils/dispatch';
+import { convexHull, getGroupColor, getGroupSpread } from '../utils/touristGroups';
+import { SILENCE_CAUSE_LABELS } from '../utils/touristSilence';
+import { getFreshness, getAccuracyLevel } from '../utils/deviceHealth';
+import {
+  CLUSTER_RADIUS,
+  CLUSTER_MAX_ZOOM,
+  ATTENTION_STATUSES,
+  getTouristsInView,
+  isInBounds,
+  shouldUseHtmlMarkers
+} from '../utils/markerClustering';
+import { getViewportTiles, isSameTiles } from '../utils/mapTiles';
+import { formatDwellTime } from '../utils/geofenceBreaches';
 import { getTheme, getMarkerColor, getGeofenceStyle } from '../utils/mapThemes';
 import '../styles/GoogleMap.css';
 
@@ -31,6 +58,142 @@ const getSafetyLabel = (score) => {
   return 'Dangerous';
 };
 
+const getTouristColor = (status) => {
+  switch (status) {
+    case 'safe': return '#4caf50';
+    case 'warning': return '#ff9800';
+    case 'danger': return '#f44336';
+    case 'emergency': return '#e91e63';
+    case 'active': return '#4caf50';
+    case 'inactive': return '#9e9e9e';
+    default: return '#1a73e8';
+  }
+};
+
+// Markers fade as their location gets old and get a ring when the GPS fix
+// is loose; they only need redrawing when one of these changes
+const getMarkerHealth = (tourist) => {
+  const freshness = getFreshness(tourist.lastSeenAt);
+  const accuracy = getAccuracyLevel(tourist.accuracy);
+  return { freshness, accuracy, key: `${freshness.id}|${accuracy.id}` };
+};
+
+// Tourists as points on a clustered source: clusters sized by head count and
+// orange when any member needs attention, lone tourists as status-coloured
+// dots with the same fading and accuracy ring as the HTML markers
+const createTouristLayers = (map) => {
+  const atlas = window.atlas;
+  const source = new atlas.source.DataSource(null, {
+    cluster: true,
+    clusterRadius: CLUSTER_RADIUS,
+    clusterMaxZoom: CLUSTER_MAX_ZOOM,
+    clusterProperties: {
+      attention: ['+', ['match', ['get', 'status'], ATTENTION_STATUSES, 1, 0]]
+    }
+  });
+  map.sources.add(source);
+  const clusters = new atlas.layer.BubbleLayer(source, null, {
+    radius: ['step', ['get', 'point_count'], 14, 10, 18, 100, 24, 1000, 30],
+    color: ['case', ['>', ['get', 'attention'], 0], '#f97316', '#1a73e8'],
+    opacity: 0.85,
+    strokeColor: 'white',
+    strokeWidth: 2,
+    filter: ['has', 'point_count']
+  });
+  const points = new atlas.layer.BubbleLayer(source, null, {
+    radius: 7,
+    color: ['get', 'color'],
+    opacity: ['get', 'opacity'],
+    strokeColor: ['get', 'ring'],
+    strokeWidth: ['get', 'ringWidth'],
+    filter: ['!', ['has', 'point_count']]
+  });
+  const layers = [
+    clusters,
+    new atlas.layer.SymbolLayer(source, null, {
+      iconOptions: { image: 'none' },
+      textOptions: {
+        textField: ['get', 'point_count_abbreviated'],
+        color: 'white',
+        size: 12,
+        font: ['SegoeUi-Bold'],
+        allowOverlap: true
+      },
+      filter: ['has', 'point_count']
+    }),
+    points
+  ];
+  layers.forEach(layer => map.layers.add(layer));
+  return { source, layers, clusters, points };
+};
+
+const getTouristShapeProperties = (tourist, health) => ({
+  id: tourist.id,
+  status: tourist.status,
+  color: getTouristColor(tourist.status),
+  opacity: health.freshness.opacity,
+  ring: health.accuracy.ring || 'white',
+  ringWidth: health.accuracy.ring ? 3 : 2
+});
+
+// Past this many changed tourists (a resync, the freshness tick) one bulk
+// replace is cheaper than updating shapes one at a time
+const BULK_SHAPE_UPDATE = 100;
+
+const toTouristFeature = (tourist, health) => new window.atlas.data.Feature(
+  new window.atlas.data.Point([tourist.lng, tourist.lat]),
+  getTouristShapeProperties(tourist, health),
+  tourist.id
+);
+
+// Add, move and drop points to match the tourists; shapes maps tourist id to
+// the { tourist, healthKey } last drawn so unchanged tourists are skipped
+const syncTouristShapes = (source, tourists, shapes) => {
+  const seen = new Set();
+  const changed = [];
+
+  tourists.forEach(tourist => {
+    seen.add(tourist.id);
+    const health = getMarkerHealth(tourist);
+    const previous = shapes.get(tourist.id);
+    if (previous && previous.tourist === tourist && previous.healthKey === health.key) return;
+    changed.push({ tourist, health, previous });
+  });
+  const removed = [...shapes.keys()].filter(id => !seen.has(id));
+
+  if (changed.length > BULK_SHAPE_UPDATE) {
+    shapes.clear();
+    source.setShapes(tourists.map(tourist => {
+      const health = getMarkerHealth(tourist);
+      shapes.set(tourist.id, { tourist, healthKey: health.key });
+      return toTouristFeature(tourist, health);
+    }));
+    return;
+  }
+
+  const added = [];
+  changed.forEach(({ tourist, health, previous }) => {
+    shapes.set(tourist.id, { tourist, healthKey: health.key });
+    const shape = previous && source.getShapeById(tourist.id);
+    if (!shape) {
+      added.push(toTouristFeature(tourist, health));
+      return;
+    }
+    if (previous.tourist.lat !== tourist.lat || previous.tourist.lng !== tourist.lng) {
+      shape.setCoordinates([tourist.lng, tourist.lat]);
+    }
+    shape.setProperties(getTouristShapeProperties(tourist, health));
+  });
+  if (added.length > 0) source.add(added);
+  removed.forEach(id => {
+    try { source.removeById(id); } catch { /* ignore */ }
+    shapes.delete(id);
+  });
+};
+
+// Wait this long after the camera stops before loading data for the new area
+const VIEWPORT_LOAD_DELAY = 300;
+
 const AzureMap = forwardRef(({ 
   center = { lat: 26.1445, lng: 91.7362 }, // Default to Guwahati, India
   zoom = 12,
@@ -49,12 +212,33 @@ const AzureMap = forwardRef(({
   const [mapReady, setMapReady] = useState(false);
   const [selectedTourist, setSelectedTourist] = useState(null);
   const [showTouristPanel, setShowTouristPanel] = useState(false);
-  const [touristsData, setTouristsData] = useState([]);
+  // Tourists, geofences and safety scores come from the shared store
+  const allTourists = useDataStore(selectTourists);
+  const touristsData = useMemo(() => allTourists.filter(hasLocation), [allTourists]);
+  const { breaches } = useSyncExternalStore(geofenceMonitor.subscribe, geofenceMonitor.getState);
+  const breachingTourists = useMemo(() => touristsData.filter(t => breaches[t.id]), [touristsData, breaches]);
+  const { silent } = useSyncExternalStore(silenceMonitor.subscribe, silenceMonitor.getState);
+  const selectedSilence = selectedTourist ? silent[selectedTourist.id] : null;
+  const groups = useDataStore(selectGroups);
+  const groupShapes = useMemo(() => {
+    const touristsById = Object.fromEntries(touristsData.map(t => [t.id, t]));
+    return groups.map((group, index) => ({
+      group,
+      color: getGroupColor(group, index),
+      ...getGroupSpread(group, touristsById)
+    })).filter(shape => shape.located.length > 0);
+  }, [groups, touristsData]);
+  const geofences = useDataStore(selectGeofences);
+  const allDispatches = useDataStore(selectDispatches);
+  const activeDispatches = useMemo(() => allDispatches.filter(isDispatchActive), [allDispatches]);
+  const [etaTick, setEtaTick] = useState(0);
+  const { can } = useAuth();
   
   // Safety overlay state
   const [showSafetyOverlay, setShowSafetyOverlay] = useState(true); // Changed to true to enable by default
-  const [safetyData, setSafetyData] = useState([]);
   const [safetyLoading, setSafetyLoading] = useState(false);
+  const safetyScores = useDataStore(selectSafetyScores);
+  const [showHeatmapPanel, setShowHeatmapPanel] = useState(showHeatmap);
   
   // Fake location mode state (temporary feature)
   const [fakeLocationMode, setFakeLocationMode] = useState(false);
@@ -63,6 +247,16 @@ const AzureMap = forwardRef(({
   
   // Geofence manager state - ADD THIS LINE
   const [showGeofenceManager, setShowGeofenceManager] = useState(false);
+  const [geofenceToEdit, setGeofenceToEdit] = useState(null); // fence clicked on the map, opened straight into edit mode
+  const [editingGeofenceId, setEditingGeofenceId] = useState(null); // hidden while the manager draws its editable copy
+  const geofenceClickEditsRef = useRef(false);
+  const [geofenceViewTime, setGeofenceViewTime] = useState(null); // "view as of"; null follows the clock
+  const [scheduleTick, setScheduleTick] = useState(0);
+  const [freshnessTick, setFreshnessTick] = useState(0);
+  const [viewport, setViewport] = useState(null); // { zoom, bounds } after each camera move
+  const [dataTiles, setDataTiles] = useState(null); // tiles around the viewport to load data for
+  const [playbackTourist, setPlaybackTourist] = useState(null); // { id, name } while replaying their history
+  const [routeTourist, setRouteTourist] = useState(null); // { id, name } while showing their planned route
   
   // Theme state
   const [currentTheme, setCurrentTheme] = useState('default');
@@ -70,26 +264,36 @@ const AzureMap = forwardRef(({
   
   // Store map objects for cleanup
   const touristSourceRef = useRef(null);
-  const touristLayerRef = useRef(null);
-  const touristSymbolLayerRef = useRef(null);
+  const touristLayersRef = useRef([]);
+  const touristShapesRef = useRef(new Map()); // tourist id -> { tourist, healthKey } drawn on the layer
+  const openTouristPanelRef = useRef(null);
+  const syncTouristMarkersRef = useRef(null);
+  const displayDispatchRoutesRef = useRef(null);
   const geofenceSourceRef = useRef(null);
   const geofenceLayerRef = useRef(null);
   const geofenceBorderLayerRef = useRef(null);
-  const heatmapSourceRef = useRef(null);
-  const heatmapLayerRef = useRef(null);
+  const geofenceCenterlineLayerRef = useRef(null);
+  const geofenceInactiveBorderLayerRef = useRef(null);
+  const safetyRequestRef = useRef(0);
   const popupRef = useRef(null);
   const markersRef = useRef([]);
+  const markersByIdRef = useRef(new Map()); // tourist id -> { marker, tourist }
+  const breachSourceRef = useRef(null);
+  const silentSourceRef = useRef(null);
+  const groupSourceRef = useRef(null);
+  const hasCenteredRef = useRef(false);
   
   // Safety overlay refs
   const safetySourceRef = useRef(null);
   const safetyLayerRef = useRef(null);
   const safetyPopupRef = useRef(null);
   
-  // History tracking refs
-  const historySourceRef = useRef(null);
-  const historyLineLayerRef = useRef(null);
-  const historyMarkersRef = useRef([]);
   
+  // Dispatch route refs
+  const dispatchSourceRef = useRef(null);
+  const dispatchLineLayerRef = useRef(null);
+  const dispatchMarkersRef = useRef(new Map()); // dispatch id -> responder marker
+
   // Fake location refs (needed for map event listener)
   const fakeLocationModeRef = useRef(false);
   const fakeLocationTouristRef = useRef(null);
@@ -136,16 +340,332 @@ const AzureMap = forwardRef(({
     return () => cleanup();
   }, []);
 
-  // Load data when map is ready
+  // Load data when map is ready. Tourists and safety points are only loaded
+  // for the tiles around the area on screen, and again once the camera
+  // settles somewhere new (the heatmap panel does the same for its layer).
   useEffect(() => {
     if (mapReady && mapInstanceRef.current) {
-      if (showTourists) loadTourists();
       if (showGeofences) loadGeofences();
-      if (showHeatmap) loadHeatmap();
+      dataStore.load('dispatches');
       // Load safety overlay by default since it's enabled
-      if (showSafetyOverlay) loadSafetyOverlay();
+      if (dataTiles && showSafetyOverlay) loadSafetyOverlay(dataTiles);
     }
-  }, [mapReady, showTourists, showGeofences, showHeatmap, showSafetyOverlay]);
+  }, [mapReady, showGeofences, showSafetyOverlay, dataTiles]);
+
+  // Tourists loaded for a tile are merged into the store and drawn by the
+  // store effects below; the tiles on screen are kept fresh across resyncs
+  useEffect(() => {
+    if (!mapReady || !showTourists || !dataTiles) return;
+    viewportLoader.load('tourists', dataTiles);
+    return viewportLoader.watch('tourists', dataTiles);
+  }, [mapReady, showTourists, dataTiles]);
+
+  useEffect(() => {
+    if (!viewport) return;
+    const timer = setTimeout(() => {
+      const tiles = getViewportTiles(viewport.bounds, viewport.zoom);
+      setDataTiles(prev => (prev && isSameTiles(prev, tiles) ? prev : tiles));
+    }, VIEWPORT_LOAD_DELAY);
+    return () => clearTimeout(timer);
+  }, [viewport]);
+
+  // Store updates (initial load, live location events, resyncs) and camera
+  // moves update markers in place; the tick fades markers whose location is
+  // getting old. HTML markers are only kept for the tourists in view when
+  // zoomed in, everyone is always on the clustered layer underneath.
+  const touristsInView = useMemo(() => getTouristsInView(touristsData, viewport?.bounds), [touristsData, viewport]);
+  const safetyInView = useMemo(() => (
+    showSafetyOverlay && viewport ? safetyScores.filter(point => isInBounds(point, viewport.bounds)) : []
+  ), [showSafetyOverlay, safetyScores, viewport]);
+  const useHtmlMarkers = shouldUseHtmlMarkers(viewport?.zoom, touristsInView.length);
+  const htmlMarkerTourists = useMemo(() => (useHtmlMarkers ? touristsInView : []), [useHtmlMarkers, touristsInView]);
+
+  // Layer clicks are registered once; this keeps them opening the panel with
+  // the current onTouristSelect. Markers and routes are drawn through refs
+  // too, so their effects rerun on data changes rather than every render.
+  useEffect(() => {
+    openTouristPanelRef.current = openTouristPanel;
+    syncTouristMarkersRef.current = syncTouristMarkers;
+    displayDispatchRoutesRef.current = displayDispatchRoutes;
+  });
+
+  useEffect(() => {
+    if (!mapReady || !mapInstanceRef.current) return;
+    const map = mapInstanceRef.current;
+    const updateViewport = () => {
+      const { zoom, bounds } = map.getCamera();
+      setViewport({ zoom, bounds });
+    };
+    map.events.add('moveend', updateViewport);
+    updateViewport();
+    return () => map.events.remove('moveend', updateViewport);
+  }, [mapReady]);
+
+  useEffect(() => {
+    if (!mapReady || !showTourists || !mapInstanceRef.current || !window.atlas) return;
+    const map = mapInstanceRef.current;
+    const { source, layers, clusters, points } = createTouristLayers(map);
+    const shapes = touristShapesRef.current;
+    touristSourceRef.current = source;
+    touristLayersRef.current = layers;
+
+    // A cluster zooms in far enough to break apart; a lone point opens the
+    // tourist like a marker click would
+    const handleClusterClick = (e) => {
+      const cluster = e.shapes?.[0];
+      const properties = cluster?.properties;
+      if (properties?.cluster_id === undefined) return;
+      source.getClusterExpansionZoom(properties.cluster_id).then(zoom => {
+        map.setCamera({ center: cluster.geometry.coordinates, zoom, type: 'ease', duration: 500 });
+      });
+    };
+    const handlePointClick = (e) => {
+      const shape = e.shapes?.[0];
+      const properties = shape instanceof window.atlas.Shape ? shape.getProperties() : shape?.properties;
+      const tourist = properties && dataStore.getState().tourists.byId[properties.id];
+      if (tourist && openTouristPanelRef.current) openTouristPanelRef.current(tourist);
+    };
+    const setCursor = (cursor) => () => { map.getCanvasContainer().style.cursor = cursor; };
+    map.events.add('click', clusters, handleClusterClick);
+    map.events.add('click', points, handlePointClick);
+    [clusters, points].forEach(layer => {
+      map.events.add('mouseover', layer, setCursor('pointer'));
+      map.events.add('mouseout', layer, setCursor(''));
+    });
+
+    return () => {
+      layers.forEach(layer => {
+        try { map.layers.remove(layer); } catch { /* ignore */ }
+      });
+      try { map.sources.remove(source); } catch { /* ignore */ }
+      touristSourceRef.current = null;
+      touristLayersRef.current = [];
+      shapes.clear();
+    };
+  }, [mapReady, showTourists]);
+
+  useEffect(() => {
+    if (!touristSourceRef.current) return;
+    syncTouristShapes(touristSourceRef.current, touristsData, touristShapesRef.current);
+  }, [mapReady, showTourists, touristsData, freshnessTick]);
+
+  // The layer steps aside while HTML markers are drawn over the same tourists
+  useEffect(() => {
+    touristLayersRef.current.forEach(layer => layer.setOptions({ visible: !useHtmlMarkers }));
+  }, [mapReady, showTourists, useHtmlMarkers]);
+
+  useEffect(() => {
+    if (!mapReady || !showTourists || !mapInstanceRef.current) return;
+
+    syncTouristMarkersRef.current(htmlMarkerTourists);
+
+    // Center map on first tourist the first time we have tourists
+    if (!hasCenteredRef.current && touristsData.length > 0) {
+      hasCenteredRef.current = true;
+      mapInstanceRef.current.setCamera({
+        center: [touristsData[0].lng, touristsData[0].lat],
+        zoom: 10
+      });
+    }
+  }, [mapReady, showTourists, touristsData, htmlMarkerTourists, freshnessTick]);
+
+  useEffect(() => {
+    if (!mapReady || !showTourists) return;
+    const timer = setInterval(() => setFreshnessTick(tick => tick + 1), 60000);
+    return () => clearInterval(timer);
+  }, [mapReady, showTourists]);
+
+  // Red rings under tourists who are inside a restricted or warning fence
+  useEffect(() => {
+    if (!mapReady || !showTourists || !mapInstanceRef.current || !window.atlas) return;
+    const atlas = window.atlas;
+    const map = mapInstanceRef.current;
+    const source = new atlas.source.DataSource();
+    map.sources.add(source);
+    const layer = new atlas.layer.BubbleLayer(source, null, {
+      radius: 32,
+      color: 'rgba(220, 38, 38, 0.2)',
+      strokeColor: '#dc2626',
+      strokeWidth: 3
+    });
+    map.layers.add(layer);
+    breachSourceRef.current = source;
+    return () => {
+      try { map.layers.remove(layer); } catch { /* ignore */ }
+      try { map.sources.remove(source); } catch { /* ignore */ }
+      breachSourceRef.current = null;
+    };
+  }, [mapReady, showTourists]);
+
+  useEffect(() => {
+    if (!breachSourceRef.current) return;
+    breachSourceRef.current.setShapes(breachingTourists.map(tourist => (
+      new window.atlas.data.Feature(new window.atlas.data.Point([tourist.lng, tourist.lat]), { id: tourist.id })
+    )));
+  }, [mapReady, showTourists, breachingTourists]);
+
+  // Silent tourists: a ring at the last known position, coloured by how
+  // dangerous the zone is, labelled with how long ago and the battery level
+  useEffect(() => {
+    if (!mapReady || !showTourists || !mapInstanceRef.current || !window.atlas) return;
+    const atlas = window.atlas;
+    const map = mapInstanceRef.current;
+    const source = new atlas.source.DataSource();
+    map.sources.add(source);
+    const layers = [
+      new atlas.layer.BubbleLayer(source, null, {
+        radius: 24,
+        color: 'rgba(107, 114, 128, 0.15)',
+        strokeColor: ['match', ['get', 'severity'], 'emergency', '#dc2626', 'high', '#ea580c', '#6b7280'],
+        strokeWidth: 3
+      }),
+      new atlas.layer.SymbolLayer(source, null, {
+        iconOptions: { image: 'none' },
+        textOptions: {
+          textField: ['get', 'label'],
+          color: ['match', ['get', 'severity'], 'emergency', '#dc2626', 'high', '#c2410c', '#374151'],
+          haloColor: 'white',
+          haloWidth: 2,
+          size: 11,
+          offset: [0, 2.8]
+        }
+      })
+    ];
+    layers.forEach(layer => map.layers.add(layer));
+    silentSourceRef.current = source;
+    return () => {
+      layers.forEach(layer => {
+        try { map.layers.remove(layer); } catch { /* ignore */ }
+      });
+      try { map.sources.remove(source); } catch { /* ignore */ }
+      silentSourceRef.current = null;
+    };
+  }, [mapReady, showTourists]);
+
+  useEffect(() => {
+    if (!silentSourceRef.current) return;
+    const now = Date.now();
+    silentSourceRef.current.setShapes(Object.values(silent).filter(entry => entry.lat !== null).map(entry => {
+      const parts = [entry.lastSeenAt !== null ? `Silent ${formatDwellTime(now - entry.lastSeenAt)}` : 'Inactive'];
+      if (entry.batteryLevel !== null) parts.push(`${Math.round(entry.batteryLevel)}% battery`);
+      return new window.atlas.data.Feature(new window.atlas.data.Point([entry.lng, entry.lat]), {
+        id: entry.touristId,
+        severity: entry.severity,
+        label: parts.join(' · ')
+      });
+    }));
+  }, [mapReady, showTourists, silent]);
+
+  // Travel groups: an outline around the members who are together, and a
+  // dashed tether from the group to each straggler
+  useEffect(() => {
+    if (!mapReady || !showTourists || !mapInstanceRef.current || !window.atlas) return;
+    const atlas = window.atlas;
+    const map = mapInstanceRef.current;
+    const source = new atlas.source.DataSource();
+    map.sources.add(source);
+    const layers = [
+      new atlas.layer.PolygonLayer(source, null, {
+        fillColor: ['get', 'color'],
+        fillOpacity: 0.12,
+        filter: ['==', ['get', 'role'], 'hull']
+      }),
+      new atlas.layer.LineLayer(source, null, {
+        strokeColor: ['get', 'color'],
+        strokeWidth: 2,
+        filter: ['==', ['get', 'role'], 'hull']
+      }),
+      new atlas.layer.LineLayer(source, null, {
+        strokeColor: '#dc2626',
+        strokeWidth: 2,
+        strokeDashArray: [2, 2],
+        filter: ['==', ['get', 'role'], 'tether']
+      }),
+      new atlas.layer.BubbleLayer(source, null, {
+        radius: 26,
+        color: 'rgba(234, 88, 12, 0.15)',
+        strokeColor: '#ea580c',
+        strokeWidth: 3,
+        filter: ['==', ['get', 'role'], 'straggler']
+      }),
+      new atlas.layer.SymbolLayer(source, null, {
+        iconOptions: { image: 'none' },
+        textOptions: {
+          textField: ['get', 'name'],
+          color: ['get', 'color'],
+          haloColor: 'white',
+          haloWidth: 2,
+          size: 12,
+          font: ['SegoeUi-Bold']
+        },
+        filter: ['==', ['get', 'role'], 'label']
+      })
+    ];
+    layers.forEach(layer => map.layers.add(layer));
+    groupSourceRef.current = source;
+    return () => {
+      layers.forEach(layer => {
+        try { map.layers.remove(layer); } catch { /* ignore */ }
+      });
+      try { map.sources.remove(source); } catch { /* ignore */ }
+      groupSourceRef.current = null;
+    };
+  }, [mapReady, showTourists]);
+
+  useEffect(() => {
+    if (!groupSourceRef.current) return;
+    const atlas = window.atlas;
+    const features = [];
+    groupShapes.forEach(({ group, color, centroid, distances, stragglers }) => {
+      const properties = { groupId: group.id, name: group.name, color };
+      const hull = convexHull(distances.filter(d => !d.straggling).map(d => [d.tourist.lng, d.tourist.lat]));
+      if (hull.length >= 4) {
+        features.push(new atlas.data.Feature(new atlas.data.Polygon([hull]), { ...properties, role: 'hull' }));
+      } else if (hull.length === 2) {
+        features.push(new atlas.data.Feature(new atlas.data.LineString(hull), { ...properties, role: 'hull' }));
+      }
+      features.push(new atlas.data.Feature(new atlas.data.Point([centroid.lng, centroid.lat]), { ...properties, role: 'label' }));
+      stragglers.forEach(({ tourist }) => {
+        features.push(new atlas.data.Feature(
+          new atlas.data.LineString([[centroid.lng, centroid.lat], [tourist.lng, tourist.lat]]),
+          { ...properties, role: 'tether' }
+        ));
+        features.push(new atlas.data.Feature(new atlas.data.Point([tourist.lng, tourist.lat]), { ...properties, role: 'straggler' }));
+      });
+    });
+    groupSourceRef.current.setShapes(features);
+  }, [mapReady, showTourists, groupShapes]);
+
+  useEffect(() => {
+    if (!mapReady || !showGeofences || !mapInstanceRef.current) return;
+    displayGeofences(geofences.filter(f => f.center && f.id !== editingGeofenceId), geofenceViewTime || new Date());
+  }, [mapReady, showGeofences, geofences, editingGeofenceId, geofenceViewTime, scheduleTick]);
+
+  // Scheduled fences switch on and off by themselves while following the clock
+  const hasScheduledGeofences = geofences.some(f => f.schedule);
+  useEffect(() => {
+    if (geofenceViewTime || !hasScheduledGeofences) return;
+    const timer = setInterval(() => setScheduleTick(tick => tick + 1), 60000);
+    return () => clearInterval(timer);
+  }, [geofenceViewTime, hasScheduledGeofences]);
+
+  // Fence clicks open the editor only for editors, and not while it's already open
+  const canEditGeofences = can('geofences:edit');
+  useEffect(() => {
+    geofenceClickEditsRef.current = canEditGeofences && !showGeofenceManager;
+  }, [canEditGeofences, showGeofenceManager]);
+
+  // Responder routes follow the store; the tick keeps ETA labels current between updates
+  useEffect(() => {
+    if (!mapReady || !mapInstanceRef.current) return;
+    displayDispatchRoutesRef.current(activeDispatches);
+  }, [mapReady, activeDispatches, etaTick]);
+
+  useEffect(() => {
+    if (activeDispatches.length === 0) return;
+    const timer = setInterval(() => setEtaTick(tick => tick + 1), 15000);
+    return () => clearInterval(timer);
+  }, [activeDispatches.length]);
 
   const initializeMap = async () => {
     try {
@@ -232,178 +752,14 @@ const AzureMap = forwardRef(({
     }
   };
 
-  const loadTourists = async () => {
-    try {
-      if (!mapInstanceRef.current || !window.atlas) return;
+  const loadGeofences = () => dataStore.load('geofences');
 
-      // Fetch tourists from API
-      const response = await trackingAPI.getAllTouristsWithLocations();
-      const touristsRawData = response.data.data?.tourists || response.data?.tourists || [];
-      
-      console.log('Raw tourists data:', touristsRawData);
-      
-      // Transform API data to map format - only fields available from API:
-      // id, digitalId, name, email, profilePhoto, currentLocation, status, createdAt
-      const tourists = touristsRawData
-        .filter(t => {
-          const loc = t.currentLocation;
-          return loc && (loc.coordinates || (loc.latitude !== undefined && loc.longitude !== undefined));
-        })
-        .map(tourist => {
-          const loc = tourist.currentLocation;
-          // Handle both coordinate formats
-          const lat = loc.coordinates ? loc.coordinates[1] : loc.latitude;
-          const lng = loc.coordinates ? loc.coordinates[0] : loc.longitude;
-          
-          return {
-            id: tourist._id || tourist.id,
-            digitalId: tourist.digitalId || 'N/A',
-            name: tourist.name || 'Unknown Tourist',
-            email: tourist.email || '',
-            profilePhoto: tourist.profilePhoto || null,
-            lat: lat,
-            lng: lng,
-            status: tourist.status || 'safe',
-            createdAt: tourist.createdAt || null
-          };
-        });
-      
-      console.log('Processed tourists:', tourists);
-      setTouristsData(tourists);
-      
-      if (tourists.length > 0) {
-        displayTouristMarkers(tourists);
-        
-        // Center map on first tourist if we have tourists
-        if (tourists[0]) {
-          mapInstanceRef.current.setCamera({
-            center: [tourists[0].lng, tourists[0].lat],
-            zoom: 10
-          });
-        }
-      } else {
-        console.log('No tourists with locations found');
-      }
-    } catch (err) {
-      console.error('Failed to load tourists:', err);
-    }
-  };
-
-  const loadGeofences = async () => {
-    try {
-      if (!mapInstanceRef.current || !window.atlas) return;
-
-      // Fetch geofences from API
-      const response = await geofenceAPI.getAll({ limit: 100 });
-      const geofencesData = response.data.data?.geofences || response.data?.geofences || [];
-      
-      // Transform API data to map format
-      // API returns geometry.coordinates as [lng, lat] for Point type
-      const geofences = geofencesData.map(fence => {
-        let lat, lng;
-        
-        if (fence.geometry?.coordinates) {
-          // MongoDB GeoJSON Point format: [longitude, latitude]
-          lng = fence.geometry.coordinates[0];
-          lat = fence.geometry.coordinates[1];
-        } else if (fence.center?.coordinates) {
-          lng = fence.center.coordinates[0];
-          lat = fence.center.coordinates[1];
-        } else if (fence.center?.latitude && fence.center?.longitude) {
-          lat = fence.center.latitude;
-          lng = fence.center.longitude;
-        }
-        
-        return {
-          id: fence._id || fence.fenceId,
-          name: fence.name,
-          type: fence.type || 'safe',
-          center: { lat, lng },
-          radius: fence.radius || 500,
-          active: fence.isActive !== false
-        };
-      }).filter(f => f.center.lat && f.center.lng);
-      
-      if (geofences.length > 0) {
-        displayGeofences(geofences);
-      } else {
-        console.log('No geofences found');
-      }
-    } catch (err) {
-      console.error('Failed to load geofences:', err);
-      // Show empty state - no mock data
-    }
-  };
-
-  const loadHeatmap = async () => {
-    try {
-      if (!mapInstanceRef.current || !window.atlas) return;
-
-      const atlas = window.atlas;
-      const map = mapInstanceRef.current;
-      
-      // Remove existing heatmap layer if exists
-      if (heatmapLayerRef.current) {
-        try { map.layers.remove(heatmapLayerRef.current); } catch (e) { /* ignore */ }
-      }
-      if (heatmapSourceRef.current) {
-        try { map.sources.remove(heatmapSourceRef.current); } catch (e) { /* ignore */ }
-      }
-
-      // Fetch heatmap data from API
-      const response = await trackingAPI.getHeatmapData();
-      const heatmapData = response.data.data?.points || response.data?.points || [];
-      
-      // Transform API data to heatmap format [lng, lat, intensity]
-      const heatmapPoints = heatmapData.map(point => [
-        point.longitude || point.lng || point.coordinates?.[0],
-        point.latitude || point.lat || point.coordinates?.[1],
-        point.intensity || point.weight || 0.5
-      ]).filter(p => p[0] && p[1]);
-
-      if (heatmapPoints.length === 0) {
-        console.log('No heatmap data available');
-        return;
-      }
-
-      // Create heatmap data source
-      heatmapSourceRef.current = new atlas.source.DataSource();
-      map.sources.add(heatmapSourceRef.current);
-
-      // Add points
-      heatmapPoints.forEach(point => {
-        heatmapSourceRef.current.add(new atlas.data.Feature(
-          new atlas.data.Point([point[0], point[1]]),
-          { intensity: point[2] }
-        ));
-      });
+  const refreshGeofences = () => dataStore.load('geofences', { force: true });
 
-      // Create heatmap layer
-      heatmapLayerRef.current = new atlas.layer.HeatMapLayer(heatmapSourceRef.current, null, {
-        radius: 20,
-        opacity: 0.8,
-        intensity: 1,
-        color: [
-          'interpolate',
-          ['linear'],
-          ['heatmap-density'],
-          0, 'rgba(0,0,255,0)',
-          0.2, 'royalblue',
-          0.4, 'cyan',
-          0.6, 'lime',
-          0.8, 'yellow',
-          1, 'red'
-        ]
-      });
-
-      map.layers.add(heatmapLayerRef.current);
-    } catch (err) {
-      console.error('Failed to load heatmap:', err);
-    }
-  };
-
-  // Load and display safety scores on map
-  const loadSafetyOverlay = async () => {
+  // Load and display safety scores for the given tiles. The source, layer and
+  // its handlers are created once and only the points change as the camera
+  // moves.
+  const loadSafetyOverlay = async (tiles) => {
     try {
       if (!mapInstanceRef.current || !window.atlas || !mapReady) {
         console.log('Map not ready for safety overlay');
@@ -413,33 +769,16 @@ const AzureMap = forwardRef(({
       setSafetyLoading(true);
       const atlas = window.atlas;
       const map = mapInstanceRef.current;
+      const request = ++safetyRequestRef.current;
 
-      // Clear existing safety layer if exists
-      if (safetyLayerRef.current) {
-        try { map.layers.remove(safetyLayerRef.current); } catch (e) { /* ignore */ }
-        safetyLayerRef.current = null;
-      }
-      if (safetySourceRef.current) {
-        try { map.sources.remove(safetySourceRef.current); } catch (e) { /* ignore */ }
-        safetySourceRef.current = null;
-      }
+      // Fetch safety data per tile (cached between camera moves and toggles);
+      // the points are merged into the store and the tiles hold their ids
+      const ids = await viewportLoader.load('safetyScores', tiles);
+      if (request !== safetyRequestRef.current || mapInstanceRef.current !== map) return;
+      const { byId } = dataStore.getState().safetyScores;
+      const locations = ids.map(id => byId[id]).filter(Boolean);
 
-      // Fetch safety data from API
-      const response = await safetyAPI.getAllForMap();
-      const locations = response.data?.data?.locations || response.data?.locations || [];
-      
       console.log('Safety data loaded:', locations.length, 'locations');
-      setSafetyData(locations);
-
-      if (locations.length === 0) {
-        console.log('No safety data available');
-        setSafetyLoading(false);
-        return;
-      }
-
-      // Create safety data source
-      safetySourceRef.current = new atlas.source.DataSource('safetySource');
-      map.sources.add(safetySourceRef.current);
 
       // Create popup for safety info
       if (!safetyPopupRef.current) {
@@ -451,10 +790,7 @@ const AzureMap = forwardRef(({
 
       // Add features for each location
       const features = locations.map(loc => {
-        const lng = loc.lng || loc.longitude;
-        const lat = loc.lat || loc.latitude;
-        
-        if (!lng || !lat) return null;
+        const { lng, lat } = loc;
 
         const score = loc.safetyScore || 0;
         const color = getSafetyColor(score);
@@ -474,6 +810,15 @@ const AzureMap = forwardRef(({
         );
       }).filter(Boolean);
 
+      if (safetySourceRef.current) {
+        safetySourceRef.current.setShapes(features);
+        setSafetyLoading(false);
+        return;
+      }
+
+      // Create safety data source
+      safetySourceRef.current = new atlas.source.DataSource('safetySource');
+      map.sources.add(safetySourceRef.current);
       safetySourceRef.current.add(features);
 
       // Create bubble layer for safety dots
@@ -565,10 +910,11 @@ const AzureMap = forwardRef(({
   const toggleSafetyOverlay = () => {
     const newState = !showSafetyOverlay;
     setShowSafetyOverlay(newState);
-    
-    if (newState) {
-      loadSafetyOverlay();
-    } else {
+
+    // Turning the overlay on is picked up by the load effect
+    if (!newState) {
+      safetyRequestRef.current += 1;
+      setSafetyLoading(false);
       // Hide safety layer
       if (safetyLayerRef.current && mapInstanceRef.current) {
         try {
@@ -588,105 +934,131 @@ const AzureMap = forwardRef(({
     }
   };
 
-  const displayTouristMarkers = (touristData) => {
-    if (!mapInstanceRef.current || !window.atlas) return;
+  // Build the photo marker HTML (Azure Maps requires HTML string, not DOM element)
+  const buildTouristMarkerHtml = (tourist) => {
+    const statusColor = getTouristColor(tourist.status);
+    const hasPhoto = tourist.profilePhoto && tourist.profilePhoto.trim() !== '';
+    const { freshness, accuracy } = getMarkerHealth(tourist);
+    const accuracyRing = accuracy.ring ? `0 0 0 4px ${accuracy.ring}, ` : '';
+    const healthTitle = `location ${freshness.label.toLowerCase()} • GPS ${accuracy.label.toLowerCase()}`;
+    
+    const markerHtml = `
+      <div class="tourist-marker" title="${tourist.name} • ${healthTitle}" style="
+        width: 48px;
+        height: 48px;
+        border-radius: 50%;
+        border: 3px solid ${statusColor};
+        background: white;
+        box-shadow: ${accuracyRing}0 4px 12px rgba(0,0,0,0.25);
+        opacity: ${freshness.opacity};
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        overflow: hidden;
+        position: relative;
+      ">
+        ${hasPhoto 
+          ? `<img src="${tourist.profilePhoto}" alt="${tourist.name}" style="width: 100%; height: 100%; object-fit: cover; border-radius: 50%;" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';" />
+             <div style="display: none; width: 100%; height: 100%; align-items: center; justify-content: center; background: linear-gradient(135deg, ${statusColor}22, ${statusColor}44); border-radius: 50%;">
+               <svg width="24" height="24" viewBox="0 0 24 24" fill="${statusColor}">
+                 <path d="M12 12C14.21 12 16 10.21 16 8C16 5.79 14.21 4 12 4C9.79 4 8 5.79 8 8C8 10.21 9.79 12 12 12ZM12 14C9.33 14 4 15.34 4 18V20H20V18C20 15.34 14.67 14 12 14Z"/>
+             </div>`
+          : `<div style="width: 100%; height: 100%; display: flex; align-items: center; justify-content: center; background: linear-gradient(135deg, ${statusColor}22, ${statusColor}44); border-radius: 50%;">
+               <svg width="24" height="24" viewBox="0 0 24 24" fill="${statusColor}">
+                 <path d="M12 12C14.21 12 16 10.21 16 8C16 5.79 14.21 4 12 4C9.79 4 8 5.79 8 8C8 10.21 9.79 12 12 12ZM12 14C9.33 14 4 15.34 4 18V20H20V18C20 15.34 14.67 14 12 14Z"/>
+               </svg>
+             </div>`
+        }
+        <div style="
+          position: absolute;
+          bottom: -2px;
+          right: -2px;
+          width: 14px;
+          height: 14px;
+          border-radius: 50%;
+          background: ${statusColor};
+          border: 2px solid white;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+        "></div>
+      </div>
+    `;
 
+    return markerHtml;
+  };
+
+  const openTouristPanel = (tourist) => {
+    setSelectedTourist(tourist);
+    setShowTouristPanel(true);
+    if (onTouristSelect) {
+      onTouristSelect(tourist);
+    }
+  };
+
+  const createTouristMarker = (tourist) => {
     const atlas = window.atlas;
     const map = mapInstanceRef.current;
 
-    console.log('Displaying markers for tourists:', touristData);
+    const marker = new atlas.HtmlMarker({
+      position: [tourist.lng, tourist.lat],
+      htmlContent: buildTouristMarkerHtml(tourist),
+      anchor: 'center'
+    });
 
-    // Clear existing markers
-    markersRef.current.forEach(marker => {
-      try { map.markers.remove(marker); } catch (e) { /* ignore */ }
+    // Add click event to show tourist details panel (with the latest data for this tourist)
+    map.events.add('click', marker, () => {
+      const latest = markersByIdRef.current.get(tourist.id)?.tourist || tourist;
+      openTouristPanel(latest);
     });
-    markersRef.current = [];
 
-    // Remove existing tourist layer and source safely
-    if (touristSymbolLayerRef.current) {
-      try { map.layers.remove(touristSymbolLayerRef.current); } catch (e) { /* ignore */ }
-      touristSymbolLayerRef.current = null;
-    }
-    if (touristLayerRef.current) {
-      try { map.layers.remove(touristLayerRef.current); } catch (e) { /* ignore */ }
-      touristLayerRef.current = null;
-    }
-    if (touristSourceRef.current) {
-      try { map.sources.remove(touristSourceRef.current); } catch (e) { /* ignore */ }
-      touristSourceRef.current = null;
-    }
+    map.markers.add(marker);
+    markersByIdRef.current.set(tourist.id, { marker, tourist, healthKey: getMarkerHealth(tourist).key });
+  };
+
+  // Bring markers in line with the given tourists without recreating the ones
+  // that only moved
+  const syncTouristMarkers = (touristData) => {
+    if (!mapInstanceRef.current || !window.atlas) return;
+
+    const map = mapInstanceRef.current;
+    const seen = new Set();
 
-    // Create HTML markers for each tourist with their photo
     touristData.forEach(tourist => {
-      const statusColor = getTouristColor(tourist.status);
-      const hasPhoto = tourist.profilePhoto && tourist.profilePhoto.trim() !== '';
-      
-      // Create HTML string for marker (Azure Maps requires HTML string, not DOM element)
-      const markerHtml = `
-        <div class="tourist-marker" style="
-          width: 48px;
-          height: 48px;
-          border-radius: 50%;
-          border: 3px solid ${statusColor};
-          background: white;
-          box-shadow: 0 4px 12px rgba(0,0,0,0.25);
-          cursor: pointer;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          overflow: hidden;
-          position: relative;
-        ">
-          ${hasPhoto 
-            ? `<img src="${tourist.profilePhoto}" alt="${tourist.name}" style="width: 100%; height: 100%; object-fit: cover; border-radius: 50%;" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';" />
-               <div style="display: none; width: 100%; height: 100%; align-items: center; justify-content: center; background: linear-gradient(135deg, ${statusColor}22, ${statusColor}44); border-radius: 50%;">
-                 <svg width="24" height="24" viewBox="0 0 24 24" fill="${statusColor}">
-                   <path d="M12 12C14.21 12 16 10.21 16 8C16 5.79 14.21 4 12 4C9.79 4 8 5.79 8 8C8 10.21 9.79 12 12 12ZM12 14C9.33 14 4 15.34 4 18V20H20V18C20 15.34 14.67 14 12 14Z"/>
-               </div>`
-            : `<div style="width: 100%; height: 100%; display: flex; align-items: center; justify-content: center; background: linear-gradient(135deg, ${statusColor}22, ${statusColor}44); border-radius: 50%;">
-                 <svg width="24" height="24" viewBox="0 0 24 24" fill="${statusColor}">
-                   <path d="M12 12C14.21 12 16 10.21 16 8C16 5.79 14.21 4 12 4C9.79 4 8 5.79 8 8C8 10.21 9.79 12 12 12ZM12 14C9.33 14 4 15.34 4 18V20H20V18C20 15.34 14.67 14 12 14Z"/>
-                 </svg>
-               </div>`
-          }
-          <div style="
-            position: absolute;
-            bottom: -2px;
-            right: -2px;
-            width: 14px;
-            height: 14px;
-            border-radius: 50%;
-            background: ${statusColor};
-            border: 2px solid white;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-          "></div>
-        </div>
-      `;
+      seen.add(tourist.id);
+      const entry = markersByIdRef.current.get(tourist.id);
 
-      console.log('Creating marker at:', tourist.lng, tourist.lat, 'for:', tourist.name);
+      if (!entry) {
+        createTouristMarker(tourist);
+        return;
+      }
 
-      // Create the marker
-      const marker = new atlas.HtmlMarker({
-        position: [tourist.lng, tourist.lat],
-        htmlContent: markerHtml,
-        anchor: 'center'
-      });
+      const previous = entry.tourist;
+      if (previous.lat !== tourist.lat || previous.lng !== tourist.lng) {
+        entry.marker.setOptions({ position: [tourist.lng, tourist.lat] });
+      }
+      const healthKey = getMarkerHealth(tourist).key;
+      if (previous.status !== tourist.status || previous.profilePhoto !== tourist.profilePhoto || entry.healthKey !== healthKey) {
+        entry.marker.setOptions({ htmlContent: buildTouristMarkerHtml(tourist) });
+        entry.healthKey = healthKey;
+      }
+      entry.tourist = tourist;
+    });
 
-      // Add click event to show tourist details panel
-      map.events.add('click', marker, () => {
-        console.log('Marker clicked:', tourist);
-        setSelectedTourist(tourist);
-        setShowTouristPanel(true);
-        if (onTouristSelect) {
-          onTouristSelect(tourist);
-        }
-      });
+    // Drop markers for tourists that are gone or lost their location
+    markersByIdRef.current.forEach((entry, id) => {
+      if (seen.has(id)) return;
+      try { map.markers.remove(entry.marker); } catch { /* ignore */ }
+      markersByIdRef.current.delete(id);
+    });
 
-      map.markers.add(marker);
-      markersRef.current.push(marker);
+    markersRef.current = [...markersByIdRef.current.values()].map(entry => entry.marker);
+  };
+
+  // Rebuild every marker's HTML in place, e.g. when the theme changes
+  const refreshTouristMarkers = () => {
+    markersByIdRef.current.forEach(entry => {
+      entry.marker.setOptions({ htmlContent: buildTouristMarkerHtml(entry.tourist) });
     });
-    
-    console.log('Total markers added:', markersRef.current.length);
   };
 
   // Helper function to create default user icon SVG
@@ -765,163 +1137,18 @@ const AzureMap = forwardRef(({
   };
 
   // Handle tourist operations
-  const handleViewHistory = async (touristId) => {
-    try {
-      // Close the tourist panel
-      setShowTouristPanel(false);
-      setSelectedTourist(null);
-      
-      // Fetch all location history (limit: 0 means no limit)
-      const response = await trackingAPI.getLocationHistory(touristId, { limit: 0, hours: 720 });
-      const historyData = response.data?.data || response.data;
-      const locations = historyData?.locations || [];
-      
-      console.log('Location history:', locations);
-      
-      if (locations.length === 0) {
-        alert('No location history found for this tourist');
-        return;
-      }
-      
-      // Display history on map
-      displayLocationHistory(locations, historyData.touristName || 'Tourist');
-      
-    } catch (err) {
-      console.error('Failed to load history:', err);
-      alert('Failed to load location history');
-    }
+  const handleViewHistory = (tourist) => {
+    setShowTouristPanel(false);
+    setSelectedTourist(null);
+    setRouteTourist(null);
+    setPlaybackTourist({ id: tourist.id, name: tourist.name });
   };
 
-  // Display location history with dots and lines on the map
-  const displayLocationHistory = (locations, touristName) => {
-    if (!mapInstanceRef.current || !window.atlas || locations.length === 0) return;
-    
-    const atlas = window.atlas;
-    const map = mapInstanceRef.current;
-    
-    // Clear previous history
-    clearLocationHistory();
-    
-    // Sort locations by timestamp (oldest first for drawing the path)
-    const sortedLocations = [...locations].sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
-    );
-    
-    // Create line coordinates
-    const lineCoordinates = sortedLocations.map(loc => [loc.longitude, loc.latitude]);
-    
-    // Create a data source for the line
-    const dataSource = new atlas.source.DataSource();
-    map.sources.add(dataSource);
-    historySourceRef.current = dataSource;
-    
-    // Add the line to the data source
-    dataSource.add(new atlas.data.Feature(
-      new atlas.data.LineString(lineCoordinates),
-      { name: 'history-path' }
-    ));
-    
-    // Create a line layer with gradient effect to show direction
-    const lineLayer = new atlas.layer.LineLayer(dataSource, null, {
-      strokeColor: '#1a73e8',
-      strokeWidth: 4,
-      lineJoin: 'round',
-      lineCap: 'round'
-    });
-    map.layers.add(lineLayer);
-    historyLineLayerRef.current = lineLayer;
-    
-    // Create markers for each point - dot with arrow for path, larger for start/end
-    sortedLocations.forEach((location, index) => {
-      const isStart = index === 0;
-      const isEnd = index === sortedLocations.length - 1;
-      const time = new Date(location.timestamp).toLocaleTimeString();
-      const date = new Date(location.timestamp).toLocaleDateString();
-      
-      // Calculate direction angle towards next point
-      let angle = 0;
-      if (index < sortedLocations.length - 1) {
-        const nextLoc = sortedLocations[index + 1];
-        const lat1 = location.latitude * Math.PI / 180;
-        const lat2 = nextLoc.latitude * Math.PI / 180;
-        const deltaLng = (nextLoc.longitude - location.longitude) * Math.PI / 180;
-        const y = Math.sin(deltaLng) * Math.cos(lat2);
-        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLng);
-        angle = Math.atan2(y, x) * 180 / Math.PI;
-      }
-      
-      // Determine marker style
-      let markerHtml;
-      
-      if (isStart) {
-        // Start marker - green with flag icon
-        markerHtml = '<div style="width: 28px; height: 28px; background: #4caf50; border: 3px solid white; border-radius: 50%; box-shadow: 0 2px 10px rgba(76,175,80,0.5); display: flex; align-items: center; justify-content: center; cursor: pointer;" title="Start - ' + date + ' ' + time + '"><svg width="14" height="14" viewBox="0 0 24 24" fill="white"><path d="M14.4 6L14 4H5v17h2v-7h5.6l.4 2h7V6z"/></svg></div>';
-      } else if (isEnd) {
-        // End marker - red with pulsing effect and pin icon
-        markerHtml = '<div style="position: relative;"><div style="width: 28px; height: 28px; background: #f44336; border: 3px solid white; border-radius: 50%; box-shadow: 0 2px 10px rgba(244,67,54,0.5); display: flex; align-items: center; justify-content: center; cursor: pointer; z-index: 2; position: relative;" title="Current - ' + date + ' ' + time + '"><svg width="14" height="14" viewBox="0 0 24 24" fill="white"><path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/></svg></div><div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); width: 28px; height: 28px; background: #f44336; border-radius: 50%; animation: pulse-ring 1.5s ease-out infinite; z-index: 1;"></div></div><style>@keyframes pulse-ring { 0% { transform: translate(-50%, -50%) scale(1); opacity: 0.6; } 100% { transform: translate(-50%, -50%) scale(2); opacity: 0; } }</style>';
-      } else {
-        // Path marker - dot with arrow showing direction (white arrow with dark outline for visibility)
-        markerHtml = '<div style="position: relative; width: 28px; height: 28px; cursor: pointer;" title="' + time + '">' +
-          '<div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); width: 10px; height: 10px; background: #1a73e8; border: 2px solid white; border-radius: 50%; box-shadow: 0 1px 4px rgba(0,0,0,0.3); z-index: 2;"></div>' +
-          '<div style="position: absolute; top: -2px; left: 50%; transform: translateX(-50%) rotate(' + angle + 'deg); transform-origin: center 16px; z-index: 1;">' +
-          '<svg width="12" height="12" viewBox="0 0 24 24"><path d="M12 2l-6 10h12l-6-10z" fill="white" stroke="#1a73e8" stroke-width="2.5"/></svg>' +
-          '</div></div>';
-      }
-      
-      const marker = new atlas.HtmlMarker({
-        position: [location.longitude, location.latitude],
-        htmlContent: markerHtml,
-        anchor: 'center'
-      });
-      
-      map.markers.add(marker);
-      historyMarkersRef.current.push(marker);
-      
-      // Add click event to show details
-      map.events.add('click', marker, () => {
-        const popup = new atlas.Popup({
-          position: [location.longitude, location.latitude],
-          content: '<div style="padding: 10px; font-family: system-ui;"><strong>' + touristName + '</strong><br/><small style="color: #666;">' + (isStart ? 'Start Point' : isEnd ? 'Current Location' : 'Location') + '</small><hr style="margin: 8px 0; border: none; border-top: 1px solid #eee;"/><div style="font-size: 12px;"><div>🕐 ' + new Date(location.timestamp).toLocaleString() + '</div><div>📍 ' + location.latitude.toFixed(6) + ', ' + location.longitude.toFixed(6) + '</div>' + (location.speed ? '<div>🚗 ' + location.speed.toFixed(1) + ' m/s</div>' : '') + (location.heading ? '<div>🧭 ' + location.heading.toFixed(0) + '°</div>' : '') + (location.altitude ? '<div>⛰️ ' + location.altitude + 'm</div>' : '') + (location.batteryLevel ? '<div>🔋 ' + location.batteryLevel + '%</div>' : '') + '</div></div>',
-          pixelOffset: [0, -10]
-        });
-        popup.open(map);
-      });
-    });
-    
-    // Fit map to show all history points
-    if (lineCoordinates.length > 0) {
-      const bounds = atlas.data.BoundingBox.fromPositions(lineCoordinates);
-      map.setCamera({
-        bounds: bounds,
-        padding: 50
-      });
-    }
-    
-    console.log(`Displayed ${sortedLocations.length} history points on map`);
-  };
-  
-  // Clear location history from map
-  const clearLocationHistory = () => {
-    const map = mapInstanceRef.current;
-    if (!map) return;
-    
-    // Remove markers
-    historyMarkersRef.current.forEach(marker => {
-      try { map.markers.remove(marker); } catch (e) { /* ignore */ }
-    });
-    historyMarkersRef.current = [];
-    
-    // Remove line layer
-    if (historyLineLayerRef.current) {
-      try { map.layers.remove(historyLineLayerRef.current); } catch (e) { /* ignore */ }
-      historyLineLayerRef.current = null;
-    }
-    
-    // Remove data source
-    if (historySourceRef.current) {
-      try { map.sources.remove(historySourceRef.current); } catch (e) { /* ignore */ }
-      historySourceRef.current = null;
-    }
+  const handleViewRoute = (tourist) => {
+    setShowTouristPanel(false);
+    setSelectedTourist(null);
+    setPlaybackTourist(null);
+    setRouteTourist({ id: tourist.id, name: tourist.name });
   };
 
   const handleCenterOnTourist = (tourist) => {
@@ -934,13 +1161,21 @@ const AzureMap = forwardRef(({
     }
   };
 
-  const displayGeofences = (geofenceData) => {
+  const displayGeofences = (geofenceData, at) => {
     if (!mapInstanceRef.current || !window.atlas) return;
 
     const atlas = window.atlas;
     const map = mapInstanceRef.current;
 
     // Remove existing geofence layers and source safely
+    if (geofenceCenterlineLayerRef.current) {
+      try { map.layers.remove(geofenceCenterlineLayerRef.current); } catch { /* ignore */ }
+      geofenceCenterlineLayerRef.current = null;
+    }
+    if (geofenceInactiveBorderLayerRef.current) {
+      try { map.layers.remove(geofenceInactiveBorderLayerRef.current); } catch { /* ignore */ }
+      geofenceInactiveBorderLayerRef.current = null;
+    }
     if (geofenceBorderLayerRef.current) {
       try { map.layers.remove(geofenceBorderLayerRef.current); } catch (e) { /* ignore */ }
       geofenceBorderLayerRef.current = null;
@@ -958,31 +1193,37 @@ const AzureMap = forwardRef(({
     geofenceSourceRef.current = new atlas.source.DataSource();
     map.sources.add(geofenceSourceRef.current);
 
-    // Add geofence circles as actual circle polygons
+    // Circles, polygons and corridors all render as (multi)polygons
     geofenceData.forEach(geofence => {
-      // Create a circle polygon
-      const centerPoint = [geofence.center.lng, geofence.center.lat];
-      const circlePolygon = atlas.math.getRegularPolygonPath(
-        centerPoint,
-        geofence.radius,
-        64 // number of sides (more = smoother circle)
-      );
-      
-      const polygon = new atlas.data.Feature(
-        new atlas.data.Polygon([circlePolygon]),
-        {
-          id: geofence.id,
-          name: geofence.name,
-          type: geofence.type
-        }
-      );
-      geofenceSourceRef.current.add(polygon);
+      const polygons = getGeofencePolygons(geofence);
+      if (polygons.length === 0) return;
+
+      const properties = {
+        id: geofence.id,
+        name: geofence.name,
+        type: geofence.type,
+        shape: geofence.shape,
+        inForce: isGeofenceInForce(geofence, at)
+      };
+      const geometry = polygons.length === 1
+        ? new atlas.data.Polygon(polygons[0])
+        : new atlas.data.MultiPolygon(polygons);
+      geofenceSourceRef.current.add(new atlas.data.Feature(geometry, properties));
+
+      // Show the route a corridor follows
+      if (geofence.shape === GEOFENCE_SHAPES.CORRIDOR) {
+        geofenceSourceRef.current.add(new atlas.data.Feature(
+          new atlas.data.LineString(geofence.geometry.coordinates),
+          { ...properties, centerline: true }
+        ));
+      }
     });
 
     // Create polygon layer for geofences
     geofenceLayerRef.current = new atlas.layer.PolygonLayer(geofenceSourceRef.current, null, {
       fillColor: [
         'case',
+        ['!', ['get', 'inForce']], 'rgba(158, 158, 158, 0.12)',
         ['==', ['get', 'type'], 'safe'], 'rgba(76, 175, 80, 0.25)',
         ['==', ['get', 'type'], 'restricted'], 'rgba(244, 67, 54, 0.25)',
         ['==', ['get', 'type'], 'warning'], 'rgba(255, 152, 0, 0.25)',
@@ -991,66 +1232,170 @@ const AzureMap = forwardRef(({
       fillOpacity: 0.6
     });
 
+    const strokeColor = [
+      'case',
+      ['==', ['get', 'type'], 'safe'], '#4caf50',
+      ['==', ['get', 'type'], 'restricted'], '#f44336',
+      ['==', ['get', 'type'], 'warning'], '#ff9800',
+      '#1a73e8'
+    ];
+
     // Create line layer for geofence borders
     geofenceBorderLayerRef.current = new atlas.layer.LineLayer(geofenceSourceRef.current, null, {
-      strokeColor: [
-        'case',
-        ['==', ['get', 'type'], 'safe'], '#4caf50',
-        ['==', ['get', 'type'], 'restricted'], '#f44336',
-        ['==', ['get', 'type'], 'warning'], '#ff9800',
-        '#1a73e8'
-      ],
-      strokeWidth: 2
+      strokeColor,
+      strokeWidth: 2,
+      filter: ['all', ['!', ['has', 'centerline']], ['get', 'inForce']]
+    });
+
+    // Fences switched off or outside their schedule get a grey dashed border
+    geofenceInactiveBorderLayerRef.current = new atlas.layer.LineLayer(geofenceSourceRef.current, null, {
+      strokeColor: '#9e9e9e',
+      strokeWidth: 2,
+      strokeDashArray: [2, 2],
+      filter: ['all', ['!', ['has', 'centerline']], ['!', ['get', 'inForce']]]
+    });
+
+    // Dashed line along the route of each corridor
+    geofenceCenterlineLayerRef.current = new atlas.layer.LineLayer(geofenceSourceRef.current, null, {
+      strokeColor,
+      strokeWidth: 1,
+      strokeDashArray: [4, 4],
+      filter: ['has', 'centerline']
     });
 
     map.layers.add(geofenceLayerRef.current);
     map.layers.add(geofenceBorderLayerRef.current);
+    map.layers.add(geofenceInactiveBorderLayerRef.current);
+    map.layers.add(geofenceCenterlineLayerRef.current);
+
+    // Clicking a fence opens it for editing
+    map.events.add('click', geofenceLayerRef.current, (e) => {
+      if (!geofenceClickEditsRef.current) return;
+      const shape = e.shapes?.[0];
+      const properties = shape?.getProperties?.() || shape?.properties;
+      const geofence = geofenceData.find(f => f.id === properties?.id);
+      if (!geofence) return;
+      setGeofenceToEdit(geofence);
+      setShowGeofenceManager(true);
+    });
+  };
+
+  const buildDispatchMarkerHtml = (dispatch) => {
+    const statusStyle = getDispatchStatusStyle(dispatch.status);
+    const eta = dispatch.status !== 'on_scene' ? formatEta(dispatch.etaAt) : null;
+
+    return `
+      <div style="display: flex; flex-direction: column; align-items: center; pointer-events: none;">
+        <div style="
+          width: 36px;
+          height: 36px;
+          border-radius: 50%;
+          border: 3px solid ${statusStyle.color};
+          background: white;
+          box-shadow: 0 4px 12px rgba(0,0,0,0.25);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 18px;
+        ">${getUnitTypeIcon(dispatch.unit?.type)}</div>
+        <div style="
+          margin-top: 4px;
+          padding: 2px 8px;
+          border-radius: 10px;
+          background: ${statusStyle.color};
+          color: white;
+          font-size: 11px;
+          font-weight: 600;
+          white-space: nowrap;
+          box-shadow: 0 2px 6px rgba(0,0,0,0.2);
+        ">${statusStyle.label}${eta ? ` • ETA ${eta}` : ''}</div>
+      </div>
+    `;
+  };
+
+  // Draw each open dispatch: the responder's route and a marker with status and ETA
+  const displayDispatchRoutes = (dispatchData) => {
+    if (!mapInstanceRef.current || !window.atlas) return;
+
+    const atlas = window.atlas;
+    const map = mapInstanceRef.current;
+
+    if (!dispatchSourceRef.current) {
+      dispatchSourceRef.current = new atlas.source.DataSource();
+      map.sources.add(dispatchSourceRef.current);
+
+      dispatchLineLayerRef.current = new atlas.layer.LineLayer(dispatchSourceRef.current, null, {
+        strokeColor: ['get', 'color'],
+        strokeWidth: 4,
+        strokeDashArray: [2, 1]
+      });
+      map.layers.add(dispatchLineLayerRef.current);
+    }
+    dispatchSourceRef.current.clear();
+
+    const shownIds = new Set();
+    dispatchData.forEach(dispatch => {
+      const unitPosition = dispatch.unitLocation ||
+        (dispatch.unit && dispatch.unit.lat !== null ? dispatch.unit : null);
+
+      // Use the backend's route when it sent one, otherwise a straight line to the alert
+      let path = [];
+      if (dispatch.route?.length >= 2) {
+        path = dispatch.route;
+      } else if (unitPosition && dispatch.destination) {
+        path = [unitPosition, dispatch.destination];
+      }
+
+      if (path.length >= 2) {
+        dispatchSourceRef.current.add(new atlas.data.Feature(
+          new atlas.data.LineString(path.map(point => [point.lng, point.lat])),
+          { dispatchId: dispatch.id, color: getDispatchStatusStyle(dispatch.status).color }
+        ));
+      }
+
+      if (!unitPosition) return;
+      shownIds.add(dispatch.id);
+
+      const position = [unitPosition.lng, unitPosition.lat];
+      const existing = dispatchMarkersRef.current.get(dispatch.id);
+      if (existing) {
+        existing.setOptions({ position, htmlContent: buildDispatchMarkerHtml(dispatch) });
+      } else {
+        const marker = new atlas.HtmlMarker({
+          position,
+          htmlContent: buildDispatchMarkerHtml(dispatch),
+          anchor: 'top'
+        });
+        map.markers.add(marker);
+        dispatchMarkersRef.current.set(dispatch.id, marker);
+      }
+    });
+
+    // Drop markers for dispatches that were resolved or called off
+    dispatchMarkersRef.current.forEach((marker, id) => {
+      if (shownIds.has(id)) return;
+      try { map.markers.remove(marker); } catch { /* ignore */ }
+      dispatchMarkersRef.current.delete(id);
+    });
   };
 
   // Add geofence selection handler
   const handleGeofenceSelect = (geofence) => {
     if (!mapInstanceRef.current) return;
-    
-    // Support multiple coordinate formats from API:
-    // - geometry.coordinates: [lng, lat] (MongoDB GeoJSON format)
-    // - center.coordinates: [lng, lat]
-    // - center: { latitude, longitude }
-    let lat, lng;
-    
-    if (geofence.geometry?.coordinates) {
-      // MongoDB GeoJSON Point format: [longitude, latitude]
-      lng = geofence.geometry.coordinates[0];
-      lat = geofence.geometry.coordinates[1];
-    } else if (geofence.center?.coordinates) {
-      lng = geofence.center.coordinates[0];
-      lat = geofence.center.coordinates[1];
-    } else if (geofence.center?.latitude && geofence.center?.longitude) {
-      lat = geofence.center.latitude;
-      lng = geofence.center.longitude;
-    }
-    
-    if (lat && lng) {
+
+    // Fit the whole shape; fences from the store are normalized so bounds work for every shape
+    const bounds = getGeofenceBounds(geofence);
+    if (bounds) {
       mapInstanceRef.current.setCamera({
-        center: [lng, lat],
-        zoom: 14,
+        bounds,
+        padding: 80,
+        maxZoom: 16,
         pitch: 45,
         duration: 500
       });
     }
   };
 
-  const getTouristColor = (status) => {
-    switch (status) {
-      case 'safe': return '#4caf50';
-      case 'warning': return '#ff9800';
-      case 'danger': return '#f44336';
-      case 'emergency': return '#e91e63';
-      case 'active': return '#4caf50';
-      case 'inactive': return '#9e9e9e';
-      default: return '#1a73e8';
-    }
-  };
-
   const getStatusLabel = (status) => {
     switch (status) {
       case 'safe': return 'Safe';
@@ -1070,9 +1415,6 @@ const AzureMap = forwardRef(({
     });
     markersRef.current = [];
     
-    // Clear history
-    clearLocationHistory();
-    
     if (mapInstanceRef.current) {
       try { mapInstanceRef.current.dispose(); } catch (e) { /* ignore */ }
       mapInstanceRef.current = null;
@@ -1124,9 +1466,7 @@ const AzureMap = forwardRef(({
           onThemeChange={(theme) => {
             setCurrentTheme(theme);
             // Optionally reload markers with new colors
-            if (showTourists && touristsData.length > 0) {
-              displayTouristMarkers(touristsData);
-            }
+            if (showTourists) refreshTouristMarkers();
           }}
           onMapStyleChange={(style) => {
             setCurrentMapStyle(style);
@@ -1231,14 +1571,14 @@ const AzureMap = forwardRef(({
                   <span>0-20: Dangerous</span>
                 </div>
               </div>
-              {safetyData.length > 0 && (
+              {safetyInView.length > 0 && (
                 <div style={{ 
                   marginTop: '8px', 
                   paddingTop: '8px', 
                   borderTop: '1px solid #eee',
                   color: '#666'
                 }}>
-                  📍 {safetyData.length} locations loaded
+                  📍 {safetyInView.length} locations in view
                 </div>
               )}
             </div>
@@ -1299,6 +1639,83 @@ const AzureMap = forwardRef(({
             </div>
           </div>
 
+          {/* View geofences as of a date/time */}
+          {showGeofences && (
+            <div style={{
+              background: 'rgba(255, 255, 255, 0.95)',
+              backdropFilter: 'blur(10px)',
+              padding: '10px 12px',
+              borderRadius: '12px',
+              boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+              fontSize: '12px',
+              color: '#333'
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', marginBottom: '6px' }}>
+                <span style={{ fontWeight: '600' }}>🕒 Fences as of</span>
+                {geofenceViewTime ? (
+                  <button
+                    onClick={() => setGeofenceViewTime(null)}
+                    style={{
+                      padding: '2px 8px',
+                      borderRadius: '6px',
+                      border: '1px solid #1a73e8',
+                      background: 'white',
+                      color: '#1a73e8',
+                      fontSize: '11px',
+                      fontWeight: '600',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Now
+                  </button>
+                ) : (
+                  <span style={{ color: '#22c55e', fontWeight: '600', fontSize: '11px' }}>● Live</span>
+                )}
+              </div>
+              <input
+                type="datetime-local"
+                value={toDateTimeInputValue(geofenceViewTime || new Date())}
+                onChange={(e) => setGeofenceViewTime(e.target.value ? new Date(e.target.value) : null)}
+                style={{ width: '100%', padding: '4px 6px', border: '1px solid #e0e0e0', borderRadius: '6px', fontSize: '12px' }}
+              />
+              <div style={{ marginTop: '6px', color: '#666' }}>
+                {geofences.filter(f => isGeofenceInForce(f, geofenceViewTime || new Date())).length} of {geofences.length} fences in force
+              </div>
+              {breachingTourists.length > 0 && (
+                <div style={{ marginTop: '4px', color: '#dc2626', fontWeight: '600' }}>
+                  🚨 {breachingTourists.length} tourist{breachingTourists.length === 1 ? '' : 's'} in restricted or warning zones now
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Heatmap Button */}
+          <button
+            onClick={() => setShowHeatmapPanel(!showHeatmapPanel)}
+            style={{
+              background: showHeatmapPanel ? '#fff7ed' : 'rgba(255, 255, 255, 0.95)',
+              backdropFilter: 'blur(10px)',
+              padding: '12px 16px',
+              borderRadius: '12px',
+              boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              border: showHeatmapPanel ? '1px solid #f97316' : 'none',
+              transition: 'all 0.3s ease'
+            }}
+          >
+            <span style={{ fontSize: '18px' }}>🔥</span>
+            <span style={{ 
+              fontWeight: '600', 
+              color: '#333',
+              fontSize: '14px'
+            }}>
+              Heatmap
+            </span>
+          </button>
+
           {/* Geofence Manager Button */}
           <button
             onClick={() => setShowGeofenceManager(true)}
@@ -1332,9 +1749,43 @@ const AzureMap = forwardRef(({
       {showGeofenceManager && (
         <GeofenceManager
           map={mapInstanceRef.current}
+          initialEditGeofence={geofenceToEdit}
           onGeofenceSelect={handleGeofenceSelect}
-          onGeofenceChange={loadGeofences}
-          onClose={() => setShowGeofenceManager(false)}
+          onGeofenceChange={refreshGeofences}
+          onEditingChange={setEditingGeofenceId}
+          onClose={() => {
+            setShowGeofenceManager(false);
+            setGeofenceToEdit(null);
+          }}
+        />
+      )}
+
+      {/* Crowd Heatmap */}
+      {showHeatmapPanel && mapReady && (
+        <HeatmapPanel
+          map={mapInstanceRef.current}
+          tiles={dataTiles}
+          onClose={() => setShowHeatmapPanel(false)}
+        />
+      )}
+
+      {/* Location History Playback */}
+      {playbackTourist && mapReady && (
+        <HistoryPlayback
+          key={playbackTourist.id}
+          map={mapInstanceRef.current}
+          tourist={playbackTourist}
+          onClose={() => setPlaybackTourist(null)}
+        />
+      )}
+
+      {/* Planned Route vs Actual Track */}
+      {routeTourist && mapReady && (
+        <RoutePlanOverlay
+          key={routeTourist.id}
+          map={mapInstanceRef.current}
+          tourist={routeTourist}
+          onClose={() => setRouteTourist(null)}
         />
       )}
 
@@ -1457,7 +1908,7 @@ const AzureMap = forwardRef(({
                   {getStatusLabel(selectedTourist.status).toUpperCase()}
                 </div>
                 <p style={{ margin: '6px 0 0 0', fontSize: '12px', color: '#666' }}>
-                  ID: {selectedTourist.digitalId}
+                  ID: {selectedTourist.digitalId || 'N/A'}
                 </p>
               </div>
             </div>
@@ -1465,6 +1916,21 @@ const AzureMap = forwardRef(({
 
           {/* Details Section */}
           <div style={{ padding: '12px', overflowY: 'auto', flex: 1 }}>
+            {breaches[selectedTourist.id] && (
+              <div style={{
+                padding: '8px 10px',
+                marginBottom: '12px',
+                background: '#fef2f2',
+                border: '1px solid #ef4444',
+                borderRadius: '6px',
+                color: '#dc2626',
+                fontSize: '12px',
+                fontWeight: '600'
+              }}>
+                ⛔ Inside {breaches[selectedTourist.id].map(breach => `${breach.fenceName} (${breach.fenceType})`).join(', ')}
+              </div>
+            )}
+
             {/* Info */}
             <div style={{ marginBottom: '12px' }}>
               <InfoItem label="📧 Email" value={selectedTourist.email || 'N/A'} />
@@ -1481,8 +1947,40 @@ const AzureMap = forwardRef(({
               <p style={{ margin: '2px 0 0 0', fontSize: '11px', color: '#333' }}>
                 {selectedTourist.lat.toFixed(6)}, {selectedTourist.lng.toFixed(6)}
               </p>
+              <p style={{ margin: '2px 0 0 0', fontSize: '11px', color: '#666' }}>
+                {[
+                  selectedTourist.accuracy !== null && `GPS ±${Math.round(selectedTourist.accuracy)} m`,
+                  selectedTourist.batteryLevel !== null && `🔋 ${Math.round(selectedTourist.batteryLevel)}%`,
+                  selectedTourist.lastSeenAt && `${formatDwellTime(Math.max(0, Date.now() - new Date(selectedTourist.lastSeenAt).getTime()))} ago`
+                ].filter(Boolean).join(' • ')}
+              </p>
             </div>
 
+            {/* Silent: when and where it was last heard from */}
+            {selectedSilence && (
+              <div style={{
+                background: '#fef2f2',
+                border: '1px solid #fecaca',
+                padding: '8px',
+                borderRadius: '6px',
+                marginBottom: '12px',
+                fontSize: '11px',
+                color: '#991b1b'
+              }}>
+                <label style={{ fontSize: '10px', fontWeight: '700' }}>🔇 NOT REPORTING</label>
+                <p style={{ margin: '2px 0 0 0' }}>
+                  {selectedSilence.lastSeenAt !== null
+                    ? `Last seen ${new Date(selectedSilence.lastSeenAt).toLocaleString()} (${formatDwellTime(Date.now() - selectedSilence.lastSeenAt)} ago)`
+                    : 'Reported inactive by the tracking service'}
+                </p>
+                <p style={{ margin: '2px 0 0 0' }}>
+                  {SILENCE_CAUSE_LABELS[selectedSilence.cause]}
+                  {selectedSilence.batteryLevel !== null && ` • last battery ${Math.round(selectedSilence.batteryLevel)}%`}
+                  {selectedSilence.fenceName && ` • in ${selectedSilence.fenceName}`}
+                </p>
+              </div>
+            )}
+
             {/* Created At */}
             <div style={{ marginBottom: '12px' }}>
               <label style={{ fontSize: '10px', color: '#888', fontWeight: '500' }}>📅 REGISTERED</label>
@@ -1494,7 +1992,7 @@ const AzureMap = forwardRef(({
             {/* Action Buttons */}
             <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
               <button
-                onClick={() => handleViewHistory(selectedTourist.id)}
+                onClick={() => handleViewHistory(selectedTourist)}
                 style={{
                   width: '100%',
                   padding: '10px',
@@ -1512,31 +2010,76 @@ const AzureMap = forwardRef(({
                   transition: 'background 0.2s'
                 }}
               >
-                📍 View Location History
+                ▶️ Play Location History
               </button>
-              
-              {/* Fake Location Button - Temporary Feature */}
+
               <button
-                onClick={() => enableFakeLocationMode(selectedTourist)}
+                onClick={() => handleViewRoute(selectedTourist)}
                 style={{
                   width: '100%',
                   padding: '10px',
                   borderRadius: '6px',
-                  border: '2px dashed #ff9800',
-                  background: '#fff3e0',
-                  color: '#e65100',
+                  border: '1px solid #0891b2',
+                  background: 'white',
+                  color: '#0891b2',
                   fontWeight: '600',
                   fontSize: '12px',
                   cursor: 'pointer',
                   display: 'flex',
                   alignItems: 'center',
                   justifyContent: 'center',
-                  gap: '6px',
-                  transition: 'all 0.2s'
+                  gap: '6px'
                 }}
               >
-                🎯 Add Fake Locations (Dev)
+                🧭 Planned Route
               </button>
+
+              <Link
+                to={`/tourists/${selectedTourist.id}`}
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  padding: '10px',
+                  borderRadius: '6px',
+                  border: '1px solid #1a73e8',
+                  background: 'white',
+                  color: '#1a73e8',
+                  fontWeight: '600',
+                  fontSize: '12px',
+                  textDecoration: 'none',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  gap: '6px'
+                }}
+              >
+                👤 Open Full Profile
+              </Link>
+              
+              {/* Fake Location Button - Temporary Feature, admins only */}
+              {can('tracking:fake-location') && (
+                <button
+                  onClick={() => enableFakeLocationMode(selectedTourist)}
+                  style={{
+                    width: '100%',
+                    padding: '10px',
+                    borderRadius: '6px',
+                    border: '2px dashed #ff9800',
+                    background: '#fff3e0',
+                    color: '#e65100',
+                    fontWeight: '600',
+                    fontSize: '12px',
+                    cursor: 'pointer',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '6px',
+                    transition: 'all 0.2s'
+                  }}
+                >
+                  🎯 Add Fake Locations (Dev)
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,43 @@
+import React from 'react';
+
+const CHART_HEIGHT = 120;
+
+// Minimal SVG bar chart. bars as [{ key, value, label, title }]; the bars
+// stretch to the container width and only every labelEvery-th label is shown
+// so dense hourly charts stay readable.
+const BarChart = ({ bars, color = '#1a73e8', labelEvery = 1, emptyText = 'No data', height = CHART_HEIGHT }) => {
+  const max = Math.max(0, ...bars.map(bar => bar.value));
+  if (max === 0) {
+    return (
+      <div style={{ height, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#9ca3af', fontSize: '13px' }}>
+        {emptyText}
+      </div>
+    );
+  }
+
+  const slot = 100 / bars.length;
+
+  return (
+    <div>
+      <svg width="100%" height={height} viewBox={`0 0 100 ${height}`} preserveAspectRatio="none" style={{ display: 'block' }}>
+        {bars.map((bar, i) => {
+          const barHeight = (bar.value / max) * (height - 4);
+          return (
+            <rect key={bar.key} x={i * slot + slot * 0.15} y={height - barHeight} width={slot * 0.7} height={barHeight} fill={color}>
+              <title>{bar.title || `${bar.label}: ${bar.value}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div style={{ display: 'flex', borderTop: '1px solid #e5e7eb', fontSize: '10px', color: '#6b7280' }}>
+        {bars.map((bar, i) => (
+          <div key={bar.key} style={{ flex: 1, minWidth: 0, textAlign: 'center', whiteSpace: 'nowrap', overflow: 'visible' }}>
+            {i % labelEvery === 0 ? bar.label : ''}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import liveUpdates, { CONNECTION_STATUS } from '../services/liveUpdates';
+import { useLiveStatus } from '../hooks/useLiveUpdates';
+
+const getStatusStyle = (status) => {
+  switch (status) {
+    case CONNECTION_STATUS.LIVE: return { color: '#16a34a', bg: '#dcfce7', label: 'Live' };
+    case CONNECTION_STATUS.CONNECTING: return { color: '#1a73e8', bg: '#e8f0fe', label: 'Connecting...' };
+    case CONNECTION_STATUS.RECONNECTING: return { color: '#d97706', bg: '#fef3c7', label: 'Reconnecting' };
+    case CONNECTION_STATUS.POLLING: return { color: '#d97706', bg: '#fef3c7', label: 'Polling every 30s' };
+    default: return { color: '#dc2626', bg: '#fee2e2', label: 'Offline' };
+  }
+};
+
+const getTransportLabel = (transport) => {
+  switch (transport) {
+    case 'websocket': return 'WebSocket';
+    case 'sse': return 'Server-Sent Events';
+    case 'polling': return 'REST polling';
+    default: return 'none';
+  }
+};
+
+// Small pill showing whether the live push channel is connected
+const ConnectionStatus = ({ style = {} }) => {
+  const { status, transport, lastEventAt, nextRetryAt } = useLiveStatus();
+  const [now, setNow] = useState(Date.now());
+
+  // Tick once a second so the retry countdown stays current
+  useEffect(() => {
+    if (!nextRetryAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [nextRetryAt]);
+
+  const statusStyle = getStatusStyle(status);
+  const retryIn = nextRetryAt ? Math.max(0, Math.ceil((nextRetryAt - now) / 1000)) : null;
+  const canRetry = status === CONNECTION_STATUS.RECONNECTING || status === CONNECTION_STATUS.POLLING;
+
+  const title = [
+    `Transport: ${getTransportLabel(transport)}`,
+    lastEventAt ? `Last update: ${new Date(lastEventAt).toLocaleTimeString()}` : null,
+    canRetry ? 'Click to retry now' : null
+  ].filter(Boolean).join('\n');
+
+  return (
+    <div
+      onClick={canRetry ? () => liveUpdates.reconnectNow() : undefined}
+      title={title}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '6px 12px',
+        borderRadius: '20px',
+        background: statusStyle.bg,
+        color: statusStyle.color,
+        fontSize: '11px',
+        fontWeight: '600',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.12)',
+        cursor: canRetry ? 'pointer' : 'default',
+        userSelect: 'none',
+        ...style
+      }}
+    >
+      <span style={{
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        background: statusStyle.color,
+        animation: status === CONNECTION_STATUS.LIVE ? 'none' : 'pulse 1.5s infinite'
+      }}></span>
+      {statusStyle.label}
+      {canRetry && retryIn !== null && (
+        <span style={{ fontWeight: '500', opacity: 0.8 }}>
+          • retry in {retryIn}s
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
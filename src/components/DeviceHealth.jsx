@@ -0,0 +1,449 @@
+import React, { useState, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
+import { trackingAPI } from '../services/api';
+import dataStore, { selectTourists } from '../services/dataStore';
+import deviceHealthMonitor from '../services/deviceHealthMonitor';
+import { loadLocationHistories } from '../services/locationHistory';
+import { useDataStore } from '../hooks/useDataStore';
+import { formatDistance } from '../utils/geo';
+import { formatDwellTime } from '../utils/geofenceBreaches';
+import {
+  BATTERY_COLORS,
+  REMOTE_DISTANCE_METERS,
+  getBatteryLevel,
+  getBatteryTrend,
+  formatBatteryTrend,
+  getFreshness,
+  getAccuracyLevel,
+  toBatterySamples
+} from '../utils/deviceHealth';
+import { toCsv, downloadFile } from '../utils/exportFile';
+import TopNavigation from './TopNavigation';
+
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_HOURS = 6;
+const HISTORY_LIMIT = 200;
+const BACKFILL_ROWS = 50;
+const CLOCK_INTERVAL = 30000;
+
+const getDeviceOwner = (device) => device.userId || device.touristId || device.user?._id || null;
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+const formatAge = (at, now) => (at === null ? 'Never' : `${formatDwellTime(Math.max(0, now - at))} ago`);
+
+const FILTERS = [
+  { id: 'all', label: 'All devices', match: () => true },
+  { id: 'attention', label: 'Needs attention', match: (row) => row.warnings.length > 0 },
+  { id: 'battery', label: 'Low battery', match: (row) => ['low', 'critical'].includes(row.batteryLevel) },
+  { id: 'remote', label: 'Low battery, remote', match: (row) => Boolean(row.remoteWarning) },
+  { id: 'gps', label: 'Poor GPS', match: (row) => row.accuracy.id === 'poor' },
+  { id: 'stale', label: 'Stale location', match: (row) => ['stale', 'old'].includes(row.freshness.id) }
+];
+
+// sortValue picks what a column sorts by; columns without one can't be sorted
+const COLUMNS = [
+  { key: 'name', label: 'Tourist', sortValue: (row) => row.tourist.name.toLowerCase() },
+  { key: 'device', label: 'Device', sortValue: (row) => row.deviceLabel.toLowerCase() },
+  { key: 'app', label: 'App', sortValue: (row) => row.device?.appVersion || '' },
+  { key: 'battery', label: 'Battery', sortValue: (row) => row.tourist.batteryLevel ?? 101 },
+  { key: 'trend', label: 'Trend (3h)', sortValue: (row) => row.trend?.ratePerHour ?? 0 },
+  { key: 'accuracy', label: 'GPS accuracy', sortValue: (row) => row.tourist.accuracy ?? Infinity },
+  { key: 'motion', label: 'Speed / altitude' },
+  { key: 'ping', label: 'Last ping', sortValue: (row) => -(row.lastPingAt ?? -Infinity) },
+  { key: 'warnings', label: 'Warnings', sortValue: (row) => row.warnings.length }
+];
+
+const CSV_COLUMNS = [
+  { label: 'Tourist ID', value: (row) => row.tourist.id },
+  { label: 'Tourist', value: (row) => row.tourist.name },
+  { label: 'Device ID', value: (row) => row.device?.deviceId || '' },
+  { label: 'Device', value: (row) => row.deviceLabel },
+  { label: 'App version', value: (row) => row.device?.appVersion || '' },
+  { label: 'Battery (%)', value: (row) => row.tourist.batteryLevel ?? '' },
+  { label: 'Battery change (%/h)', value: (row) => (row.trend ? row.trend.ratePerHour.toFixed(1) : '') },
+  { label: 'GPS accuracy (m)', value: (row) => row.tourist.accuracy ?? '' },
+  { label: 'Speed (m/s)', value: (row) => row.tourist.speed ?? '' },
+  { label: 'Altitude (m)', value: (row) => row.tourist.altitude ?? '' },
+  { label: 'Last ping', value: (row) => (row.lastPingAt === null ? '' : new Date(row.lastPingAt).toISOString()) },
+  { label: 'Warnings', value: (row) => row.warnings.map(w => w.text).join('; ') }
+];
+
+const StatTile = ({ label, value, color = '#1e293b' }) => (
+  <div style={{ flex: '1 1 110px', padding: '10px 12px', background: '#f9fafb', borderRadius: '8px' }}>
+    <div style={{ fontSize: '11px', color: '#6b7280', textTransform: 'uppercase' }}>{label}</div>
+    <div style={{ fontSize: '20px', fontWeight: '700', color }}>{value}</div>
+  </div>
+);
+
+// Battery level over the loaded window as a tiny line, 0-100% bottom to top
+const BatterySparkline = ({ samples, from, to, color }) => {
+  const width = 72;
+  const height = 20;
+  const visible = samples.filter(sample => sample.at >= from);
+  if (visible.length < 2) return <span style={{ display: 'inline-block', width }} />;
+  const x = (at) => ((at - from) / (to - from)) * width;
+  const y = (level) => height - (Math.min(100, Math.max(0, level)) / 100) * height;
+  const points = visible.map(sample => `${x(sample.at).toFixed(1)},${y(sample.level).toFixed(1)}`).join(' ');
+  return (
+    <svg width={width} height={height} style={{ verticalAlign: 'middle', background: '#f9fafb', borderRadius: '3px' }}>
+      <polyline points={points} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+};
+
+const getWarnings = ({ batteryLevel, remoteWarning, accuracy, freshness, device }) => {
+  const warnings = [];
+  if (remoteWarning) {
+    warnings.push({
+      color: '#dc2626',
+      text: remoteWarning.fenceName
+        ? `Low battery inside ${remoteWarning.fenceName}`
+        : `Low battery ${formatDistance(remoteWarning.distance)} from safe zones`
+    });
+  } else if (batteryLevel === 'critical' || batteryLevel === 'low') {
+    warnings.push({ color: BATTERY_COLORS[batteryLevel], text: batteryLevel === 'critical' ? 'Battery critical' : 'Battery low' });
+  }
+  if (accuracy.id === 'poor') warnings.push({ color: accuracy.color, text: 'Poor GPS fix' });
+  if (freshness.id === 'stale' || freshness.id === 'old') warnings.push({ color: freshness.color, text: 'Location out of date' });
+  if (!device) warnings.push({ color: '#6b7280', text: 'No connected device' });
+  return warnings;
+};
+
+// Device health page: each tourist's phone with its battery trend, how good
+// and how recent its last location is, and which ones need attention. Lists
+// the owners of connected devices (loaded by id) and the other tourists the
+// store holds.
+const DeviceHealth = () => {
+  const tourists = useDataStore(selectTourists);
+  const [ownersLoaded, setOwnersLoaded] = useState(false);
+  const { battery, warnings: remoteWarnings } = useSyncExternalStore(deviceHealthMonitor.subscribe, deviceHealthMonitor.getState);
+
+  const [devices, setDevices] = useState([]);
+  const [devicesError, setDevicesError] = useState(null);
+  const [progress, setProgress] = useState(null); // { done, total } while histories load
+  const [failedHistories, setFailedHistories] = useState(0);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [filterId, setFilterId] = useState('all');
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState({ key: 'battery', order: 'asc' });
+  const [now, setNow] = useState(() => Date.now());
+  const requestedRef = useRef(new Set()); // tourist ids whose history has been or is being loaded
+
+  useEffect(() => {
+    dataStore.load('geofences');
+  }, []);
+
+  // Ages and freshness move on without any new data
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    trackingAPI.getConnectedDevices()
+      .then(response => {
+        if (cancelled) return;
+        const list = response.data.data?.devices || response.data.data || response.data.devices || [];
+        const connected = Array.isArray(list) ? list : [];
+        setDevices(connected);
+        setDevicesError(null);
+        return dataStore.loadTourists(connected.map(getDeviceOwner).filter(Boolean));
+      })
+      .catch(err => {
+        console.error('Failed to load connected devices:', err);
+        if (!cancelled) setDevicesError(err.response?.data?.message || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setOwnersLoaded(true);
+      });
+    return () => { cancelled = true; };
+  }, [reloadKey]);
+
+  const allRows = useMemo(() => {
+    // The most recently connected device stands for the tourist
+    const devicesByOwner = new Map();
+    devices.forEach(device => {
+      const owner = getDeviceOwner(device);
+      if (!owner) return;
+      devicesByOwner.set(owner, [...(devicesByOwner.get(owner) || []), device]);
+    });
+    devicesByOwner.forEach(list => list.sort((a, b) => (
+      (toTime(b.lastSeen || b.connectedAt) ?? 0) - (toTime(a.lastSeen || a.connectedAt) ?? 0)
+    )));
+
+    return tourists.map(tourist => {
+      const owned = devicesByOwner.get(tourist.id) || [];
+      const device = owned[0] || null;
+      const lastPingAt = Math.max(toTime(tourist.lastSeenAt) ?? -Infinity, toTime(device?.lastSeen) ?? -Infinity);
+      const row = {
+        tourist,
+        device,
+        otherDevices: owned.length - 1,
+        deviceLabel: device ? [device.platform, device.model].filter(Boolean).join(' ') || device.deviceId || 'Device' : 'Not connected',
+        samples: battery[tourist.id] || [],
+        trend: getBatteryTrend(battery[tourist.id] || [], now),
+        batteryLevel: getBatteryLevel(tourist.batteryLevel),
+        accuracy: getAccuracyLevel(tourist.accuracy),
+        freshness: getFreshness(tourist.lastSeenAt, now),
+        lastPingAt: Number.isFinite(lastPingAt) ? lastPingAt : null,
+        remoteWarning: remoteWarnings[tourist.id] || null
+      };
+      return { ...row, warnings: getWarnings(row) };
+    });
+  }, [tourists, devices, battery, remoteWarnings, now]);
+
+  const rows = useMemo(() => {
+    const filter = FILTERS.find(f => f.id === filterId);
+    const query = search.trim().toLowerCase();
+    const column = COLUMNS.find(c => c.key === sort.key);
+    return allRows
+      .filter(row => filter.match(row))
+      .filter(row => !query || [row.tourist.name, row.deviceLabel, row.device?.deviceId].some(value => value?.toLowerCase().includes(query)))
+      .sort((a, b) => {
+        const [x, y] = [column.sortValue(a), column.sortValue(b)];
+        const order = x < y ? -1 : x > y ? 1 : 0;
+        return sort.order === 'asc' ? order : -order;
+      });
+  }, [allRows, filterId, search, sort]);
+
+  // Back-fill the monitor's battery log so trends show straight away, only for
+  // flagged tourists and the top of the table as filtered and sorted. Kept as
+  // a sorted id list so live updates that don't change who is shown don't
+  // restart the load
+  const backfillKey = useMemo(() => {
+    const ids = new Set(allRows.filter(row => row.warnings.length > 0).map(row => row.tourist.id));
+    rows.slice(0, BACKFILL_ROWS).forEach(row => ids.add(row.tourist.id));
+    return [...ids].sort().join(',');
+  }, [allRows, rows]);
+
+  useEffect(() => {
+    const requested = requestedRef.current;
+    const touristIds = backfillKey.split(',').filter(id => id && !requested.has(id));
+    if (touristIds.length === 0) return;
+    let cancelled = false;
+    const loaded = new Set();
+    touristIds.forEach(id => requested.add(id));
+    setProgress({ done: 0, total: touristIds.length });
+
+    const to = Date.now();
+    loadLocationHistories(touristIds, {
+      from: to - HISTORY_HOURS * HOUR_MS,
+      to,
+      limit: HISTORY_LIMIT,
+      onHistory: (touristId, locations) => {
+        loaded.add(touristId);
+        deviceHealthMonitor.addBatteryReadings(touristId, toBatterySamples(locations));
+      },
+      onProgress: setProgress,
+      isCancelled: () => cancelled
+    }).then(({ failed }) => {
+      if (cancelled) return;
+      setFailedHistories(prev => prev + failed);
+      setProgress(null);
+    });
+
+    // Whatever hadn't arrived is asked for again if it is still on screen
+    return () => {
+      cancelled = true;
+      touristIds.forEach(id => { if (!loaded.has(id)) requested.delete(id); });
+      setProgress(null);
+    };
+  }, [backfillKey, reloadKey]);
+
+  const connectedCount = allRows.filter(row => row.device).length;
+  const lowCount = allRows.filter(row => ['low', 'critical'].includes(row.batteryLevel)).length;
+  const remoteCount = allRows.filter(row => row.remoteWarning).length;
+  const poorGpsCount = allRows.filter(row => row.accuracy.id === 'poor').length;
+  const staleCount = allRows.filter(row => ['stale', 'old'].includes(row.freshness.id)).length;
+
+  const handleReload = () => {
+    requestedRef.current.clear();
+    setFailedHistories(0);
+    setReloadKey(key => key + 1);
+  };
+
+  const handleSort = (column) => {
+    if (!column.sortValue) return;
+    setSort(prev => ({
+      key: column.key,
+      order: prev.key === column.key && prev.order === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const handleExport = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`device-health-${stamp}.csv`, toCsv(rows, CSV_COLUMNS), 'text/csv');
+  };
+
+  const controlStyle = {
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '13px',
+    background: 'white'
+  };
+  const cellStyle = { padding: '10px 8px 10px 16px', whiteSpace: 'nowrap' };
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#f8fafc', padding: '24px', boxSizing: 'border-box' }}>
+      {/* Header */}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '20px' }}>
+        <div>
+          <h2 style={{ margin: 0, color: '#1e293b' }}>📱 Device Health</h2>
+          <p style={{ margin: '4px 0 0 0', color: '#6b7280', fontSize: '13px' }}>
+            {tourists.length} tourist{tourists.length === 1 ? '' : 's'} • {connectedCount} connected device{connectedCount === 1 ? '' : 's'}
+          </p>
+        </div>
+        <TopNavigation />
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '16px' }}>
+        <StatTile label="Connected" value={`${connectedCount} / ${tourists.length}`} color="#0891b2" />
+        <StatTile label="Low battery" value={lowCount} color={lowCount > 0 ? '#d97706' : '#1e293b'} />
+        <StatTile label="Low battery, remote" value={remoteCount} color={remoteCount > 0 ? '#dc2626' : '#1e293b'} />
+        <StatTile label="Poor GPS" value={poorGpsCount} color={poorGpsCount > 0 ? '#dc2626' : '#1e293b'} />
+        <StatTile label="Stale location" value={staleCount} color={staleCount > 0 ? '#d97706' : '#1e293b'} />
+      </div>
+
+      {/* Controls */}
+      <div className="dashboard-card" style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '16px' }}>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search tourist or device..."
+          style={{ ...controlStyle, minWidth: '220px' }}
+        />
+        <select value={filterId} onChange={(e) => setFilterId(e.target.value)} style={controlStyle}>
+          {FILTERS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+        </select>
+        <button
+          onClick={handleReload}
+          disabled={Boolean(progress)}
+          style={{ ...controlStyle, cursor: 'pointer', fontWeight: '600' }}
+        >
+          🔄 Refresh
+        </button>
+        <button onClick={handleExport} disabled={rows.length === 0} style={{ ...controlStyle, cursor: 'pointer', fontWeight: '600' }}>
+          ⬇️ Export CSV
+        </button>
+        <span style={{ fontSize: '12px', color: '#6b7280' }}>
+          {progress
+            ? `Loading battery history ${progress.done}/${progress.total}...`
+            : `Battery trends cover the last ${HISTORY_HOURS} hours plus live updates`}
+        </span>
+      </div>
+
+      {(devicesError || failedHistories > 0) && (
+        <div style={{
+          padding: '10px 16px',
+          marginBottom: '16px',
+          background: '#fef2f2',
+          border: '1px solid #ef4444',
+          borderRadius: '8px',
+          color: '#dc2626',
+          fontSize: '13px'
+        }}>
+          {devicesError && `Connected devices could not be loaded (${devicesError}); device and app columns are empty. `}
+          {failedHistories > 0 && `${failedHistories} location histories could not be loaded; their battery trends only cover live updates.`}
+        </div>
+      )}
+
+      <div className="dashboard-card" style={{ padding: 0, overflow: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ background: '#f9fafb', textAlign: 'left', color: '#6b7280', fontSize: '11px' }}>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => handleSort(column)}
+                  style={{
+                    padding: '10px 8px 10px 16px',
+                    textTransform: 'uppercase',
+                    cursor: column.sortValue ? 'pointer' : 'default',
+                    whiteSpace: 'nowrap',
+                    color: sort.key === column.key ? '#1a73e8' : undefined
+                  }}
+                >
+                  {column.label}
+                  {sort.key === column.key && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 ? (
+              <tr>
+                <td colSpan={COLUMNS.length} style={{ padding: '40px', textAlign: 'center', color: '#6b7280' }}>
+                  {ownersLoaded ? 'No devices match' : 'Loading tourists...'}
+                </td>
+              </tr>
+            ) : rows.map(row => (
+              <tr key={row.tourist.id} style={{ borderTop: '1px solid #f0f0f0' }}>
+                <td style={cellStyle}>
+                  <Link to={`/tourists/${row.tourist.id}`} style={{ fontWeight: '600', color: '#1e293b' }}>{row.tourist.name}</Link>
+                </td>
+                <td style={{ ...cellStyle, color: row.device ? undefined : '#9ca3af' }}>
+                  {row.deviceLabel}
+                  {row.otherDevices > 0 && <span style={{ color: '#6b7280' }}> +{row.otherDevices}</span>}
+                </td>
+                <td style={cellStyle}>{row.device?.appVersion || '—'}</td>
+                <td style={cellStyle}>
+                  <span style={{ display: 'inline-block', width: '40px', fontWeight: '600', color: BATTERY_COLORS[row.batteryLevel] }}>
+                    {row.tourist.batteryLevel !== null ? `${Math.round(row.tourist.batteryLevel)}%` : '—'}
+                  </span>
+                  <BatterySparkline
+                    samples={row.samples}
+                    from={now - HISTORY_HOURS * HOUR_MS}
+                    to={now}
+                    color={BATTERY_COLORS[row.batteryLevel]}
+                  />
+                </td>
+                <td style={{ ...cellStyle, color: row.trend?.direction === 'draining' && row.trend.hoursLeft < 2 ? '#dc2626' : undefined }}>
+                  {formatBatteryTrend(row.trend)}
+                </td>
+                <td style={cellStyle}>
+                  <span style={{ color: row.accuracy.color, fontWeight: '600' }}>{row.accuracy.label}</span>
+                  {row.tourist.accuracy !== null && <span style={{ color: '#6b7280' }}> ±{Math.round(row.tourist.accuracy)} m</span>}
+                </td>
+                <td style={cellStyle}>
+                  {row.tourist.speed !== null ? `${(row.tourist.speed * 3.6).toFixed(1)} km/h` : '—'}
+                  {' / '}
+                  {row.tourist.altitude !== null ? `${Math.round(row.tourist.altitude)} m` : '—'}
+                </td>
+                <td style={cellStyle}>
+                  <span style={{
+                    display: 'inline-block',
+                    width: '8px',
+                    height: '8px',
+                    borderRadius: '50%',
+                    background: row.freshness.color,
+                    marginRight: '6px'
+                  }} />
+                  {formatAge(row.lastPingAt, now)}
+                </td>
+                <td style={{ padding: '10px 8px 10px 16px' }}>
+                  {row.warnings.length === 0 ? <span style={{ color: '#16a34a' }}>OK</span> : row.warnings.map(warning => (
+                    <div key={warning.text} style={{ color: warning.color, fontSize: '12px', fontWeight: '600' }}>{warning.text}</div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p style={{ margin: '12px 0 0 0', fontSize: '11px', color: '#9ca3af' }}>
+        Remote means inside a restricted or warning zone, or more than {formatDistance(REMOTE_DISTANCE_METERS)} from every safe zone.
+        Locations older than 10 minutes count as stale; GPS fixes worse than ±100 m as poor.
+      </p>
+    </div>
+  );
+};
+
+export default DeviceHealth;
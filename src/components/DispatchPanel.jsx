@@ -0,0 +1,467 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { dispatchAPI } from '../services/api';
+import dataStore, { selectDispatches, selectResponderUnits, selectStatus } from '../services/dataStore';
+import { useDataStore } from '../hooks/useDataStore';
+import { normalizeCoordinates } from '../utils/normalizers';
+import { distanceMeters, formatDistance } from '../utils/geo';
+import {
+  DISPATCH_FLOW,
+  NEXT_DISPATCH_STATUSES,
+  getDispatchStatusStyle,
+  getUnitTypeIcon,
+  isDispatchActive,
+  getLatestDispatch,
+  formatEta
+} from '../utils/dispatch';
+
+const UNIT_TYPES = ['all', 'ambulance', 'police', 'fire', 'rescue'];
+
+// Pick a responder unit for an alert, then follow the dispatch until it is
+// resolved. A finished dispatch stays on screen with its outcome until
+// another unit is sent.
+const DispatchPanel = ({ alert, onClose, onViewOnMap }) => {
+  const dispatches = useDataStore(selectDispatches);
+  const units = useDataStore(selectResponderUnits);
+  const unitsStatus = useDataStore(selectStatus('responderUnits'));
+  const [selectedUnitId, setSelectedUnitId] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [notes, setNotes] = useState('');
+  const [statusNote, setStatusNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [redispatching, setRedispatching] = useState(false);
+
+  const alertLocation = useMemo(() => normalizeCoordinates(alert.location), [alert.location]);
+  const dispatch = useMemo(() => getLatestDispatch(dispatches, alert.id), [dispatches, alert.id]);
+  const dispatchActive = Boolean(dispatch) && isDispatchActive(dispatch);
+
+  useEffect(() => {
+    dataStore.load('responderUnits', { force: true });
+    dataStore.load('dispatches');
+  }, []);
+
+  // Keep the ETA countdown moving while a unit is on its way
+  useEffect(() => {
+    if (!dispatchActive || !dispatch?.etaAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [dispatchActive, dispatch?.etaAt]);
+
+  // Available units, nearest to the alert first
+  const candidateUnits = useMemo(() => {
+    return units
+      .filter(unit => unit.status === 'available')
+      .filter(unit => typeFilter === 'all' || unit.type === typeFilter)
+      .map(unit => ({
+        ...unit,
+        distance: alertLocation && unit.lat !== null ? distanceMeters(alertLocation, unit) : null
+      }))
+      .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+  }, [units, typeFilter, alertLocation]);
+
+  const handleDispatch = async () => {
+    if (!selectedUnitId) return;
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await dispatchAPI.create({
+        alertId: alert.id,
+        unitId: selectedUnitId,
+        notes: notes.trim(),
+        destination: alertLocation ? { latitude: alertLocation.lat, longitude: alertLocation.lng } : null
+      });
+      const created = response.data.data?.dispatch || response.data.data || response.data;
+      dataStore.upsert('dispatches', created);
+      dataStore.invalidate('responderUnits');
+      setNotes('');
+      setRedispatching(false);
+    } catch (err) {
+      console.error('Failed to dispatch unit:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStatusChange = async (status) => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await dispatchAPI.updateStatus(dispatch.id, status, statusNote.trim());
+      const updated = response.data.data?.dispatch || response.data.data || { id: dispatch.id, status };
+      dataStore.upsert('dispatches', updated);
+      setStatusNote('');
+    } catch (err) {
+      console.error('Failed to update dispatch:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderStatusView = () => {
+    const unit = dispatch.unit || units.find(u => u.id === dispatch.unitId);
+    const eta = formatEta(dispatch.etaAt, now);
+    const currentIndex = DISPATCH_FLOW.indexOf(dispatch.status);
+    const nextStatuses = NEXT_DISPATCH_STATUSES[dispatch.status] || [];
+    const finalStyle = getDispatchStatusStyle(dispatch.status);
+    const finishedAt = dispatch.history?.findLast(entry => entry.status === dispatch.status)?.at || dispatch.updatedAt;
+
+    return (
+      <>
+        {/* Unit */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+          padding: '12px',
+          background: '#f8f9fa',
+          borderRadius: '10px',
+          marginBottom: '16px'
+        }}>
+          <span style={{ fontSize: '28px' }}>{getUnitTypeIcon(unit?.type)}</span>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: '600', fontSize: '14px' }}>{unit?.name || dispatch.unitId}</div>
+            <div style={{ fontSize: '12px', color: '#666' }}>{unit?.agency}</div>
+          </div>
+          {eta && dispatchActive && dispatch.status !== 'on_scene' && (
+            <div style={{ textAlign: 'right' }}>
+              <div style={{ fontSize: '10px', color: '#888', fontWeight: '600' }}>ETA</div>
+              <div style={{ fontSize: '18px', fontWeight: '700', color: '#d97706' }}>{eta}</div>
+            </div>
+          )}
+        </div>
+
+        {/* Progress */}
+        <div style={{ display: 'flex', gap: '4px', marginBottom: '16px' }}>
+          {DISPATCH_FLOW.map((status, index) => {
+            const style = getDispatchStatusStyle(status);
+            const reached = currentIndex >= index;
+            return (
+              <div key={status} style={{ flex: 1, textAlign: 'center' }}>
+                <div style={{
+                  height: '6px',
+                  borderRadius: '3px',
+                  background: reached ? style.color : '#e5e7eb',
+                  marginBottom: '6px'
+                }} />
+                <div style={{ fontSize: '11px', fontWeight: reached ? '600' : '400', color: reached ? style.color : '#999' }}>
+                  {style.label}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* History */}
+        {dispatch.history?.length > 0 && (
+          <div style={{ marginBottom: '16px' }}>
+            <div style={{ fontSize: '10px', color: '#888', fontWeight: '600', marginBottom: '6px' }}>HISTORY</div>
+            {dispatch.history.map((entry, index) => (
+              <div key={index} style={{ fontSize: '12px', color: '#444', padding: '4px 0', borderBottom: '1px solid #f0f0f0' }}>
+                <strong>{getDispatchStatusStyle(entry.status).label}</strong>
+                {' • '}{new Date(entry.at).toLocaleTimeString()}
+                {entry.by && <span style={{ color: '#888' }}> by {entry.by}</span>}
+                {entry.note && <div style={{ color: '#666', marginTop: '2px' }}>{entry.note}</div>}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {nextStatuses.length > 0 && (
+          <>
+            <input
+              type="text"
+              placeholder="Note for this update (optional)"
+              value={statusNote}
+              onChange={(e) => setStatusNote(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '8px 10px',
+                border: '1px solid #d1d5db',
+                borderRadius: '8px',
+                fontSize: '13px',
+                boxSizing: 'border-box',
+                marginBottom: '10px'
+              }}
+            />
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {nextStatuses.map(status => {
+                const style = getDispatchStatusStyle(status);
+                const isCancel = status === 'cancelled';
+                return (
+                  <button
+                    key={status}
+                    onClick={() => handleStatusChange(status)}
+                    disabled={submitting}
+                    style={{
+                      flex: isCancel ? 'none' : 1,
+                      padding: '10px 14px',
+                      borderRadius: '8px',
+                      border: isCancel ? '1px solid #d1d5db' : 'none',
+                      background: isCancel ? 'white' : style.color,
+                      color: isCancel ? '#666' : 'white',
+                      fontSize: '13px',
+                      fontWeight: '600',
+                      cursor: submitting ? 'not-allowed' : 'pointer',
+                      opacity: submitting ? 0.7 : 1
+                    }}
+                  >
+                    {isCancel ? 'Call off' : `${style.icon} Mark ${style.label.toLowerCase()}`}
+                  </button>
+                );
+              })}
+            </div>
+          </>
+        )}
+
+        {!dispatchActive && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '10px',
+            padding: '10px 12px',
+            marginBottom: '10px',
+            borderRadius: '8px',
+            background: finalStyle.bg,
+            color: finalStyle.color,
+            fontSize: '13px',
+            fontWeight: '600'
+          }}>
+            <span style={{ flex: 1 }}>
+              {finalStyle.icon} Dispatch {finalStyle.label.toLowerCase()}
+              {finishedAt && <span style={{ fontWeight: '400' }}> • {new Date(finishedAt).toLocaleTimeString()}</span>}
+            </span>
+            <button
+              onClick={() => setRedispatching(true)}
+              style={{
+                padding: '6px 10px',
+                borderRadius: '6px',
+                border: `1px solid ${finalStyle.color}`,
+                background: 'white',
+                color: finalStyle.color,
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              🚑 Dispatch another unit
+            </button>
+          </div>
+        )}
+
+        {dispatchActive && onViewOnMap && (dispatch.unitLocation || (unit && unit.lat !== null)) && (
+          <button
+            onClick={() => onViewOnMap(dispatch.unitLocation || { lat: unit.lat, lng: unit.lng })}
+            style={{
+              width: '100%',
+              marginTop: '10px',
+              padding: '8px',
+              borderRadius: '8px',
+              border: '1px solid #1a73e8',
+              background: 'white',
+              color: '#1a73e8',
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            🗺️ Show responder on map
+          </button>
+        )}
+      </>
+    );
+  };
+
+  const renderUnitPicker = () => (
+    <>
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '12px', flexWrap: 'wrap' }}>
+        {UNIT_TYPES.map(type => (
+          <button
+            key={type}
+            onClick={() => setTypeFilter(type)}
+            style={{
+              padding: '5px 10px',
+              borderRadius: '14px',
+              border: typeFilter === type ? '1px solid #1a73e8' : '1px solid #e5e7eb',
+              background: typeFilter === type ? '#e8f0fe' : 'white',
+              color: typeFilter === type ? '#1a73e8' : '#444',
+              fontSize: '12px',
+              cursor: 'pointer',
+              textTransform: 'capitalize'
+            }}
+          >
+            {type === 'all' ? 'All units' : `${getUnitTypeIcon(type)} ${type}`}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ maxHeight: '260px', overflowY: 'auto', marginBottom: '12px' }}>
+        {unitsStatus === 'loading' && units.length === 0 ? (
+          <div style={{ textAlign: 'center', padding: '24px', color: '#666', fontSize: '13px' }}>Loading units...</div>
+        ) : candidateUnits.length === 0 ? (
+          <div style={{ textAlign: 'center', padding: '24px', color: '#666', fontSize: '13px' }}>
+            No available units{typeFilter !== 'all' ? ` of type ${typeFilter}` : ''}
+          </div>
+        ) : (
+          candidateUnits.map(unit => (
+            <div
+              key={unit.id}
+              onClick={() => setSelectedUnitId(unit.id)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '10px',
+                padding: '10px',
+                marginBottom: '6px',
+                borderRadius: '8px',
+                border: selectedUnitId === unit.id ? '2px solid #1a73e8' : '1px solid #e5e7eb',
+                background: selectedUnitId === unit.id ? '#f0f6ff' : 'white',
+                cursor: 'pointer'
+              }}
+            >
+              <span style={{ fontSize: '22px' }}>{getUnitTypeIcon(unit.type)}</span>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontSize: '13px', fontWeight: '600' }}>{unit.name}</div>
+                <div style={{ fontSize: '11px', color: '#666' }}>{unit.agency}</div>
+              </div>
+              <div style={{ fontSize: '12px', color: '#444', fontWeight: '600' }}>
+                {unit.distance !== null ? formatDistance(unit.distance) : ''}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      <textarea
+        placeholder="Notes for the responder (optional)"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        rows={2}
+        style={{
+          width: '100%',
+          padding: '8px 10px',
+          border: '1px solid #d1d5db',
+          borderRadius: '8px',
+          fontSize: '13px',
+          boxSizing: 'border-box',
+          resize: 'vertical',
+          marginBottom: '12px'
+        }}
+      />
+
+      <button
+        onClick={handleDispatch}
+        disabled={!selectedUnitId || submitting}
+        style={{
+          width: '100%',
+          padding: '12px',
+          borderRadius: '8px',
+          border: 'none',
+          background: !selectedUnitId || submitting ? '#fca5a5' : '#ef4444',
+          color: 'white',
+          fontSize: '14px',
+          fontWeight: '600',
+          cursor: !selectedUnitId || submitting ? 'not-allowed' : 'pointer'
+        }}
+      >
+        {submitting ? 'Dispatching...' : '🚑 Dispatch selected unit'}
+      </button>
+    </>
+  );
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.5)',
+          backdropFilter: 'blur(4px)',
+          zIndex: 1100
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '460px',
+        maxWidth: '95vw',
+        maxHeight: '90vh',
+        background: 'white',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        zIndex: 1101,
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden'
+      }}>
+        {/* Header */}
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid #eee',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          background: 'linear-gradient(135deg, #ef444422, #ef444444)'
+        }}>
+          <div>
+            <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1a1a1a' }}>
+              🚑 Emergency Dispatch
+            </h3>
+            <p style={{ margin: '4px 0 0 0', fontSize: '13px', color: '#666' }}>
+              {alert.tourist?.name || 'Unknown tourist'}
+              {alertLocation ? ` • ${alertLocation.lat.toFixed(5)}, ${alertLocation.lng.toFixed(5)}` : ''}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              width: '32px',
+              height: '32px',
+              borderRadius: '50%',
+              border: 'none',
+              background: 'rgba(0,0,0,0.1)',
+              cursor: 'pointer',
+              fontSize: '18px',
+              color: '#666'
+            }}
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Content */}
+        <div style={{ flex: 1, overflowY: 'auto', padding: '16px 20px' }}>
+          {error && (
+            <div style={{
+              background: '#fef2f2',
+              border: '1px solid #ef4444',
+              color: '#dc2626',
+              borderRadius: '8px',
+              padding: '8px 12px',
+              fontSize: '12px',
+              marginBottom: '12px'
+            }}>
+              {error}
+            </div>
+          )}
+          {dispatch && !(redispatching && !dispatchActive) ? renderStatusView() : renderUnitPicker()}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default DispatchPanel;
@@ -0,0 +1,349 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import escalationEngine from '../services/escalationEngine';
+import { ESCALATION_ACTIONS, ESCALATION_ACTION_LABELS } from '../utils/escalation';
+
+const SEVERITIES = ['emergency', 'high', 'medium', 'low'];
+const ALERT_TYPES = ['panic_button', 'sos', 'medical', 'geofence', 'group_separation', 'route_deviation', 'route_overdue', 'safety', 'inactivity', 'low_battery'];
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const toggleValue = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// Edit the escalation policies: which alerts they match and their timed steps
+const EscalationPoliciesModal = ({ onClose }) => {
+  const { policies } = useSyncExternalStore(escalationEngine.subscribe, escalationEngine.getState);
+  const [draft, setDraft] = useState(() => JSON.parse(JSON.stringify(policies)));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updatePolicy = (policyId, changes) => {
+    setDraft(prev => prev.map(p => (p.id === policyId ? { ...p, ...changes } : p)));
+  };
+
+  const updateStep = (policy, stepId, changes) => {
+    updatePolicy(policy.id, { steps: policy.steps.map(s => (s.id === stepId ? { ...s, ...changes } : s)) });
+  };
+
+  const movePolicy = (index, direction) => {
+    setDraft(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + direction, 0, moved);
+      return next;
+    });
+  };
+
+  const addPolicy = () => {
+    setDraft(prev => [...prev, {
+      id: newId('policy'),
+      name: 'New policy',
+      severities: [],
+      types: [],
+      steps: [{ id: newId('step'), afterMinutes: 5, action: ESCALATION_ACTIONS.SUPERVISOR, target: '' }]
+    }]);
+  };
+
+  const validate = () => {
+    for (const policy of draft) {
+      if (!policy.name.trim()) return 'Every policy needs a name';
+      if (policy.steps.length === 0) return `"${policy.name}" has no steps`;
+      for (const step of policy.steps) {
+        if (!(step.afterMinutes > 0)) return `"${policy.name}" has a step without a delay`;
+        if (step.action === ESCALATION_ACTIONS.PAGE && !step.target?.trim()) {
+          return `"${policy.name}" pages without a number`;
+        }
+      }
+    }
+    return null;
+  };
+
+  const handleSave = async () => {
+    const problem = validate();
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    setError(null);
+
+    try {
+      await escalationEngine.savePolicies(draft);
+      onClose();
+    } catch (err) {
+      console.error('Failed to save escalation policies:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const chipStyle = (isActive) => ({
+    padding: '3px 8px',
+    borderRadius: '10px',
+    border: '1px solid ' + (isActive ? '#1a73e8' : '#ddd'),
+    background: isActive ? '#1a73e8' : 'white',
+    color: isActive ? 'white' : '#555',
+    fontSize: '11px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    textTransform: 'capitalize'
+  });
+
+  const inputStyle = {
+    padding: '6px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '12px'
+  };
+
+  const smallButton = {
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    fontSize: '13px',
+    color: '#666',
+    padding: '2px 6px'
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.5)',
+          backdropFilter: 'blur(4px)',
+          zIndex: 1100
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '640px',
+        maxWidth: '95vw',
+        maxHeight: '90vh',
+        background: 'white',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        zIndex: 1101,
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden'
+      }}>
+        {/* Header */}
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid #eee',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          background: 'linear-gradient(135deg, #f59e0b22, #f59e0b44)'
+        }}>
+          <div>
+            <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1a1a1a' }}>
+              ⏫ Escalation Policies
+            </h3>
+            <p style={{ margin: '4px 0 0 0', fontSize: '13px', color: '#666' }}>
+              Steps run while an alert stays unacknowledged. The first matching policy applies.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              width: '32px',
+              height: '32px',
+              borderRadius: '50%',
+              border: 'none',
+              background: 'rgba(0,0,0,0.1)',
+              cursor: 'pointer',
+              fontSize: '18px',
+              color: '#666'
+            }}
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Content */}
+        <div style={{ flex: 1, overflowY: 'auto', padding: '16px 20px' }}>
+          {error && (
+            <div style={{
+              background: '#fef2f2',
+              border: '1px solid #ef4444',
+              color: '#dc2626',
+              borderRadius: '8px',
+              padding: '8px 12px',
+              fontSize: '12px',
+              marginBottom: '12px'
+            }}>
+              {error}
+            </div>
+          )}
+
+          {draft.map((policy, index) => (
+            <div
+              key={policy.id}
+              style={{ border: '1px solid #e5e7eb', borderRadius: '10px', padding: '12px', marginBottom: '12px' }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}>
+                <span style={{ fontSize: '11px', color: '#888', fontWeight: '600' }}>#{index + 1}</span>
+                <input
+                  value={policy.name}
+                  onChange={(e) => updatePolicy(policy.id, { name: e.target.value })}
+                  style={{ ...inputStyle, flex: 1, fontWeight: '600' }}
+                />
+                <button onClick={() => movePolicy(index, -1)} disabled={index === 0} style={smallButton} title="Move up">▲</button>
+                <button onClick={() => movePolicy(index, 1)} disabled={index === draft.length - 1} style={smallButton} title="Move down">▼</button>
+                <button
+                  onClick={() => setDraft(prev => prev.filter(p => p.id !== policy.id))}
+                  style={{ ...smallButton, color: '#dc2626' }}
+                  title="Remove policy"
+                >
+                  🗑️
+                </button>
+              </div>
+
+              <div style={{ fontSize: '10px', color: '#888', fontWeight: '600', marginBottom: '4px' }}>
+                SEVERITIES {policy.severities.length === 0 && '(any)'}
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '8px' }}>
+                {SEVERITIES.map(severity => (
+                  <button
+                    key={severity}
+                    onClick={() => updatePolicy(policy.id, { severities: toggleValue(policy.severities, severity) })}
+                    style={chipStyle(policy.severities.includes(severity))}
+                  >
+                    {severity}
+                  </button>
+                ))}
+              </div>
+
+              <div style={{ fontSize: '10px', color: '#888', fontWeight: '600', marginBottom: '4px' }}>
+                ALERT TYPES {policy.types.length === 0 && '(any)'}
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '10px' }}>
+                {ALERT_TYPES.map(type => (
+                  <button
+                    key={type}
+                    onClick={() => updatePolicy(policy.id, { types: toggleValue(policy.types, type) })}
+                    style={chipStyle(policy.types.includes(type))}
+                  >
+                    {type.replace(/_/g, ' ')}
+                  </button>
+                ))}
+              </div>
+
+              <div style={{ fontSize: '10px', color: '#888', fontWeight: '600', marginBottom: '4px' }}>STEPS</div>
+              {policy.steps.map(step => (
+                <div key={step.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px', fontSize: '12px' }}>
+                  <span>After</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={step.afterMinutes}
+                    onChange={(e) => updateStep(policy, step.id, { afterMinutes: Number(e.target.value) })}
+                    style={{ ...inputStyle, width: '56px' }}
+                  />
+                  <span>min</span>
+                  <select
+                    value={step.action}
+                    onChange={(e) => updateStep(policy, step.id, { action: e.target.value })}
+                    style={inputStyle}
+                  >
+                    {Object.values(ESCALATION_ACTIONS).map(action => (
+                      <option key={action} value={action}>{ESCALATION_ACTION_LABELS[action]}</option>
+                    ))}
+                  </select>
+                  {step.action === ESCALATION_ACTIONS.PAGE && (
+                    <input
+                      type="tel"
+                      placeholder="Number to page"
+                      value={step.target || ''}
+                      onChange={(e) => updateStep(policy, step.id, { target: e.target.value })}
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                  )}
+                  <button
+                    onClick={() => updatePolicy(policy.id, { steps: policy.steps.filter(s => s.id !== step.id) })}
+                    style={{ ...smallButton, marginLeft: 'auto' }}
+                    title="Remove step"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => updatePolicy(policy.id, {
+                  steps: [...policy.steps, { id: newId('step'), afterMinutes: 10, action: ESCALATION_ACTIONS.RENOTIFY, target: '' }]
+                })}
+                style={{ ...smallButton, color: '#1a73e8', fontSize: '12px', fontWeight: '600' }}
+              >
+                + Add step
+              </button>
+            </div>
+          ))}
+
+          <button
+            onClick={addPolicy}
+            style={{
+              width: '100%',
+              padding: '10px',
+              border: '2px dashed #d1d5db',
+              borderRadius: '10px',
+              background: 'white',
+              color: '#666',
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            + Add policy
+          </button>
+        </div>
+
+        {/* Footer */}
+        <div style={{
+          padding: '12px 20px',
+          borderTop: '1px solid #eee',
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: '8px'
+        }}>
+          <button
+            onClick={onClose}
+            style={{ padding: '8px 16px', borderRadius: '8px', border: '1px solid #d1d5db', background: 'white', fontSize: '13px', cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            style={{
+              padding: '8px 16px',
+              borderRadius: '8px',
+              border: 'none',
+              background: saving ? '#93c5fd' : '#1a73e8',
+              color: 'white',
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: saving ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {saving ? 'Saving...' : 'Save policies'}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default EscalationPoliciesModal;
@@ -0,0 +1,395 @@
+import React, { useState, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
+import { trackingAPI } from '../services/api';
+import dataStore, { selectGeofences } from '../services/dataStore';
+import { loadLocationHistories } from '../services/locationHistory';
+import geofenceMonitor from '../services/geofenceMonitor';
+import viewportLoader from '../services/viewportLoader';
+import { useDataStore } from '../hooks/useDataStore';
+import {
+  ANALYTICS_PERIODS,
+  DWELL_BUCKETS,
+  ZONE_ACTIVITY,
+  ZONE_ACTIVITY_LABELS,
+  toTrack,
+  parseHeatmapPoints,
+  buildZoneAnalytics,
+  getZoneActivity
+} from '../utils/geofenceAnalytics';
+import { formatDwellTime, isBreachFence } from '../utils/geofenceBreaches';
+import { formatGeofenceSize, getGeofenceBounds } from '../utils/geofenceShapes';
+import { getAreaTiles } from '../utils/mapTiles';
+import { toCsv, downloadFile } from '../utils/exportFile';
+import TopNavigation from './TopNavigation';
+import BarChart from './BarChart';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TYPE_COLORS = { safe: '#16a34a', warning: '#f59e0b', restricted: '#dc2626' };
+const ACTIVITY_COLORS = { busy: '#dc2626', normal: '#6b7280', ignored: '#9ca3af' };
+
+const selectGeofencesLoaded = (state) => Boolean(state.geofences.loadedAt);
+
+const formatDwell = (ms) => (ms === null ? '—' : formatDwellTime(ms));
+
+// sortValue picks what a column sorts by; columns without one can't be sorted
+const COLUMNS = [
+  { key: 'name', label: 'Zone', sortValue: (row) => row.fence.name.toLowerCase() },
+  { key: 'inside', label: 'Inside now', sortValue: (row) => row.inside },
+  { key: 'visits', label: 'Visits', sortValue: (row) => row.stats.visits },
+  { key: 'visitors', label: 'Visitors', sortValue: (row) => row.stats.visitors },
+  { key: 'peak', label: 'Peak / hour', sortValue: (row) => row.stats.peakVisitors },
+  { key: 'dwell', label: 'Avg dwell', sortValue: (row) => row.stats.averageDwellMs ?? -1 },
+  { key: 'breaches', label: 'Breaches', sortValue: (row) => row.stats.breaches },
+  { key: 'heat', label: 'Heat / km²', sortValue: (row) => row.stats.heatDensity },
+  { key: 'activity', label: 'Activity' }
+];
+
+const CSV_COLUMNS = [
+  { label: 'Zone ID', value: (row) => row.fence.id },
+  { label: 'Zone', value: (row) => row.fence.name },
+  { label: 'Type', value: (row) => row.fence.type },
+  { label: 'Inside now', value: (row) => row.inside },
+  { label: 'Visits', value: (row) => row.stats.visits },
+  { label: 'Unique visitors', value: (row) => row.stats.visitors },
+  { label: 'Peak visitors per hour', value: (row) => row.stats.peakVisitors },
+  { label: 'Average dwell (minutes)', value: (row) => (row.stats.averageDwellMs === null ? '' : Math.round(row.stats.averageDwellMs / 60000)) },
+  { label: 'Breaches', value: (row) => row.stats.breaches },
+  { label: 'Heat', value: (row) => row.stats.heat.toFixed(2) },
+  { label: 'Heat per km²', value: (row) => row.stats.heatDensity.toFixed(2) },
+  { label: 'Activity', value: (row) => row.activity }
+];
+
+const StatTile = ({ label, value, color = '#1e293b' }) => (
+  <div style={{ flex: '1 1 110px', padding: '10px 12px', background: '#f9fafb', borderRadius: '8px' }}>
+    <div style={{ fontSize: '11px', color: '#6b7280', textTransform: 'uppercase' }}>{label}</div>
+    <div style={{ fontSize: '20px', fontWeight: '700', color }}>{value}</div>
+  </div>
+);
+
+// Zone analytics page: per-geofence occupancy, visits, dwell time and breaches
+// over a chosen period, rebuilt from the location history of the tourists in
+// the map tiles around the zones
+const GeofenceAnalytics = () => {
+  const geofences = useDataStore(selectGeofences);
+  const geofencesLoaded = useDataStore(selectGeofencesLoaded);
+  const { occupants } = useSyncExternalStore(geofenceMonitor.subscribe, geofenceMonitor.getState);
+
+  const [periodId, setPeriodId] = useState(ANALYTICS_PERIODS[0].id);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [data, setData] = useState(null); // { periodId, from, to, tracks, heatPoints, failedHistories, truncatedHistories, heatmapFailed }
+  const [progress, setProgress] = useState(null); // { done, total } while histories load, total null until the tourists are known
+  const [sort, setSort] = useState({ key: 'visits', order: 'desc' });
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    dataStore.load('geofences');
+  }, []);
+
+  // Fences are read once per load rather than tracked, and the tourists
+  // whose histories are loaded are those in the tiles around them now
+  useEffect(() => {
+    if (!geofencesLoaded) return;
+    let cancelled = false;
+    const period = ANALYTICS_PERIODS.find(p => p.id === periodId);
+    const to = Date.now();
+    const from = to - period.hours * HOUR_MS;
+    const params = { startDate: new Date(from).toISOString(), endDate: new Date(to).toISOString() };
+    const tiles = getAreaTiles(dataStore.getState().geofences.list.map(getGeofenceBounds).filter(Boolean));
+    const tracks = [];
+    setProgress({ done: 0, total: null });
+
+    const heatmap = trackingAPI.getHeatmapData(params)
+      .then(response => parseHeatmapPoints(response.data.data?.points || response.data?.points || []))
+      .catch(err => {
+        console.error('Failed to load heatmap data:', err);
+        return null;
+      });
+
+    const histories = viewportLoader.load('tourists', tiles).then(touristIds => {
+      if (cancelled) return { failed: 0, truncated: 0 };
+      setProgress({ done: 0, total: touristIds.length });
+      return loadLocationHistories(touristIds, {
+        from,
+        to,
+        onHistory: (touristId, locations) => tracks.push({ touristId, points: toTrack(locations) }),
+        onProgress: setProgress,
+        isCancelled: () => cancelled
+      });
+    });
+
+    Promise.all([heatmap, histories]).then(([heatPoints, { failed, truncated }]) => {
+      if (cancelled) return;
+      setData({
+        periodId,
+        from,
+        to,
+        tracks,
+        heatPoints: heatPoints || [],
+        failedHistories: failed,
+        truncatedHistories: truncated,
+        heatmapFailed: heatPoints === null
+      });
+      setProgress(null);
+    });
+
+    return () => { cancelled = true; };
+  }, [periodId, reloadKey, geofencesLoaded]);
+
+  const analytics = useMemo(() => (data
+    ? buildZoneAnalytics({ fences: geofences, tracks: data.tracks, heatPoints: data.heatPoints, from: data.from, to: data.to })
+    : null), [geofences, data]);
+
+  const rows = useMemo(() => {
+    if (!analytics) return [];
+    const allStats = Object.values(analytics);
+    const column = COLUMNS.find(c => c.key === sort.key);
+    return geofences
+      .map(fence => ({
+        fence,
+        stats: analytics[fence.id],
+        inside: (occupants[fence.id] || []).length,
+        activity: getZoneActivity(analytics[fence.id], allStats)
+      }))
+      .sort((a, b) => {
+        const [x, y] = [column.sortValue(a), column.sortValue(b)];
+        const order = x < y ? -1 : x > y ? 1 : 0;
+        return sort.order === 'asc' ? order : -order;
+      });
+  }, [analytics, geofences, occupants, sort]);
+
+  const selected = rows.find(row => row.fence.id === selectedId) || rows[0] || null;
+  // Labels follow the data on screen, which lags the picker while it loads
+  const period = ANALYTICS_PERIODS.find(p => p.id === (data?.periodId || periodId));
+  const crowdedCount = rows.filter(row => row.activity === ZONE_ACTIVITY.BUSY).length;
+  const ignoredCount = rows.filter(row => row.activity === ZONE_ACTIVITY.IGNORED).length;
+
+  const handleSort = (column) => {
+    if (!column.sortValue) return;
+    setSort(prev => ({
+      key: column.key,
+      order: prev.key === column.key && prev.order === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const handleExport = () => {
+    const stamp = new Date(data.to).toISOString().slice(0, 10);
+    downloadFile(`zone-analytics-${period.id}-${stamp}.csv`, toCsv(rows, CSV_COLUMNS), 'text/csv');
+  };
+
+  const shortPeriod = period.hours <= 24;
+  const hourlyBars = selected ? selected.stats.hourly.map(bucket => {
+    const start = new Date(bucket.start);
+    return {
+      key: bucket.start,
+      value: bucket.visitors,
+      label: shortPeriod
+        ? start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : start.toLocaleDateString([], { weekday: 'short', day: 'numeric' }),
+      title: `${start.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}: ${bucket.visitors} visitor${bucket.visitors === 1 ? '' : 's'}`
+    };
+  }) : [];
+  const dwellBars = selected ? DWELL_BUCKETS.map((bucket, i) => ({
+    key: bucket.label,
+    value: selected.stats.dwellBuckets[i],
+    label: bucket.label
+  })) : [];
+
+  const controlStyle = {
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '13px',
+    background: 'white'
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#f8fafc', padding: '24px', boxSizing: 'border-box' }}>
+      {/* Header */}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '20px' }}>
+        <div>
+          <h2 style={{ margin: 0, color: '#1e293b' }}>📊 Zone Analytics</h2>
+          <p style={{ margin: '4px 0 0 0', color: '#6b7280', fontSize: '13px' }}>
+            {geofences.length} zone{geofences.length === 1 ? '' : 's'}
+            {data && ` • ${crowdedCount} crowded • ${ignoredCount} ignored • ${data.tracks.length} tourist histories`}
+          </p>
+        </div>
+        <TopNavigation />
+      </div>
+
+      {/* Controls */}
+      <div className="dashboard-card" style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '16px' }}>
+        <select value={periodId} onChange={(e) => setPeriodId(e.target.value)} style={controlStyle}>
+          {ANALYTICS_PERIODS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+        <button
+          onClick={() => setReloadKey(key => key + 1)}
+          disabled={Boolean(progress)}
+          style={{ ...controlStyle, cursor: 'pointer', fontWeight: '600' }}
+        >
+          🔄 Refresh
+        </button>
+        <button onClick={handleExport} disabled={!data || rows.length === 0} style={{ ...controlStyle, cursor: 'pointer', fontWeight: '600' }}>
+          ⬇️ Export CSV
+        </button>
+        <span style={{ fontSize: '12px', color: '#6b7280' }}>
+          {progress
+            ? (progress.total === null
+              ? 'Finding tourists around the zones...'
+              : `Loading location history ${progress.done}/${progress.total}...`)
+            : data && `${new Date(data.from).toLocaleString()} – ${new Date(data.to).toLocaleString()}`}
+        </span>
+      </div>
+
+      {data && (data.failedHistories > 0 || data.truncatedHistories > 0 || data.heatmapFailed) && (
+        <div style={{
+          padding: '10px 16px',
+          marginBottom: '16px',
+          background: '#fef2f2',
+          border: '1px solid #ef4444',
+          borderRadius: '8px',
+          color: '#dc2626',
+          fontSize: '13px'
+        }}>
+          {data.failedHistories > 0 && `${data.failedHistories} location histories could not be loaded; visit counts may be low. `}
+          {data.truncatedHistories > 0 && `${data.truncatedHistories} tourists sent more updates than can be loaded for this period; their visits are incomplete. `}
+          {data.heatmapFailed && 'Heatmap data is unavailable; heat figures show as zero.'}
+        </div>
+      )}
+
+      {/* Per-zone summary */}
+      <div className="dashboard-card" style={{ padding: 0, overflow: 'auto', marginBottom: '16px' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', opacity: progress ? 0.6 : 1 }}>
+          <thead>
+            <tr style={{ background: '#f9fafb', textAlign: 'left', color: '#6b7280', fontSize: '11px' }}>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => handleSort(column)}
+                  style={{
+                    padding: '10px 8px 10px 16px',
+                    textTransform: 'uppercase',
+                    cursor: column.sortValue ? 'pointer' : 'default',
+                    whiteSpace: 'nowrap',
+                    color: sort.key === column.key ? '#1a73e8' : undefined
+                  }}
+                >
+                  {column.label}
+                  {sort.key === column.key && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 ? (
+              <tr>
+                <td colSpan={COLUMNS.length} style={{ padding: '40px', textAlign: 'center', color: '#6b7280' }}>
+                  {data ? 'No geofences to analyse' : 'Loading location history...'}
+                </td>
+              </tr>
+            ) : rows.map(row => (
+              <tr
+                key={row.fence.id}
+                onClick={() => setSelectedId(row.fence.id)}
+                style={{
+                  borderTop: '1px solid #f0f0f0',
+                  background: selected?.fence.id === row.fence.id ? '#f0f6ff' : 'white',
+                  cursor: 'pointer'
+                }}
+              >
+                <td style={{ padding: '10px 8px 10px 16px' }}>
+                  <span style={{
+                    display: 'inline-block',
+                    width: '8px',
+                    height: '8px',
+                    borderRadius: '50%',
+                    background: TYPE_COLORS[row.fence.type] || '#6b7280',
+                    marginRight: '8px'
+                  }} />
+                  <strong>{row.fence.name}</strong>
+                </td>
+                <td style={{ padding: '10px 8px 10px 16px' }}>{row.inside}</td>
+                <td style={{ padding: '10px 8px 10px 16px' }}>{row.stats.visits}</td>
+                <td style={{ padding: '10px 8px 10px 16px' }}>{row.stats.visitors}</td>
+                <td style={{ padding: '10px 8px 10px 16px' }}>{row.stats.peakVisitors}</td>
+                <td style={{ padding: '10px 8px 10px 16px' }}>{formatDwell(row.stats.averageDwellMs)}</td>
+                <td style={{ padding: '10px 8px 10px 16px', color: row.stats.breaches > 0 ? '#dc2626' : undefined }}>
+                  {isBreachFence(row.fence) ? row.stats.breaches : '—'}
+                </td>
+                <td style={{ padding: '10px 8px 10px 16px' }}>{row.stats.heatDensity.toFixed(1)}</td>
+                <td style={{ padding: '10px 8px 10px 16px', color: ACTIVITY_COLORS[row.activity], fontWeight: '600' }}>
+                  {ZONE_ACTIVITY_LABELS[row.activity]}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Selected zone */}
+      {selected && (
+        <div className="dashboard-card">
+          <div style={{ display: 'flex', alignItems: 'baseline', justifyContent: 'space-between', marginBottom: '12px' }}>
+            <h3 style={{ margin: 0, color: '#1e293b' }}>
+              {selected.fence.name}
+              <span style={{ marginLeft: '8px', fontSize: '12px', fontWeight: '600', color: TYPE_COLORS[selected.fence.type], textTransform: 'capitalize' }}>
+                {selected.fence.type}
+              </span>
+            </h3>
+            <span style={{ fontSize: '12px', color: '#6b7280' }}>{formatGeofenceSize(selected.fence)} • {period.label.toLowerCase()}</span>
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+            <StatTile label="Inside now" value={selected.inside} color="#1a73e8" />
+            <StatTile label="Visits" value={selected.stats.visits} />
+            <StatTile label="Unique visitors" value={selected.stats.visitors} />
+            <StatTile label="Peak per hour" value={selected.stats.peakVisitors} />
+            <StatTile label="Avg dwell" value={formatDwell(selected.stats.averageDwellMs)} />
+            <StatTile
+              label="Breaches"
+              value={isBreachFence(selected.fence) ? selected.stats.breaches : '—'}
+              color={selected.stats.breaches > 0 ? '#dc2626' : '#1e293b'}
+            />
+            <StatTile label="Heat / km²" value={selected.stats.heatDensity.toFixed(1)} />
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(0, 1fr)', gap: '24px' }}>
+            <div>
+              <div style={{ fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '8px' }}>VISITORS PER HOUR</div>
+              <BarChart
+                bars={hourlyBars}
+                labelEvery={shortPeriod ? 3 : 24}
+                color={TYPE_COLORS[selected.fence.type] || '#1a73e8'}
+                emptyText="Nobody visited in this period"
+              />
+            </div>
+            <div>
+              <div style={{ fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '8px' }}>DWELL TIME PER VISIT</div>
+              <BarChart bars={dwellBars} color="#7c3aed" emptyText="No visits in this period" />
+            </div>
+          </div>
+
+          {selected.inside > 0 && (
+            <div style={{ marginTop: '16px', fontSize: '13px', color: '#374151' }}>
+              <strong>Inside now: </strong>
+              {(occupants[selected.fence.id] || []).map((occupant, i) => (
+                <span key={occupant.touristId}>
+                  {i > 0 && ', '}
+                  <Link to={`/tourists/${occupant.touristId}`}>{occupant.touristName}</Link>
+                </span>
+              ))}
+            </div>
+          )}
+
+          <p style={{ margin: '16px 0 0 0', fontSize: '11px', color: '#9ca3af' }}>
+            Visits are rebuilt from the location history of the tourists in and around the zones now,
+            so visitors who have since moved away are not counted. Visits still in progress, or
+            interrupted by a long gap in updates, count up to the last location inside the zone.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GeofenceAnalytics;
@@ -0,0 +1,49 @@
+import React, { useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
+import geofenceMonitor from '../services/geofenceMonitor';
+import { GEOFENCE_EVENT_LABELS, formatDwellTime } from '../utils/geofenceBreaches';
+
+const MAX_FENCE_EVENTS = 20;
+const NO_OCCUPANTS = [];
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Who is inside one fence right now and its latest entry/exit/dwell events
+const GeofenceBreachList = ({ fenceId }) => {
+  const { occupants, events } = useSyncExternalStore(geofenceMonitor.subscribe, geofenceMonitor.getState);
+  const inside = occupants[fenceId] || NO_OCCUPANTS;
+  const fenceEvents = events.filter(event => event.fenceId === fenceId).slice(0, MAX_FENCE_EVENTS);
+  const now = Date.now();
+
+  return (
+    <div className="breach-list" onClick={(e) => e.stopPropagation()}>
+      <div className="breach-list-title">INSIDE NOW ({inside.length})</div>
+      {inside.length === 0 ? (
+        <div className="breach-list-empty">Nobody inside</div>
+      ) : inside.map(occupant => (
+        <div key={occupant.touristId} className="breach-row">
+          <Link to={`/tourists/${occupant.touristId}`}>{occupant.touristName}</Link>
+          <span>
+            since {formatTime(occupant.enteredAt)} • {formatDwellTime(now - occupant.enteredAt)}
+            {occupant.dwelling && ' ⏱️'}
+          </span>
+        </div>
+      ))}
+
+      <div className="breach-list-title">RECENT EVENTS</div>
+      {fenceEvents.length === 0 ? (
+        <div className="breach-list-empty">No entries or exits since you signed in</div>
+      ) : fenceEvents.map(event => (
+        <div key={event.id} className={`breach-row event ${event.type} ${event.breach ? 'breach' : ''}`}>
+          <span>{GEOFENCE_EVENT_LABELS[event.type]} • {event.touristName}</span>
+          <span>
+            {formatTime(event.at)}
+            {event.durationMs !== undefined && ` • ${formatDwellTime(event.durationMs)}`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default GeofenceBreachList;
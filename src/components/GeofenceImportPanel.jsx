@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { geofenceAPI } from '../services/api';
+import { GEOFENCE_SHAPE_LABELS, formatGeofenceSize, getGeofencePolygons, getGeofenceBounds } from '../utils/geofenceShapes';
+import { GEOFENCE_TYPES, findImportConflicts } from '../utils/geofenceFormats';
+import { toDraft, getUpdatePayload } from '../utils/geofenceEditing';
+import { describeSchedule } from '../utils/geofenceSchedules';
+
+const TYPE_COLORS = { safe: '#4caf50', warning: '#ff9800', restricted: '#f44336' };
+
+// Candidates drawn over the map: accepted ones in their zone colour,
+// rejected ones as grey dashed outlines
+const drawImportPreview = (map, items) => {
+  const atlas = window.atlas;
+  const source = new atlas.source.DataSource();
+  map.sources.add(source);
+  items.forEach(({ candidate, color, accepted }) => {
+    const polygons = getGeofencePolygons(candidate);
+    if (polygons.length === 0) return;
+    const geometry = polygons.length === 1 ? new atlas.data.Polygon(polygons[0]) : new atlas.data.MultiPolygon(polygons);
+    source.add(new atlas.data.Feature(geometry, { id: candidate.id, color: accepted ? color : '#9e9e9e', accepted }));
+  });
+
+  const layers = [
+    new atlas.layer.PolygonLayer(source, null, { fillColor: ['get', 'color'], fillOpacity: 0.3 }),
+    new atlas.layer.LineLayer(source, null, { strokeColor: ['get', 'color'], strokeWidth: 2, filter: ['get', 'accepted'] }),
+    new atlas.layer.LineLayer(source, null, {
+      strokeColor: '#9e9e9e',
+      strokeWidth: 2,
+      strokeDashArray: [2, 2],
+      filter: ['!', ['get', 'accepted']]
+    })
+  ];
+  layers.forEach(layer => map.layers.add(layer));
+  return { source, layers };
+};
+
+const clearImportPreview = (map, preview) => {
+  preview.layers.forEach(layer => {
+    try { map.layers.remove(layer); } catch { /* ignore */ }
+  });
+  try { map.sources.remove(preview.source); } catch { /* ignore */ }
+};
+
+// Review step for a geofence file: every feature is checked, previewed on the
+// map and accepted or rejected before the accepted ones are created
+const GeofenceImportPanel = ({ map, fileName, candidates, fences, onCancel, onImported }) => {
+  const conflicts = useMemo(() => Object.fromEntries(
+    candidates.map(candidate => [candidate.id, findImportConflicts(candidate, fences, candidates)])
+  ), [candidates, fences]);
+
+  // Valid features without conflicts start accepted
+  const [decisions, setDecisions] = useState(() => Object.fromEntries(
+    candidates.map(candidate => [candidate.id, candidate.errors.length === 0 && conflicts[candidate.id].length === 0])
+  ));
+  const [defaultType, setDefaultType] = useState('restricted');
+  const [typeOverrides, setTypeOverrides] = useState({});
+  const [results, setResults] = useState({}); // id -> 'created' or an error message
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+  const [focusedId, setFocusedId] = useState(null);
+
+  const getType = (candidate) => typeOverrides[candidate.id] || candidate.type || defaultType;
+  const isCreated = (candidate) => results[candidate.id] === 'created';
+  const pending = candidates.filter(candidate => decisions[candidate.id] && !isCreated(candidate));
+  const createdCount = candidates.filter(isCreated).length;
+  const invalidCount = candidates.filter(candidate => candidate.errors.length > 0).length;
+  const conflictCount = candidates.filter(candidate => conflicts[candidate.id].length > 0).length;
+
+  const previewItems = useMemo(() => candidates
+    .filter(candidate => candidate.errors.length === 0)
+    .map(candidate => ({
+      candidate,
+      color: TYPE_COLORS[typeOverrides[candidate.id] || candidate.type || defaultType],
+      accepted: Boolean(decisions[candidate.id])
+    })), [candidates, decisions, typeOverrides, defaultType]);
+
+  useEffect(() => {
+    if (!map || !window.atlas) return;
+    const preview = drawImportPreview(map, previewItems);
+    return () => clearImportPreview(map, preview);
+  }, [map, previewItems]);
+
+  // Frame the whole file once when it opens
+  useEffect(() => {
+    if (!map) return;
+    const bounds = candidates
+      .filter(candidate => candidate.errors.length === 0)
+      .map(getGeofenceBounds)
+      .filter(Boolean);
+    if (bounds.length === 0) return;
+    map.setCamera({
+      bounds: bounds.reduce((all, b) => [
+        Math.min(all[0], b[0]), Math.min(all[1], b[1]), Math.max(all[2], b[2]), Math.max(all[3], b[3])
+      ]),
+      padding: 80,
+      maxZoom: 16,
+      duration: 500
+    });
+  }, [map, candidates]);
+
+  const handleFocus = (candidate) => {
+    setFocusedId(candidate.id);
+    const bounds = candidate.errors.length === 0 ? getGeofenceBounds(candidate) : null;
+    if (map && bounds) map.setCamera({ bounds, padding: 80, maxZoom: 16, duration: 500 });
+  };
+
+  const setAll = (accepted) => {
+    setDecisions(Object.fromEntries(candidates.map(candidate => [
+      candidate.id,
+      accepted && candidate.errors.length === 0 && conflicts[candidate.id].length === 0
+    ])));
+  };
+
+  // One at a time so a rejected feature doesn't stop the rest
+  const handleImport = async () => {
+    setProgress({ done: 0, total: pending.length });
+    for (const candidate of pending) {
+      try {
+        await geofenceAPI.create({
+          ...getUpdatePayload(toDraft({ ...candidate, type: getType(candidate) })),
+          isActive: candidate.isActive
+        });
+        setResults(prev => ({ ...prev, [candidate.id]: 'created' }));
+      } catch (err) {
+        console.error('Failed to import geofence:', err);
+        setResults(prev => ({ ...prev, [candidate.id]: err.response?.data?.message || err.message }));
+      }
+      setProgress(prev => ({ ...prev, done: prev.done + 1 }));
+    }
+    setProgress(null);
+  };
+
+  const failedCount = Object.values(results).filter(result => result !== 'created').length;
+  const finished = createdCount > 0 && pending.length === 0;
+
+  return (
+    <div className="radius-adjustment">
+      <div className="radius-header">
+        <h3>📄 {fileName}</h3>
+        <p className="drawing-hint">
+          {candidates.length} features • {invalidCount} invalid • {conflictCount} with conflicts
+        </p>
+      </div>
+
+      <div className="import-default-type">
+        <label>Type for features without one:</label>
+        <select value={defaultType} onChange={(e) => setDefaultType(e.target.value)}>
+          {GEOFENCE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </div>
+
+      <div className="drawing-tools">
+        <button type="button" onClick={() => setAll(true)} disabled={Boolean(progress)}>✓ Accept all valid</button>
+        <button type="button" onClick={() => setAll(false)} disabled={Boolean(progress)}>✕ Reject all</button>
+      </div>
+
+      <div className="import-list">
+        {candidates.map(candidate => {
+          const invalid = candidate.errors.length > 0;
+          const created = isCreated(candidate);
+          const result = results[candidate.id];
+          return (
+            <div
+              key={candidate.id}
+              className={`import-item ${focusedId === candidate.id ? 'focused' : ''} ${decisions[candidate.id] ? 'accepted' : ''}`}
+              onClick={() => handleFocus(candidate)}
+            >
+              <div className="import-item-header">
+                <input
+                  type="checkbox"
+                  checked={Boolean(decisions[candidate.id])}
+                  disabled={invalid || created || Boolean(progress)}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={(e) => setDecisions(prev => ({ ...prev, [candidate.id]: e.target.checked }))}
+                />
+                <div className="import-item-info">
+                  <h4>{candidate.name}</h4>
+                  {!invalid && (
+                    <p className="geofence-meta">
+                      {GEOFENCE_SHAPE_LABELS[candidate.shape]} • {formatGeofenceSize(candidate)}
+                      {candidate.schedule && ` • 🕒 ${describeSchedule(candidate.schedule)}`}
+                      {!candidate.isActive && ' • ⏸ Inactive'}
+                    </p>
+                  )}
+                </div>
+                {!invalid && (
+                  <select
+                    value={getType(candidate)}
+                    disabled={created}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => setTypeOverrides(prev => ({ ...prev, [candidate.id]: e.target.value }))}
+                  >
+                    {GEOFENCE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                )}
+              </div>
+
+              {candidate.errors.map(error => <div key={error} className="import-note error">⛔ {error}</div>)}
+              {!created && conflicts[candidate.id].map(({ kind, fence }) => (
+                <div key={`${kind}-${fence.id}`} className="import-note conflict">
+                  ⚠️ {kind === 'name' && `Same name as "${fence.name}"`}
+                  {kind === 'overlap' && `Overlaps "${fence.name}"`}
+                  {kind === 'duplicate' && `Repeats "${fence.name}" earlier in this file`}
+                </div>
+              ))}
+              {candidate.warnings.map(warning => <div key={warning} className="import-note">ℹ️ {warning}</div>)}
+              {created && <div className="import-note created">✓ Imported</div>}
+              {result && !created && <div className="import-note error">Server rejected: {result}</div>}
+            </div>
+          );
+        })}
+      </div>
+
+      {failedCount > 0 && !progress && (
+        <div className="import-note error">{failedCount} could not be imported; fix or reject them and try again</div>
+      )}
+
+      <div className="radius-actions">
+        <button
+          onClick={createdCount > 0 ? () => onImported(createdCount) : onCancel}
+          className="remove-btn"
+          disabled={Boolean(progress)}
+        >
+          {createdCount > 0 ? 'Done' : 'Cancel'}
+        </button>
+        <button onClick={handleImport} className="next-btn" disabled={Boolean(progress) || pending.length === 0}>
+          {progress
+            ? `Importing ${progress.done}/${progress.total}...`
+            : finished ? '✓ All imported' : `Import ${pending.length} fence${pending.length === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GeofenceImportPanel;
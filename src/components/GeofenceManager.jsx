@@ -1,21 +1,196 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
 import { geofenceAPI } from '../services/api';
+import dataStore, { selectGeofences } from '../services/dataStore';
+import geofenceMonitor from '../services/geofenceMonitor';
+import { useDataStore } from '../hooks/useDataStore';
+import { useAuth } from '../hooks/useAuth';
+import {
+  GEOFENCE_SHAPES,
+  GEOFENCE_SHAPE_LABELS,
+  DEFAULT_CORRIDOR_BUFFER,
+  bufferLine,
+  circleToRing,
+  closeRing,
+  formatGeofenceSize,
+  getGeofencePolygons
+} from '../utils/geofenceShapes';
+import {
+  toDraft,
+  draftToFence,
+  isDraftComplete,
+  getShapeFields,
+  getUpdatePayload,
+  diffDraft
+} from '../utils/geofenceEditing';
+import { normalizeSchedule, describeSchedule, isGeofenceInForce } from '../utils/geofenceSchedules';
+import { GEOFENCE_FORMATS, IMPORT_ACCEPT, parseGeofenceFile, serializeGeofences } from '../utils/geofenceFormats';
+import { downloadFile } from '../utils/exportFile';
+import { distanceMeters } from '../utils/geo';
+import GeofenceScheduleEditor from './GeofenceScheduleEditor';
+import GeofenceImportPanel from './GeofenceImportPanel';
+import GeofenceBreachList from './GeofenceBreachList';
+import { isBreachFence } from '../utils/geofenceBreaches';
 import '../styles/GeofenceManager.css';
 
-const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) => {
-  const [geofences, setGeofences] = useState([]);
+const getTypeColor = (type) => {
+  switch (type) {
+    case 'safe': return '#4caf50';
+    case 'restricted': return '#f44336';
+    case 'warning': return '#ff9800';
+    default: return '#1a73e8';
+  }
+};
+
+const getTypeIcon = (type) => {
+  switch (type) {
+    case 'safe': return '✓';
+    case 'restricted': return '⛔';
+    case 'warning': return '⚠️';
+    default: return '📍';
+  }
+};
+
+// Preview of a polygon or corridor being drawn: the filled shape, the line
+// through the clicked points and a draggable marker on every vertex
+const drawShapePreview = (map, { shape, parts, bufferMeters, color, onMoveVertex, onRemoveVertex }) => {
+  const atlas = window.atlas;
+  const source = new atlas.source.DataSource();
+  map.sources.add(source);
+
+  const polygons = shape === GEOFENCE_SHAPES.CORRIDOR
+    ? (parts[0].length >= 2 ? [[bufferLine(parts[0], bufferMeters)]] : [])
+    : parts.filter(part => part.length >= 3).map(part => [closeRing(part)]);
+  polygons.forEach(polygon => source.add(new atlas.data.Polygon(polygon)));
+  parts.filter(part => part.length >= 2).forEach(part => source.add(new atlas.data.LineString(part)));
+
+  const layers = [
+    new atlas.layer.PolygonLayer(source, null, { fillColor: color, fillOpacity: 0.25 }),
+    new atlas.layer.LineLayer(source, null, { strokeColor: color, strokeWidth: 3 })
+  ];
+  layers.forEach(layer => map.layers.add(layer));
+
+  const markers = parts.flatMap((part, partIndex) => part.map((position, vertexIndex) => {
+    const marker = new atlas.HtmlMarker({
+      position,
+      draggable: true,
+      anchor: 'center',
+      htmlContent: `<div class="geofence-vertex-marker" style="border-color: ${color}"></div>`
+    });
+    map.markers.add(marker);
+    map.events.add('dragend', marker, () => onMoveVertex(partIndex, vertexIndex, marker.getOptions().position));
+    map.events.add('contextmenu', marker, () => onRemoveVertex(partIndex, vertexIndex));
+    return marker;
+  }));
+
+  return { source, layers, markers };
+};
+
+const clearShapePreview = (map, { source, layers, markers }) => {
+  markers.forEach(marker => {
+    try { map.markers.remove(marker); } catch { /* ignore */ }
+  });
+  layers.forEach(layer => {
+    try { map.layers.remove(layer); } catch { /* ignore */ }
+  });
+  try { map.sources.remove(source); } catch { /* ignore */ }
+};
+
+// Circle being edited: the circle, a draggable centre and a handle on the
+// east edge that sets the radius
+const drawCircleEditPreview = (map, { center, radius, color, onMoveCenter, onResize }) => {
+  const atlas = window.atlas;
+  const source = new atlas.source.DataSource();
+  map.sources.add(source);
+  source.add(new atlas.data.Polygon([circleToRing(center, radius)]));
+
+  const layers = [
+    new atlas.layer.PolygonLayer(source, null, { fillColor: color, fillOpacity: 0.25 }),
+    new atlas.layer.LineLayer(source, null, { strokeColor: color, strokeWidth: 3 })
+  ];
+  layers.forEach(layer => map.layers.add(layer));
+
+  const centerMarker = new atlas.HtmlMarker({
+    position: [center.lng, center.lat],
+    draggable: true,
+    anchor: 'center',
+    htmlContent: `<div class="geofence-vertex-marker center" style="border-color: ${color}"></div>`
+  });
+  const radiusMarker = new atlas.HtmlMarker({
+    position: circleToRing(center, radius, 4)[0],
+    draggable: true,
+    anchor: 'center',
+    htmlContent: `<div class="geofence-radius-handle" style="background: ${color}">↔</div>`
+  });
+  map.markers.add(centerMarker);
+  map.markers.add(radiusMarker);
+  map.events.add('dragend', centerMarker, () => {
+    const [lng, lat] = centerMarker.getOptions().position;
+    onMoveCenter({ lat, lng });
+  });
+  map.events.add('dragend', radiusMarker, () => {
+    const [lng, lat] = radiusMarker.getOptions().position;
+    onResize(distanceMeters(center, { lat, lng }));
+  });
+
+  return { source, layers, markers: [centerMarker, radiusMarker] };
+};
+
+// Dashed outline of a fence as saved, to compare edits against
+const drawSavedOutline = (map, fence) => {
+  const atlas = window.atlas;
+  const source = new atlas.source.DataSource();
+  map.sources.add(source);
+  getGeofencePolygons(fence).forEach(polygon => source.add(new atlas.data.Polygon(polygon)));
+
+  const layers = [
+    new atlas.layer.LineLayer(source, null, { strokeColor: '#555555', strokeWidth: 2, strokeDashArray: [3, 2] })
+  ];
+  layers.forEach(layer => map.layers.add(layer));
+  return { source, layers, markers: [] };
+};
+
+const createEditState = (fence) => ({ fence, draft: toDraft(fence), history: [], coalesceKey: null });
+
+const UNDO_WINDOW_MS = 15000;
+
+const STEP_TITLES = {
+  list: 'Geofences',
+  selecting: 'Select Location',
+  radius: 'Set Radius',
+  form: 'Add Details',
+  editing: 'Edit Geofence',
+  review: 'Review Changes',
+  import: 'Import Geofences'
+};
+
+const GeofenceManager = ({ map, initialEditGeofence = null, onGeofenceSelect, onGeofenceChange, onEditingChange, onClose }) => {
+  const geofences = useDataStore(selectGeofences);
+  const { can } = useAuth();
   const [loading, setLoading] = useState(false);
   const [selectedGeofence, setSelectedGeofence] = useState(null);
+  const [breachListId, setBreachListId] = useState(null); // fence whose occupants and events are expanded
+  const { occupants } = useSyncExternalStore(geofenceMonitor.subscribe, geofenceMonitor.getState);
   const [stats, setStats] = useState(null);
   
   // New flow states
-  const [step, setStep] = useState('list'); // 'list', 'selecting', 'radius', 'form'
+  const [step, setStep] = useState(initialEditGeofence ? 'editing' : 'list'); // 'list', 'selecting', 'radius', 'drawing', 'form', 'editing', 'review'
+  const [shape, setShape] = useState(GEOFENCE_SHAPES.CIRCLE);
   const [selectedLocation, setSelectedLocation] = useState(null); // {lat, lng}
   const [radius, setRadius] = useState(500);
+  const [parts, setParts] = useState([[]]); // polygon parts, or the corridor route as parts[0]; [lng, lat] points
+  const [bufferMeters, setBufferMeters] = useState(DEFAULT_CORRIDOR_BUFFER);
+
+  // Edit flow: the fence as saved, the draft being edited and its undo history
+  const [edit, setEdit] = useState(() => (initialEditGeofence ? createEditState(initialEditGeofence) : null));
+  const [lastUpdate, setLastUpdate] = useState(null); // { fenceId, name, revert } for undoing a save
+  const [importFile, setImportFile] = useState(null); // { fileName, candidates } under review
+  const importInputRef = useRef(null);
   const [formData, setFormData] = useState({
     name: '',
     description: '',
-    type: 'safe'
+    type: 'safe',
+    schedule: null
   });
   
   // Preview elements
@@ -90,14 +265,119 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
     }
   }, [step, map]);
 
+  // Polygons and corridors are drawn by clicking vertices onto the map
+  useEffect(() => {
+    if (step !== 'drawing' || !map || !window.atlas) return;
+    const addVertex = (e) => {
+      setParts(prev => [...prev.slice(0, -1), [...prev[prev.length - 1], e.position]]);
+    };
+    map.events.add('click', addVertex);
+    return () => {
+      try { map.events.remove('click', addVertex); } catch { /* ignore */ }
+    };
+  }, [step, map]);
+
+  // Redraw the polygon/corridor preview whenever the drawing changes
+  useEffect(() => {
+    if (shape === GEOFENCE_SHAPES.CIRCLE || (step !== 'drawing' && step !== 'form')) return;
+    if (!map || !window.atlas) return;
+
+    const preview = drawShapePreview(map, {
+      shape,
+      parts,
+      bufferMeters,
+      color: getTypeColor(formData.type),
+      onMoveVertex: (partIndex, vertexIndex, position) => {
+        setParts(prev => prev.map((part, i) => (
+          i === partIndex ? part.map((point, j) => (j === vertexIndex ? position : point)) : part
+        )));
+      },
+      onRemoveVertex: (partIndex, vertexIndex) => {
+        setParts(prev => prev.map((part, i) => (
+          i === partIndex ? part.filter((_, j) => j !== vertexIndex) : part
+        )));
+      }
+    });
+    return () => clearShapePreview(map, preview);
+  }, [map, step, shape, parts, bufferMeters, formData.type]);
+
+  // Changes typed into one field collapse into a single undo step
+  const updateDraft = useCallback((changes, coalesceKey = null) => {
+    setEdit(prev => {
+      if (!prev) return prev;
+      const next = typeof changes === 'function' ? changes(prev.draft) : changes;
+      const sameField = coalesceKey !== null && coalesceKey === prev.coalesceKey;
+      return {
+        ...prev,
+        draft: { ...prev.draft, ...next },
+        history: sameField ? prev.history : [...prev.history, prev.draft],
+        coalesceKey
+      };
+    });
+  }, []);
+
+  // The map hides its copy of the fence being edited
+  const editingId = edit?.fence.id || null;
+  useEffect(() => {
+    if (!onEditingChange) return;
+    onEditingChange(editingId);
+    return () => onEditingChange(null);
+  }, [editingId, onEditingChange]);
+
+  // Handles for the fence being edited, over a dashed outline of the saved version
+  const editFence = edit?.fence || null;
+  const {
+    shape: editShape,
+    center: editCenter,
+    radius: editRadius,
+    parts: editParts,
+    bufferMeters: editBuffer,
+    type: editType
+  } = edit?.draft || {};
+  useEffect(() => {
+    if (!editFence || (step !== 'editing' && step !== 'review') || !map || !window.atlas) return;
+
+    const color = getTypeColor(editType);
+    const previews = [drawSavedOutline(map, editFence)];
+    if (editShape === GEOFENCE_SHAPES.CIRCLE) {
+      previews.push(drawCircleEditPreview(map, {
+        center: editCenter,
+        radius: editRadius,
+        color,
+        onMoveCenter: (center) => updateDraft({ center }),
+        onResize: (newRadius) => updateDraft({ radius: Math.max(10, Math.round(newRadius)) })
+      }));
+    } else {
+      previews.push(drawShapePreview(map, {
+        shape: editShape,
+        parts: editParts,
+        bufferMeters: editBuffer,
+        color,
+        onMoveVertex: (partIndex, vertexIndex, position) => updateDraft(draft => ({
+          parts: draft.parts.map((part, i) => (
+            i === partIndex ? part.map((point, j) => (j === vertexIndex ? position : point)) : part
+          ))
+        })),
+        onRemoveVertex: (partIndex, vertexIndex) => updateDraft(draft => ({
+          parts: draft.parts.map((part, i) => (i === partIndex ? part.filter((_, j) => j !== vertexIndex) : part))
+        }))
+      }));
+    }
+    return () => previews.forEach(preview => clearShapePreview(map, preview));
+  }, [map, step, editFence, editShape, editCenter, editRadius, editParts, editBuffer, editType, updateDraft]);
+
+  // The undo offer after a save lapses after a while
+  useEffect(() => {
+    if (!lastUpdate) return;
+    const timer = setTimeout(() => setLastUpdate(null), UNDO_WINDOW_MS);
+    return () => clearTimeout(timer);
+  }, [lastUpdate]);
+
+  // Always hit the network here - the manager is where fences get edited
   const loadGeofences = async () => {
     try {
       setLoading(true);
-      const response = await geofenceAPI.getAll({ limit: 100 });
-      const data = response.data.data?.geofences || response.data?.geofences || [];
-      setGeofences(data);
-    } catch (err) {
-      console.error('Failed to load geofences:', err);
+      await dataStore.load('geofences', { force: true });
     } finally {
       setLoading(false);
     }
@@ -169,22 +449,7 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
       if (oldSource) map.sources.remove(oldSource);
     } catch (e) { /* ignore */ }
 
-    // Create circle polygon
-    const points = 64;
-    const coordinates = [];
-    const earthRadius = 6371000;
-
-    for (let i = 0; i <= points; i++) {
-      const angle = (i * 360 / points) * Math.PI / 180;
-      const dx = rad * Math.cos(angle);
-      const dy = rad * Math.sin(angle);
-      
-      const newLat = parseFloat(lat) + (dy / earthRadius) * (180 / Math.PI);
-      const newLng = parseFloat(lng) + (dx / earthRadius) * (180 / Math.PI) / Math.cos(parseFloat(lat) * Math.PI / 180);
-      
-      coordinates.push([newLng, newLat]);
-    }
-
+    const coordinates = circleToRing({ lat: parseFloat(lat), lng: parseFloat(lng) }, rad);
     const circlePolygon = new atlas.data.Polygon([coordinates]);
     const circleSource = new atlas.source.DataSource('preview-geofence-source');
     map.sources.add(circleSource);
@@ -230,28 +495,61 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
     setStep('form');
   };
 
-  const handleBackToRadius = () => {
+  const handleBack = () => {
+    if (shape !== GEOFENCE_SHAPES.CIRCLE) {
+      setStep('drawing');
+      return;
+    }
     setStep('radius');
     if (selectedLocation) {
       createPreviewCircle(selectedLocation.lat, selectedLocation.lng, radius);
     }
   };
 
+  const handleShapeChange = (newShape) => {
+    if (newShape === shape) return;
+    cleanupPreview();
+    removeClickHandler();
+    setSelectedLocation(null);
+    setParts([[]]);
+    setShape(newShape);
+    setStep(newShape === GEOFENCE_SHAPES.CIRCLE ? 'selecting' : 'drawing');
+  };
+
+  const handleUndoVertex = () => {
+    setParts(prev => {
+      const last = prev[prev.length - 1];
+      if (last.length === 0 && prev.length > 1) return prev.slice(0, -1);
+      return [...prev.slice(0, -1), last.slice(0, -1)];
+    });
+  };
+
+  // Start another polygon of a multi-polygon fence
+  const handleAddPart = () => {
+    setParts(prev => [...prev, []]);
+  };
+
+  // The create flow's state as a draft, for the shared shape helpers
+  const createDraft = { shape, center: selectedLocation, radius, parts, bufferMeters };
+  const isDrawingComplete = isDraftComplete(createDraft);
+
+  const getDraftSize = () => (
+    shape === GEOFENCE_SHAPES.CIRCLE ? formatRadius(radius) : formatGeofenceSize(draftToFence(createDraft))
+  );
+
   const handleCreate = async (e) => {
     e.preventDefault();
-    if (!selectedLocation) return;
-    
+    if (!isDrawingComplete) return;
+
     try {
       setLoading(true);
       await geofenceAPI.create({
         name: formData.name,
         description: formData.description,
         type: formData.type,
-        coordinates: {
-          latitude: selectedLocation.lat,
-          longitude: selectedLocation.lng
-        },
-        radius: radius
+        shape,
+        schedule: normalizeSchedule(formData.schedule),
+        ...getShapeFields(createDraft)
       });
       
       // Reset everything
@@ -259,7 +557,10 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
       removeClickHandler();
       setSelectedLocation(null);
       setRadius(500);
-      setFormData({ name: '', description: '', type: 'safe' });
+      setShape(GEOFENCE_SHAPES.CIRCLE);
+      setParts([[]]);
+      setBufferMeters(DEFAULT_CORRIDOR_BUFFER);
+      setFormData({ name: '', description: '', type: 'safe', schedule: null });
       setStep('list');
       loadGeofences();
       
@@ -310,57 +611,193 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
     }
   };
 
+  const handleStartEdit = (geofence) => {
+    cleanupPreview();
+    removeClickHandler();
+    setEdit(createEditState(geofence));
+    setStep('editing');
+    if (onGeofenceSelect) onGeofenceSelect(geofence);
+  };
+
+  const handleUndoEdit = () => {
+    setEdit(prev => (prev.history.length === 0 ? prev : {
+      ...prev,
+      draft: prev.history[prev.history.length - 1],
+      history: prev.history.slice(0, -1),
+      coalesceKey: null
+    }));
+  };
+
+  const handleResetEdit = () => {
+    setEdit(prev => ({ ...prev, draft: toDraft(prev.fence), history: [...prev.history, prev.draft], coalesceKey: null }));
+  };
+
+  const handleSaveEdit = async () => {
+    const { fence, draft } = edit;
+    try {
+      setLoading(true);
+      await geofenceAPI.update(fence.id, getUpdatePayload(draft));
+      setLastUpdate({ fenceId: fence.id, name: draft.name, revert: getUpdatePayload(toDraft(fence)) });
+      setEdit(null);
+      setStep('list');
+      loadGeofences();
+      if (onGeofenceChange) onGeofenceChange();
+    } catch (err) {
+      console.error('Failed to update geofence:', err);
+      alert(err.response?.data?.message || 'Failed to update geofence');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Put the fence back the way it was before the last save
+  const handleUndoUpdate = async () => {
+    try {
+      setLoading(true);
+      await geofenceAPI.update(lastUpdate.fenceId, lastUpdate.revert);
+      setLastUpdate(null);
+      loadGeofences();
+      if (onGeofenceChange) onGeofenceChange();
+    } catch (err) {
+      console.error('Failed to undo geofence update:', err);
+      alert(err.response?.data?.message || 'Failed to undo the change');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { candidates } = parseGeofenceFile(await file.text(), file.name);
+      setSelectedGeofence(null);
+      setImportFile({ fileName: file.name, candidates });
+      setStep('import');
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleImported = () => {
+    setImportFile(null);
+    setStep('list');
+    loadGeofences();
+    if (onGeofenceChange) onGeofenceChange();
+  };
+
+  const handleExport = (format) => {
+    const { extension, mimeType } = GEOFENCE_FORMATS[format];
+    downloadFile(
+      `geofences-${new Date().toISOString().slice(0, 10)}.${extension}`,
+      serializeGeofences(geofences, format),
+      mimeType
+    );
+  };
+
   const handleStartCreate = () => {
     setStep('selecting');
+    setShape(GEOFENCE_SHAPES.CIRCLE);
     setSelectedLocation(null);
     setRadius(500);
-    setFormData({ name: '', description: '', type: 'safe' });
+    setParts([[]]);
+    setBufferMeters(DEFAULT_CORRIDOR_BUFFER);
+    setFormData({ name: '', description: '', type: 'safe', schedule: null });
   };
 
   const handleCancel = () => {
     cleanupPreview();
     removeClickHandler();
+    setEdit(null);
+    setImportFile(null);
     setSelectedLocation(null);
     setRadius(500);
-    setFormData({ name: '', description: '', type: 'safe' });
+    setShape(GEOFENCE_SHAPES.CIRCLE);
+    setParts([[]]);
+    setBufferMeters(DEFAULT_CORRIDOR_BUFFER);
+    setFormData({ name: '', description: '', type: 'safe', schedule: null });
     setStep('list');
   };
 
   const handleClose = () => {
     cleanupPreview();
     removeClickHandler();
+    setEdit(null);
     onClose();
   };
 
-  const getTypeColor = (type) => {
-    switch (type) {
-      case 'safe': return '#4caf50';
-      case 'restricted': return '#f44336';
-      case 'warning': return '#ff9800';
-      default: return '#1a73e8';
-    }
-  };
-
-  const getTypeIcon = (type) => {
-    switch (type) {
-      case 'safe': return '✓';
-      case 'restricted': return '⛔';
-      case 'warning': return '⚠️';
-      default: return '📍';
-    }
-  };
-
   const formatRadius = (r) => {
     if (r >= 1000) return `${(r / 1000).toFixed(1)}km`;
     return `${r}m`;
   };
 
+  const renderShapeSelector = () => (
+    <div className="shape-selector">
+      {Object.values(GEOFENCE_SHAPES).map(value => (
+        <button
+          key={value}
+          type="button"
+          className={`shape-btn ${shape === value ? 'active' : ''}`}
+          onClick={() => handleShapeChange(value)}
+        >
+          {GEOFENCE_SHAPE_LABELS[value]}
+        </button>
+      ))}
+    </div>
+  );
+
+  const renderTypeSelector = (value = formData.type, onChange = handleTypeChange) => (
+    <div className="type-selector">
+      <label>Zone Type:</label>
+      <div className="type-buttons">
+        <button 
+          type="button"
+          className={`type-btn safe ${value === 'safe' ? 'active' : ''}`}
+          onClick={() => onChange('safe')}
+        >
+          ✓ Safe
+        </button>
+        <button 
+          type="button"
+          className={`type-btn warning ${value === 'warning' ? 'active' : ''}`}
+          onClick={() => onChange('warning')}
+        >
+          ⚠️ Warning
+        </button>
+        <button 
+          type="button"
+          className={`type-btn restricted ${value === 'restricted' ? 'active' : ''}`}
+          onClick={() => onChange('restricted')}
+        >
+          ⛔ Restricted
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderChanges = (changes) => (
+    <div className="edit-diff">
+      {changes.length === 0 ? (
+        <div className="edit-diff-empty">No changes yet</div>
+      ) : changes.map(change => (
+        <div key={change.key} className="edit-diff-row">
+          <span className="edit-diff-label">{change.label}</span>
+          <span className="edit-diff-before">{change.before}</span>
+          <span className="edit-diff-arrow">→</span>
+          <span className="edit-diff-after">{change.after}</span>
+        </div>
+      ))}
+    </div>
+  );
+
   // Render based on current step
   const renderContent = () => {
     switch (step) {
       case 'selecting':
         return (
           <div className="selecting-mode">
+            {renderShapeSelector()}
             <div className="selecting-message">
               <span className="pulse-dot large"></span>
               <div>
@@ -413,32 +850,7 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
               </div>
             </div>
 
-            <div className="type-selector">
-              <label>Zone Type:</label>
-              <div className="type-buttons">
-                <button 
-                  type="button"
-                  className={`type-btn safe ${formData.type === 'safe' ? 'active' : ''}`}
-                  onClick={() => handleTypeChange('safe')}
-                >
-                  ✓ Safe
-                </button>
-                <button 
-                  type="button"
-                  className={`type-btn warning ${formData.type === 'warning' ? 'active' : ''}`}
-                  onClick={() => handleTypeChange('warning')}
-                >
-                  ⚠️ Warning
-                </button>
-                <button 
-                  type="button"
-                  className={`type-btn restricted ${formData.type === 'restricted' ? 'active' : ''}`}
-                  onClick={() => handleTypeChange('restricted')}
-                >
-                  ⛔ Restricted
-                </button>
-              </div>
-            </div>
+            {renderTypeSelector()}
 
             <div className="radius-actions">
               <button onClick={handleRemoveLocation} className="remove-btn">
@@ -451,6 +863,239 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
           </div>
         );
 
+      case 'drawing': {
+        const isCorridor = shape === GEOFENCE_SHAPES.CORRIDOR;
+        const activePart = parts[parts.length - 1];
+        return (
+          <div className="radius-adjustment">
+            {renderShapeSelector()}
+
+            <div className="radius-header">
+              <h3>{isCorridor ? 'Draw the route' : 'Draw the zone'}</h3>
+              <p className="drawing-hint">
+                {isCorridor ? 'Click along the route to add points.' : 'Click the map to add corners.'}
+                {' '}Drag a point to move it, right-click it to delete it.
+              </p>
+            </div>
+
+            {isCorridor ? (
+              <div className="radius-control">
+                <div className="radius-display">
+                  <span className="radius-value">{formatRadius(bufferMeters)}</span>
+                  <div className="drawing-hint">either side of the route • {parts[0].length} points</div>
+                </div>
+
+                <input
+                  type="range"
+                  value={bufferMeters}
+                  onChange={(e) => setBufferMeters(parseInt(e.target.value))}
+                  min="10"
+                  max="1000"
+                  step="10"
+                  className="radius-slider-main"
+                />
+
+                <div className="radius-labels">
+                  <span>10m</span>
+                  <span>1km</span>
+                </div>
+
+                <div className="radius-presets">
+                  {[25, 50, 100, 250, 500].map(value => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setBufferMeters(value)}
+                      className={bufferMeters === value ? 'active' : ''}
+                    >
+                      {formatRadius(value)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div className="drawing-parts">
+                {parts.map((part, index) => (
+                  <div key={index} className={`drawing-part ${index === parts.length - 1 ? 'active' : ''}`}>
+                    <span>{parts.length > 1 ? `Part ${index + 1}` : 'Corners'}</span>
+                    <span>{part.length}{part.length > 0 && part.length < 3 ? ' (needs 3)' : ''}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {isDrawingComplete && (
+              <div className="drawing-summary">{getDraftSize()}</div>
+            )}
+
+            {renderTypeSelector()}
+
+            <div className="drawing-tools">
+              <button
+                type="button"
+                onClick={handleUndoVertex}
+                disabled={parts.length === 1 && activePart.length === 0}
+              >
+                ↶ Undo point
+              </button>
+              {!isCorridor && (
+                <button type="button" onClick={handleAddPart} disabled={activePart.length < 3}>
+                  ➕ Add part
+                </button>
+              )}
+              <button type="button" onClick={() => setParts([[]])}>
+                🗑️ Clear
+              </button>
+            </div>
+
+            <div className="radius-actions">
+              <button onClick={handleCancel} className="remove-btn">
+                Cancel
+              </button>
+              <button onClick={handleNextToForm} className="next-btn" disabled={!isDrawingComplete}>
+                Next Step →
+              </button>
+            </div>
+          </div>
+        );
+      }
+
+      case 'editing': {
+        const { fence, draft, history } = edit;
+        const changes = diffDraft(fence, draft);
+        const isCircle = draft.shape === GEOFENCE_SHAPES.CIRCLE;
+        return (
+          <div className="radius-adjustment">
+            <div className="radius-header">
+              <h3>{fence.name}</h3>
+              <p className="drawing-hint">
+                {isCircle
+                  ? 'Drag the centre to move the zone, or the ↔ handle to resize it.'
+                  : 'Drag a point to move it, right-click it to delete it.'}
+                {' '}The dashed outline is the saved zone.
+              </p>
+            </div>
+
+            {isCircle && (
+              <div className="radius-control">
+                <div className="radius-display">
+                  <span className="radius-value">{formatRadius(draft.radius)}</span>
+                </div>
+                <input
+                  type="range"
+                  value={draft.radius}
+                  onChange={(e) => updateDraft({ radius: parseInt(e.target.value) }, 'radius')}
+                  min="50"
+                  max="5000"
+                  step="50"
+                  className="radius-slider-main"
+                />
+              </div>
+            )}
+
+            {draft.shape === GEOFENCE_SHAPES.CORRIDOR && (
+              <div className="radius-control">
+                <div className="radius-display">
+                  <span className="radius-value">{formatRadius(draft.bufferMeters)}</span>
+                  <div className="drawing-hint">either side of the route</div>
+                </div>
+                <input
+                  type="range"
+                  value={draft.bufferMeters}
+                  onChange={(e) => updateDraft({ bufferMeters: parseInt(e.target.value) }, 'bufferMeters')}
+                  min="10"
+                  max="1000"
+                  step="10"
+                  className="radius-slider-main"
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label>Name *</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => updateDraft({ name: e.target.value }, 'name')}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Description</label>
+              <textarea
+                value={draft.description}
+                onChange={(e) => updateDraft({ description: e.target.value }, 'description')}
+                rows="2"
+              />
+            </div>
+
+            {renderTypeSelector(draft.type, (type) => updateDraft({ type }))}
+
+            <GeofenceScheduleEditor schedule={draft.schedule} onChange={(schedule) => updateDraft({ schedule })} />
+
+            <div className="drawing-hint">CHANGES</div>
+            {renderChanges(changes)}
+
+            <div className="drawing-tools">
+              <button type="button" onClick={handleUndoEdit} disabled={history.length === 0}>
+                ↶ Undo
+              </button>
+              <button type="button" onClick={handleResetEdit} disabled={changes.length === 0}>
+                ⟲ Reset
+              </button>
+            </div>
+
+            <div className="radius-actions">
+              <button onClick={handleCancel} className="remove-btn">
+                Cancel
+              </button>
+              <button
+                onClick={() => setStep('review')}
+                className="next-btn"
+                disabled={changes.length === 0 || !draft.name.trim() || !isDraftComplete(draft)}
+              >
+                Review →
+              </button>
+            </div>
+          </div>
+        );
+      }
+
+      case 'review': {
+        const { fence, draft } = edit;
+        return (
+          <div className="radius-adjustment">
+            <div className="radius-header">
+              <h3>{fence.name}</h3>
+              <p className="drawing-hint">These changes will be saved to the geofence and apply to all tourists immediately.</p>
+            </div>
+
+            {renderChanges(diffDraft(fence, draft))}
+
+            <div className="radius-actions">
+              <button onClick={() => setStep('editing')} className="remove-btn" disabled={loading}>
+                ← Back to editing
+              </button>
+              <button onClick={handleSaveEdit} className="next-btn" disabled={loading}>
+                {loading ? 'Saving...' : '✓ Save changes'}
+              </button>
+            </div>
+          </div>
+        );
+      }
+
+      case 'import':
+        return (
+          <GeofenceImportPanel
+            map={map}
+            fileName={importFile.fileName}
+            candidates={importFile.candidates}
+            fences={geofences}
+            onCancel={handleCancel}
+            onImported={handleImported}
+          />
+        );
+
       case 'form':
         return (
           <form onSubmit={handleCreate} className="details-form">
@@ -460,7 +1105,9 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
                 <span className="summary-badge" style={{ background: getTypeColor(formData.type) }}>
                   {getTypeIcon(formData.type)} {formData.type}
                 </span>
-                <span className="summary-badge radius">{formatRadius(radius)}</span>
+                <span className="summary-badge radius">
+                  {GEOFENCE_SHAPE_LABELS[shape]} • {getDraftSize()}
+                </span>
               </div>
             </div>
 
@@ -486,8 +1133,13 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
               />
             </div>
 
+            <GeofenceScheduleEditor
+              schedule={formData.schedule}
+              onChange={(schedule) => setFormData({ ...formData, schedule })}
+            />
+
             <div className="form-actions three">
-              <button type="button" onClick={handleBackToRadius} className="back-btn">
+              <button type="button" onClick={handleBack} className="back-btn">
                 ← Back
               </button>
               <button type="button" onClick={handleCancel} className="cancel-btn">
@@ -525,14 +1177,55 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
               </div>
             )}
 
+            {lastUpdate && (
+              <div className="undo-banner">
+                <span>Saved changes to "{lastUpdate.name}"</span>
+                <button onClick={handleUndoUpdate} disabled={loading}>↶ Undo</button>
+              </div>
+            )}
+
             {/* Create Button */}
-            <button onClick={handleStartCreate} className="create-btn">
-              ➕ Create New Geofence
-            </button>
+            {can('geofences:edit') && (
+              <button onClick={handleStartCreate} className="create-btn">
+                ➕ Create New Geofence
+              </button>
+            )}
+
+            {/* Import / Export */}
+            <div className="transfer-bar">
+              {can('geofences:edit') && (
+                <>
+                  <button onClick={() => importInputRef.current?.click()} className="transfer-btn import">
+                    ⬆ Import
+                  </button>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept={IMPORT_ACCEPT}
+                    onChange={handleImportFile}
+                    style={{ display: 'none' }}
+                  />
+                </>
+              )}
+              {Object.entries(GEOFENCE_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  onClick={() => handleExport(format)}
+                  className="transfer-btn"
+                  disabled={geofences.length === 0}
+                  title={`Export all fences as ${label}`}
+                >
+                  ⬇ {label}
+                </button>
+              ))}
+            </div>
 
             {/* Geofences List */}
             <div className="geofences-list">
-              <h3>All Geofences ({geofences.length})</h3>
+              <div className="geofences-list-header">
+                <h3>All Geofences ({geofences.length})</h3>
+                <Link to="/geofences/analytics" className="analytics-link">📊 Zone analytics</Link>
+              </div>
               
               {loading && geofences.length === 0 ? (
                 <div className="loading-state">Loading geofences...</div>
@@ -540,7 +1233,9 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
                 <div className="empty-state">
                   <span className="empty-icon">📍</span>
                   <p>No geofences created yet</p>
-                  <p className="empty-hint">Click "Create New Geofence" to get started</p>
+                  {can('geofences:edit') && (
+                    <p className="empty-hint">Click "Create New Geofence" to get started</p>
+                  )}
                 </div>
               ) : (
                 <div className="geofence-items">
@@ -560,10 +1255,26 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
                         <div className="geofence-info">
                           <h4>{geofence.name}</h4>
                           <p className="geofence-meta">
-                            {geofence.type} • {geofence.radius}m
+                            {geofence.type} • {geofence.shape} • {formatGeofenceSize(geofence)}
                           </p>
+                          {geofence.schedule && (
+                            <p className="geofence-schedule">
+                              🕒 {describeSchedule(geofence.schedule)}
+                              {geofence.isActive !== false && !isGeofenceInForce(geofence) && (
+                                <span className="schedule-off"> • off now</span>
+                              )}
+                            </p>
+                          )}
                         </div>
                         <div className="geofence-status">
+                          {occupants[geofence.id]?.length > 0 && (
+                            <span
+                              className={`occupancy-badge ${isBreachFence(geofence) ? 'breach' : ''}`}
+                              title={isBreachFence(geofence) ? 'Tourists breaching this zone' : 'Tourists inside'}
+                            >
+                              👥 {occupants[geofence.id].length}
+                            </span>
+                          )}
                           <span className={`status-badge ${geofence.isActive !== false ? 'active' : 'inactive'}`}>
                             {geofence.isActive !== false ? '✓' : '✕'}
                           </span>
@@ -571,17 +1282,19 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
                       </div>
 
                       <div className="geofence-actions">
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            handleToggleActive(geofence);
-                          }}
-                          className="action-btn toggle"
-                          disabled={loading}
-                          title={geofence.isActive !== false ? 'Deactivate' : 'Activate'}
-                        >
-                          {geofence.isActive !== false ? '⏸' : '▶️'}
-                        </button>
+                        {can('geofences:edit') && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleToggleActive(geofence);
+                            }}
+                            className="action-btn toggle"
+                            disabled={loading}
+                            title={geofence.isActive !== false ? 'Deactivate' : 'Activate'}
+                          >
+                            {geofence.isActive !== false ? '⏸' : '▶️'}
+                          </button>
+                        )}
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
@@ -595,15 +1308,42 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
-                            handleDelete(geofence._id);
+                            setBreachListId(breachListId === geofence.id ? null : geofence.id);
                           }}
-                          className="action-btn delete"
-                          disabled={loading}
-                          title="Delete"
+                          className={`action-btn breaches ${breachListId === geofence.id ? 'active' : ''}`}
+                          title="Who is inside, entries and exits"
                         >
-                          🗑️
+                          📋
                         </button>
+                        {can('geofences:edit') && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleStartEdit(geofence);
+                            }}
+                            className="action-btn edit"
+                            disabled={loading}
+                            title="Edit on Map"
+                          >
+                            ✏️
+                          </button>
+                        )}
+                        {can('geofences:delete') && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDelete(geofence._id);
+                            }}
+                            className="action-btn delete"
+                            disabled={loading}
+                            title="Delete"
+                          >
+                            🗑️
+                          </button>
+                        )}
                       </div>
+
+                      {breachListId === geofence.id && <GeofenceBreachList fenceId={geofence.id} />}
                     </div>
                   ))}
                 </div>
@@ -629,7 +1369,7 @@ const GeofenceManager = ({ map, onGeofenceSelect, onGeofenceChange, onClose }) =
         {/* Header */}
         <div className="geofence-header">
           <div>
-            <h2>🗺️ {step === 'list' ? 'Geofences' : step === 'selecting' ? 'Select Location' : step === 'radius' ? 'Set Radius' : 'Add Details'}</h2>
+            <h2>🗺️ {STEP_TITLES[step] || (shape === GEOFENCE_SHAPES.CORRIDOR ? 'Draw Corridor' : 'Draw Polygon')}</h2>
           </div>
           <button onClick={handleClose} className="close-btn">✕</button>
         </div>
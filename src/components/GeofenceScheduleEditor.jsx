@@ -0,0 +1,157 @@
+import React from 'react';
+import {
+  DAY_LABELS,
+  MONTH_LABELS,
+  EMPTY_SCHEDULE,
+  SCHEDULE_PRESETS,
+  DEFAULT_SCHEDULE_TIME_ZONE,
+  normalizeSchedule,
+  describeSchedule
+} from '../utils/geofenceSchedules';
+
+const toggleValue = (values, value) => (
+  values.includes(value) ? values.filter(v => v !== value) : [...values, value].sort((a, b) => a - b)
+);
+
+// When a geofence applies. `schedule` is null for always-on fences; rules
+// being edited are kept as typed and only cleaned up by normalizeSchedule
+// when saved. Times are in the fence's time zone, IST unless it names another.
+const GeofenceScheduleEditor = ({ schedule, onChange }) => {
+  const rules = schedule || EMPTY_SCHEDULE;
+  const update = (changes) => onChange({ ...rules, ...changes });
+
+  const updateListItem = (key, index, changes) => {
+    update({ [key]: rules[key].map((item, i) => (i === index ? { ...item, ...changes } : item)) });
+  };
+
+  const removeListItem = (key, index) => {
+    update({ [key]: rules[key].filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="schedule-editor">
+      <div className="schedule-header">
+        <label>Schedule:</label>
+        <div className="schedule-mode">
+          <button type="button" className={!schedule ? 'active' : ''} onClick={() => onChange(null)}>
+            Always
+          </button>
+          <button type="button" className={schedule ? 'active' : ''} onClick={() => onChange(schedule || EMPTY_SCHEDULE)}>
+            🕒 Scheduled
+          </button>
+        </div>
+      </div>
+
+      {schedule && (
+        <>
+          <div className="schedule-presets">
+            {SCHEDULE_PRESETS.map(preset => (
+              <button key={preset.id} type="button" onClick={() => onChange({ ...preset.schedule, timeZone: schedule.timeZone })}>
+                {preset.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="schedule-section">
+            <span className="schedule-section-title">Daily hours</span>
+            {rules.timeWindows.map((window, index) => (
+              <div key={index} className="schedule-row">
+                <input
+                  type="time"
+                  value={window.start}
+                  onChange={(e) => updateListItem('timeWindows', index, { start: e.target.value })}
+                />
+                <span>to</span>
+                <input
+                  type="time"
+                  value={window.end}
+                  onChange={(e) => updateListItem('timeWindows', index, { end: e.target.value })}
+                />
+                <button type="button" className="schedule-remove" onClick={() => removeListItem('timeWindows', index)}>✕</button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="schedule-add"
+              onClick={() => update({ timeWindows: [...rules.timeWindows, { start: '19:00', end: '06:00' }] })}
+            >
+              + Add hours
+            </button>
+          </div>
+
+          <div className="schedule-section">
+            <span className="schedule-section-title">Days</span>
+            <div className="schedule-chips">
+              {DAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  className={rules.daysOfWeek.includes(day) ? 'active' : ''}
+                  onClick={() => update({ daysOfWeek: toggleValue(rules.daysOfWeek, day) })}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="schedule-section">
+            <span className="schedule-section-title">Months (every year)</span>
+            <div className="schedule-chips">
+              {MONTH_LABELS.map((label, index) => (
+                <button
+                  key={label}
+                  type="button"
+                  className={rules.months.includes(index + 1) ? 'active' : ''}
+                  onClick={() => update({ months: toggleValue(rules.months, index + 1) })}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="schedule-section">
+            <span className="schedule-section-title">Dates</span>
+            {rules.dateRanges.map((range, index) => (
+              <div key={index} className="schedule-row">
+                <input
+                  type="text"
+                  value={range.label || ''}
+                  onChange={(e) => updateListItem('dateRanges', index, { label: e.target.value })}
+                  placeholder="e.g. Dasara"
+                />
+                <input
+                  type="date"
+                  value={range.from}
+                  onChange={(e) => updateListItem('dateRanges', index, { from: e.target.value })}
+                />
+                <input
+                  type="date"
+                  value={range.to}
+                  min={range.from}
+                  onChange={(e) => updateListItem('dateRanges', index, { to: e.target.value })}
+                />
+                <button type="button" className="schedule-remove" onClick={() => removeListItem('dateRanges', index)}>✕</button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="schedule-add"
+              onClick={() => update({ dateRanges: [...rules.dateRanges, { label: '', from: '', to: '' }] })}
+            >
+              + Add dates
+            </button>
+          </div>
+
+          <div className="schedule-summary">
+            {normalizeSchedule(schedule) ? `Applies: ${describeSchedule(normalizeSchedule(schedule))}` : 'Add at least one rule'}
+            <div className="schedule-time-zone">Times in {schedule.timeZone || DEFAULT_SCHEDULE_TIME_ZONE}</div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GeofenceScheduleEditor;
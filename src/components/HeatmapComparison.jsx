@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useRef } from 'react';
+import azureMapsService from '../services/azureMaps';
+import viewportLoader from '../services/viewportLoader';
+import HeatmapLegend from './HeatmapLegend';
+import { getViewportTiles, isSameTiles } from '../utils/mapTiles';
+import {
+  HEATMAP_WEIGHTS,
+  HEATMAP_LAYER_OPTIONS,
+  isValidHeatmapRange,
+  getPreviousPeriod,
+  formatHourWindow,
+  formatPeriod,
+  toHeatmapParams,
+  toSharedScale,
+  getChangePercent
+} from '../utils/heatmapWindows';
+
+const SIDE_COLORS = ['#1a73e8', '#9333ea'];
+
+const inputStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid #e0e0e0',
+  background: 'white',
+  fontSize: '12px'
+};
+
+const toHeatmapFeatures = (points) => points.map(point => new window.atlas.data.Feature(
+  new window.atlas.data.Point([point.lng, point.lat]),
+  { intensity: point.intensity }
+));
+
+const formatChange = (percent) => {
+  if (percent === null) return 'no earlier activity to compare';
+  const rounded = Math.round(percent);
+  return `${rounded > 0 ? '+' : ''}${rounded}% vs first period`;
+};
+
+const SideLabel = ({ side, period, total, change }) => (
+  <div style={{
+    position: 'absolute',
+    top: '12px',
+    left: '12px',
+    zIndex: 10,
+    background: 'rgba(255, 255, 255, 0.95)',
+    borderRadius: '10px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    padding: '8px 12px',
+    fontSize: '12px',
+    color: '#333',
+    borderLeft: `4px solid ${SIDE_COLORS[side]}`
+  }}>
+    <div style={{ fontWeight: '600', fontSize: '13px' }}>{side === 0 ? 'A' : 'B'} · {formatPeriod(period)}</div>
+    {total !== null && (
+      <div style={{ color: '#666', marginTop: '2px' }}>
+        Total {total.toLocaleString()}
+        {change !== undefined && <span style={{ marginLeft: '6px', fontWeight: '600' }}>{formatChange(change)}</span>}
+      </div>
+    )}
+  </div>
+);
+
+// Two maps side by side with the heatmap of the selected period on the left
+// and another period on the right, moving together and coloured on one scale
+const HeatmapComparison = ({ map, filters, onClose }) => {
+  const [period, setPeriod] = useState(() => getPreviousPeriod(filters));
+  const [tiles, setTiles] = useState(null);
+  const [result, setResult] = useState(null); // toSharedScale output for the tiles on screen
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const firstContainerRef = useRef(null);
+  const secondContainerRef = useRef(null);
+  const sourcesRef = useRef(null);
+  const requestRef = useRef(0);
+
+  // Containers are fixed for the life of the overlay, so the maps are built once
+  useEffect(() => {
+    let disposed = false;
+    let maps = [];
+
+    azureMapsService.initialize()
+      .then(atlas => {
+        if (disposed) return;
+        const camera = map.getCamera();
+        maps = [firstContainerRef.current, secondContainerRef.current].map(container => new atlas.Map(container, {
+          authOptions: {
+            authType: 'subscriptionKey',
+            subscriptionKey: azureMapsService.getSubscriptionKey()
+          },
+          center: camera.center,
+          zoom: camera.zoom,
+          style: map.getStyle().style,
+          language: 'en-US',
+          showFeedbackLink: false,
+          renderWorldCopies: false
+        }));
+
+        const updateTiles = () => {
+          const { bounds, zoom } = maps[0].getCamera();
+          const next = getViewportTiles(bounds, zoom);
+          setTiles(prev => (prev && isSameTiles(prev, next) ? prev : next));
+        };
+
+        let ready = 0;
+        const sources = [];
+        maps.forEach((sideMap, i) => {
+          sideMap.events.add('ready', () => {
+            sources[i] = new atlas.source.DataSource();
+            sideMap.sources.add(sources[i]);
+            sideMap.layers.add(new atlas.layer.HeatMapLayer(sources[i], null, HEATMAP_LAYER_OPTIONS));
+            ready += 1;
+            if (ready === maps.length) {
+              sourcesRef.current = sources;
+              updateTiles();
+            }
+          });
+        });
+
+        // Panning either side moves the other
+        let syncing = false;
+        maps.forEach((sideMap, i) => {
+          sideMap.events.add('move', () => {
+            if (syncing) return;
+            syncing = true;
+            const { center, zoom, bearing, pitch } = sideMap.getCamera();
+            maps[1 - i].setCamera({ center, zoom, bearing, pitch });
+            syncing = false;
+          });
+        });
+        maps[0].events.add('moveend', updateTiles);
+      })
+      .catch(err => {
+        console.error('Failed to open heatmap comparison:', err);
+        if (!disposed) setError(err.message);
+      });
+
+    return () => {
+      disposed = true;
+      sourcesRef.current = null;
+      maps.forEach(sideMap => sideMap.dispose());
+    };
+  }, [map]);
+
+  const validPeriod = isValidHeatmapRange(period);
+
+  useEffect(() => {
+    if (!tiles || !validPeriod) return;
+    const request = ++requestRef.current;
+    setLoading(true);
+    Promise.all([
+      viewportLoader.load('heatmap', tiles, { params: toHeatmapParams(filters) }),
+      viewportLoader.load('heatmap', tiles, { params: toHeatmapParams({ ...filters, ...period }) })
+    ]).then(([first, second]) => {
+      if (request !== requestRef.current || !sourcesRef.current) return;
+      const scaled = toSharedScale(first, second);
+      sourcesRef.current[0].setShapes(toHeatmapFeatures(scaled.first));
+      sourcesRef.current[1].setShapes(toHeatmapFeatures(scaled.second));
+      setResult(scaled);
+      setLoading(false);
+    });
+  }, [tiles, filters, period, validPeriod]);
+
+  const totals = result?.totals;
+  const weightLabel = HEATMAP_WEIGHTS.find(w => w.id === filters.weight)?.label;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      zIndex: 2000,
+      background: '#f5f5f5',
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '12px',
+        padding: '12px 16px',
+        background: 'white',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+        fontSize: '12px',
+        color: '#333'
+      }}>
+        <strong style={{ fontSize: '15px' }}>⇆ Compare crowd patterns</strong>
+        <span style={{ color: '#666' }}>
+          {formatHourWindow(filters)} · {weightLabel}
+        </span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '6px', marginLeft: 'auto' }}>
+          <span style={{ fontWeight: '600', color: SIDE_COLORS[1] }}>Period B</span>
+          <input
+            type="date"
+            value={period.from}
+            max={period.to}
+            onChange={(e) => setPeriod(prev => ({ ...prev, from: e.target.value }))}
+            style={inputStyle}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={period.to}
+            min={period.from}
+            onChange={(e) => setPeriod(prev => ({ ...prev, to: e.target.value }))}
+            style={inputStyle}
+          />
+        </span>
+        <span style={{ color: '#888', minWidth: '70px' }}>{loading && !error ? 'Loading...' : ''}</span>
+        <button
+          onClick={onClose}
+          title="Close comparison"
+          style={{ ...inputStyle, width: '30px', height: '30px', padding: 0, borderRadius: '50%', cursor: 'pointer', fontWeight: '600' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ margin: '12px 16px', padding: '8px 10px', background: '#fef2f2', border: '1px solid #ef4444', borderRadius: '6px', color: '#dc2626', fontSize: '12px' }}>
+          {error}
+        </div>
+      )}
+      {!validPeriod && (
+        <div style={{ margin: '12px 16px', padding: '8px 10px', background: '#fef2f2', border: '1px solid #ef4444', borderRadius: '6px', color: '#dc2626', fontSize: '12px' }}>
+          Period B must start on or before its end date
+        </div>
+      )}
+
+      <div style={{ flex: 1, display: 'flex', gap: '4px', minHeight: 0 }}>
+        {[firstContainerRef, secondContainerRef].map((ref, side) => (
+          <div key={side} style={{ flex: 1, position: 'relative' }}>
+            <div ref={ref} style={{ width: '100%', height: '100%' }} />
+            <SideLabel
+              side={side}
+              period={side === 0 ? filters : period}
+              total={totals ? totals[side] : null}
+              change={side === 1 && totals ? getChangePercent(totals[0], totals[1]) : undefined}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div style={{ padding: '8px 16px', background: 'white', display: 'flex', alignItems: 'center', gap: '16px', fontSize: '11px', color: '#666' }}>
+        <div style={{ width: '240px' }}>
+          <HeatmapLegend weight={filters.weight} />
+        </div>
+        <span>
+          {totals
+            ? 'Both maps share one colour scale, so the same colour means the same crowd.'
+            : 'Each map is coloured on its own scale; the backend did not send counts to compare.'}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default HeatmapComparison;
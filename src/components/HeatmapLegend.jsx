@@ -0,0 +1,20 @@
+import React from 'react';
+import { HEATMAP_WEIGHTS, HEATMAP_GRADIENT } from '../utils/heatmapWindows';
+
+// Colour ramp of the heatmap layer with what the heat counts
+const HeatmapLegend = ({ weight }) => (
+  <div>
+    <div style={{
+      height: '8px',
+      borderRadius: '4px',
+      background: `linear-gradient(to right, ${HEATMAP_GRADIENT.map(([, color]) => color).join(', ')})`
+    }} />
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#888', marginTop: '2px' }}>
+      <span>Fewer</span>
+      <span>{HEATMAP_WEIGHTS.find(w => w.id === weight)?.legend}</span>
+      <span>More</span>
+    </div>
+  </div>
+);
+
+export default HeatmapLegend;
@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import viewportLoader from '../services/viewportLoader';
+import HeatmapComparison from './HeatmapComparison';
+import HeatmapLegend from './HeatmapLegend';
+import {
+  HEATMAP_WEIGHTS,
+  HEATMAP_LAYER_OPTIONS,
+  MAX_ANIMATION_DAYS,
+  ANIMATION_FRAME_MS,
+  getDefaultHeatmapFilters,
+  isValidHeatmapRange,
+  getHeatmapDays,
+  formatHour,
+  formatHourWindow,
+  formatDay,
+  formatPeriod,
+  toHeatmapParams
+} from '../utils/heatmapWindows';
+
+const buttonStyle = {
+  padding: '6px 10px',
+  borderRadius: '6px',
+  border: '1px solid #e0e0e0',
+  background: 'white',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+const labelStyle = { fontSize: '10px', color: '#888', fontWeight: '500', marginBottom: '4px' };
+
+const toHeatmapFeatures = (points) => points.map(point => new window.atlas.data.Feature(
+  new window.atlas.data.Point([point.lng, point.lat]),
+  { intensity: point.intensity }
+));
+
+// Crowd heatmap over the map for a date range and an hour-of-day window,
+// weighted by tourists or alerts. Can step through the range a day at a time
+// and open a side-by-side comparison with another period.
+const HeatmapPanel = ({ map, tiles, onClose }) => {
+  const [filters, setFilters] = useState(() => getDefaultHeatmapFilters());
+  const [frame, setFrame] = useState(null); // index into days while stepping through them, null for the whole range
+  const [playing, setPlaying] = useState(false);
+  const [points, setPoints] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [comparing, setComparing] = useState(false);
+  const sourceRef = useRef(null);
+  const requestRef = useRef(0);
+
+  const validRange = isValidHeatmapRange(filters);
+  const days = useMemo(() => getHeatmapDays({ from: filters.from, to: filters.to }), [filters.from, filters.to]);
+  const day = frame !== null ? days[frame] : null;
+  const params = useMemo(() => (validRange ? toHeatmapParams(filters, day) : null), [filters, day, validRange]);
+
+  useEffect(() => {
+    if (!map || !window.atlas) return;
+    const source = new window.atlas.source.DataSource();
+    const layer = new window.atlas.layer.HeatMapLayer(source, null, HEATMAP_LAYER_OPTIONS);
+    map.sources.add(source);
+    map.layers.add(layer);
+    sourceRef.current = source;
+    return () => {
+      try { map.layers.remove(layer); } catch { /* ignore */ }
+      try { map.sources.remove(source); } catch { /* ignore */ }
+      sourceRef.current = null;
+    };
+  }, [map]);
+
+  // Reload for the tiles on screen whenever the window changes; a response for
+  // an earlier window or area is dropped
+  useEffect(() => {
+    if (!tiles || !params) return;
+    const request = ++requestRef.current;
+    setLoading(true);
+    viewportLoader.load('heatmap', tiles, { params }).then(items => {
+      if (request !== requestRef.current) return;
+      sourceRef.current?.setShapes(toHeatmapFeatures(items));
+      setPoints(items);
+      setLoading(false);
+    });
+  }, [tiles, params]);
+
+  // While animating, fetch the next day ahead so frames don't wait on the network
+  useEffect(() => {
+    if (!playing || !tiles || frame === null || frame + 1 >= days.length) return;
+    viewportLoader.load('heatmap', tiles, { params: toHeatmapParams(filters, days[frame + 1]) });
+  }, [playing, tiles, frame, days, filters]);
+
+  // Each day stays up for a frame once it has loaded; stops on the last day
+  useEffect(() => {
+    if (!playing || loading) return;
+    const timer = setTimeout(() => {
+      if (frame >= days.length - 1) setPlaying(false);
+      else setFrame(frame + 1);
+    }, ANIMATION_FRAME_MS);
+    return () => clearTimeout(timer);
+  }, [playing, loading, frame, days.length]);
+
+  const updateFilters = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+    if ('from' in changes || 'to' in changes) {
+      setFrame(null);
+      setPlaying(false);
+    }
+  };
+
+  const handlePlayPause = () => {
+    if (!playing && (frame === null || frame >= days.length - 1)) setFrame(0);
+    setPlaying(!playing);
+  };
+
+  const showAllDays = () => {
+    setPlaying(false);
+    setFrame(null);
+  };
+
+  const canAnimate = validRange && days.length > 1 && days.length <= MAX_ANIMATION_DAYS;
+  const peak = points?.reduce((highest, point) => (point.count !== null ? Math.max(highest, point.count) : highest), 0) || 0;
+  const weightLegend = HEATMAP_WEIGHTS.find(w => w.id === filters.weight)?.legend.toLowerCase();
+
+  return (
+    <>
+      <div style={{
+        position: 'absolute',
+        top: '72px',
+        left: '16px',
+        width: '300px',
+        background: 'rgba(255, 255, 255, 0.97)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '12px',
+        boxShadow: '0 4px 20px rgba(0,0,0,0.2)',
+        padding: '12px 14px',
+        zIndex: 1000,
+        fontSize: '12px',
+        color: '#333'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', marginBottom: '10px' }}>
+          <strong style={{ fontSize: '14px' }}>🔥 Crowd heatmap</strong>
+          <button
+            onClick={onClose}
+            title="Hide heatmap"
+            style={{ ...buttonStyle, width: '28px', height: '28px', padding: 0, borderRadius: '50%' }}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={labelStyle}>DATES</div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}>
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to}
+            onChange={(e) => updateFilters({ from: e.target.value })}
+            style={{ ...buttonStyle, flex: 1, minWidth: 0, fontWeight: '400' }}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from}
+            onChange={(e) => updateFilters({ to: e.target.value })}
+            style={{ ...buttonStyle, flex: 1, minWidth: 0, fontWeight: '400' }}
+          />
+        </div>
+
+        <div style={{ ...labelStyle, display: 'flex', justifyContent: 'space-between' }}>
+          <span>HOURS OF THE DAY</span>
+          <span style={{ color: '#333', fontWeight: '600' }}>{formatHourWindow(filters)}</span>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span style={{ width: '34px', color: '#666' }}>{formatHour(filters.startHour)}</span>
+          <input
+            type="range"
+            min={0}
+            max={23}
+            value={filters.startHour}
+            onChange={(e) => updateFilters({ startHour: Math.min(Number(e.target.value), filters.endHour - 1) })}
+            style={{ flex: 1 }}
+          />
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}>
+          <span style={{ width: '34px', color: '#666' }}>{formatHour(filters.endHour)}</span>
+          <input
+            type="range"
+            min={1}
+            max={24}
+            value={filters.endHour}
+            onChange={(e) => updateFilters({ endHour: Math.max(Number(e.target.value), filters.startHour + 1) })}
+            style={{ flex: 1 }}
+          />
+        </div>
+
+        <div style={labelStyle}>WEIGHT BY</div>
+        <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+          {HEATMAP_WEIGHTS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => updateFilters({ weight: option.id })}
+              style={{
+                ...buttonStyle,
+                flex: 1,
+                ...(filters.weight === option.id ? { background: '#1a73e8', borderColor: '#1a73e8', color: 'white' } : {})
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {!validRange ? (
+          <div style={{ padding: '8px 10px', background: '#fef2f2', border: '1px solid #ef4444', borderRadius: '6px', color: '#dc2626' }}>
+            The start date must be on or before the end date
+          </div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <button
+                onClick={handlePlayPause}
+                disabled={!canAnimate}
+                title={days.length > MAX_ANIMATION_DAYS ? `Pick at most ${MAX_ANIMATION_DAYS} days to animate` : 'Step through the range a day at a time'}
+                style={{
+                  ...buttonStyle,
+                  minWidth: '70px',
+                  background: canAnimate ? '#1a73e8' : '#e0e0e0',
+                  borderColor: canAnimate ? '#1a73e8' : '#e0e0e0',
+                  color: 'white',
+                  cursor: canAnimate ? 'pointer' : 'not-allowed'
+                }}
+              >
+                {playing ? '⏸ Pause' : '▶ Days'}
+              </button>
+              <button onClick={showAllDays} disabled={frame === null} style={buttonStyle}>All days</button>
+              <button onClick={() => setComparing(true)} style={{ ...buttonStyle, marginLeft: 'auto' }}>⇆ Compare</button>
+            </div>
+
+            {canAnimate && (
+              <input
+                type="range"
+                min={0}
+                max={days.length - 1}
+                value={frame ?? 0}
+                onChange={(e) => {
+                  setPlaying(false);
+                  setFrame(Number(e.target.value));
+                }}
+                style={{ width: '100%', margin: '8px 0 2px 0' }}
+              />
+            )}
+
+            <div style={{ margin: '8px 0', fontWeight: '600' }}>
+              📅 {day ? formatDay(day) : formatPeriod(filters)}
+              <span style={{ marginLeft: '8px', fontWeight: '400', color: '#888' }}>
+                {loading ? 'Loading...' : `${points?.length || 0} busy spots in view`}
+              </span>
+            </div>
+            {peak > 0 && (
+              <div style={{ marginBottom: '8px', color: '#666' }}>
+                Busiest spot: {peak} {weightLegend}
+              </div>
+            )}
+
+            <HeatmapLegend weight={filters.weight} />
+          </>
+        )}
+      </div>
+
+      {comparing && (
+        <HeatmapComparison map={map} filters={filters} onClose={() => setComparing(false)} />
+      )}
+    </>
+  );
+};
+
+export default HeatmapPanel;
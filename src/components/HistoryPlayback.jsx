@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { loadLocationHistories } from '../services/locationHistory';
+import { toDateTimeInputValue } from '../utils/geofenceSchedules';
+import {
+  PLAYBACK_RANGES,
+  PLAYBACK_SPEEDS,
+  DEFAULT_PLAYBACK_SPEED,
+  formatPlaybackSpeed,
+  formatSpeed,
+  getRangeBounds,
+  toPlaybackTrack,
+  getPlaybackPosition
+} from '../utils/locationPlayback';
+
+const DEFAULT_RANGE = PLAYBACK_RANGES[1];
+
+const PLAYBACK_MARKER_HTML = '<div style="width: 22px; height: 22px; background: #1a73e8; border: 3px solid white; border-radius: 50%; box-shadow: 0 0 0 4px rgba(26,115,232,0.3), 0 2px 8px rgba(0,0,0,0.3);"></div>';
+
+// Full path faded, the part already played solid, and a dot per sample with
+// the first and last one marked
+const drawPlaybackPath = (map, track) => {
+  const atlas = window.atlas;
+  const pathSource = new atlas.source.DataSource();
+  const playedSource = new atlas.source.DataSource();
+  map.sources.add([pathSource, playedSource]);
+
+  const coordinates = track.map(sample => [sample.lng, sample.lat]);
+  // Samples already passed, and the stretch from the last of them to the marker
+  const playedLine = new atlas.Shape(new atlas.data.LineString([coordinates[0], coordinates[0]]));
+  const playedTail = new atlas.Shape(new atlas.data.LineString([coordinates[0], coordinates[0]]));
+  playedSource.add([playedLine, playedTail]);
+  if (coordinates.length > 1) pathSource.add(new atlas.data.Feature(new atlas.data.LineString(coordinates)));
+  track.forEach((sample, i) => {
+    const role = i === 0 ? 'start' : i === track.length - 1 ? 'end' : 'sample';
+    pathSource.add(new atlas.data.Feature(new atlas.data.Point([sample.lng, sample.lat]), { role }));
+  });
+
+  const layers = [
+    new atlas.layer.LineLayer(pathSource, null, {
+      strokeColor: '#1a73e8',
+      strokeOpacity: 0.35,
+      strokeWidth: 4,
+      lineJoin: 'round',
+      lineCap: 'round',
+      filter: ['==', ['geometry-type'], 'LineString']
+    }),
+    new atlas.layer.LineLayer(playedSource, null, {
+      strokeColor: '#1a73e8',
+      strokeWidth: 4,
+      lineJoin: 'round',
+      lineCap: 'round'
+    }),
+    new atlas.layer.BubbleLayer(pathSource, null, {
+      radius: ['match', ['get', 'role'], 'sample', 3, 7],
+      color: ['match', ['get', 'role'], 'start', '#4caf50', 'end', '#f44336', 'white'],
+      strokeColor: ['match', ['get', 'role'], 'sample', '#1a73e8', 'white'],
+      strokeWidth: 2,
+      filter: ['==', ['geometry-type'], 'Point']
+    })
+  ];
+  layers.forEach(layer => map.layers.add(layer));
+
+  const marker = new atlas.HtmlMarker({ position: coordinates[0], htmlContent: PLAYBACK_MARKER_HTML, anchor: 'center' });
+  map.markers.add(marker);
+
+  if (coordinates.length > 1) {
+    map.setCamera({ bounds: atlas.data.BoundingBox.fromPositions(coordinates), padding: 80, maxZoom: 17, duration: 500 });
+  } else {
+    map.setCamera({ center: coordinates[0], zoom: 16, duration: 500 });
+  }
+
+  return { pathSource, playedSource, playedLine, playedTail, playedIndex: 0, layers, marker };
+};
+
+const clearPlaybackPath = (map, drawing) => {
+  try { map.markers.remove(drawing.marker); } catch { /* ignore */ }
+  drawing.layers.forEach(layer => {
+    try { map.layers.remove(layer); } catch { /* ignore */ }
+  });
+  try { map.sources.remove([drawing.pathSource, drawing.playedSource]); } catch { /* ignore */ }
+};
+
+const Reading = ({ label, value }) => (
+  <div style={{ flex: 1, minWidth: 0 }}>
+    <div style={{ fontSize: '10px', color: '#888', fontWeight: '500' }}>{label}</div>
+    <div style={{ fontSize: '13px', fontWeight: '600', color: '#333' }}>{value}</div>
+  </div>
+);
+
+const buttonStyle = {
+  padding: '6px 10px',
+  borderRadius: '6px',
+  border: '1px solid #e0e0e0',
+  background: 'white',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+// Animated replay of one tourist's location history over the map, with play,
+// pause, speed, a time scrubber and the device readings at each point
+const HistoryPlayback = ({ map, tourist, onClose }) => {
+  const [request, setRequest] = useState(() => getRangeBounds(DEFAULT_RANGE)); // { from, to } of the loaded history
+  const [custom, setCustom] = useState(() => ({
+    from: toDateTimeInputValue(new Date(request.from)),
+    to: toDateTimeInputValue(new Date(request.to))
+  }));
+  const [rangeId, setRangeId] = useState(DEFAULT_RANGE.id);
+  const [track, setTrack] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [truncated, setTruncated] = useState(false);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(DEFAULT_PLAYBACK_SPEED);
+  const [follow, setFollow] = useState(false);
+  const drawingRef = useRef(null);
+  const timeRef = useRef(0);
+
+  const seek = (value) => {
+    timeRef.current = value;
+    setTime(value);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setPlaying(false);
+
+    // The shared loader splits ranges the backend returns full, so long
+    // ranges aren't cut off at its page size
+    let samples = [];
+    loadLocationHistories([tourist.id], {
+      from: request.from,
+      to: request.to,
+      onHistory: (_touristId, locations) => { samples = toPlaybackTrack(locations); },
+      isCancelled: () => cancelled
+    }).then(({ failed, truncated: cutOff }) => {
+      if (cancelled) return;
+      if (failed > 0) {
+        setError('Failed to load location history');
+      } else {
+        setTrack(samples);
+        timeRef.current = samples[0]?.at || 0;
+        setTime(timeRef.current);
+      }
+      setTruncated(cutOff > 0);
+      setLoading(false);
+    });
+
+    return () => { cancelled = true; };
+  }, [tourist.id, request]);
+
+  useEffect(() => {
+    if (!map || !window.atlas || !track || track.length === 0) return;
+    const drawing = drawPlaybackPath(map, track);
+    drawingRef.current = drawing;
+    return () => {
+      clearPlaybackPath(map, drawing);
+      drawingRef.current = null;
+    };
+  }, [map, track]);
+
+  // Advance the clock while playing; stops itself at the last sample
+  useEffect(() => {
+    if (!playing || !track || track.length === 0) return;
+    const end = track[track.length - 1].at;
+    let frame;
+    let last = performance.now();
+
+    const step = (now) => {
+      const next = Math.min(timeRef.current + (now - last) * speed, end);
+      last = now;
+      timeRef.current = next;
+      setTime(next);
+      if (next >= end) {
+        setPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, track]);
+
+  // Move the marker and the end of the played line with the clock; the rest
+  // of the line is only rebuilt when the clock passes a sample
+  useEffect(() => {
+    const drawing = drawingRef.current;
+    if (!drawing || !track || track.length === 0) return;
+    const { lat, lng, index } = getPlaybackPosition(track, time);
+    const reached = [track[index].lng, track[index].lat];
+    drawing.marker.setOptions({ position: [lng, lat] });
+    if (index !== drawing.playedIndex) {
+      drawing.playedIndex = index;
+      const played = track.slice(0, index + 1).map(sample => [sample.lng, sample.lat]);
+      drawing.playedLine.setCoordinates(played.length > 1 ? played : [reached, reached]);
+    }
+    drawing.playedTail.setCoordinates([reached, [lng, lat]]);
+    if (follow) map.setCamera({ center: [lng, lat] });
+  }, [map, track, time, follow]);
+
+  const handleRangeChange = (id) => {
+    setRangeId(id);
+    const range = PLAYBACK_RANGES.find(r => r.id === id);
+    if (range.hours !== null) setRequest(getRangeBounds(range));
+  };
+
+  const customBounds = getRangeBounds(PLAYBACK_RANGES.find(r => r.hours === null), custom);
+  const customValid = Number.isFinite(customBounds.from) && Number.isFinite(customBounds.to) && customBounds.from < customBounds.to;
+
+  const handlePlayPause = () => {
+    if (!playing && time >= track[track.length - 1].at) seek(track[0].at);
+    setPlaying(!playing);
+  };
+
+  // Jump to the previous or next recorded point; "previous" first goes back
+  // to the start of the current segment
+  const stepSample = (delta) => {
+    setPlaying(false);
+    const { index } = position;
+    const target = delta < 0 && time > track[index].at ? index : index + delta;
+    seek(track[Math.max(0, Math.min(track.length - 1, target))].at);
+  };
+
+  const hasTrack = Boolean(track && track.length > 0);
+  const position = hasTrack ? getPlaybackPosition(track, time) : null;
+  const sample = position ? track[position.index] : null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '24px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: 'min(560px, calc(100% - 32px))',
+      background: 'rgba(255, 255, 255, 0.97)',
+      backdropFilter: 'blur(10px)',
+      borderRadius: '12px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.2)',
+      padding: '12px 14px',
+      zIndex: 1000,
+      fontSize: '12px',
+      color: '#333'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', marginBottom: '10px' }}>
+        <strong style={{ fontSize: '14px' }}>▶️ {tourist.name} — location playback</strong>
+        <button
+          onClick={onClose}
+          title="Close playback"
+          style={{ ...buttonStyle, width: '28px', height: '28px', padding: 0, borderRadius: '50%' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center', marginBottom: '10px' }}>
+        <select value={rangeId} onChange={(e) => handleRangeChange(e.target.value)} style={buttonStyle}>
+          {PLAYBACK_RANGES.map(range => <option key={range.id} value={range.id}>{range.label}</option>)}
+        </select>
+        {rangeId === 'custom' && (
+          <>
+            <input
+              type="datetime-local"
+              value={custom.from}
+              onChange={(e) => setCustom(prev => ({ ...prev, from: e.target.value }))}
+              style={buttonStyle}
+            />
+            <span>to</span>
+            <input
+              type="datetime-local"
+              value={custom.to}
+              onChange={(e) => setCustom(prev => ({ ...prev, to: e.target.value }))}
+              style={buttonStyle}
+            />
+            <button
+              onClick={() => setRequest(customBounds)}
+              disabled={!customValid}
+              style={{ ...buttonStyle, borderColor: '#1a73e8', color: '#1a73e8' }}
+            >
+              Load
+            </button>
+          </>
+        )}
+      </div>
+
+      {loading ? (
+        <div style={{ padding: '12px 0', color: '#666' }}>Loading location history...</div>
+      ) : error ? (
+        <div style={{ padding: '8px 10px', background: '#fef2f2', border: '1px solid #ef4444', borderRadius: '6px', color: '#dc2626' }}>
+          {error}
+        </div>
+      ) : !hasTrack ? (
+        <div style={{ padding: '12px 0', color: '#666' }}>No location history in this range</div>
+      ) : (
+        <>
+          {truncated && (
+            <div style={{ marginBottom: '8px', padding: '6px 10px', background: '#fffbeb', border: '1px solid #f59e0b', borderRadius: '6px', color: '#92400e' }}>
+              This range has too many points to load in full; pick a shorter one to see every point
+            </div>
+          )}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <button onClick={() => stepSample(-1)} title="Previous point" style={buttonStyle}>⏮</button>
+            <button onClick={handlePlayPause} style={{ ...buttonStyle, minWidth: '70px', background: '#1a73e8', borderColor: '#1a73e8', color: 'white' }}>
+              {playing ? '⏸ Pause' : '▶ Play'}
+            </button>
+            <button onClick={() => stepSample(1)} title="Next point" style={buttonStyle}>⏭</button>
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} title="Playback speed" style={buttonStyle}>
+              {PLAYBACK_SPEEDS.map(s => <option key={s} value={s}>{formatPlaybackSpeed(s)}</option>)}
+            </select>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '4px', marginLeft: 'auto', cursor: 'pointer' }}>
+              <input type="checkbox" checked={follow} onChange={(e) => setFollow(e.target.checked)} />
+              Follow
+            </label>
+          </div>
+
+          <input
+            type="range"
+            min={track[0].at}
+            max={track[track.length - 1].at}
+            step={1000}
+            value={time}
+            onChange={(e) => seek(Number(e.target.value))}
+            style={{ width: '100%', margin: '10px 0 2px 0' }}
+          />
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#888' }}>
+            <span>{new Date(track[0].at).toLocaleString()}</span>
+            <span>{new Date(track[track.length - 1].at).toLocaleString()}</span>
+          </div>
+
+          <div style={{ margin: '8px 0', fontWeight: '600' }}>
+            🕐 {new Date(time).toLocaleString()}
+            <span style={{ marginLeft: '8px', fontWeight: '400', color: '#888' }}>
+              point {position.index + 1} of {track.length}
+            </span>
+          </div>
+
+          <div style={{ display: 'flex', gap: '10px', padding: '8px', background: '#f5f5f5', borderRadius: '6px' }}>
+            <Reading
+              label="🚗 SPEED"
+              value={sample.speed !== null ? `${formatSpeed(sample.speed)}${sample.speedDerived ? ' (est.)' : ''}` : '—'}
+            />
+            <Reading label="🔋 BATTERY" value={sample.batteryLevel !== null ? `${Math.round(sample.batteryLevel)}%` : '—'} />
+            <Reading label="🎯 ACCURACY" value={sample.accuracy !== null ? `±${Math.round(sample.accuracy)} m` : '—'} />
+            <Reading label="🧭 HEADING" value={sample.heading !== null ? `${Math.round(sample.heading)}°` : '—'} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPlayback;
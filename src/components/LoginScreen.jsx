@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+import authSession from '../services/authSession';
+import { useAuth } from '../hooks/useAuth';
+
+// Operator sign-in. Shown instead of the portal whenever there is no session.
+const LoginScreen = () => {
+  const { endedReason } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      const response = await authAPI.login(email.trim(), password);
+      authSession.setFromAuthResponse(response.data);
+    } catch (err) {
+      console.error('Login failed:', err);
+      if (err.response?.status === 401) {
+        setError('Incorrect email or password');
+      } else {
+        setError(err.response?.data?.message || err.message || 'Login failed');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '10px 12px',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '14px',
+    boxSizing: 'border-box',
+    marginBottom: '14px'
+  };
+
+  return (
+    <div style={{
+      width: '100vw',
+      height: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'linear-gradient(135deg, #1a73e8 0%, #0d47a1 100%)'
+    }}>
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          width: '340px',
+          background: 'white',
+          borderRadius: '12px',
+          padding: '28px',
+          boxShadow: '0 10px 40px rgba(0,0,0,0.25)'
+        }}
+      >
+        <div style={{ textAlign: 'center', marginBottom: '20px' }}>
+          <div style={{ fontSize: '32px' }}>🛡️</div>
+          <h2 style={{ margin: '8px 0 4px', fontSize: '20px', color: '#1f2937' }}>Yatra Suraksha</h2>
+          <div style={{ fontSize: '13px', color: '#6b7280' }}>Operator sign in</div>
+        </div>
+
+        {endedReason === 'expired' && !error && (
+          <div style={{
+            background: '#fffbeb',
+            border: '1px solid #f59e0b',
+            color: '#b45309',
+            borderRadius: '8px',
+            padding: '10px 12px',
+            fontSize: '13px',
+            marginBottom: '14px'
+          }}>
+            Your session has expired. Please sign in again.
+          </div>
+        )}
+
+        {error && (
+          <div style={{
+            background: '#fef2f2',
+            border: '1px solid #ef4444',
+            color: '#dc2626',
+            borderRadius: '8px',
+            padding: '10px 12px',
+            fontSize: '13px',
+            marginBottom: '14px'
+          }}>
+            {error}
+          </div>
+        )}
+
+        <label style={{ display: 'block', fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '6px' }}>
+          Email
+        </label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="username"
+          required
+          autoFocus
+          style={inputStyle}
+        />
+
+        <label style={{ display: 'block', fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '6px' }}>
+          Password
+        </label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+          style={inputStyle}
+        />
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          style={{
+            width: '100%',
+            padding: '11px',
+            background: isSubmitting ? '#93c5fd' : '#1a73e8',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            fontSize: '14px',
+            fontWeight: '600',
+            cursor: isSubmitting ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {isSubmitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
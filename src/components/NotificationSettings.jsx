@@ -0,0 +1,171 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import alertNotifier from '../services/alertNotifier';
+
+const SEVERITIES = ['emergency', 'critical', 'high', 'medium', 'low'];
+
+// Bell button with the signed-in operator's sound and desktop notification settings
+const NotificationSettings = () => {
+  const { settings, sirenActive, permission } = useSyncExternalStore(alertNotifier.subscribe, alertNotifier.getState);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggleSeverity = (severity) => {
+    const soundSeverities = settings.soundSeverities.includes(severity)
+      ? settings.soundSeverities.filter(s => s !== severity)
+      : [...settings.soundSeverities, severity];
+    alertNotifier.updateSettings({ soundSeverities });
+  };
+
+  const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '8px',
+    marginBottom: '10px',
+    fontSize: '12px',
+    color: '#374151'
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <style>{'@keyframes pulse { 0%, 100% { transform: scale(1); opacity: 1; } 50% { transform: scale(1.2); opacity: 0.7; } }'}</style>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title={sirenActive ? 'Siren sounding - acknowledge the alert or mute' : 'Notification settings'}
+        style={{
+          padding: '6px 10px',
+          background: sirenActive ? '#fee2e2' : '#f3f4f6',
+          color: sirenActive ? '#dc2626' : '#374151',
+          border: 'none',
+          borderRadius: '16px',
+          fontSize: '12px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          animation: sirenActive ? 'pulse 1s infinite' : 'none'
+        }}
+      >
+        {settings.muted ? '🔕' : '🔔'}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          top: 'calc(100% + 8px)',
+          right: 0,
+          width: '260px',
+          background: 'white',
+          borderRadius: '12px',
+          boxShadow: '0 8px 30px rgba(0,0,0,0.2)',
+          padding: '14px',
+          zIndex: 1050
+        }}>
+          <div style={{ fontWeight: '600', fontSize: '13px', color: '#1a1a1a', marginBottom: '12px' }}>
+            Alert notifications
+          </div>
+
+          <label style={rowStyle}>
+            <span>Mute siren</span>
+            <input
+              type="checkbox"
+              checked={settings.muted}
+              onChange={(e) => alertNotifier.updateSettings({ muted: e.target.checked })}
+            />
+          </label>
+
+          <div style={rowStyle}>
+            <span>Volume</span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={settings.volume}
+              disabled={settings.muted}
+              onChange={(e) => alertNotifier.updateSettings({ volume: Number(e.target.value) })}
+              style={{ flex: 1 }}
+            />
+            <button
+              onClick={() => alertNotifier.testSound()}
+              disabled={settings.muted}
+              style={{
+                border: '1px solid #d1d5db',
+                background: 'white',
+                borderRadius: '6px',
+                fontSize: '11px',
+                padding: '2px 6px',
+                cursor: settings.muted ? 'not-allowed' : 'pointer'
+              }}
+            >
+              Test
+            </button>
+          </div>
+
+          <div style={{ fontSize: '10px', color: '#888', fontWeight: '600', marginBottom: '6px' }}>
+            SIREN FOR UNACKNOWLEDGED
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '12px' }}>
+            {SEVERITIES.map(severity => {
+              const isActive = settings.soundSeverities.includes(severity);
+              return (
+                <button
+                  key={severity}
+                  onClick={() => toggleSeverity(severity)}
+                  style={{
+                    padding: '3px 8px',
+                    borderRadius: '10px',
+                    border: '1px solid ' + (isActive ? '#dc2626' : '#ddd'),
+                    background: isActive ? '#dc2626' : 'white',
+                    color: isActive ? 'white' : '#555',
+                    fontSize: '11px',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    textTransform: 'capitalize'
+                  }}
+                >
+                  {severity}
+                </button>
+              );
+            })}
+          </div>
+
+          <label style={rowStyle}>
+            <span>Desktop notifications</span>
+            <input
+              type="checkbox"
+              checked={settings.desktop}
+              disabled={permission === 'unsupported'}
+              onChange={(e) => alertNotifier.updateSettings({ desktop: e.target.checked })}
+            />
+          </label>
+          {settings.desktop && permission === 'default' && (
+            <button
+              onClick={() => alertNotifier.requestPermission()}
+              style={{
+                width: '100%',
+                padding: '6px',
+                border: 'none',
+                borderRadius: '6px',
+                background: '#1a73e8',
+                color: 'white',
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              Allow desktop notifications
+            </button>
+          )}
+          {settings.desktop && permission === 'denied' && (
+            <div style={{ fontSize: '11px', color: '#b45309' }}>
+              Notifications are blocked for this site in the browser settings.
+            </div>
+          )}
+          {permission === 'unsupported' && (
+            <div style={{ fontSize: '11px', color: '#888' }}>This browser does not support desktop notifications.</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,461 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { routeAPI } from '../services/api';
+import dataStore, { selectRoutePlansById, selectGeofences, selectTouristsById } from '../services/dataStore';
+import { useDataStore } from '../hooks/useDataStore';
+import { useAuth } from '../hooks/useAuth';
+import { toDateTimeInputValue } from '../utils/geofenceSchedules';
+import { DEFAULT_ROUTE_CORRIDOR, DEFAULT_ROUTE_GRACE_MINUTES } from '../utils/routePlans';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toStop = ({ name = '', lat = '', lng = '', expectedAt = '' }) => ({
+  name,
+  lat: lat === '' ? '' : String(lat),
+  lng: lng === '' ? '' : String(lng),
+  expectedAt: expectedAt ? toDateTimeInputValue(new Date(expectedAt)) : ''
+});
+
+const toDraft = (plan) => ({
+  name: plan?.name || '',
+  corridorMeters: plan?.corridorMeters || DEFAULT_ROUTE_CORRIDOR,
+  graceMinutes: plan?.graceMinutes ?? DEFAULT_ROUTE_GRACE_MINUTES,
+  waypoints: (plan?.waypoints || []).map(toStop)
+});
+
+// Returns an error message, or null when the stops can be saved
+const validateStops = (stops) => {
+  if (stops.length === 0) return 'Add at least one stop';
+  for (let i = 0; i < stops.length; i++) {
+    const label = stops[i].name || `Stop ${i + 1}`;
+    const lat = Number(stops[i].lat);
+    const lng = Number(stops[i].lng);
+    if (stops[i].lat === '' || stops[i].lng === '' || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+      return `${label} needs a valid latitude and longitude`;
+    }
+    if (!stops[i].expectedAt) return `${label} needs an expected time`;
+    if (i > 0 && new Date(stops[i].expectedAt) < new Date(stops[i - 1].expectedAt)) {
+      return `${label} is expected before the stop ahead of it`;
+    }
+  }
+  return null;
+};
+
+// Attach or edit a tourist's planned route: the stops in order with the time
+// they are expected at each, how far off the route they may go and how late
+// they may be before an alert is raised
+const RoutePlanModal = ({ tourist, onClose }) => {
+  const { can } = useAuth();
+  const plansById = useDataStore(selectRoutePlansById);
+  const geofences = useDataStore(selectGeofences);
+  const touristsById = useDataStore(selectTouristsById);
+  const plan = plansById[tourist.id] || null;
+  const canEdit = can('routes:edit');
+
+  const [draft, setDraft] = useState(() => toDraft(plan));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    dataStore.load('routePlans');
+    dataStore.load('geofences');
+  }, []);
+
+  // Places a stop can be added at: where the tourist is now and every
+  // geofence's centre (temples, hotels, viewpoints...)
+  const places = useMemo(() => {
+    const current = touristsById[tourist.id];
+    return [
+      ...(current && current.lat !== null && current.lng !== null
+        ? [{ id: 'current', name: `${tourist.name}'s current position`, lat: current.lat, lng: current.lng }]
+        : []),
+      ...geofences.filter(fence => fence.center).map(fence => ({ id: fence.id, name: fence.name, ...fence.center }))
+    ];
+  }, [geofences, touristsById, tourist]);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateStop = (index, changes) => updateDraft({
+    waypoints: draft.waypoints.map((stop, i) => (i === index ? { ...stop, ...changes } : stop))
+  });
+
+  const moveStop = (index, delta) => {
+    const waypoints = [...draft.waypoints];
+    [waypoints[index], waypoints[index + delta]] = [waypoints[index + delta], waypoints[index]];
+    updateDraft({ waypoints });
+  };
+
+  // New stops default to an hour after the previous one
+  const addStop = (place = {}) => {
+    const previous = draft.waypoints[draft.waypoints.length - 1];
+    const after = previous?.expectedAt ? new Date(previous.expectedAt).getTime() : Date.now();
+    updateDraft({
+      waypoints: [...draft.waypoints, toStop({ ...place, expectedAt: after + HOUR_MS })]
+    });
+  };
+
+  const handleAddPlace = (placeId) => {
+    const place = places.find(p => p.id === placeId);
+    if (place) addStop({ name: place.id === 'current' ? 'Start' : place.name, lat: place.lat, lng: place.lng });
+  };
+
+  const handleSave = async () => {
+    const invalid = validateStops(draft.waypoints);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    if (!(draft.corridorMeters > 0) || !(draft.graceMinutes >= 0)) {
+      setError('Set how far off the route and how late the tourist may be');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+
+    const payload = {
+      touristId: tourist.id,
+      name: draft.name.trim() || `${tourist.name}'s route`,
+      corridorMeters: draft.corridorMeters,
+      graceMinutes: draft.graceMinutes,
+      waypoints: draft.waypoints.map(stop => ({
+        name: stop.name.trim(),
+        latitude: Number(stop.lat),
+        longitude: Number(stop.lng),
+        expectedAt: new Date(stop.expectedAt).toISOString()
+      }))
+    };
+    try {
+      const response = await routeAPI.save(tourist.id, payload);
+      dataStore.upsert('routePlans', response.data?.data?.route || response.data?.route || payload);
+      onClose();
+    } catch (err) {
+      console.error('Failed to save planned route:', err);
+      setError(err.response?.data?.message || err.message);
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove ${tourist.name}'s planned route?`)) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await routeAPI.delete(tourist.id);
+      dataStore.remove('routePlans', tourist.id);
+      onClose();
+    } catch (err) {
+      console.error('Failed to remove planned route:', err);
+      setError(err.response?.data?.message || err.message);
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '13px'
+  };
+
+  const labelStyle = { display: 'block', fontSize: '11px', fontWeight: '600', color: '#6b7280', margin: '12px 0 4px 0' };
+
+  const smallButtonStyle = {
+    border: '1px solid #e5e7eb',
+    background: 'white',
+    borderRadius: '4px',
+    padding: '4px 6px',
+    fontSize: '11px',
+    cursor: 'pointer'
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.5)',
+          backdropFilter: 'blur(4px)',
+          zIndex: 1100
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '760px',
+        maxWidth: '95vw',
+        maxHeight: '85vh',
+        background: 'white',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        zIndex: 1101,
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden'
+      }}>
+        {/* Header */}
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid #eee',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          background: 'linear-gradient(135deg, #0891b222, #0891b244)'
+        }}>
+          <div>
+            <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1a1a1a' }}>
+              🧭 Planned Route — {tourist.name}
+            </h3>
+            <p style={{ margin: '4px 0 0 0', fontSize: '13px', color: '#666' }}>
+              Stops in order with the time the tourist should reach each. Leaving the route or running late raises an alert.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              width: '32px',
+              height: '32px',
+              borderRadius: '50%',
+              border: 'none',
+              background: 'rgba(0,0,0,0.1)',
+              cursor: 'pointer',
+              fontSize: '18px',
+              color: '#666'
+            }}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '12px 20px' }}>
+          {error && (
+            <div style={{
+              background: '#fef2f2',
+              border: '1px solid #ef4444',
+              color: '#dc2626',
+              borderRadius: '8px',
+              padding: '8px 12px',
+              fontSize: '12px',
+              marginBottom: '4px'
+            }}>
+              {error}
+            </div>
+          )}
+
+          <fieldset disabled={!canEdit || saving} style={{ border: 'none', margin: 0, padding: 0 }}>
+            <label style={labelStyle}>NAME</label>
+            <input
+              value={draft.name}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+              placeholder="e.g. Temple and caves day trip"
+              style={inputStyle}
+            />
+
+            <div style={{ display: 'flex', gap: '16px' }}>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>ALERT WHEN OFF THE ROUTE BY MORE THAN (m)</label>
+                <input
+                  type="number"
+                  min="50"
+                  step="50"
+                  value={draft.corridorMeters}
+                  onChange={(e) => updateDraft({ corridorMeters: Number(e.target.value) })}
+                  style={inputStyle}
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>ALERT WHEN LATE AT A STOP BY MORE THAN (min)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="5"
+                  value={draft.graceMinutes}
+                  onChange={(e) => updateDraft({ graceMinutes: Number(e.target.value) })}
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+
+            <label style={labelStyle}>STOPS ({draft.waypoints.length})</label>
+            {draft.waypoints.length === 0 && (
+              <div style={{ fontSize: '12px', color: '#888', padding: '4px 0 8px 0' }}>No stops yet</div>
+            )}
+            {draft.waypoints.map((stop, index) => (
+              <div
+                key={index}
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: '24px 1.4fr 0.8fr 0.8fr 1.3fr auto',
+                  gap: '6px',
+                  alignItems: 'center',
+                  marginBottom: '6px'
+                }}
+              >
+                <span style={{
+                  width: '22px',
+                  height: '22px',
+                  borderRadius: '50%',
+                  background: '#0891b2',
+                  color: 'white',
+                  fontSize: '11px',
+                  fontWeight: '700',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center'
+                }}>
+                  {index + 1}
+                </span>
+                <input
+                  value={stop.name}
+                  onChange={(e) => updateStop(index, { name: e.target.value })}
+                  placeholder="Place"
+                  style={inputStyle}
+                />
+                <input
+                  value={stop.lat}
+                  onChange={(e) => updateStop(index, { lat: e.target.value })}
+                  placeholder="Latitude"
+                  style={inputStyle}
+                />
+                <input
+                  value={stop.lng}
+                  onChange={(e) => updateStop(index, { lng: e.target.value })}
+                  placeholder="Longitude"
+                  style={inputStyle}
+                />
+                <input
+                  type="datetime-local"
+                  value={stop.expectedAt}
+                  onChange={(e) => updateStop(index, { expectedAt: e.target.value })}
+                  title="Expected arrival"
+                  style={inputStyle}
+                />
+                <div style={{ display: 'flex', gap: '2px' }}>
+                  <button type="button" onClick={() => moveStop(index, -1)} disabled={index === 0} title="Move up" style={smallButtonStyle}>↑</button>
+                  <button
+                    type="button"
+                    onClick={() => moveStop(index, 1)}
+                    disabled={index === draft.waypoints.length - 1}
+                    title="Move down"
+                    style={smallButtonStyle}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => updateDraft({ waypoints: draft.waypoints.filter((_, i) => i !== index) })}
+                    title="Remove stop"
+                    style={{ ...smallButtonStyle, color: '#dc2626' }}
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            {canEdit && (
+              <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                <select
+                  value=""
+                  onChange={(e) => handleAddPlace(e.target.value)}
+                  style={{ ...inputStyle, flex: 1 }}
+                >
+                  <option value="">+ Add a stop at a known place...</option>
+                  {places.map(place => <option key={place.id} value={place.id}>{place.name}</option>)}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => addStop()}
+                  style={{
+                    padding: '8px 12px',
+                    border: '2px dashed #d1d5db',
+                    borderRadius: '6px',
+                    background: 'white',
+                    color: '#666',
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  + Blank stop
+                </button>
+              </div>
+            )}
+          </fieldset>
+        </div>
+
+        {/* Footer */}
+        {canEdit && (
+          <div style={{
+            padding: '12px 20px',
+            borderTop: '1px solid #eee',
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: '8px'
+          }}>
+            <button
+              onClick={handleDelete}
+              disabled={!plan || saving}
+              style={{
+                padding: '8px 16px',
+                borderRadius: '8px',
+                border: '1px solid #fecaca',
+                background: 'white',
+                color: '#dc2626',
+                fontSize: '13px',
+                cursor: plan ? 'pointer' : 'not-allowed',
+                opacity: plan ? 1 : 0.5
+              }}
+            >
+              Remove route
+            </button>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={onClose}
+                style={{
+                  padding: '8px 16px',
+                  borderRadius: '8px',
+                  border: '1px solid #e5e7eb',
+                  background: 'white',
+                  color: '#374151',
+                  fontSize: '13px',
+                  cursor: 'pointer'
+                }}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                style={{
+                  padding: '8px 16px',
+                  borderRadius: '8px',
+                  border: 'none',
+                  background: saving ? '#93c5fd' : '#1a73e8',
+                  color: 'white',
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  cursor: saving ? 'not-allowed' : 'pointer'
+                }}
+              >
+                {saving ? 'Saving...' : plan ? 'Save route' : 'Attach route'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default RoutePlanModal;
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { selectRoutePlansById } from '../services/dataStore';
+import routeMonitor from '../services/routeMonitor';
+import { useDataStore } from '../hooks/useDataStore';
+import { useAuth } from '../hooks/useAuth';
+import { formatDistance } from '../utils/geo';
+import { ROUTE_STATUS_STYLES, formatDelay } from '../utils/routePlans';
+import RoutePlanModal from './RoutePlanModal';
+
+const STOP_COLORS = {
+  reached: '#16a34a',
+  overdue: '#dc2626',
+  next: '#0891b2',
+  pending: '#9ca3af'
+};
+
+const getStopState = (progress, index) => {
+  if (!progress) return 'pending';
+  if (progress.reached[index] !== null) return 'reached';
+  if (index !== progress.nextIndex) return 'pending';
+  return progress.overdue ? 'overdue' : 'next';
+};
+
+const formatTime = (value) => new Date(value).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Planned route dashed, the actual track solid, and a numbered dot per stop
+// coloured by whether it has been reached
+const createRouteLayers = (map) => {
+  const atlas = window.atlas;
+  const source = new atlas.source.DataSource();
+  map.sources.add(source);
+  const layers = [
+    new atlas.layer.LineLayer(source, null, {
+      strokeColor: '#0891b2',
+      strokeWidth: 3,
+      strokeDashArray: [3, 2],
+      filter: ['==', ['get', 'role'], 'planned']
+    }),
+    new atlas.layer.LineLayer(source, null, {
+      strokeColor: '#1a73e8',
+      strokeWidth: 4,
+      lineJoin: 'round',
+      lineCap: 'round',
+      filter: ['==', ['get', 'role'], 'actual']
+    }),
+    new atlas.layer.BubbleLayer(source, null, {
+      radius: 11,
+      color: ['get', 'color'],
+      strokeColor: 'white',
+      strokeWidth: 2,
+      filter: ['==', ['get', 'role'], 'stop']
+    }),
+    new atlas.layer.SymbolLayer(source, null, {
+      iconOptions: { image: 'none' },
+      textOptions: {
+        textField: ['get', 'label'],
+        color: 'white',
+        size: 11,
+        font: ['SegoeUi-Bold'],
+        allowOverlap: true
+      },
+      filter: ['==', ['get', 'role'], 'stop']
+    })
+  ];
+  layers.forEach(layer => map.layers.add(layer));
+  return { source, layers };
+};
+
+const Reading = ({ label, value, color }) => (
+  <div style={{ flex: 1, minWidth: 0 }}>
+    <div style={{ fontSize: '10px', color: '#888', fontWeight: '500' }}>{label}</div>
+    <div style={{ fontSize: '13px', fontWeight: '600', color: color || '#333' }}>{value}</div>
+  </div>
+);
+
+const buttonStyle = {
+  padding: '6px 10px',
+  borderRadius: '6px',
+  border: '1px solid #e0e0e0',
+  background: 'white',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+// A tourist's planned route next to where they actually went, with how far
+// off the route they are and which stops they have reached
+const RoutePlanOverlay = ({ map, tourist, onClose }) => {
+  const { can } = useAuth();
+  const plansById = useDataStore(selectRoutePlansById);
+  const { progress: allProgress } = useSyncExternalStore(routeMonitor.subscribe, routeMonitor.getState);
+  const [editing, setEditing] = useState(false);
+  const drawingRef = useRef(null);
+
+  const plan = plansById[tourist.id] || null;
+  const progress = allProgress[tourist.id] || null;
+  // Replaced (not mutated) whenever a location arrives, so safe as a dependency
+  const track = routeMonitor.getTrack(tourist.id);
+
+  useEffect(() => {
+    if (!map || !window.atlas) return;
+    const drawing = createRouteLayers(map);
+    drawingRef.current = drawing;
+    return () => {
+      drawing.layers.forEach(layer => {
+        try { map.layers.remove(layer); } catch { /* ignore */ }
+      });
+      try { map.sources.remove(drawing.source); } catch { /* ignore */ }
+      drawingRef.current = null;
+    };
+  }, [map]);
+
+  // Fit the plan (and the track so far) when it is opened or edited
+  useEffect(() => {
+    if (!map || !window.atlas || !plan || plan.waypoints.length === 0) return;
+    const positions = plan.waypoints.map(stop => [stop.lng, stop.lat]);
+    if (positions.length === 1) {
+      map.setCamera({ center: positions[0], zoom: 15, duration: 500 });
+    } else {
+      map.setCamera({ bounds: window.atlas.data.BoundingBox.fromPositions(positions), padding: 100, maxZoom: 16, duration: 500 });
+    }
+  }, [map, plan]);
+
+  useEffect(() => {
+    const drawing = drawingRef.current;
+    if (!drawing) return;
+    const atlas = window.atlas;
+    const features = [];
+    if (plan) {
+      if (plan.waypoints.length > 1) {
+        features.push(new atlas.data.Feature(
+          new atlas.data.LineString(plan.waypoints.map(stop => [stop.lng, stop.lat])),
+          { role: 'planned' }
+        ));
+      }
+      plan.waypoints.forEach((stop, index) => {
+        features.push(new atlas.data.Feature(new atlas.data.Point([stop.lng, stop.lat]), {
+          role: 'stop',
+          label: String(index + 1),
+          color: STOP_COLORS[getStopState(progress, index)]
+        }));
+      });
+    }
+    if (track.length > 1) {
+      features.push(new atlas.data.Feature(
+        new atlas.data.LineString(track.map(sample => [sample.lng, sample.lat])),
+        { role: 'actual' }
+      ));
+    }
+    drawing.source.setShapes(features);
+  }, [plan, progress, track]);
+
+  const statusStyle = progress ? ROUTE_STATUS_STYLES[progress.status] : null;
+  const nextStop = plan && progress?.nextIndex !== null && progress?.nextIndex !== undefined
+    ? plan.waypoints[progress.nextIndex]
+    : null;
+
+  return (
+    <>
+      <div style={{
+        position: 'absolute',
+        bottom: '24px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        width: 'min(560px, calc(100% - 32px))',
+        maxHeight: '45%',
+        overflowY: 'auto',
+        background: 'rgba(255, 255, 255, 0.97)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '12px',
+        boxShadow: '0 4px 20px rgba(0,0,0,0.2)',
+        padding: '12px 14px',
+        zIndex: 1000,
+        fontSize: '12px',
+        color: '#333'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', marginBottom: '10px' }}>
+          <strong style={{ fontSize: '14px' }}>
+            🧭 {tourist.name} — {plan ? plan.name : 'planned route'}
+          </strong>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            {statusStyle && (
+              <span style={{
+                padding: '3px 8px',
+                borderRadius: '10px',
+                background: statusStyle.background,
+                color: statusStyle.color,
+                fontSize: '11px',
+                fontWeight: '700'
+              }}>
+                {statusStyle.label}
+              </span>
+            )}
+            {plan && can('routes:edit') && (
+              <button onClick={() => setEditing(true)} style={buttonStyle}>✏️ Edit</button>
+            )}
+            <button
+              onClick={onClose}
+              title="Close planned route"
+              style={{ ...buttonStyle, width: '28px', height: '28px', padding: 0, borderRadius: '50%' }}
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        {!plan ? (
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', padding: '4px 0' }}>
+            <span style={{ color: '#666' }}>No planned route is attached to this tourist</span>
+            {can('routes:edit') && (
+              <button
+                onClick={() => setEditing(true)}
+                style={{ ...buttonStyle, background: '#0891b2', borderColor: '#0891b2', color: 'white' }}
+              >
+                + Attach a route
+              </button>
+            )}
+          </div>
+        ) : !progress ? (
+          <div style={{ padding: '12px 0', color: '#666' }}>Loading location history...</div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', gap: '10px', padding: '8px', background: '#f5f5f5', borderRadius: '6px', marginBottom: '8px' }}>
+              <Reading
+                label="↔️ FROM ROUTE"
+                value={progress.deviation !== null ? formatDistance(progress.deviation) : '—'}
+                color={progress.offRoute ? '#dc2626' : undefined}
+              />
+              <Reading
+                label="📍 NEXT STOP"
+                value={nextStop ? nextStop.name || `Stop ${progress.nextIndex + 1}` : '—'}
+              />
+              <Reading
+                label="⏰ SCHEDULE"
+                value={progress.overdue ? `${formatDelay(progress.overdueBy)} late` : nextStop ? 'On time' : '—'}
+                color={progress.overdue ? '#c2410c' : undefined}
+              />
+              <Reading
+                label="✅ REACHED"
+                value={`${progress.reached.filter(at => at !== null).length} of ${plan.waypoints.length}`}
+              />
+            </div>
+
+            {plan.waypoints.map((stop, index) => {
+              const state = getStopState(progress, index);
+              return (
+                <div
+                  key={index}
+                  style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 0', borderTop: index > 0 ? '1px solid #f0f0f0' : 'none' }}
+                >
+                  <span style={{
+                    width: '20px',
+                    height: '20px',
+                    borderRadius: '50%',
+                    background: STOP_COLORS[state],
+                    color: 'white',
+                    fontSize: '10px',
+                    fontWeight: '700',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    flexShrink: 0
+                  }}>
+                    {index + 1}
+                  </span>
+                  <span style={{ flex: 1, fontWeight: '600' }}>{stop.name || `Stop ${index + 1}`}</span>
+                  <span style={{ color: '#888' }}>due {stop.expectedAt ? formatTime(stop.expectedAt) : '—'}</span>
+                  <span style={{ width: '110px', textAlign: 'right', color: STOP_COLORS[state], fontWeight: '600' }}>
+                    {state === 'reached' ? `✓ ${formatTime(progress.reached[index])}` : state === 'overdue' ? 'Overdue' : state === 'next' ? 'Next' : ''}
+                  </span>
+                </div>
+              );
+            })}
+          </>
+        )}
+      </div>
+
+      {editing && (
+        <RoutePlanModal tourist={tourist} onClose={() => setEditing(false)} />
+      )}
+    </>
+  );
+};
+
+export default RoutePlanOverlay;
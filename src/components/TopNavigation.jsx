@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import authSession from '../services/authSession';
+import { useAuth } from '../hooks/useAuth';
+import { ROLE_LABELS } from '../utils/permissions';
+import AuditLogModal from './AuditLogModal';
+import EscalationPoliciesModal from './EscalationPoliciesModal';
+import NotificationSettings from './NotificationSettings';
+
+const PAGES = [
+  { path: '/', label: '🗺️ Live map', color: '#16a34a', background: '#f0fdf4' },
+  { path: '/alerts', label: '🚨 Incidents', color: '#dc2626', background: '#fef2f2' },
+  { path: '/tourists', label: '👥 Tourists', color: '#1a73e8', background: '#e8f0fe' },
+  { path: '/geofences/analytics', label: '📊 Zones', color: '#7c3aed', background: '#f5f3ff' },
+  { path: '/devices', label: '📱 Devices', color: '#0891b2', background: '#ecfeff' }
+];
+
+// Page links plus the signed-in operator badge with the audit log and logout buttons
+const TopNavigation = ({ style = {} }) => {
+  const { operator, can } = useAuth();
+  const location = useLocation();
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  const [showEscalation, setShowEscalation] = useState(false);
+
+  const handleLogout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      // The local session is dropped either way
+      console.warn('Logout request failed:', error.message);
+    }
+    authSession.clear();
+  };
+
+  if (!operator) return null;
+
+  return (
+    <>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '10px',
+        padding: '6px 8px 6px 14px',
+        background: 'white',
+        borderRadius: '24px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.15)',
+        fontSize: '13px',
+        ...style
+      }}>
+        {PAGES.filter(page => page.path !== location.pathname).map(page => (
+          <Link
+            key={page.path}
+            to={page.path}
+            style={{
+              padding: '6px 12px',
+              background: page.background,
+              color: page.color,
+              borderRadius: '16px',
+              fontSize: '12px',
+              fontWeight: '600',
+              textDecoration: 'none'
+            }}
+          >
+            {page.label}
+          </Link>
+        ))}
+        <div style={{ lineHeight: 1.2 }}>
+          <div style={{ fontWeight: '600', color: '#1f2937' }}>{operator.name}</div>
+          <div style={{ fontSize: '11px', color: '#6b7280' }}>{ROLE_LABELS[operator.role] || operator.role}</div>
+        </div>
+        <NotificationSettings />
+        {can('escalation:configure') && (
+          <button
+            onClick={() => setShowEscalation(true)}
+            title="Escalation policies"
+            style={{
+              padding: '6px 12px',
+              background: '#fef3c7',
+              color: '#b45309',
+              border: 'none',
+              borderRadius: '16px',
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            ⏫ Escalation
+          </button>
+        )}
+        {can('audit:view') && (
+          <button
+            onClick={() => setShowAuditLog(true)}
+            title="Audit log"
+            style={{
+              padding: '6px 12px',
+              background: '#e8f0fe',
+              color: '#1a73e8',
+              border: 'none',
+              borderRadius: '16px',
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            📜 Audit
+          </button>
+        )}
+        <button
+          onClick={handleLogout}
+          style={{
+            padding: '6px 12px',
+            background: '#f3f4f6',
+            color: '#374151',
+            border: 'none',
+            borderRadius: '16px',
+            fontSize: '12px',
+            fontWeight: '600',
+            cursor: 'pointer'
+          }}
+        >
+          Log out
+        </button>
+      </div>
+
+      {showAuditLog && <AuditLogModal onClose={() => setShowAuditLog(false)} />}
+      {showEscalation && <EscalationPoliciesModal onClose={() => setShowEscalation(false)} />}
+    </>
+  );
+};
+
+export default TopNavigation;
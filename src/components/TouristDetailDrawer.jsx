@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { touristAPI } from '../services/api';
+import { normalizeTourist } from '../utils/normalizers';
+import { getTouristStatusColor, getEmergencyContacts } from '../utils/tourists';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const Field = ({ label, value }) => (
+  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '6px 0', fontSize: '13px' }}>
+    <span style={{ color: '#6b7280' }}>{label}</span>
+    <span style={{ color: '#1f2937', fontWeight: '500', textAlign: 'right', wordBreak: 'break-all' }}>{value ?? '—'}</span>
+  </div>
+);
+
+const sectionTitleStyle = {
+  fontSize: '10px',
+  color: '#888',
+  fontWeight: '600',
+  margin: '16px 0 6px 0'
+};
+
+// Side drawer with the full record of one tourist, fetched fresh from the backend
+const TouristDetailDrawer = ({ touristId, onClose }) => {
+  const [tourist, setTourist] = useState(null);
+  const [raw, setRaw] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    touristAPI.getById(touristId)
+      .then(response => {
+        if (cancelled) return;
+        const body = response.data.data?.user || response.data.data?.tourist || response.data.data || response.data;
+        setRaw(body);
+        setTourist(normalizeTourist(body));
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Failed to load tourist:', err);
+        setError(err.response?.data?.message || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [touristId]);
+
+  const statusColor = tourist ? getTouristStatusColor(tourist.status) : '#1a73e8';
+  const primaryContact = getEmergencyContacts(raw)[0];
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.3)',
+          zIndex: 1100
+        }}
+      />
+
+      {/* Drawer */}
+      <div style={{
+        position: 'fixed',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: '420px',
+        maxWidth: '95vw',
+        background: 'white',
+        boxShadow: '-10px 0 40px rgba(0, 0, 0, 0.2)',
+        zIndex: 1101,
+        display: 'flex',
+        flexDirection: 'column'
+      }}>
+        {/* Header */}
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid #eee',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          background: `linear-gradient(135deg, ${statusColor}22, ${statusColor}44)`
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', minWidth: 0 }}>
+            {tourist?.profilePhoto ? (
+              <img src={tourist.profilePhoto} alt="" style={{ width: '44px', height: '44px', borderRadius: '50%', objectFit: 'cover' }} />
+            ) : (
+              <div style={{
+                width: '44px',
+                height: '44px',
+                borderRadius: '50%',
+                background: statusColor,
+                color: 'white',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                fontWeight: '700',
+                fontSize: '18px',
+                flexShrink: 0
+              }}>
+                {tourist ? tourist.name.charAt(0).toUpperCase() : '…'}
+              </div>
+            )}
+            <div style={{ minWidth: 0 }}>
+              <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1a1a1a' }}>
+                {tourist ? tourist.name : 'Tourist'}
+              </h3>
+              {tourist && (
+                <p style={{ margin: '4px 0 0 0', fontSize: '13px', color: '#666', textTransform: 'capitalize' }}>
+                  {tourist.status} • {tourist.digitalId || tourist.id}
+                </p>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              width: '32px',
+              height: '32px',
+              borderRadius: '50%',
+              border: 'none',
+              background: 'rgba(0,0,0,0.1)',
+              cursor: 'pointer',
+              fontSize: '18px',
+              color: '#666',
+              flexShrink: 0
+            }}
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Content */}
+        <div style={{ flex: 1, overflowY: 'auto', padding: '16px 20px' }}>
+          {loading && <div style={{ color: '#6b7280', fontSize: '13px' }}>Loading tourist...</div>}
+          {error && (
+            <div style={{
+              padding: '10px 12px',
+              background: '#fef2f2',
+              border: '1px solid #ef4444',
+              borderRadius: '8px',
+              color: '#dc2626',
+              fontSize: '13px'
+            }}>
+              Failed to load tourist: {error}
+            </div>
+          )}
+          {tourist && !loading && (
+            <>
+              <div style={{ ...sectionTitleStyle, marginTop: 0 }}>PROFILE</div>
+              <Field label="Email" value={tourist.email || '—'} />
+              <Field label="Phone" value={tourist.phone} />
+              <Field label="Nationality" value={tourist.nationality} />
+              <Field label="Digital ID" value={tourist.digitalId} />
+              <Field label="Registered" value={formatDate(tourist.createdAt)} />
+              {primaryContact && (
+                <Field
+                  label="Emergency contact"
+                  value={[primaryContact.name, primaryContact.phone].filter(Boolean).join(' • ') || '—'}
+                />
+              )}
+
+              <div style={sectionTitleStyle}>LAST KNOWN LOCATION</div>
+              {tourist.lat !== null ? (
+                <>
+                  <Field label="Coordinates" value={`${tourist.lat.toFixed(5)}, ${tourist.lng.toFixed(5)}`} />
+                  <Field label="Last seen" value={formatDate(tourist.lastSeenAt)} />
+                  <Field label="Accuracy" value={tourist.accuracy !== null ? `±${Math.round(tourist.accuracy)} m` : '—'} />
+                  <Field label="Battery" value={tourist.batteryLevel !== null ? `${tourist.batteryLevel}%` : '—'} />
+                </>
+              ) : (
+                <div style={{ fontSize: '13px', color: '#6b7280' }}>No location reported yet</div>
+              )}
+
+              <Link
+                to={`/tourists/${tourist.id}`}
+                style={{
+                  display: 'block',
+                  marginTop: '20px',
+                  padding: '10px',
+                  borderRadius: '8px',
+                  background: '#1a73e8',
+                  color: 'white',
+                  fontWeight: '600',
+                  fontSize: '13px',
+                  textAlign: 'center',
+                  textDecoration: 'none'
+                }}
+              >
+                Open full profile →
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TouristDetailDrawer;
@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { touristAPI } from '../services/api';
+import { normalizeTourist } from '../utils/normalizers';
+import { TOURIST_STATUSES, getTouristStatusColor } from '../utils/tourists';
+import { toCsv, downloadFile } from '../utils/exportFile';
+import TopNavigation from './TopNavigation';
+import TouristDetailDrawer from './TouristDetailDrawer';
+
+const COLUMNS_STORAGE_KEY = 'ys_tourist_columns';
+const PAGE_SIZES = [20, 50, 100];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// sortKey is what the backend sorts by; columns without one can't be sorted
+const COLUMNS = [
+  { key: 'name', label: 'Name', sortKey: 'name', render: (t) => t.name },
+  { key: 'email', label: 'Email', sortKey: 'email', render: (t) => t.email || '—' },
+  { key: 'digitalId', label: 'Digital ID', sortKey: 'digitalId', render: (t) => t.digitalId || '—' },
+  { key: 'nationality', label: 'Nationality', sortKey: 'nationality', render: (t) => t.nationality || '—' },
+  { key: 'phone', label: 'Phone', render: (t) => t.phone || '—' },
+  {
+    key: 'status',
+    label: 'Status',
+    sortKey: 'status',
+    render: (t) => (
+      <span style={{
+        padding: '2px 8px',
+        borderRadius: '10px',
+        background: getTouristStatusColor(t.status) + '22',
+        color: getTouristStatusColor(t.status),
+        fontWeight: '600',
+        fontSize: '11px',
+        textTransform: 'capitalize'
+      }}>
+        {t.status}
+      </span>
+    )
+  },
+  { key: 'battery', label: 'Battery', render: (t) => (t.batteryLevel !== null ? `${t.batteryLevel}%` : '—') },
+  { key: 'lastSeenAt', label: 'Last seen', sortKey: 'lastSeen', render: (t) => formatDate(t.lastSeenAt) },
+  { key: 'createdAt', label: 'Registered', sortKey: 'createdAt', render: (t) => formatDate(t.createdAt) }
+];
+
+const DEFAULT_COLUMNS = ['name', 'digitalId', 'nationality', 'status', 'lastSeenAt', 'createdAt'];
+
+const CSV_COLUMNS = [
+  { label: 'ID', value: (t) => t.id },
+  { label: 'Digital ID', value: (t) => t.digitalId },
+  { label: 'Name', value: (t) => t.name },
+  { label: 'Email', value: (t) => t.email },
+  { label: 'Phone', value: (t) => t.phone },
+  { label: 'Nationality', value: (t) => t.nationality },
+  { label: 'Status', value: (t) => t.status },
+  { label: 'Latitude', value: (t) => t.lat },
+  { label: 'Longitude', value: (t) => t.lng },
+  { label: 'Last seen', value: (t) => t.lastSeenAt },
+  { label: 'Registered', value: (t) => t.createdAt }
+];
+
+const readStoredColumns = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLUMNS_STORAGE_KEY));
+    return Array.isArray(stored) && stored.length > 0 ? stored : DEFAULT_COLUMNS;
+  } catch {
+    return DEFAULT_COLUMNS;
+  }
+};
+
+// Tourist Management page: server-side paginated, searchable and sortable table
+const TouristManagement = () => {
+  const [tourists, setTourists] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(PAGE_SIZES[0]);
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [filters, setFilters] = useState({ status: '', nationality: '' });
+  const [sort, setSort] = useState({ sortBy: 'createdAt', sortOrder: 'desc' });
+  const [visibleColumns, setVisibleColumns] = useState(readStoredColumns);
+  const [showColumnPicker, setShowColumnPicker] = useState(false);
+  const [selected, setSelected] = useState({}); // id -> tourist, kept across pages
+  const [knownNationalities, setKnownNationalities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [detailId, setDetailId] = useState(null);
+  const requestRef = useRef(0);
+
+  // Don't hit the backend on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // A response for an earlier page, search or sort is dropped so a slow one
+  // can't overwrite the table the operator is looking at now
+  const loadTourists = useCallback(async () => {
+    const request = ++requestRef.current;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await touristAPI.getAll({
+        page,
+        limit,
+        search: debouncedSearch || undefined,
+        status: filters.status || undefined,
+        nationality: filters.nationality || undefined,
+        sortBy: sort.sortBy,
+        sortOrder: sort.sortOrder
+      });
+      if (request !== requestRef.current) return;
+      const body = response.data.data || response.data;
+      const rows = (body.users || body.tourists || []).map(normalizeTourist);
+      setTourists(rows);
+      setPagination(body.pagination || { page, pages: 1, total: rows.length });
+      setKnownNationalities(prev => [...new Set([...prev, ...rows.map(t => t.nationality).filter(Boolean)])].sort());
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      console.error('Failed to load tourists:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [page, limit, debouncedSearch, filters, sort]);
+
+  useEffect(() => {
+    loadTourists();
+  }, [loadTourists]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(COLUMNS_STORAGE_KEY, JSON.stringify(visibleColumns));
+    } catch { /* ignore */ }
+  }, [visibleColumns]);
+
+  const columns = useMemo(() => COLUMNS.filter(c => visibleColumns.includes(c.key)), [visibleColumns]);
+  const selectedCount = Object.keys(selected).length;
+  const allOnPageSelected = tourists.length > 0 && tourists.every(t => selected[t.id]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleSort = (column) => {
+    if (!column.sortKey) return;
+    setSort(prev => ({
+      sortBy: column.sortKey,
+      sortOrder: prev.sortBy === column.sortKey && prev.sortOrder === 'asc' ? 'desc' : 'asc'
+    }));
+    setPage(1);
+  };
+
+  const toggleColumn = (key) => {
+    setVisibleColumns(prev => {
+      if (prev.includes(key)) return prev.length > 1 ? prev.filter(k => k !== key) : prev;
+      return COLUMNS.map(c => c.key).filter(k => k === key || prev.includes(k));
+    });
+  };
+
+  const toggleRow = (tourist) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[tourist.id]) delete next[tourist.id];
+      else next[tourist.id] = tourist;
+      return next;
+    });
+  };
+
+  const togglePage = () => {
+    setSelected(prev => {
+      const next = { ...prev };
+      tourists.forEach(t => {
+        if (allOnPageSelected) delete next[t.id];
+        else next[t.id] = t;
+      });
+      return next;
+    });
+  };
+
+  const exportSelected = () => {
+    const rows = Object.values(selected);
+    downloadFile(`tourists-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(rows, CSV_COLUMNS), 'text/csv');
+  };
+
+  const controlStyle = {
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '13px',
+    background: 'white'
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#f8fafc', padding: '24px', boxSizing: 'border-box' }}>
+      {/* Header */}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '20px' }}>
+        <div>
+          <h2 style={{ margin: 0, color: '#1e293b' }}>👥 Tourist Management</h2>
+          <p style={{ margin: '4px 0 0 0', color: '#6b7280', fontSize: '13px' }}>
+            {pagination.total} tourist{pagination.total === 1 ? '' : 's'} matching the filters
+          </p>
+        </div>
+        <TopNavigation />
+      </div>
+
+      {/* Filters */}
+      <div className="dashboard-card" style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '16px' }}>
+        <input
+          type="text"
+          placeholder="Search name, email, phone or digital ID..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={{ ...controlStyle, flex: 1, minWidth: '220px' }}
+        />
+        <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} style={{ ...controlStyle, textTransform: 'capitalize' }}>
+          <option value="">All statuses</option>
+          {TOURIST_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <input
+          list="tourist-nationalities"
+          placeholder="Nationality"
+          value={filters.nationality}
+          onChange={(e) => updateFilter('nationality', e.target.value)}
+          style={{ ...controlStyle, width: '150px' }}
+        />
+        <datalist id="tourist-nationalities">
+          {knownNationalities.map(n => <option key={n} value={n} />)}
+        </datalist>
+
+        <div style={{ position: 'relative' }}>
+          <button onClick={() => setShowColumnPicker(!showColumnPicker)} style={{ ...controlStyle, cursor: 'pointer', fontWeight: '600' }}>
+            ☰ Columns
+          </button>
+          {showColumnPicker && (
+            <div style={{
+              position: 'absolute',
+              top: 'calc(100% + 6px)',
+              right: 0,
+              background: 'white',
+              borderRadius: '10px',
+              boxShadow: '0 8px 30px rgba(0,0,0,0.15)',
+              padding: '10px 14px',
+              zIndex: 10,
+              minWidth: '160px'
+            }}>
+              {COLUMNS.map(column => (
+                <label key={column.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', padding: '4px 0', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={visibleColumns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <button onClick={loadTourists} style={{ ...controlStyle, cursor: 'pointer', fontWeight: '600' }}>
+          🔄 Refresh
+        </button>
+      </div>
+
+      {/* Bulk actions */}
+      {selectedCount > 0 && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          padding: '10px 16px',
+          marginBottom: '12px',
+          background: '#e8f0fe',
+          borderRadius: '10px',
+          fontSize: '13px',
+          color: '#1a73e8'
+        }}>
+          <strong>{selectedCount} selected</strong>
+          <button onClick={exportSelected} style={{ ...controlStyle, padding: '6px 10px', cursor: 'pointer', fontWeight: '600' }}>
+            ⬇️ Export CSV
+          </button>
+          <button onClick={() => setSelected({})} style={{ ...controlStyle, padding: '6px 10px', cursor: 'pointer' }}>
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {/* Table */}
+      <div className="dashboard-card" style={{ padding: 0, overflow: 'auto' }}>
+        {error && (
+          <div style={{ padding: '12px 16px', background: '#fef2f2', color: '#dc2626', fontSize: '13px' }}>
+            Failed to load tourists: {error}
+          </div>
+        )}
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', opacity: loading ? 0.6 : 1 }}>
+          <thead>
+            <tr style={{ background: '#f9fafb', textAlign: 'left', color: '#6b7280', fontSize: '11px' }}>
+              <th style={{ padding: '10px 8px 10px 16px', width: '32px' }}>
+                <input type="checkbox" checked={allOnPageSelected} onChange={togglePage} />
+              </th>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => handleSort(column)}
+                  style={{
+                    padding: '10px 8px',
+                    textTransform: 'uppercase',
+                    cursor: column.sortKey ? 'pointer' : 'default',
+                    whiteSpace: 'nowrap',
+                    color: sort.sortBy === column.sortKey ? '#1a73e8' : undefined
+                  }}
+                >
+                  {column.label}
+                  {sort.sortBy === column.sortKey && (sort.sortOrder === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {tourists.length === 0 ? (
+              <tr>
+                <td colSpan={columns.length + 1} style={{ padding: '40px', textAlign: 'center', color: '#6b7280' }}>
+                  {loading ? 'Loading tourists...' : 'No tourists match these filters'}
+                </td>
+              </tr>
+            ) : tourists.map(tourist => (
+              <tr
+                key={tourist.id}
+                onClick={() => setDetailId(tourist.id)}
+                style={{
+                  borderTop: '1px solid #f0f0f0',
+                  background: selected[tourist.id] ? '#f0f6ff' : 'white',
+                  cursor: 'pointer'
+                }}
+              >
+                <td style={{ padding: '10px 8px 10px 16px' }} onClick={(e) => e.stopPropagation()}>
+                  <input type="checkbox" checked={Boolean(selected[tourist.id])} onChange={() => toggleRow(tourist)} />
+                </td>
+                {columns.map(column => (
+                  <td key={column.key} style={{ padding: '10px 8px', color: '#1f2937', whiteSpace: 'nowrap' }}>
+                    {column.render(tourist)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Pagination */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '10px 16px',
+          borderTop: '1px solid #eee',
+          fontSize: '12px',
+          color: '#6b7280'
+        }}>
+          <span>
+            Page {pagination.page} of {pagination.pages}
+            <select
+              value={limit}
+              onChange={(e) => { setLimit(Number(e.target.value)); setPage(1); }}
+              style={{ ...controlStyle, padding: '4px 6px', marginLeft: '10px', fontSize: '12px' }}
+            >
+              {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+            </select>
+          </span>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button
+              onClick={() => setPage(p => p - 1)}
+              disabled={page <= 1 || loading}
+              style={{ ...controlStyle, padding: '6px 10px', cursor: page <= 1 ? 'not-allowed' : 'pointer' }}
+            >
+              ← Prev
+            </button>
+            <button
+              onClick={() => setPage(p => p + 1)}
+              disabled={page >= pagination.pages || loading}
+              style={{ ...controlStyle, padding: '6px 10px', cursor: page >= pagination.pages ? 'not-allowed' : 'pointer' }}
+            >
+              Next →
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {detailId && <TouristDetailDrawer touristId={detailId} onClose={() => setDetailId(null)} />}
+    </div>
+  );
+};
+
+export default TouristManagement;
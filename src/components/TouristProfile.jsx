@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { touristAPI, trackingAPI, videoAPI, alertAPI } from '../services/api';
+import { normalizeTourist, normalizeAlert } from '../utils/normalizers';
+import {
+  getTouristStatusColor,
+  getEmergencyContacts,
+  getItinerary,
+  getKycDocuments,
+  getKycStatusStyle
+} from '../utils/tourists';
+import { buildTouristTimeline, TIMELINE_KINDS, TIMELINE_KIND_ICONS, TIMELINE_KIND_LABELS } from '../utils/touristTimeline';
+import TopNavigation from './TopNavigation';
+import AlertIncidentModal from './AlertIncidentModal';
+import VideosModal from './VideosModal';
+
+const ALERT_HISTORY_LIMIT = 100;
+const LOCATION_HISTORY_LIMIT = 500;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+const formatDay = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const getErrorMessage = (result) => (
+  result.status === 'rejected' ? result.reason?.response?.data?.message || result.reason?.message || 'Request failed' : null
+);
+
+const Section = ({ title, count, error, children }) => (
+  <div className="dashboard-card" style={{ marginBottom: '16px' }}>
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+      <h4 style={{ margin: 0, fontSize: '14px', color: '#1e293b' }}>{title}</h4>
+      {count !== undefined && <span style={{ fontSize: '12px', color: '#6b7280' }}>{count}</span>}
+    </div>
+    {error ? (
+      <div style={{ fontSize: '12px', color: '#dc2626' }}>Failed to load: {error}</div>
+    ) : children}
+  </div>
+);
+
+const Empty = ({ children }) => (
+  <div style={{ fontSize: '12px', color: '#9ca3af' }}>{children}</div>
+);
+
+const rowStyle = {
+  padding: '8px 0',
+  borderTop: '1px solid #f0f0f0',
+  fontSize: '13px',
+  color: '#1f2937'
+};
+
+// Everything known about one tourist on one page: profile sections on the
+// left, alerts, locations and videos merged into one timeline on the right
+const TouristProfile = () => {
+  const { touristId } = useParams();
+  const [raw, setRaw] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [videos, setVideos] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [hiddenKinds, setHiddenKinds] = useState([]);
+  const [incidentAlert, setIncidentAlert] = useState(null);
+  const [showVideos, setShowVideos] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    // Each feed is independent: one failing must not blank the whole page
+    Promise.allSettled([
+      touristAPI.getById(touristId),
+      alertAPI.getAll({ touristId, limit: ALERT_HISTORY_LIMIT }),
+      trackingAPI.getLocationHistory(touristId, { limit: LOCATION_HISTORY_LIMIT }),
+      videoAPI.getByUser(touristId),
+      trackingAPI.getConnectedDevices()
+    ]).then(([touristResult, alertsResult, historyResult, videosResult, devicesResult]) => {
+      if (cancelled) return;
+      const pick = (result, read) => (result.status === 'fulfilled' ? read(result.value.data) : []);
+
+      setRaw(touristResult.status === 'fulfilled'
+        ? touristResult.value.data.data?.user || touristResult.value.data.data?.tourist || touristResult.value.data.data
+        : null);
+      setAlerts(pick(alertsResult, data => (data.data?.alerts || data.alerts || []).map(normalizeAlert)));
+      setLocations(pick(historyResult, data => (data.data || data)?.locations || []));
+      setVideos(pick(videosResult, data => (Array.isArray(data.data) ? data.data : data.data?.videos || [])));
+      setDevices(pick(devicesResult, data => {
+        const list = data.data?.devices || data.data || data.devices || [];
+        return Array.isArray(list)
+          ? list.filter(device => [device.userId, device.touristId, device.user?._id].includes(touristId))
+          : [];
+      }));
+      setErrors({
+        tourist: getErrorMessage(touristResult),
+        alerts: getErrorMessage(alertsResult),
+        locations: getErrorMessage(historyResult),
+        videos: getErrorMessage(videosResult),
+        devices: getErrorMessage(devicesResult)
+      });
+      setLoading(false);
+    });
+
+    return () => { cancelled = true; };
+  }, [touristId]);
+
+  const tourist = useMemo(() => (raw ? normalizeTourist(raw) : null), [raw]);
+  const itinerary = useMemo(() => getItinerary(raw), [raw]);
+  const contacts = useMemo(() => getEmergencyContacts(raw), [raw]);
+  const documents = useMemo(() => getKycDocuments(raw), [raw]);
+
+  const timeline = useMemo(
+    () => buildTouristTimeline({ tourist, alerts, locations, videos, itinerary }),
+    [tourist, alerts, locations, videos, itinerary]
+  );
+  const visibleTimeline = timeline.filter(entry => !hiddenKinds.includes(entry.kind));
+
+  const toggleKind = (kind) => {
+    setHiddenKinds(prev => (prev.includes(kind) ? prev.filter(k => k !== kind) : [...prev, kind]));
+  };
+
+  const openEntry = (entry) => {
+    if (entry.kind === TIMELINE_KINDS.ALERT) setIncidentAlert(entry.alert);
+    else if (entry.kind === TIMELINE_KINDS.VIDEO) setShowVideos(true);
+  };
+
+  const statusColor = tourist ? getTouristStatusColor(tourist.status) : '#9e9e9e';
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#f8fafc', padding: '24px', boxSizing: 'border-box' }}>
+      {/* Header */}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '20px', gap: '16px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '14px', minWidth: 0 }}>
+          <Link to="/tourists" style={{ color: '#1a73e8', fontSize: '13px', fontWeight: '600', textDecoration: 'none' }}>
+            ← Tourists
+          </Link>
+          {tourist?.profilePhoto ? (
+            <img src={tourist.profilePhoto} alt="" style={{ width: '48px', height: '48px', borderRadius: '50%', objectFit: 'cover' }} />
+          ) : (
+            <div style={{
+              width: '48px',
+              height: '48px',
+              borderRadius: '50%',
+              background: statusColor,
+              color: 'white',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontWeight: '700',
+              fontSize: '20px',
+              flexShrink: 0
+            }}>
+              {tourist ? tourist.name.charAt(0).toUpperCase() : '…'}
+            </div>
+          )}
+          <div style={{ minWidth: 0 }}>
+            <h2 style={{ margin: 0, color: '#1e293b' }}>{tourist ? tourist.name : 'Tourist profile'}</h2>
+            {tourist && (
+              <p style={{ margin: '4px 0 0 0', color: '#6b7280', fontSize: '13px' }}>
+                <span style={{ color: statusColor, fontWeight: '600', textTransform: 'capitalize' }}>{tourist.status}</span>
+                {' • '}{tourist.digitalId || tourist.id}
+                {tourist.nationality && ` • ${tourist.nationality}`}
+              </p>
+            )}
+          </div>
+        </div>
+        <TopNavigation />
+      </div>
+
+      {loading ? (
+        <div className="dashboard-card" style={{ color: '#6b7280', fontSize: '13px' }}>Loading tourist profile...</div>
+      ) : !tourist ? (
+        <div className="dashboard-card" style={{ color: '#dc2626', fontSize: '13px' }}>
+          Failed to load tourist: {errors.tourist || 'Not found'}
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'minmax(300px, 380px) 1fr', gap: '16px', alignItems: 'start' }}>
+          {/* Profile sections */}
+          <div>
+            <Section title="👤 Profile">
+              <div style={{ fontSize: '13px', color: '#1f2937', lineHeight: 1.8 }}>
+                <div>📧 {tourist.email || '—'}</div>
+                <div>📱 {tourist.phone || '—'}</div>
+                <div>🗓️ Registered {formatDate(tourist.createdAt)}</div>
+                <div>
+                  📍 {tourist.lat !== null
+                    ? `${tourist.lat.toFixed(5)}, ${tourist.lng.toFixed(5)} (${formatDate(tourist.lastSeenAt)})`
+                    : 'No location reported yet'}
+                </div>
+              </div>
+            </Section>
+
+            <Section title="🆘 Emergency contacts" count={contacts.length}>
+              {contacts.length === 0 ? <Empty>No emergency contacts on file</Empty> : contacts.map((contact, index) => (
+                <div key={contact._id || index} style={rowStyle}>
+                  <div style={{ fontWeight: '600' }}>
+                    {contact.name || 'Unnamed contact'}
+                    {contact.relationship && <span style={{ color: '#6b7280', fontWeight: '400' }}> • {contact.relationship}</span>}
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#4b5563' }}>
+                    {contact.phone ? <a href={`tel:${contact.phone}`} style={{ color: '#1a73e8' }}>{contact.phone}</a> : '—'}
+                    {contact.email && ` • ${contact.email}`}
+                  </div>
+                </div>
+              ))}
+            </Section>
+
+            <Section title="🧳 Itinerary" count={itinerary.length}>
+              {itinerary.length === 0 ? <Empty>No itinerary submitted</Empty> : itinerary.map((stop, index) => (
+                <div key={stop._id || index} style={rowStyle}>
+                  <div style={{ fontWeight: '600' }}>{stop.place || stop.name || stop.destination || 'Planned stop'}</div>
+                  <div style={{ fontSize: '12px', color: '#4b5563' }}>
+                    {formatDay(stop.startDate || stop.arrival || stop.date)}
+                    {(stop.endDate || stop.departure) && ` → ${formatDay(stop.endDate || stop.departure)}`}
+                    {stop.accommodation && ` • 🏨 ${stop.accommodation}`}
+                  </div>
+                  {stop.notes && <div style={{ fontSize: '12px', color: '#6b7280' }}>{stop.notes}</div>}
+                </div>
+              ))}
+            </Section>
+
+            <Section title="🪪 KYC documents" count={documents.length}>
+              {documents.length === 0 ? <Empty>No documents uploaded</Empty> : documents.map((doc, index) => {
+                const style = getKycStatusStyle(doc.status);
+                return (
+                  <div key={doc._id || index} style={{ ...rowStyle, display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                    <div>
+                      <div style={{ fontWeight: '600', textTransform: 'capitalize' }}>
+                        {(doc.type || 'document').replace(/_/g, ' ')}
+                      </div>
+                      <div style={{ fontSize: '12px', color: '#4b5563' }}>
+                        {doc.number || '—'}
+                        {doc.expiresAt && ` • expires ${formatDay(doc.expiresAt)}`}
+                      </div>
+                      {doc.url && (
+                        <a href={doc.url} target="_blank" rel="noreferrer" style={{ fontSize: '12px', color: '#1a73e8' }}>View file</a>
+                      )}
+                    </div>
+                    <span style={{
+                      alignSelf: 'flex-start',
+                      padding: '2px 8px',
+                      borderRadius: '10px',
+                      background: style.bg,
+                      color: style.color,
+                      fontSize: '11px',
+                      fontWeight: '600',
+                      textTransform: 'capitalize'
+                    }}>
+                      {doc.status || 'pending'}
+                    </span>
+                  </div>
+                );
+              })}
+            </Section>
+
+            <Section title="📱 Linked devices" count={devices.length} error={errors.devices}>
+              {devices.length === 0 ? <Empty>No device connected right now</Empty> : devices.map((device, index) => (
+                <div key={device.deviceId || device._id || index} style={rowStyle}>
+                  <div style={{ fontWeight: '600' }}>
+                    {[device.platform, device.model].filter(Boolean).join(' ') || device.deviceId || 'Device'}
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#4b5563' }}>
+                    {device.appVersion && `App ${device.appVersion} • `}
+                    {device.batteryLevel !== undefined && device.batteryLevel !== null && `🔋 ${device.batteryLevel}% • `}
+                    Last seen {formatDate(device.lastSeen || device.connectedAt)}
+                  </div>
+                </div>
+              ))}
+            </Section>
+          </div>
+
+          {/* Timeline */}
+          <Section title="🕒 Timeline" count={`${visibleTimeline.length} entries`}>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+              {Object.values(TIMELINE_KINDS).map(kind => {
+                const isActive = !hiddenKinds.includes(kind);
+                return (
+                  <button
+                    key={kind}
+                    onClick={() => toggleKind(kind)}
+                    style={{
+                      padding: '4px 10px',
+                      borderRadius: '12px',
+                      border: '1px solid ' + (isActive ? '#1a73e8' : '#ddd'),
+                      background: isActive ? '#e8f0fe' : 'white',
+                      color: isActive ? '#1a73e8' : '#6b7280',
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {TIMELINE_KIND_ICONS[kind]} {TIMELINE_KIND_LABELS[kind]}
+                  </button>
+                );
+              })}
+            </div>
+
+            {['alerts', 'locations', 'videos'].filter(key => errors[key]).map(key => (
+              <div key={key} style={{ fontSize: '12px', color: '#dc2626', marginBottom: '6px' }}>
+                Failed to load {key}: {errors[key]}
+              </div>
+            ))}
+
+            {visibleTimeline.length === 0 ? <Empty>Nothing to show</Empty> : (
+              <div style={{ position: 'relative', paddingLeft: '20px' }}>
+                <div style={{ position: 'absolute', left: '5px', top: '4px', bottom: '4px', width: '2px', background: '#e5e7eb' }} />
+                {visibleTimeline.map(entry => {
+                  const isClickable = entry.kind === TIMELINE_KINDS.ALERT || entry.kind === TIMELINE_KINDS.VIDEO;
+                  return (
+                    <div
+                      key={entry.id}
+                      onClick={isClickable ? () => openEntry(entry) : undefined}
+                      style={{ position: 'relative', padding: '8px 10px', marginBottom: '6px', borderRadius: '8px', cursor: isClickable ? 'pointer' : 'default' }}
+                    >
+                      <div style={{
+                        position: 'absolute',
+                        left: '-20px',
+                        top: '12px',
+                        width: '12px',
+                        height: '12px',
+                        borderRadius: '50%',
+                        background: entry.color,
+                        border: '2px solid white',
+                        boxShadow: '0 0 0 1px #e5e7eb'
+                      }} />
+                      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', fontSize: '13px' }}>
+                        <span style={{ fontWeight: '600', color: '#1f2937' }}>
+                          {TIMELINE_KIND_ICONS[entry.kind]} {entry.title}
+                          {entry.badge && (
+                            <span style={{ marginLeft: '8px', fontSize: '11px', color: entry.color, fontWeight: '600' }}>{entry.badge}</span>
+                          )}
+                        </span>
+                        <span style={{ fontSize: '11px', color: '#6b7280', whiteSpace: 'nowrap' }}>
+                          {entry.startedAt && entry.startedAt !== entry.at && `${formatDate(entry.startedAt)} → `}
+                          {formatDate(entry.at)}
+                        </span>
+                      </div>
+                      {entry.detail && <div style={{ fontSize: '12px', color: '#4b5563', marginTop: '2px' }}>{entry.detail}</div>}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </Section>
+        </div>
+      )}
+
+      {incidentAlert && <AlertIncidentModal alert={incidentAlert} onClose={() => setIncidentAlert(null)} />}
+      {showVideos && tourist && (
+        <VideosModal touristId={tourist.id} touristName={tourist.name} onClose={() => setShowVideos(false)} />
+      )}
+    </div>
+  );
+};
+
+export default TouristProfile;
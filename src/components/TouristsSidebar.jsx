@@ -1,51 +1,64 @@
-import React, { useState, useEffect } from 'react';
-import { trackingAPI } from '../services/api';
+import React, { useState, useEffect, useMemo, useSyncExternalStore } from 'react';
+import dataStore, { selectTourists, selectGroups, selectStatus } from '../services/dataStore';
+import groupMonitor from '../services/groupMonitor';
+import routeMonitor from '../services/routeMonitor';
+import silenceMonitor from '../services/silenceMonitor';
+import { useDataStore } from '../hooks/useDataStore';
+import { hasLocation } from '../utils/normalizers';
+import { getTouristStatusColor } from '../utils/tourists';
+import { getGroupColor, getGroupsByTourist } from '../utils/touristGroups';
+import { formatDistance } from '../utils/geo';
+import { formatDelay } from '../utils/routePlans';
+import { formatDwellTime } from '../utils/geofenceBreaches';
+import { DEFAULT_SILENCE_MINUTES, SILENCE_CAUSE_LABELS } from '../utils/touristSilence';
+import TravelGroupsModal from './TravelGroupsModal';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://4.186.25.99:3000/api';
 
 const TouristsSidebar = ({ onTouristSelect, onViewVideos }) => {
-  const [tourists, setTourists] = useState([]);
-  const [activeTourists, setActiveTourists] = useState([]);
-  const [inactiveTourists, setInactiveTourists] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // Same normalized tourists the map renders, kept current by the live
+  // channel: those around the map area plus any the monitors loaded by id.
+  // Nothing is listed until the map's first tiles are in.
+  const tourists = useDataStore(selectTourists);
+  const loading = useDataStore(selectStatus('tourists')) === 'idle';
+  const groups = useDataStore(selectGroups);
+  const { stragglers } = useSyncExternalStore(groupMonitor.subscribe, groupMonitor.getState);
+  const { progress: routeProgress } = useSyncExternalStore(routeMonitor.subscribe, routeMonitor.getState);
+  const { silent, config: trackingConfig } = useSyncExternalStore(silenceMonitor.subscribe, silenceMonitor.getState);
   const [activeTab, setActiveTab] = useState('active');
   const [searchQuery, setSearchQuery] = useState('');
+  const [groupFilter, setGroupFilter] = useState('');
+  const [showGroups, setShowGroups] = useState(false);
 
   useEffect(() => {
-    loadTourists();
-    // Refresh every 30 seconds
-    const interval = setInterval(loadTourists, 30000);
-    return () => clearInterval(interval);
+    dataStore.load('groups');
   }, []);
 
-  const loadTourists = async () => {
-    try {
-      setLoading(true);
-      const response = await trackingAPI.getAllTouristsWithLocations();
-      const allTourists = response.data?.data?.tourists || response.data?.tourists || [];
-      
-      // Separate active (with location) and inactive (without location)
-      const active = allTourists.filter(t => {
-        const loc = t.currentLocation;
-        return loc && (loc.coordinates || (loc.latitude !== undefined && loc.longitude !== undefined));
-      });
-      
-      const inactive = allTourists.filter(t => {
-        const loc = t.currentLocation;
-        return !loc || (!loc.coordinates && loc.latitude === undefined);
-      });
-      
-      setTourists(allTourists);
-      setActiveTourists(active);
-      setInactiveTourists(inactive);
-    } catch (err) {
-      console.error('Failed to load tourists:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // touristId -> [{ name, color }] and touristId -> metres from their group
+  const groupBadges = useMemo(() => {
+    const byTourist = getGroupsByTourist(groups);
+    const colors = Object.fromEntries(groups.map((group, index) => [group.id, getGroupColor(group, index)]));
+    return Object.fromEntries(Object.entries(byTourist).map(([touristId, memberOf]) => [
+      touristId,
+      memberOf.map(group => ({ id: group.id, name: group.name, color: colors[group.id] }))
+    ]));
+  }, [groups]);
+  const straggling = useMemo(() => {
+    const byTourist = {};
+    Object.values(stragglers).flat().forEach(s => { byTourist[s.touristId] = s.distance; });
+    return byTourist;
+  }, [stragglers]);
+  const filterGroup = groups.find(group => group.id === groupFilter);
+
+  // Active tourists are located and reporting. Inactive ones have gone silent
+  // (longest silence first) or never sent a location.
+  const activeTourists = useMemo(() => tourists.filter(t => hasLocation(t) && !silent[t.id]), [tourists, silent]);
+  const inactiveTourists = useMemo(() => tourists
+    .filter(t => !hasLocation(t) || silent[t.id])
+    .sort((a, b) => (silent[a.id]?.lastSeenAt ?? Infinity) - (silent[b.id]?.lastSeenAt ?? Infinity)), [tourists, silent]);
 
   const filteredTourists = (activeTab === 'active' ? activeTourists : inactiveTourists)
+    .filter(t => !filterGroup || filterGroup.memberIds.includes(t.id))
     .filter(t => {
       if (!searchQuery) return true;
       const query = searchQuery.toLowerCase();
@@ -56,41 +69,16 @@ const TouristsSidebar = ({ onTouristSelect, onViewVideos }) => {
       );
     });
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'safe': return '#4caf50';
-      case 'warning': return '#ff9800';
-      case 'danger': return '#f44336';
-      case 'emergency': return '#d32f2f';
-      default: return '#9e9e9e';
-    }
-  };
-
   const handleDetails = (tourist) => {
-    // Transform tourist data for map
-    const loc = tourist.currentLocation;
-    const lat = loc?.coordinates ? loc.coordinates[1] : loc?.latitude;
-    const lng = loc?.coordinates ? loc.coordinates[0] : loc?.longitude;
-    
-    if (onTouristSelect && lat && lng) {
-      onTouristSelect({
-        id: tourist._id || tourist.id,
-        digitalId: tourist.digitalId || 'N/A',
-        name: tourist.name || 'Unknown Tourist',
-        email: tourist.email || '',
-        profilePhoto: tourist.profilePhoto || null,
-        lat,
-        lng,
-        status: tourist.status || 'safe',
-        createdAt: tourist.createdAt || null
-      });
+    if (onTouristSelect && hasLocation(tourist)) {
+      onTouristSelect(tourist);
     }
   };
 
   const handleVideos = (tourist) => {
     if (onViewVideos) {
       // Use firebaseUid for video lookup as videos are associated with Firebase user ID
-      const userId = tourist.firebaseUid || tourist._id || tourist.id;
+      const userId = tourist.firebaseUid || tourist.id;
       onViewVideos(userId, tourist.name);
     }
   };
@@ -113,10 +101,30 @@ const TouristsSidebar = ({ onTouristSelect, onViewVideos }) => {
     }}>
       {/* Header */}
       <div style={{ padding: '16px', borderBottom: '1px solid #eee' }}>
-        <h3 style={{ margin: '0 0 4px 0', fontSize: '16px', fontWeight: '600', color: '#1a1a1a' }}>
-          👥 Tourists
-        </h3>
-        <p style={{ margin: 0, fontSize: '12px', color: '#666' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <h3 style={{ margin: '0 0 4px 0', fontSize: '16px', fontWeight: '600', color: '#1a1a1a' }}>
+            👥 Tourists
+          </h3>
+          <button
+            onClick={() => setShowGroups(true)}
+            style={{
+              padding: '4px 10px',
+              borderRadius: '12px',
+              border: '1px solid #7c3aed',
+              background: 'white',
+              color: '#7c3aed',
+              fontSize: '11px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            👪 Groups
+          </button>
+        </div>
+        <p
+          title={`Silent after ${trackingConfig.silentAfterMinutes || DEFAULT_SILENCE_MINUTES} min without a location, sooner in restricted and warning zones`}
+          style={{ margin: 0, fontSize: '12px', color: '#666' }}
+        >
           {activeTourists.length} active • {inactiveTourists.length} inactive
         </p>
       </div>
@@ -138,6 +146,28 @@ const TouristsSidebar = ({ onTouristSelect, onViewVideos }) => {
             boxSizing: 'border-box'
           }}
         />
+        {groups.length > 0 && (
+          <select
+            value={groupFilter}
+            onChange={(e) => setGroupFilter(e.target.value)}
+            style={{
+              width: '100%',
+              marginTop: '8px',
+              padding: '6px 10px',
+              borderRadius: '8px',
+              border: '1px solid #ddd',
+              fontSize: '12px',
+              background: 'white'
+            }}
+          >
+            <option value="">All tourists</option>
+            {groups.map(group => (
+              <option key={group.id} value={group.id}>
+                👪 {group.name} ({group.memberIds.length}){stragglers[group.id] ? ` • ${stragglers[group.id].length} apart` : ''}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
 
       {/* Tabs */}
@@ -189,22 +219,28 @@ const TouristsSidebar = ({ onTouristSelect, onViewVideos }) => {
         ) : (
           filteredTourists.map(tourist => (
             <TouristCard
-              key={tourist._id || tourist.id}
+              key={tourist.id}
               tourist={tourist}
               isActive={activeTab === 'active'}
-              statusColor={getStatusColor(tourist.status)}
+              statusColor={getTouristStatusColor(tourist.status)}
+              groups={groupBadges[tourist.id]}
+              strayDistance={straggling[tourist.id]}
+              route={routeProgress[tourist.id]}
+              silence={silent[tourist.id]}
               onDetails={() => handleDetails(tourist)}
               onVideos={() => handleVideos(tourist)}
             />
           ))
         )}
       </div>
+
+      {showGroups && <TravelGroupsModal initialGroupId={groupFilter || null} onClose={() => setShowGroups(false)} />}
     </div>
   );
 };
 
 // Tourist Card Component
-const TouristCard = ({ tourist, isActive, statusColor, onDetails, onVideos }) => {
+const TouristCard = ({ tourist, isActive, statusColor, groups = [], strayDistance, route, silence, onDetails, onVideos }) => {
   const getInitials = (name) => {
     if (!name) return '?';
     return name.split(' ').map(n => n[0]).join('').toUpperCase().slice(0, 2);
@@ -270,9 +306,53 @@ const TouristCard = ({ tourist, isActive, statusColor, onDetails, onVideos }) =>
           <div style={{ fontSize: '11px', color: '#666', marginTop: '2px' }}>
             {tourist.digitalId || tourist.email || 'No ID'}
           </div>
-          {!isActive && (
+          {groups.length > 0 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px' }}>
+              {groups.map(group => (
+                <span
+                  key={group.id}
+                  style={{
+                    padding: '1px 6px',
+                    borderRadius: '8px',
+                    background: `${group.color}22`,
+                    color: group.color,
+                    fontSize: '10px',
+                    fontWeight: '600'
+                  }}
+                >
+                  👪 {group.name}
+                </span>
+              ))}
+            </div>
+          )}
+          {strayDistance !== undefined && (
+            <div style={{ fontSize: '10px', color: '#dc2626', fontWeight: '600', marginTop: '2px' }}>
+              ⚠️ {formatDistance(strayDistance)} from their group
+            </div>
+          )}
+          {route?.offRoute && (
+            <div style={{ fontSize: '10px', color: '#dc2626', fontWeight: '600', marginTop: '2px' }}>
+              🧭 {formatDistance(route.deviation)} off their planned route
+            </div>
+          )}
+          {route?.overdue && (
+            <div style={{ fontSize: '10px', color: '#c2410c', fontWeight: '600', marginTop: '2px' }}>
+              ⌛ {formatDelay(route.overdueBy)} late at their next stop
+            </div>
+          )}
+          {silence && (
+            <div style={{ fontSize: '10px', color: silence.fenceName ? '#dc2626' : '#999', marginTop: '2px' }}>
+              🔇 {silence.lastSeenAt !== null
+                ? `Silent ${formatDwellTime(Date.now() - silence.lastSeenAt)} • last seen ${new Date(silence.lastSeenAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : 'Reported inactive'}
+              {silence.batteryLevel !== null && ` • 🔋 ${Math.round(silence.batteryLevel)}%`}
+              {silence.fenceName && ` • in ${silence.fenceName}`}
+              <div>{SILENCE_CAUSE_LABELS[silence.cause]}</div>
+            </div>
+          )}
+          {!isActive && !silence && (
             <div style={{ fontSize: '10px', color: '#999', marginTop: '2px' }}>
-              Last seen: {tourist.createdAt ? new Date(tourist.createdAt).toLocaleDateString() : 'Unknown'}
+              No location reported yet
             </div>
           )}
         </div>
@@ -295,17 +375,18 @@ const TouristCard = ({ tourist, isActive, statusColor, onDetails, onVideos }) =>
       <div style={{ display: 'flex', gap: '6px' }}>
         <button
           onClick={onDetails}
-          disabled={!isActive}
+          disabled={!hasLocation(tourist)}
+          title={silence ? 'Show the last known position' : undefined}
           style={{
             flex: 1,
             padding: '6px 10px',
             borderRadius: '6px',
             border: 'none',
-            background: isActive ? '#1a73e8' : '#ccc',
+            background: hasLocation(tourist) ? '#1a73e8' : '#ccc',
             color: 'white',
             fontSize: '11px',
             fontWeight: '600',
-            cursor: isActive ? 'pointer' : 'not-allowed',
+            cursor: hasLocation(tourist) ? 'pointer' : 'not-allowed',
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
@@ -0,0 +1,500 @@
+import React, { useState, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { groupAPI, touristAPI } from '../services/api';
+import dataStore, { selectGroups, selectTourists } from '../services/dataStore';
+import groupMonitor from '../services/groupMonitor';
+import { useDataStore } from '../hooks/useDataStore';
+import { useAuth } from '../hooks/useAuth';
+import { GROUP_COLORS, DEFAULT_GROUP_SPREAD, getGroupColor } from '../utils/touristGroups';
+import { formatDistance } from '../utils/geo';
+import { normalizeTourist } from '../utils/normalizers';
+
+const NO_STRAGGLERS = [];
+const SEARCH_LIMIT = 20;
+
+const emptyDraft = (index) => ({
+  id: null,
+  name: '',
+  color: GROUP_COLORS[index % GROUP_COLORS.length],
+  memberIds: [],
+  maxSpreadMeters: DEFAULT_GROUP_SPREAD,
+  notes: ''
+});
+
+const toDraft = (group, index) => ({
+  id: group.id,
+  name: group.name,
+  color: getGroupColor(group, index),
+  memberIds: group.memberIds,
+  maxSpreadMeters: group.maxSpreadMeters || DEFAULT_GROUP_SPREAD,
+  notes: group.notes
+});
+
+// Create and edit travel groups: members, colour on the map and how far a
+// member may wander from the others before a separation alert is raised
+const TravelGroupsModal = ({ onClose, initialGroupId = null }) => {
+  const { can } = useAuth();
+  const groups = useDataStore(selectGroups);
+  const tourists = useDataStore(selectTourists);
+  const { stragglers } = useSyncExternalStore(groupMonitor.subscribe, groupMonitor.getState);
+  const canEdit = can('groups:edit');
+
+  const [draft, setDraft] = useState(null);
+  const [memberSearch, setMemberSearch] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // tourists matching memberSearch, null until it is typed
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const searchRequestRef = useRef(0);
+
+  useEffect(() => {
+    dataStore.load('groups');
+  }, []);
+
+  // Members may be anywhere, not just around the map
+  const memberIds = draft?.memberIds;
+  useEffect(() => {
+    if (memberIds?.length) dataStore.loadTourists(memberIds);
+  }, [memberIds]);
+
+  // Without a search the tourists around the map are offered; a search goes
+  // to the backend so anyone can be added. Typing is debounced and a response
+  // for an earlier search is dropped.
+  useEffect(() => {
+    const query = memberSearch.trim();
+    const request = ++searchRequestRef.current;
+    if (!query) {
+      setSearchResults(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await touristAPI.getAll({ search: query, limit: SEARCH_LIMIT });
+        if (request !== searchRequestRef.current) return;
+        const body = response.data.data || response.data;
+        setSearchResults((body.users || body.tourists || []).map(normalizeTourist).filter(t => t?.id));
+      } catch (err) {
+        if (request !== searchRequestRef.current) return;
+        console.error('Failed to search tourists:', err);
+        setSearchResults([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [memberSearch]);
+
+  // Open the requested (or first) group once groups are available
+  useEffect(() => {
+    if (draft || groups.length === 0) return;
+    const index = Math.max(0, groups.findIndex(group => group.id === initialGroupId));
+    setDraft(toDraft(groups[index], index));
+  }, [draft, groups, initialGroupId]);
+
+  const touristsById = useMemo(() => Object.fromEntries([
+    ...(searchResults || []).map(t => [t.id, t]),
+    ...tourists.map(t => [t.id, t])
+  ]), [tourists, searchResults]);
+  const candidates = searchResults || tourists;
+
+  const selectGroup = (group, index) => {
+    setDraft(toDraft(group, index));
+    setError(null);
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleMember = (touristId) => {
+    updateDraft({
+      memberIds: draft.memberIds.includes(touristId)
+        ? draft.memberIds.filter(id => id !== touristId)
+        : [...draft.memberIds, touristId]
+    });
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      setError('The group needs a name');
+      return;
+    }
+    if (draft.memberIds.length < 2) {
+      setError('A group needs at least two members');
+      return;
+    }
+    if (!(draft.maxSpreadMeters > 0)) {
+      setError('Set how far members may be from the group');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+
+    const payload = {
+      name: draft.name.trim(),
+      color: draft.color,
+      memberIds: draft.memberIds,
+      maxSpreadMeters: draft.maxSpreadMeters,
+      notes: draft.notes
+    };
+    try {
+      const response = draft.id ? await groupAPI.update(draft.id, payload) : await groupAPI.create(payload);
+      const saved = response.data?.data?.group || response.data?.group || { ...payload, id: draft.id };
+      dataStore.upsert('groups', saved);
+      setDraft(prev => ({ ...prev, id: saved._id || saved.id || prev.id }));
+    } catch (err) {
+      console.error('Failed to save travel group:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the group "${draft.name}"? Its members are not affected.`)) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await groupAPI.delete(draft.id);
+      dataStore.remove('groups', draft.id);
+      setDraft(null);
+    } catch (err) {
+      console.error('Failed to delete travel group:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '13px'
+  };
+
+  const labelStyle = { display: 'block', fontSize: '11px', fontWeight: '600', color: '#6b7280', margin: '12px 0 4px 0' };
+
+  const draftStragglers = (draft?.id && stragglers[draft.id]) || NO_STRAGGLERS;
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.5)',
+          backdropFilter: 'blur(4px)',
+          zIndex: 1100
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '760px',
+        maxWidth: '95vw',
+        height: '80vh',
+        background: 'white',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        zIndex: 1101,
+        display: 'flex',
+        flexDirection: 'column',
+        overflow: 'hidden'
+      }}>
+        {/* Header */}
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid #eee',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          background: 'linear-gradient(135deg, #7c3aed22, #7c3aed44)'
+        }}>
+          <div>
+            <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '600', color: '#1a1a1a' }}>
+              👪 Travel Groups
+            </h3>
+            <p style={{ margin: '4px 0 0 0', fontSize: '13px', color: '#666' }}>
+              Families and tour groups are outlined together on the map. A member who strays too far raises an alert.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              width: '32px',
+              height: '32px',
+              borderRadius: '50%',
+              border: 'none',
+              background: 'rgba(0,0,0,0.1)',
+              cursor: 'pointer',
+              fontSize: '18px',
+              color: '#666'
+            }}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+          {/* Group list */}
+          <div style={{ width: '220px', borderRight: '1px solid #eee', overflowY: 'auto', padding: '12px' }}>
+            {groups.map((group, index) => (
+              <button
+                key={group.id}
+                onClick={() => selectGroup(group, index)}
+                style={{
+                  width: '100%',
+                  textAlign: 'left',
+                  padding: '8px 10px',
+                  marginBottom: '6px',
+                  borderRadius: '8px',
+                  border: `1px solid ${draft?.id === group.id ? getGroupColor(group, index) : '#e5e7eb'}`,
+                  background: draft?.id === group.id ? `${getGroupColor(group, index)}11` : 'white',
+                  cursor: 'pointer'
+                }}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', fontWeight: '600', color: '#1a1a1a' }}>
+                  <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: getGroupColor(group, index), flexShrink: 0 }} />
+                  {group.name}
+                </div>
+                <div style={{ fontSize: '11px', color: '#666', marginTop: '2px' }}>
+                  {group.memberIds.length} members
+                  {stragglers[group.id] && <span style={{ color: '#dc2626' }}> • {stragglers[group.id].length} apart</span>}
+                </div>
+              </button>
+            ))}
+            {groups.length === 0 && (
+              <div style={{ fontSize: '12px', color: '#888', padding: '8px 0' }}>No groups yet</div>
+            )}
+            {canEdit && (
+              <button
+                onClick={() => selectGroup(emptyDraft(groups.length), groups.length)}
+                style={{
+                  width: '100%',
+                  padding: '8px',
+                  border: '2px dashed #d1d5db',
+                  borderRadius: '8px',
+                  background: 'white',
+                  color: '#666',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                + New group
+              </button>
+            )}
+          </div>
+
+          {/* Editor */}
+          <div style={{ flex: 1, overflowY: 'auto', padding: '12px 20px' }}>
+            {error && (
+              <div style={{
+                background: '#fef2f2',
+                border: '1px solid #ef4444',
+                color: '#dc2626',
+                borderRadius: '8px',
+                padding: '8px 12px',
+                fontSize: '12px',
+                marginBottom: '4px'
+              }}>
+                {error}
+              </div>
+            )}
+
+            {!draft ? (
+              <div style={{ padding: '40px', textAlign: 'center', color: '#888', fontSize: '13px' }}>
+                {canEdit ? 'Create a group to start tracking a travel party together' : 'No travel groups have been set up'}
+              </div>
+            ) : (
+              <fieldset disabled={!canEdit || saving} style={{ border: 'none', margin: 0, padding: 0 }}>
+                <label style={labelStyle}>NAME</label>
+                <input
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  placeholder="e.g. Sharma family"
+                  style={inputStyle}
+                />
+
+                <div style={{ display: 'flex', gap: '16px' }}>
+                  <div style={{ flex: 1 }}>
+                    <label style={labelStyle}>ALERT WHEN A MEMBER IS FURTHER THAN (m)</label>
+                    <input
+                      type="number"
+                      min="50"
+                      step="50"
+                      value={draft.maxSpreadMeters}
+                      onChange={(e) => updateDraft({ maxSpreadMeters: Number(e.target.value) })}
+                      style={inputStyle}
+                    />
+                  </div>
+                  <div>
+                    <label style={labelStyle}>COLOUR</label>
+                    <div style={{ display: 'flex', gap: '6px', paddingTop: '4px' }}>
+                      {GROUP_COLORS.map(color => (
+                        <button
+                          key={color}
+                          type="button"
+                          onClick={() => updateDraft({ color })}
+                          title={color}
+                          style={{
+                            width: '24px',
+                            height: '24px',
+                            borderRadius: '50%',
+                            background: color,
+                            border: draft.color === color ? '3px solid #1a1a1a' : '3px solid white',
+                            boxShadow: '0 0 0 1px #d1d5db',
+                            cursor: 'pointer'
+                          }}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                </div>
+
+                {draftStragglers.length > 0 && (
+                  <div style={{
+                    marginTop: '12px',
+                    padding: '8px 10px',
+                    background: '#fef2f2',
+                    border: '1px solid #ef4444',
+                    borderRadius: '6px',
+                    color: '#dc2626',
+                    fontSize: '12px'
+                  }}>
+                    {draftStragglers.map(straggler => (
+                      <div key={straggler.touristId}>
+                        ⚠️ {straggler.touristName} is {formatDistance(straggler.distance)} from the group
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <label style={labelStyle}>MEMBERS ({draft.memberIds.length})</label>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '8px' }}>
+                  {draft.memberIds.map(id => (
+                    <span
+                      key={id}
+                      style={{
+                        padding: '3px 8px',
+                        borderRadius: '10px',
+                        background: `${draft.color}22`,
+                        color: draft.color,
+                        fontSize: '11px',
+                        fontWeight: '600'
+                      }}
+                    >
+                      {touristsById[id]?.name || id}
+                      {canEdit && (
+                        <button
+                          type="button"
+                          onClick={() => toggleMember(id)}
+                          style={{ border: 'none', background: 'none', color: 'inherit', cursor: 'pointer', padding: '0 0 0 4px' }}
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </span>
+                  ))}
+                </div>
+
+                {canEdit && (
+                  <>
+                    <input
+                      value={memberSearch}
+                      onChange={(e) => setMemberSearch(e.target.value)}
+                      placeholder="Search all tourists to add..."
+                      style={inputStyle}
+                    />
+                    {searchResults === null && (
+                      <div style={{ fontSize: '11px', color: '#888', marginTop: '4px' }}>
+                        Showing tourists around the map area
+                      </div>
+                    )}
+                    <div style={{ maxHeight: '200px', overflowY: 'auto', border: '1px solid #eee', borderRadius: '6px', marginTop: '6px' }}>
+                      {candidates.map(tourist => (
+                        <label
+                          key={tourist.id}
+                          style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 10px', fontSize: '12px', cursor: 'pointer' }}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={draft.memberIds.includes(tourist.id)}
+                            onChange={() => toggleMember(tourist.id)}
+                          />
+                          <span style={{ flex: 1 }}>{tourist.name}</span>
+                          <span style={{ color: '#888' }}>{tourist.digitalId}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </>
+                )}
+
+                <label style={labelStyle}>NOTES</label>
+                <textarea
+                  value={draft.notes}
+                  onChange={(e) => updateDraft({ notes: e.target.value })}
+                  rows={2}
+                  placeholder="Tour operator, guide's phone number..."
+                  style={{ ...inputStyle, resize: 'vertical' }}
+                />
+              </fieldset>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        {draft && canEdit && (
+          <div style={{
+            padding: '12px 20px',
+            borderTop: '1px solid #eee',
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: '8px'
+          }}>
+            <button
+              onClick={handleDelete}
+              disabled={!draft.id || saving}
+              style={{
+                padding: '8px 16px',
+                borderRadius: '8px',
+                border: '1px solid #fecaca',
+                background: 'white',
+                color: '#dc2626',
+                fontSize: '13px',
+                cursor: draft.id ? 'pointer' : 'not-allowed',
+                opacity: draft.id ? 1 : 0.5
+              }}
+            >
+              Delete group
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              style={{
+                padding: '8px 16px',
+                borderRadius: '8px',
+                border: 'none',
+                background: saving ? '#93c5fd' : '#1a73e8',
+                color: 'white',
+                fontSize: '13px',
+                fontWeight: '600',
+                cursor: saving ? 'not-allowed' : 'pointer'
+              }}
+            >
+              {saving ? 'Saving...' : draft.id ? 'Save group' : 'Create group'}
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default TravelGroupsModal;
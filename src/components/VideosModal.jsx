@@ -1,12 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
-
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'https://yatra-suraksha.n5n.live/api';
+import { videoAPI } from '../services/api';
+import { useAuth } from '../hooks/useAuth';
 
 const VideosModal = ({ touristId, touristName, onClose }) => {
   const [videos, setVideos] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [playingVideo, setPlayingVideo] = useState(null);
+  const { can } = useAuth();
 
   useEffect(() => {
     if (touristId) {
@@ -23,8 +24,8 @@ const VideosModal = ({ touristId, touristName, onClose }) => {
       setError(null);
       
       // Fetch videos for this specific tourist/user
-      const response = await fetch(`${API_BASE_URL}/videos/user/${touristId}`);
-      const data = await response.json();
+      const response = await videoAPI.getByUser(touristId);
+      const data = response.data;
       
       if (data.success) {
         setVideos(data.data || []);
@@ -48,8 +49,8 @@ const VideosModal = ({ touristId, touristName, onClose }) => {
       setLoading(true);
       setError(null);
       
-      const response = await fetch(`${API_BASE_URL}/videos?page=1&limit=50`);
-      const data = await response.json();
+      const response = await videoAPI.getAll({ page: 1, limit: 50 });
+      const data = response.data;
       
       if (data.success) {
         setVideos(data.data || []);
@@ -92,6 +93,18 @@ const VideosModal = ({ touristId, touristName, onClose }) => {
     setPlayingVideo(null);
   };
 
+  const handleDeleteVideo = async (video) => {
+    if (!window.confirm(`Delete "${video.title || video.filename}"? This cannot be undone.`)) return;
+
+    try {
+      await videoAPI.adminDelete(video.filename);
+      setVideos(prev => prev.filter(v => v.filename !== video.filename));
+    } catch (err) {
+      console.error('Failed to delete video:', err);
+      alert('Failed to delete video: ' + (err.response?.data?.message || err.message));
+    }
+  };
+
   return (
     <>
       {/* Backdrop */}
@@ -193,6 +206,7 @@ const VideosModal = ({ touristId, touristName, onClose }) => {
                   formatDate={formatDate}
                   getVideoExtension={getVideoExtension}
                   onPlay={() => handlePlayVideo(video)}
+                  onDelete={can('videos:delete') ? () => handleDeleteVideo(video) : null}
                 />
               ))}
             </div>
@@ -405,7 +419,7 @@ const VideoPlayer = ({ video, onClose, formatFileSize, formatDate }) => {
 };
 
 // Video Card Component
-const VideoCard = ({ video, formatFileSize, formatDate, getVideoExtension, onPlay }) => {
+const VideoCard = ({ video, formatFileSize, formatDate, getVideoExtension, onPlay, onDelete }) => {
   const baseUrl = (import.meta.env.VITE_API_BASE_URL || 'https://yatra-suraksha.n5n.live/api').replace(/\/api$/, '');
   
   const handleDownload = () => {
@@ -564,6 +578,30 @@ const VideoCard = ({ video, formatFileSize, formatDate, getVideoExtension, onPla
         >
           ⬇️
         </button>
+        {onDelete && (
+          <button
+            onClick={onDelete}
+            title="Delete video"
+            style={{
+              padding: '10px 16px',
+              borderRadius: '8px',
+              border: '2px solid #ef4444',
+              background: 'white',
+              color: '#ef4444',
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              transition: 'background 0.2s'
+            }}
+            onMouseOver={(e) => e.target.style.background = '#fef2f2'}
+            onMouseOut={(e) => e.target.style.background = 'white'}
+          >
+            🗑️
+          </button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,18 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import authSession from '../services/authSession';
+import { can as roleCan } from '../utils/permissions';
+
+// Signed-in operator plus a permission check bound to their role
+export const useAuth = () => {
+  const session = useSyncExternalStore(authSession.subscribe, authSession.getState);
+  const role = session.operator?.role;
+
+  const can = useCallback((permission) => roleCan(role, permission), [role]);
+
+  return {
+    operator: session.operator,
+    isAuthenticated: Boolean(session.accessToken && session.operator),
+    endedReason: session.endedReason,
+    can
+  };
+};
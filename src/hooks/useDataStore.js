@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import dataStore from '../services/dataStore';
+
+// Read a slice of the shared data store. The selector must return a value
+// that is stable between unrelated updates (use the exported selectors, or
+// derive lists with useMemo in the component).
+export const useDataStore = (selector) => {
+  return useSyncExternalStore(dataStore.subscribe, () => selector(dataStore.getState()));
+};
@@ -0,0 +1,21 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import liveUpdates from '../services/liveUpdates';
+
+// Subscribe a component to one live channel. The handler can change on every
+// render without re-subscribing.
+export const useLiveChannel = (channel, handler) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    return liveUpdates.subscribe(channel, (event) => handlerRef.current(event));
+  }, [channel]);
+};
+
+// Current connection state: { status, transport, lastEventAt, nextRetryAt }
+export const useLiveStatus = () => {
+  return useSyncExternalStore(liveUpdates.onStatusChange, liveUpdates.getState);
+};
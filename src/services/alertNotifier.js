@@ -0,0 +1,262 @@
+// Alert Notifier - gets new alerts in front of an operator who is looking at
+// another window or tab.
+//
+// - desktop notifications (Notification API) for every new alert and for
+//   escalation re-notifies
+// - a repeating siren while an alert with a "sound" severity is still
+//   unacknowledged (WebAudio, so there is no audio file to ship)
+// - a flashing document title with the number of alerts that arrived while
+//   the portal was in the background
+//
+// Settings (mute, volume, which severities sound) are kept per operator.
+import authSession from './authSession';
+import dataStore from './dataStore';
+import escalationEngine from './escalationEngine';
+import Store from './store';
+import { isAlertUnacknowledged } from '../utils/alertLifecycle';
+import { ESCALATION_ACTIONS } from '../utils/escalation';
+
+const STORAGE_KEY_PREFIX = 'ys_notifier_settings:';
+const TITLE_FLASH_INTERVAL = 1000;
+
+export const DEFAULT_NOTIFIER_SETTINGS = {
+  muted: false,
+  volume: 0.6, // 0-1
+  soundSeverities: ['emergency', 'critical'],
+  desktop: true
+};
+
+const getNotificationPermission = () => (
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+);
+
+const readStoredSettings = (operatorId) => {
+  if (!operatorId) return DEFAULT_NOTIFIER_SETTINGS;
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY_PREFIX + operatorId);
+    return stored ? { ...DEFAULT_NOTIFIER_SETTINGS, ...JSON.parse(stored) } : DEFAULT_NOTIFIER_SETTINGS;
+  } catch (error) {
+    console.warn('Ignoring unreadable notification settings:', error);
+    return DEFAULT_NOTIFIER_SETTINGS;
+  }
+};
+
+const getAlertText = (alert) => {
+  const message = typeof alert.message === 'object' ? alert.message?.english : alert.message;
+  return `${alert.tourist?.name || 'Unknown tourist'}: ${message || alert.type || 'New alert'}`;
+};
+
+class AlertNotifier extends Store {
+  constructor() {
+    super({
+      settings: DEFAULT_NOTIFIER_SETTINGS,
+      unread: 0,
+      sirenActive: false,
+      permission: getNotificationPermission()
+    });
+    this.seenIds = null; // alert ids already announced; null until the first load
+    this.earlyIds = new Set(); // alerts that came in live before the first load
+    this.lastAlerts = null;
+    this.audioContext = null;
+    this.siren = null; // { oscillator, lfo, gain }
+    this.baseTitle = null;
+    this.titleTimer = null;
+    this.cleanups = [];
+  }
+
+  start() {
+    if (this.cleanups.length > 0) return;
+    this.baseTitle = document.title;
+    this.setState({ settings: readStoredSettings(authSession.getOperator()?.id), unread: 0 });
+
+    this.cleanups.push(dataStore.subscribe(() => this._onStoreChange()));
+    this.cleanups.push(escalationEngine.onEscalation(({ alert, step }) => {
+      if (step.action === ESCALATION_ACTIONS.RENOTIFY) this._announce(alert, 'Still unacknowledged');
+    }));
+
+    const clearUnread = () => {
+      if (!document.hidden) this.markRead();
+    };
+    window.addEventListener('focus', clearUnread);
+    document.addEventListener('visibilitychange', clearUnread);
+    this.cleanups.push(() => {
+      window.removeEventListener('focus', clearUnread);
+      document.removeEventListener('visibilitychange', clearUnread);
+    });
+
+    // Browsers keep audio suspended until the page has seen a user gesture
+    const unlockAudio = () => {
+      if (this.audioContext?.state === 'suspended') this.audioContext.resume();
+    };
+    document.addEventListener('pointerdown', unlockAudio);
+    document.addEventListener('keydown', unlockAudio);
+    this.cleanups.push(() => {
+      document.removeEventListener('pointerdown', unlockAudio);
+      document.removeEventListener('keydown', unlockAudio);
+    });
+
+    this._onStoreChange();
+  }
+
+  stop() {
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    this.seenIds = null;
+    this.earlyIds.clear();
+    this.lastAlerts = null;
+    this._stopSiren();
+    this.markRead();
+  }
+
+  updateSettings(changes) {
+    const settings = { ...this.state.settings, ...changes };
+    const operatorId = authSession.getOperator()?.id;
+    if (operatorId) {
+      try {
+        localStorage.setItem(STORAGE_KEY_PREFIX + operatorId, JSON.stringify(settings));
+      } catch (error) {
+        console.warn('Failed to save notification settings:', error);
+      }
+    }
+    this.setState({ settings });
+    if (this.siren) this.siren.gain.gain.value = settings.volume * 0.3;
+    this._syncSiren();
+  }
+
+  async requestPermission() {
+    if (typeof Notification === 'undefined') return 'unsupported';
+    const permission = await Notification.requestPermission();
+    this.setState({ permission });
+    return permission;
+  }
+
+  markRead() {
+    if (this.state.unread === 0) return;
+    this.setState({ unread: 0 });
+    this._syncTitle();
+  }
+
+  // Play the siren briefly so the operator can check the volume
+  testSound(durationMs = 1500) {
+    if (this.siren) return;
+    this._startSiren();
+    setTimeout(() => this._syncSiren(), durationMs);
+  }
+
+  _onStoreChange() {
+    const { list, loadedAt } = dataStore.getState().alerts;
+    if (list === this.lastAlerts) return;
+    this.lastAlerts = list;
+
+    // Alerts already there when the operator signs in are not "new"; ones
+    // that came in live before the first load finished still are
+    if (this.seenIds === null) {
+      if (!loadedAt) {
+        list.forEach(alert => this.earlyIds.add(alert.id));
+        return;
+      }
+      this.seenIds = new Set(list.map(alert => alert.id).filter(id => !this.earlyIds.has(id)));
+      this.earlyIds.clear();
+    }
+    list.filter(alert => !this.seenIds.has(alert.id)).forEach(alert => {
+      this.seenIds.add(alert.id);
+      if (isAlertUnacknowledged(alert)) this._announce(alert);
+    });
+
+    this._syncSiren();
+  }
+
+  _announce(alert, prefix = null) {
+    const { settings, permission } = this.state;
+    const soundSeverity = settings.soundSeverities.includes(alert.severity);
+
+    if (document.hidden || !document.hasFocus()) {
+      this.setState({ unread: this.state.unread + 1 });
+      this._syncTitle();
+    }
+
+    if (settings.desktop && permission === 'granted') {
+      try {
+        const notification = new Notification(
+          `🚨 ${prefix ? `${prefix}: ` : ''}${(alert.severity || 'new').toUpperCase()} alert`,
+          {
+            body: getAlertText(alert),
+            tag: `${alert.id}${prefix ? ':renotify' : ''}`,
+            requireInteraction: soundSeverity
+          }
+        );
+        notification.onclick = () => {
+          window.focus();
+          notification.close();
+        };
+      } catch (error) {
+        console.warn('Failed to show desktop notification:', error.message);
+      }
+    }
+  }
+
+  // The siren runs while any unacknowledged alert has a sound severity
+  _syncSiren() {
+    const { settings } = this.state;
+    const shouldSound = !settings.muted && dataStore.getState().alerts.list.some(alert =>
+      isAlertUnacknowledged(alert) && settings.soundSeverities.includes(alert.severity)
+    );
+    if (shouldSound && !this.siren) this._startSiren();
+    else if (!shouldSound && this.siren) this._stopSiren();
+  }
+
+  _startSiren() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!this.audioContext) this.audioContext = new AudioContextClass();
+    const context = this.audioContext;
+
+    // A tone swept up and down by a slow LFO: the classic two-second wail
+    const oscillator = context.createOscillator();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = 900;
+    const lfo = context.createOscillator();
+    lfo.frequency.value = 0.5;
+    const lfoGain = context.createGain();
+    lfoGain.gain.value = 300;
+    const gain = context.createGain();
+    gain.gain.value = this.state.settings.volume * 0.3;
+
+    lfo.connect(lfoGain).connect(oscillator.frequency);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start();
+    lfo.start();
+
+    this.siren = { oscillator, lfo, gain };
+    this.setState({ sirenActive: true });
+  }
+
+  _stopSiren() {
+    if (!this.siren) return;
+    const { oscillator, lfo, gain } = this.siren;
+    oscillator.stop();
+    lfo.stop();
+    gain.disconnect();
+    this.siren = null;
+    this.setState({ sirenActive: false });
+  }
+
+  _syncTitle() {
+    const { unread } = this.state;
+    if (unread > 0 && !this.titleTimer) {
+      let flash = false;
+      this.titleTimer = setInterval(() => {
+        flash = !flash;
+        document.title = flash ? `(${this.state.unread}) 🚨 New alert` : this.baseTitle;
+      }, TITLE_FLASH_INTERVAL);
+    } else if (unread === 0 && this.titleTimer) {
+      clearInterval(this.titleTimer);
+      this.titleTimer = null;
+      document.title = this.baseTitle;
+    }
+  }
+}
+
+// Export singleton instance
+const alertNotifier = new AlertNotifier();
+export default alertNotifier;
@@ -1,4 +1,7 @@
 import axios from 'axios';
+import authSession from './authSession';
+import auditLog from './auditLog';
+import { can } from '../utils/permissions';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://4.186.25.99:3000/api';
 
@@ -11,10 +14,96 @@ const api = axios.create({
   },
 });
 
+// Refresh the access token once, no matter how many requests ask at the same time
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    // Plain axios so the refresh call doesn't go through our own interceptors
+    refreshPromise = axios.post(`${API_BASE_URL}/auth/refresh`, {
+      refreshToken: authSession.getRefreshToken()
+    }, { timeout: 10000 })
+      .then(response => {
+        authSession.setFromAuthResponse(response.data);
+        return authSession.getAccessToken();
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const MUTATING_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// Every mutating request is audited. Wrappers describe the action with
+// config.audit = { action, targetId, resource }; `resource` names the data
+// store slice the "before" snapshot is taken from.
+const prepareAudit = (config) => {
+  if (config.skipAudit || !MUTATING_METHODS.includes(config.method)) return;
+
+  const audit = config.audit || { action: `${config.method.toUpperCase()} ${config.url}` };
+  config.audit = {
+    ...audit,
+    before: audit.before !== undefined ? audit.before : auditLog.snapshot(audit.resource, audit.targetId),
+    payload: config.data
+  };
+};
+
+const recordAudit = (config, outcome, { after = null, error = null } = {}) => {
+  const audit = config?.audit;
+  if (!audit) return;
+
+  auditLog.record({
+    action: audit.action,
+    targetId: audit.targetId,
+    before: audit.before,
+    after,
+    outcome,
+    error,
+    request: { method: config.method.toUpperCase(), url: config.url }
+  });
+};
+
 // Request interceptor
+// - rejects calls the operator's role isn't allowed to make (config.permission)
+// - sends config.idempotencyKey so the backend can drop the same automatic
+//   action posted by several consoles
+// - refreshes a token that is about to expire and attaches it
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
+
+    prepareAudit(config);
+
+    if (config.permission && !can(authSession.getOperator()?.role, config.permission)) {
+      const error = new Error('Your role is not allowed to perform this action');
+      error.code = 'FORBIDDEN';
+      error.permission = config.permission;
+      recordAudit(config, 'denied', { after: config.audit?.payload, error: error.message });
+      throw error;
+    }
+
+    if (config.idempotencyKey) {
+      config.headers['Idempotency-Key'] = config.idempotencyKey;
+    }
+
+    if (!config.skipAuth) {
+      if (authSession.getRefreshToken() && authSession.isExpiringSoon()) {
+        try {
+          await refreshSession();
+        } catch (error) {
+          // The request will come back 401 and the response interceptor logs out
+          console.warn('Token refresh failed:', error.message);
+        }
+      }
+
+      const token = authSession.getAccessToken();
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+    }
+
     return config;
   },
   (error) => {
@@ -24,24 +113,82 @@ api.interceptors.request.use(
 );
 
 // Response interceptor
+// - on 401 tries one token refresh and replays the request; if that fails, logs out
+// - records the outcome of audited requests
 api.interceptors.response.use(
   (response) => {
     console.log(`API Response: ${response.status} ${response.config.url}`);
+
+    const { config } = response;
+    if (config.audit) {
+      const after = config.method === 'delete' ? null : (response.data?.data ?? config.audit.payload);
+      recordAudit(config, 'success', { after });
+    }
+
     return response;
   },
   (error) => {
     console.error('API Response Error:', error.response?.data || error.message);
+
+    const { config, response } = error;
+    if (response?.status === 401 && config && !config.skipAuth) {
+      if (!config._retried && authSession.getRefreshToken()) {
+        config._retried = true;
+        // The replayed request records its own audit outcome
+        return refreshSession()
+          .catch(refreshError => {
+            recordAudit(config, 'failed', { after: config.audit?.payload, error: 'Session expired' });
+            authSession.clear('expired');
+            return Promise.reject(refreshError);
+          })
+          .then(() => api(config));
+      }
+      authSession.clear('expired');
+    }
+
+    if (error.code !== 'FORBIDDEN') {
+      recordAudit(config, 'failed', {
+        after: config?.audit?.payload,
+        error: error.response?.data?.message || error.message
+      });
+    }
+
     return Promise.reject(error);
   }
 );
 
+// Operator Authentication APIs
+export const authAPI = {
+  // Sign in with operator credentials
+  login: (email, password) => {
+    return api.post('/auth/login', { email, password }, { skipAuth: true, skipAudit: true });
+  },
+
+  // Revoke the refresh token on the server
+  logout: () => {
+    return api.post('/auth/logout', { refreshToken: authSession.getRefreshToken() }, {
+      audit: { action: 'auth.logout', targetId: authSession.getOperator()?.id }
+    });
+  },
+
+  // Get the signed-in operator's profile
+  me: () => {
+    return api.get('/auth/me');
+  },
+
+  // Get portal operators, e.g. to assign incidents to
+  getOperators: () => {
+    return api.get('/auth/operators');
+  }
+};
+
 // Tourist Management APIs
 export const touristAPI = {
-  // Get all tourists with pagination and search
+  // Get all tourists with pagination, search, filters and sorting
   getAll: (params = {}) => {
-    const { page = 1, limit = 20, status, search } = params;
+    const { page = 1, limit = 20, status, search, nationality, sortBy, sortOrder } = params;
     return api.get('/users/all', { 
-      params: { page, limit, status, search } 
+      params: { page, limit, status, search, nationality, sortBy, sortOrder } 
     });
   },
 
@@ -60,7 +207,10 @@ export const touristAPI = {
 export const trackingAPI = {
   // Update location for a tourist (used for fake location feature)
   updateLocation: (data) => {
-    return api.post('/tracking/location/update', data);
+    return api.post('/tracking/location/update', data, {
+      permission: 'tracking:fake-location',
+      audit: { action: 'location.inject', targetId: data.touristId, resource: 'tourists' }
+    });
   },
 
   // Get location heatmap data
@@ -99,12 +249,19 @@ export const trackingAPI = {
 
   // Acknowledge/dismiss alert - FIXED: Using correct endpoint /alerts/acknowledge
   dismissAlert: (alertId) => {
-    return api.post(`/tracking/alerts/acknowledge/${alertId}`);
+    return api.post(`/tracking/alerts/acknowledge/${alertId}`, null, {
+      permission: 'alerts:acknowledge',
+      audit: { action: 'alert.acknowledge', targetId: alertId, resource: 'alerts' }
+    });
   },
 
-  // Get all tourists with locations
-  getAllTouristsWithLocations: () => {
-    return api.get('/tracking/tourists/all');
+  // Get tourists with locations inside bbox ("west,south,east,north") or with
+  // the given ids
+  getAllTouristsWithLocations: (params = {}) => {
+    const { bbox, ids } = params;
+    return api.get('/tracking/tourists/all', {
+      params: { bbox, ids: ids?.length ? ids.join(',') : undefined }
+    });
   },
 
   // Get all current locations
@@ -125,6 +282,14 @@ export const trackingAPI = {
 
 // Alert Management APIs
 export const alertAPI = {
+  // Get alerts in any lifecycle state, newest first
+  getAll: (params = {}) => {
+    const { status, severity, type, search, touristId, page = 1, limit = 25 } = params;
+    return api.get('/tracking/alerts', {
+      params: { status, severity, type, search, touristId, page, limit }
+    });
+  },
+
   // Get active alerts
   getActiveAlerts: (params = {}) => {
     const { page = 1, limit = 20 } = params;
@@ -143,17 +308,67 @@ export const alertAPI = {
 
   // Acknowledge an alert
   acknowledgeAlert: (alertId) => {
-    return api.post(`/tracking/alerts/acknowledge/${alertId}`);
+    return api.post(`/tracking/alerts/acknowledge/${alertId}`, null, {
+      permission: 'alerts:acknowledge',
+      audit: { action: 'alert.acknowledge', targetId: alertId, resource: 'alerts' }
+    });
+  },
+
+  // Move an alert to another lifecycle state; the reason is kept in its history
+  updateStatus: (alertId, status, reason) => {
+    return api.patch(`/tracking/alerts/${alertId}/status`, { status, reason }, {
+      permission: 'alerts:update',
+      audit: { action: 'alert.status', targetId: alertId, resource: 'alerts' }
+    });
+  },
+
+  // Assign an alert to an operator
+  assign: (alertId, operatorId, reason) => {
+    return api.patch(`/tracking/alerts/${alertId}/assign`, { operatorId, reason }, {
+      permission: 'alerts:update',
+      audit: { action: 'alert.assign', targetId: alertId, resource: 'alerts' }
+    });
+  },
+
+  // Get the notes timeline of an alert
+  getNotes: (alertId) => {
+    return api.get(`/tracking/alerts/${alertId}/notes`);
   },
 
-  // Create emergency alert (requires touristId and coordinates)
-  createEmergencyAlert: (data) => {
-    return api.post('/tracking/alerts/emergency', data);
+  // Add a note, or a reply to another note when parentId is given
+  addNote: (alertId, text, parentId = null) => {
+    return api.post(`/tracking/alerts/${alertId}/notes`, { text, parentId }, {
+      permission: 'alerts:update',
+      audit: { action: 'alert.note', targetId: alertId }
+    });
+  },
+
+  // Record an escalation step that fired for an alert (see escalationEngine)
+  escalate: (alertId, escalation) => {
+    return api.post(`/tracking/alerts/${alertId}/escalations`, escalation, {
+      permission: 'alerts:escalate',
+      idempotencyKey: `escalation:${alertId}:${escalation.stepKey}`,
+      audit: { action: 'alert.escalate', targetId: alertId, resource: 'alerts' }
+    });
+  },
+
+  // Create emergency alert (requires touristId and coordinates). Monitors pass
+  // an idempotency key built from what they saw, so every console watching the
+  // same tourist raises one alert between them
+  createEmergencyAlert: (data, { idempotencyKey } = {}) => {
+    return api.post('/tracking/alerts/emergency', data, {
+      permission: 'alerts:raise',
+      idempotencyKey,
+      audit: { action: 'alert.create', targetId: data?.touristId }
+    });
   },
 
   // Delete all alerts for a tourist
   deleteAlertsForTourist: (touristId) => {
-    return api.delete(`/tracking/alerts/emergency/tourist/${touristId}`);
+    return api.delete(`/tracking/alerts/emergency/tourist/${touristId}`, {
+      permission: 'alerts:delete',
+      audit: { action: 'alerts.delete_for_tourist', targetId: touristId, resource: 'tourists' }
+    });
   }
 };
 
@@ -174,17 +389,140 @@ export const geofenceAPI = {
 
   // Create new geofence
   create: (geofenceData) => {
-    return api.post('/tracking/geofences', geofenceData);
+    return api.post('/tracking/geofences', geofenceData, {
+      permission: 'geofences:edit',
+      audit: { action: 'geofence.create', before: null }
+    });
   },
 
   // Update geofence
   update: (fenceId, geofenceData) => {
-    return api.put(`/tracking/geofences/${fenceId}`, geofenceData);
+    return api.put(`/tracking/geofences/${fenceId}`, geofenceData, {
+      permission: 'geofences:edit',
+      audit: { action: 'geofence.update', targetId: fenceId, resource: 'geofences' }
+    });
   },
 
   // Delete geofence
   delete: (fenceId) => {
-    return api.delete(`/tracking/geofences/${fenceId}`);
+    return api.delete(`/tracking/geofences/${fenceId}`, {
+      permission: 'geofences:delete',
+      audit: { action: 'geofence.delete', targetId: fenceId, resource: 'geofences' }
+    });
+  }
+};
+
+// Escalation Policy APIs
+export const escalationAPI = {
+  // Get the escalation policies shared by all operators
+  getPolicies: () => {
+    return api.get('/escalation/policies');
+  },
+
+  // Replace the escalation policies
+  savePolicies: (policies) => {
+    return api.put('/escalation/policies', { policies }, {
+      permission: 'escalation:configure',
+      audit: { action: 'escalation.policies', targetId: 'policies' }
+    });
+  }
+};
+
+// Travel group APIs
+export const groupAPI = {
+  // Get all travel groups
+  getAll: () => {
+    return api.get('/tracking/groups');
+  },
+
+  // Create a travel group
+  create: (groupData) => {
+    return api.post('/tracking/groups', groupData, {
+      permission: 'groups:edit',
+      audit: { action: 'group.create', before: null }
+    });
+  },
+
+  // Update a travel group's name, members or allowed spread
+  update: (groupId, groupData) => {
+    return api.put(`/tracking/groups/${groupId}`, groupData, {
+      permission: 'groups:edit',
+      audit: { action: 'group.update', targetId: groupId, resource: 'groups' }
+    });
+  },
+
+  // Delete a travel group (its members are not affected)
+  delete: (groupId) => {
+    return api.delete(`/tracking/groups/${groupId}`, {
+      permission: 'groups:edit',
+      audit: { action: 'group.delete', targetId: groupId, resource: 'groups' }
+    });
+  }
+};
+
+// Planned route APIs - one route per tourist
+export const routeAPI = {
+  // Get every tourist's planned route
+  getAll: () => {
+    return api.get('/tracking/routes');
+  },
+
+  // Attach or replace a tourist's planned route (waypoints with expected times)
+  save: (touristId, routeData) => {
+    return api.put(`/tracking/routes/${touristId}`, routeData, {
+      permission: 'routes:edit',
+      audit: { action: 'route.save', targetId: touristId, resource: 'routePlans' }
+    });
+  },
+
+  // Remove a tourist's planned route
+  delete: (touristId) => {
+    return api.delete(`/tracking/routes/${touristId}`, {
+      permission: 'routes:edit',
+      audit: { action: 'route.delete', targetId: touristId, resource: 'routePlans' }
+    });
+  }
+};
+
+// Emergency Dispatch APIs
+export const dispatchAPI = {
+  // Get responder units (ambulance, police, fire, rescue) and their availability
+  getUnits: (params = {}) => {
+    const { status, type } = params;
+    return api.get('/dispatch/units', {
+      params: { status, type }
+    });
+  },
+
+  // Get dispatches that are not yet resolved or cancelled
+  getActive: () => {
+    return api.get('/dispatch/active');
+  },
+
+  // Get the dispatch history of an alert
+  getForAlert: (alertId) => {
+    return api.get(`/dispatch/alert/${alertId}`);
+  },
+
+  // Send a responder unit to an alert
+  create: (data) => {
+    return api.post('/dispatch', data, {
+      permission: 'alerts:dispatch',
+      audit: { action: 'dispatch.create', targetId: data.alertId, resource: 'alerts' }
+    });
+  },
+
+  // Move a dispatch to its next state (en_route, on_scene, resolved, cancelled)
+  updateStatus: (dispatchId, status, note = '') => {
+    return api.patch(`/dispatch/${dispatchId}/status`, { status, note }, {
+      permission: 'alerts:dispatch',
+      audit: { action: 'dispatch.status', targetId: dispatchId, resource: 'dispatches' }
+    });
+  },
+
+  // Get the responder's current route and ETA
+  getRoute: (dispatchId) => {
+    return api.get(`/dispatch/${dispatchId}/route`);
   }
 };
 
@@ -199,6 +537,7 @@ export const ocrAPI = {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
+      audit: { action: 'ocr.process', targetId: file?.name }
     });
   },
 
@@ -234,7 +573,10 @@ export const videoAPI = {
 
   // Delete video (admin)
   adminDelete: (filename) => {
-    return api.delete(`/videos/admin/${filename}`);
+    return api.delete(`/videos/admin/${filename}`, {
+      permission: 'videos:delete',
+      audit: { action: 'video.delete', targetId: filename }
+    });
   },
 
   // Get stream URL for a video
@@ -254,9 +596,9 @@ export const videoAPI = {
 export const safetyAPI = {
   // Get all safety scores for map overlay
   getAllForMap: (params = {}) => {
-    const { state, minScore, maxScore } = params;
+    const { state, minScore, maxScore, bbox } = params;
     return api.get('/safety/all', { 
-      params: { state, minScore, maxScore } 
+      params: { state, minScore, maxScore, bbox } 
     });
   },
 
@@ -290,4 +632,28 @@ export const safetyAPI = {
   }
 };
 
+// Audit Trail APIs
+export const auditAPI = {
+  // Store a batch of audit events
+  record: (events) => {
+    return api.post('/audit/events', { events }, { skipAudit: true });
+  },
+
+  // Query audit events
+  getEvents: (params = {}) => {
+    const { from, to, operatorId, action, limit = 1000 } = params;
+    return api.get('/audit/events', {
+      params: { from, to, operatorId, action, limit }
+    });
+  }
+};
+
+// Ship audit events to the backend, but only with a session to ship them under
+auditLog.setTransport((events) => {
+  if (!authSession.isAuthenticated()) {
+    return Promise.reject(new Error('Not signed in'));
+  }
+  return auditAPI.record(events);
+});
+
 export default api;
\ No newline at end of file
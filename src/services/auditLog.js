@@ -0,0 +1,189 @@
+// Audit Log - structured record of every operator action taken in the portal.
+//
+// The axios interceptors in api.js record one event per mutating request;
+// actions that don't go through the API (e.g. confirming a dispatch) call
+// record() directly. Events are kept in localStorage and shipped to the
+// backend in batches; after a failure shipping backs off (doubling up to
+// MAX_RETRY_DELAY) instead of resending the whole queue with every event.
+//
+// Event shape:
+// { id, at, operator: { id, name, role }, action, targetId,
+//   before, after, outcome: 'success' | 'failed' | 'denied', error,
+//   request: { method, url } | null, synced }
+import authSession from './authSession';
+import Store from './store';
+
+const STORAGE_KEY = 'ys_audit_log';
+const MAX_EVENTS = 1000;
+const SENSITIVE_KEY = /password|token|secret/i;
+const BATCH_SIZE = 100;
+const BASE_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 5 * 60000;
+
+export const AUDIT_OUTCOMES = ['success', 'failed', 'denied'];
+
+// Human readable names for the actions api.js records
+export const AUDIT_ACTION_LABELS = {
+  'alert.acknowledge': 'Acknowledged alert',
+  'alert.assign': 'Assigned alert',
+  'alert.note': 'Added alert note',
+  'alert.status': 'Changed alert status',
+  'alert.create': 'Created emergency alert',
+  'alert.escalate': 'Escalated alert automatically',
+  'alerts.delete_for_tourist': 'Deleted tourist alerts',
+  'auth.logout': 'Logged out',
+  'dispatch.create': 'Dispatched responder',
+  'dispatch.status': 'Updated dispatch status',
+  'escalation.policies': 'Updated escalation policies',
+  'geofence.create': 'Created geofence',
+  'geofence.update': 'Updated geofence',
+  'geofence.delete': 'Deleted geofence',
+  'group.create': 'Created travel group',
+  'group.update': 'Updated travel group',
+  'group.delete': 'Deleted travel group',
+  'location.inject': 'Injected fake location',
+  'route.save': 'Saved planned route',
+  'route.delete': 'Removed planned route',
+  'ocr.process': 'Processed document',
+  'video.delete': 'Deleted video'
+};
+
+// Copy a payload for storage: drop credentials and anything not serializable
+export const sanitizePayload = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof FormData !== 'undefined' && value instanceof FormData) return '[form data]';
+  if (typeof value === 'string') {
+    try {
+      return sanitizePayload(JSON.parse(value));
+    } catch {
+      return value;
+    }
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(value, (key, v) => (SENSITIVE_KEY.test(key) ? '[redacted]' : v)));
+  } catch {
+    return '[unserializable]';
+  }
+};
+
+const readStoredEvents = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn('Ignoring unreadable audit log:', error);
+    return [];
+  }
+};
+
+// State is the list of events, newest first
+class AuditLog extends Store {
+  constructor() {
+    super(readStoredEvents());
+    this.snapshotSources = {};
+    this.transport = null;
+    this.flushing = false;
+    this.failures = 0;
+    this.retryTimer = null;
+
+    // Events recorded while signed out (or offline) go out with the next
+    // session, without waiting out a backoff from the signed-out attempts
+    let signedIn = authSession.isAuthenticated();
+    authSession.subscribe(() => {
+      const wasSignedIn = signedIn;
+      signedIn = authSession.isAuthenticated();
+      if (signedIn && !wasSignedIn) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.failures = 0;
+      }
+      if (signedIn) this.flush();
+    });
+  }
+
+  getEvents = () => this.state;
+
+  // A function (events) => Promise that delivers events to the backend
+  setTransport(transport) {
+    this.transport = transport;
+    this.flush();
+  }
+
+  // Lets a data owner (the data store) supply the "before" state of a target
+  registerSnapshotSource(resource, getById) {
+    this.snapshotSources[resource] = getById;
+  }
+
+  snapshot(resource, targetId) {
+    const getById = this.snapshotSources[resource];
+    if (!getById || !targetId) return null;
+    return sanitizePayload(getById(targetId));
+  }
+
+  record({ action, targetId = null, before = null, after = null, outcome = 'success', error = null, request = null }) {
+    const operator = authSession.getOperator();
+    const event = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      at: new Date().toISOString(),
+      operator: operator ? { id: operator.id, name: operator.name, role: operator.role } : null,
+      action,
+      targetId: targetId === null ? null : String(targetId),
+      before: sanitizePayload(before),
+      after: sanitizePayload(after),
+      outcome,
+      error,
+      request,
+      synced: false
+    };
+
+    this._update([event, ...this.state].slice(0, MAX_EVENTS));
+    this.flush();
+    return event;
+  }
+
+  // Ship unsynced events, oldest first, a batch at a time. Failures stay
+  // queued and are retried on a backoff timer rather than on the next record.
+  async flush() {
+    if (!this.transport || this.flushing || this.retryTimer) return;
+
+    const pending = this.state.filter(event => !event.synced).reverse().slice(0, BATCH_SIZE);
+    if (pending.length === 0) return;
+
+    this.flushing = true;
+    let shippedAll = false;
+    try {
+      await this.transport(pending.map(event => ({ ...event, synced: undefined })));
+      const shipped = new Set(pending.map(event => event.id));
+      this._update(this.state.map(event => (shipped.has(event.id) ? { ...event, synced: true } : event)));
+      this.failures = 0;
+      shippedAll = true;
+    } catch (error) {
+      this.failures += 1;
+      const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** (this.failures - 1));
+      console.warn(`Failed to ship audit events, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.flush();
+      }, delay);
+    } finally {
+      this.flushing = false;
+    }
+    // More than one batch was queued
+    if (shippedAll) this.flush();
+  }
+
+  _update(events) {
+    this.state = events;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(events));
+    } catch (error) {
+      console.warn('Failed to persist audit log:', error);
+    }
+    this.emitChange();
+  }
+}
+
+// Export singleton instance
+const auditLog = new AuditLog();
+export default auditLog;
@@ -0,0 +1,110 @@
+// Auth Session - holds the signed-in operator and their tokens.
+//
+// Persisted to localStorage so a page reload doesn't log the operator out.
+// The axios interceptors in api.js read tokens from here and clear the
+// session when the backend rejects them.
+
+import Store from './store';
+
+const STORAGE_KEY = 'ys_admin_session';
+
+const emptySession = {
+  operator: null, // { id, name, email, role }
+  accessToken: null,
+  refreshToken: null,
+  expiresAt: null, // epoch ms, null when the backend doesn't say
+  endedReason: null // why the last session ended, e.g. 'expired'
+};
+
+const readStoredSession = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? { ...emptySession, ...JSON.parse(stored) } : emptySession;
+  } catch (error) {
+    console.warn('Ignoring unreadable stored session:', error);
+    return emptySession;
+  }
+};
+
+class AuthSession extends Store {
+  constructor() {
+    super(readStoredSession());
+  }
+
+  isAuthenticated() {
+    return Boolean(this.state.accessToken && this.state.operator);
+  }
+
+  getOperator() {
+    return this.state.operator;
+  }
+
+  getAccessToken() {
+    return this.state.accessToken;
+  }
+
+  getRefreshToken() {
+    return this.state.refreshToken;
+  }
+
+  // True when the access token expires within the given window
+  isExpiringSoon(withinMs = 60000) {
+    return Boolean(this.state.expiresAt) && this.state.expiresAt - Date.now() < withinMs;
+  }
+
+  // Accepts the login/refresh payload in the shapes the backend has used
+  setSession({ operator, accessToken, refreshToken, expiresIn }) {
+    this._update({
+      operator: operator || this.state.operator,
+      accessToken,
+      refreshToken: refreshToken || this.state.refreshToken,
+      expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+      endedReason: null
+    });
+  }
+
+  // Store the body of a /auth/login or /auth/refresh response
+  setFromAuthResponse(body) {
+    const data = body?.data || body || {};
+    const user = data.user || data.operator || data.admin;
+    const accessToken = data.accessToken || data.token;
+
+    if (!accessToken) {
+      throw new Error('Authentication response did not include an access token');
+    }
+
+    this.setSession({
+      operator: user ? {
+        id: user._id || user.id,
+        name: user.name || user.email,
+        email: user.email,
+        role: user.role || 'viewer'
+      } : null,
+      accessToken,
+      refreshToken: data.refreshToken,
+      expiresIn: data.expiresIn
+    });
+  }
+
+  clear(reason = null) {
+    this._update({ ...emptySession, endedReason: reason });
+  }
+
+  _update(next) {
+    this.state = next;
+    try {
+      if (next.accessToken) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Failed to persist session:', error);
+    }
+    this.emitChange();
+  }
+}
+
+// Export singleton instance
+const authSession = new AuthSession();
+export default authSession;
@@ -0,0 +1,445 @@
+// Data Store - single normalized source of tourists, alerts, geofences,
+// safety scores, dispatches, travel groups and planned routes shared by the
+// map, the sidebar and the alerts overlay.
+//
+// Each resource is kept as { byId, list, status, error, loadedAt }. Loads are
+// deduplicated (concurrent callers share one request) and cached for a short
+// TTL; live channel events are applied to the same state so every component
+// sees the same tourist position and status.
+//
+// Tourists and safety scores are never loaded in full: the viewport loader
+// merges in the map tiles in use and loadTourists fetches tourists by id.
+import { trackingAPI, geofenceAPI, dispatchAPI, groupAPI, routeAPI } from './api';
+import liveUpdates from './liveUpdates';
+import auditLog from './auditLog';
+import Store from './store';
+import {
+  normalizeTourist,
+  normalizeAlert,
+  normalizeGeofence,
+  normalizeSafetyScore,
+  normalizeDispatch,
+  normalizeResponderUnit,
+  normalizeGroup,
+  normalizeRoutePlan
+} from '../utils/normalizers';
+
+// The active alerts endpoint pages at 20 by default, which would hide older
+// open alerts from the store and the escalation engine
+const ALERT_PAGE_SIZE = 100;
+const MAX_ALERT_PAGES = 50;
+
+// Tourists fetched by id per request
+const TOURIST_BATCH_SIZE = 50;
+
+// Unknown tourists seen on the live channel within this long are fetched together
+const UNKNOWN_TOURIST_DELAY = 250;
+
+const RESOURCES = {
+  // Merged per map tile (viewportLoader) and by id (loadTourists); no fetch
+  tourists: {
+    normalize: normalizeTourist,
+    ttl: 15000
+  },
+  alerts: {
+    fetch: async () => {
+      const alerts = [];
+      for (let page = 1; page <= MAX_ALERT_PAGES; page += 1) {
+        const response = await trackingAPI.getAlerts({ page, limit: ALERT_PAGE_SIZE });
+        const items = response.data.data?.alerts || response.data?.alerts || [];
+        const pages = response.data.data?.pagination?.pages || response.data?.pagination?.pages;
+        alerts.push(...items);
+        if (items.length < ALERT_PAGE_SIZE || (pages && page >= pages)) break;
+      }
+      return alerts;
+    },
+    normalize: normalizeAlert,
+    ttl: 15000
+  },
+  geofences: {
+    fetch: async () => {
+      const response = await geofenceAPI.getAll({ limit: 100 });
+      return response.data.data?.geofences || response.data?.geofences || [];
+    },
+    normalize: normalizeGeofence,
+    ttl: 60000
+  },
+  // Merged per map tile by the viewport loader; no fetch
+  safetyScores: {
+    normalize: normalizeSafetyScore,
+    ttl: 5 * 60000
+  },
+  dispatches: {
+    fetch: async () => {
+      const response = await dispatchAPI.getActive();
+      return response.data.data?.dispatches || response.data?.dispatches || [];
+    },
+    normalize: normalizeDispatch,
+    ttl: 15000
+  },
+  responderUnits: {
+    fetch: async () => {
+      const response = await dispatchAPI.getUnits();
+      return response.data.data?.units || response.data?.units || [];
+    },
+    normalize: normalizeResponderUnit,
+    ttl: 30000
+  },
+  groups: {
+    fetch: async () => {
+      const response = await groupAPI.getAll();
+      return response.data.data?.groups || response.data?.groups || [];
+    },
+    normalize: normalizeGroup,
+    ttl: 60000
+  },
+  routePlans: {
+    fetch: async () => {
+      const response = await routeAPI.getAll();
+      return response.data.data?.routes || response.data?.routes || [];
+    },
+    normalize: normalizeRoutePlan,
+    ttl: 60000
+  }
+};
+
+const emptyResource = () => ({
+  byId: {},
+  list: [],
+  status: 'idle', // 'idle' | 'loading' | 'ready' | 'error'
+  error: null,
+  loadedAt: null
+});
+
+// Rebuild byId and list from normalized items, keeping server order
+const buildEntities = (items) => {
+  const byId = {};
+  const list = [];
+  items.forEach(item => {
+    if (!item || !item.id || byId[item.id]) return;
+    byId[item.id] = item;
+    list.push(item);
+  });
+  return { byId, list };
+};
+
+const fetchTouristsById = async (ids) => {
+  const response = await trackingAPI.getAllTouristsWithLocations({ ids });
+  return response.data?.data?.tourists || response.data?.tourists || [];
+};
+
+class DataStore extends Store {
+  constructor() {
+    super({});
+    Object.keys(RESOURCES).forEach(resource => { this.state[resource] = emptyResource(); });
+    this.raw = {}; // resource -> Map of id -> raw record, for merging partial updates
+    Object.keys(RESOURCES).forEach(resource => { this.raw[resource] = new Map(); });
+    this.inflight = {};
+    this.generation = 0; // bumped by reset() so responses from before it are dropped
+    this.touristRequests = new Map(); // tourist id -> { request, requestedAt, pending }
+    this.touristWatches = new Set(); // id lists kept fresh across resyncs
+    this.unknownTourists = new Set(); // ids seen on the live channel, waiting to be fetched
+    this.unknownTimer = null;
+
+    this._connectLiveChannels();
+
+    // Audit events record the state of their target before the change
+    Object.keys(RESOURCES).forEach(resource => {
+      auditLog.registerSnapshotSource(resource, (id) => this.state[resource].byId[id] || null);
+    });
+  }
+
+  // Load a resource, returning its normalized list. Concurrent calls share
+  // one request and results younger than the TTL are served from cache.
+  load(resource, { force = false } = {}) {
+    const config = RESOURCES[resource];
+    if (!config) {
+      return Promise.reject(new Error(`Unknown store resource: ${resource}`));
+    }
+    if (!config.fetch) {
+      return Promise.reject(new Error(`${resource} are loaded per map tile or by id, not in full`));
+    }
+
+    if (this.inflight[resource]) return this.inflight[resource];
+
+    const current = this.state[resource];
+    if (!force && current.loadedAt && Date.now() - current.loadedAt < config.ttl) {
+      return Promise.resolve(current.list);
+    }
+
+    this._setResource(resource, { status: 'loading', error: null });
+
+    const { generation } = this;
+    const request = config.fetch()
+      .then(items => {
+        if (generation === this.generation) this._replace(resource, items);
+        return this.state[resource].list;
+      })
+      .catch(error => {
+        console.error(`Failed to load ${resource}:`, error);
+        if (generation === this.generation) {
+          this._setResource(resource, { status: 'error', error: error.message || 'Request failed' });
+        }
+        return this.state[resource].list;
+      })
+      .finally(() => {
+        if (this.inflight[resource] === request) delete this.inflight[resource];
+      });
+
+    this.inflight[resource] = request;
+    return request;
+  }
+
+  // Mark a resource stale so the next load() goes to the network
+  invalidate(resource) {
+    this._setResource(resource, { loadedAt: null });
+  }
+
+  // Fetch the given tourists, e.g. a group's members or one who sent a
+  // location before any tile around them was loaded. Ids already in the store
+  // or asked for within the TTL are skipped unless forced; the rest are
+  // fetched a batch at a time. Resolves with the ones found.
+  loadTourists(ids, { force = false } = {}) {
+    const { ttl } = RESOURCES.tourists;
+    const now = Date.now();
+    const wanted = [...new Set(ids)].filter(Boolean);
+    const missing = wanted.filter(id => {
+      const previous = this.touristRequests.get(id);
+      if (previous && (previous.pending || (!force && now - previous.requestedAt < ttl))) return false;
+      return force || !this.state.tourists.byId[id];
+    });
+
+    const { generation } = this;
+    for (let i = 0; i < missing.length; i += TOURIST_BATCH_SIZE) {
+      const batch = missing.slice(i, i + TOURIST_BATCH_SIZE);
+      const entry = { requestedAt: now, pending: true };
+      entry.request = fetchTouristsById(batch)
+        .then(tourists => {
+          if (generation === this.generation) this.merge('tourists', tourists);
+        })
+        .catch(error => console.error('Failed to load tourists:', error))
+        .finally(() => { entry.pending = false; });
+      batch.forEach(id => this.touristRequests.set(id, entry));
+    }
+
+    const requests = new Set(wanted.map(id => this.touristRequests.get(id)?.request).filter(Boolean));
+    return Promise.all(requests).then(() => (
+      wanted.map(id => this.state.tourists.byId[id]).filter(Boolean)
+    ));
+  }
+
+  // Keep the given tourists fresh across resyncs until the returned function
+  // is called. Loading them in the first place is up to the caller.
+  watchTourists(ids) {
+    const watch = { ids };
+    this.touristWatches.add(watch);
+    return () => this.touristWatches.delete(watch);
+  }
+
+  // Live payloads may be partial, and normalizing one on its own would fill
+  // in defaults (a 500 m 'safe' circle for a fence) over the stored values,
+  // so it is merged into the stored raw record first. Undefined fields mean
+  // "not in this update" and don't overwrite.
+  upsert(resource, rawItem) {
+    const { normalize } = RESOURCES[resource];
+    const id = normalize(rawItem)?.id;
+    if (!id) return;
+
+    const raw = { ...this.raw[resource].get(id) };
+    Object.keys(rawItem).forEach(key => {
+      if (rawItem[key] !== undefined) raw[key] = rawItem[key];
+    });
+    this.raw[resource].set(id, raw);
+    const merged = normalize(raw);
+
+    const current = this.state[resource];
+    const exists = Boolean(current.byId[id]);
+    const list = exists
+      ? current.list.map(existing => (existing.id === id ? merged : existing))
+      : [merged, ...current.list];
+
+    this._setResource(resource, { byId: { ...current.byId, [id]: merged }, list });
+  }
+
+  // Replace or add a batch of items (e.g. the tourists in one map tile)
+  // without dropping the ones not in it. An empty batch still marks the
+  // resource loaded.
+  merge(resource, rawItems) {
+    const items = rawItems
+      .map(raw => {
+        const item = RESOURCES[resource].normalize(raw);
+        if (item?.id) this.raw[resource].set(item.id, raw);
+        return item;
+      })
+      .filter(item => item?.id);
+    const loaded = { status: 'ready', error: null, loadedAt: Date.now() };
+    if (items.length === 0) {
+      this._setResource(resource, loaded);
+      return;
+    }
+
+    const current = this.state[resource];
+    const byId = { ...current.byId };
+    const addedIds = [];
+    items.forEach(item => {
+      if (!byId[item.id]) addedIds.push(item.id);
+      byId[item.id] = item;
+    });
+    const list = [...current.list.map(existing => byId[existing.id]), ...addedIds.map(id => byId[id])];
+    this._setResource(resource, { byId, list, ...loaded });
+  }
+
+  remove(resource, id) {
+    const current = this.state[resource];
+    if (!current.byId[id]) return;
+
+    const byId = { ...current.byId };
+    delete byId[id];
+    this.raw[resource].delete(id);
+    this._setResource(resource, { byId, list: current.list.filter(item => item.id !== id) });
+  }
+
+  // Apply a single location update from the live channel
+  applyLocationUpdate(update) {
+    const current = this.state.tourists;
+    const tourist = current.byId[update.touristId];
+
+    if (!tourist) {
+      // A tourist we haven't seen yet - fetch them by id along with any
+      // others that turn up in the next moment
+      this.unknownTourists.add(update.touristId);
+      if (!this.unknownTimer) {
+        this.unknownTimer = setTimeout(() => {
+          const ids = [...this.unknownTourists];
+          this.unknownTourists.clear();
+          this.unknownTimer = null;
+          this.loadTourists(ids);
+        }, UNKNOWN_TOURIST_DELAY);
+      }
+      return;
+    }
+
+    const updated = {
+      ...tourist,
+      lat: update.latitude,
+      lng: update.longitude,
+      lastSeenAt: update.timestamp || new Date().toISOString(),
+      status: update.status || tourist.status,
+      batteryLevel: update.batteryLevel ?? tourist.batteryLevel,
+      accuracy: update.accuracy ?? tourist.accuracy,
+      speed: update.speed ?? tourist.speed,
+      altitude: update.altitude ?? tourist.altitude
+    };
+
+    this._setResource('tourists', {
+      byId: { ...current.byId, [tourist.id]: updated },
+      list: current.list.map(t => (t.id === tourist.id ? updated : t))
+    });
+  }
+
+  // Drop everything, e.g. when the operator logs out. Requests still in
+  // flight are forgotten and their responses ignored.
+  reset() {
+    this.generation += 1;
+    this.inflight = {};
+    const state = {};
+    Object.keys(RESOURCES).forEach(resource => {
+      state[resource] = emptyResource();
+      this.raw[resource].clear();
+    });
+    this.touristRequests.clear();
+    this.unknownTourists.clear();
+    clearTimeout(this.unknownTimer);
+    this.unknownTimer = null;
+    this.setState(state);
+  }
+
+  _replace(resource, rawItems) {
+    const normalized = rawItems.map(RESOURCES[resource].normalize);
+    this.raw[resource] = new Map();
+    normalized.forEach((item, i) => {
+      if (item?.id) this.raw[resource].set(item.id, rawItems[i]);
+    });
+    this._setResource(resource, {
+      ...buildEntities(normalized),
+      status: 'ready',
+      error: null,
+      loadedAt: Date.now()
+    });
+  }
+
+  // The viewport loader refreshes the tiles in use; tourists watched by id
+  // are refetched here
+  _refreshWatchedTourists() {
+    const ids = new Set();
+    this.touristWatches.forEach(watch => watch.ids.forEach(id => ids.add(id)));
+    if (ids.size > 0) this.loadTourists([...ids], { force: true });
+  }
+
+  _setResource(resource, partial) {
+    this.setState({ [resource]: { ...this.state[resource], ...partial } });
+  }
+
+  _connectLiveChannels() {
+    liveUpdates.subscribe('locations', ({ type, payload }) => {
+      if (type === 'snapshot') this._replace('tourists', payload);
+      else if (type === 'resync') this._refreshWatchedTourists();
+      else if (type === 'updated') this.applyLocationUpdate(payload);
+    });
+
+    liveUpdates.subscribe('alerts', ({ type, payload }) => {
+      if (type === 'snapshot') this._replace('alerts', payload);
+      else if (type === 'resync') this.load('alerts', { force: true });
+      else if (type === 'created' || type === 'updated') this.upsert('alerts', payload);
+      else if (type === 'acknowledged') this.upsert('alerts', { ...payload, status: 'acknowledged' });
+    });
+
+    liveUpdates.subscribe('geofences', ({ type, payload }) => {
+      if (type === 'snapshot') this._replace('geofences', payload);
+      else if (type === 'resync') this.load('geofences', { force: true });
+      else if (type === 'created' || type === 'updated') this.upsert('geofences', payload);
+      else if (type === 'deleted') this.remove('geofences', payload.fenceId);
+    });
+
+    liveUpdates.subscribe('dispatches', ({ type, payload }) => {
+      if (type === 'snapshot') this._replace('dispatches', payload);
+      else if (type === 'resync') this.load('dispatches', { force: true });
+      else if (type === 'created' || type === 'updated') this.upsert('dispatches', payload);
+    });
+
+    liveUpdates.subscribe('groups', ({ type, payload }) => {
+      if (type === 'snapshot') this._replace('groups', payload);
+      else if (type === 'resync') this.load('groups', { force: true });
+      else if (type === 'created' || type === 'updated') this.upsert('groups', payload);
+      else if (type === 'deleted') this.remove('groups', payload.groupId);
+    });
+
+    liveUpdates.subscribe('routes', ({ type, payload }) => {
+      if (type === 'snapshot') this._replace('routePlans', payload);
+      else if (type === 'resync') this.load('routePlans', { force: true });
+      else if (type === 'updated') this.upsert('routePlans', payload);
+      else if (type === 'deleted') this.remove('routePlans', payload.touristId);
+    });
+  }
+}
+
+// Selectors - each returns a value that only changes when its slice changes,
+// so they are safe to pass to useDataStore directly
+export const selectTourists = (state) => state.tourists.list;
+export const selectTouristsById = (state) => state.tourists.byId;
+export const selectAlerts = (state) => state.alerts.list;
+export const selectGeofences = (state) => state.geofences.list;
+export const selectSafetyScores = (state) => state.safetyScores.list;
+export const selectDispatches = (state) => state.dispatches.list;
+export const selectResponderUnits = (state) => state.responderUnits.list;
+export const selectGroups = (state) => state.groups.list;
+export const selectRoutePlans = (state) => state.routePlans.list;
+export const selectRoutePlansById = (state) => state.routePlans.byId;
+export const selectStatus = (resource) => (state) => state[resource].status;
+export const selectIsFirstLoad = (resource) => (state) => (
+  state[resource].status === 'loading' && !state[resource].loadedAt
+);
+
+// Export singleton instance
+const dataStore = new DataStore();
+export default dataStore;
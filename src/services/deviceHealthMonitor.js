@@ -0,0 +1,172 @@
+// Device Health Monitor - keeps a short battery log per tourist and warns
+// when a phone is running low somewhere remote (see getRemoteReason).
+//
+// Every location update that carries a battery level is added to the log for
+// the tourists the store holds (those around the map and the geofences, group
+// members and tourists on a route); the device health page back-fills it from
+// location history so trends are there straight away. A low battery warning
+// raises an alert when it first appears and again if the battery falls from
+// low to critical. It clears once the tourist is back near help or the
+// battery recovers past the threshold plus BATTERY_RECOVERY_MARGIN, so a
+// reading bouncing around 20% raises it once.
+//
+// Readings older than the stale limit are left to the silence monitor, and
+// warnings already present when monitoring starts are listed without an alert.
+// Alerts are only posted by operators who may raise them, keyed by the reading
+// behind them so the backend keeps one however many consoles saw it.
+import { alertAPI } from './api';
+import dataStore from './dataStore';
+import authSession from './authSession';
+import Store from './store';
+import { can } from '../utils/permissions';
+import { hasLocation } from '../utils/normalizers';
+import { formatDistance } from '../utils/geo';
+import {
+  LOW_BATTERY_PERCENT,
+  BATTERY_RECOVERY_MARGIN,
+  LOW_BATTERY_ALERT_TYPE,
+  getBatteryLevel,
+  getFreshness,
+  getRemoteReason,
+  mergeBatterySamples
+} from '../utils/deviceHealth';
+
+const CHECK_INTERVAL = 60000;
+const MAX_BATTERY_SAMPLES = 500;
+const CURRENT_FRESHNESS = ['live', 'recent', 'stale'];
+
+class DeviceHealthMonitor extends Store {
+  constructor() {
+    super({
+      battery: {}, // touristId -> [{ at, level }] oldest first
+      // touristId -> { touristId, touristName, batteryLevel, level, fenceId,
+      //   fenceName, fenceType, distance, lat, lng }
+      warnings: {}
+    });
+    this.seeded = false;
+    this.timer = null;
+    this.unsubscribeStore = null;
+    this.lastTourists = null;
+    this.lastGeofences = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    dataStore.load('geofences');
+    this.timer = setInterval(() => this.evaluate(), CHECK_INTERVAL);
+
+    this.unsubscribeStore = dataStore.subscribe(() => {
+      const { tourists, geofences } = dataStore.getState();
+      if (tourists.list === this.lastTourists && geofences.list === this.lastGeofences) return;
+      if (tourists.list !== this.lastTourists) {
+        this.lastTourists = tourists.list;
+        this.recordReadings();
+      }
+      this.lastGeofences = geofences.list;
+      this.evaluate();
+    });
+    this.recordReadings();
+    this.evaluate();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    this.unsubscribeStore = null;
+    this.lastTourists = null;
+    this.lastGeofences = null;
+    this.seeded = false;
+    this.setState({ battery: {}, warnings: {} });
+  }
+
+  // Merge older readings (e.g. from location history) into a tourist's log
+  addBatteryReadings(touristId, samples) {
+    if (samples.length === 0) return;
+    const current = this.state.battery[touristId] || [];
+    const merged = mergeBatterySamples(current, samples).slice(-MAX_BATTERY_SAMPLES);
+    this.setState({ battery: { ...this.state.battery, [touristId]: merged } });
+  }
+
+  recordReadings() {
+    const { tourists } = dataStore.getState();
+    let battery = null;
+
+    tourists.list.forEach(tourist => {
+      if (tourist.batteryLevel === null || tourist.batteryLevel === undefined) return;
+      const at = tourist.lastSeenAt ? new Date(tourist.lastSeenAt).getTime() : NaN;
+      if (!Number.isFinite(at)) return;
+      const samples = (battery || this.state.battery)[tourist.id] || [];
+      const last = samples[samples.length - 1];
+      if (last && at <= last.at) return;
+      battery = battery || { ...this.state.battery };
+      battery[tourist.id] = [...samples, { at, level: Number(tourist.batteryLevel) }].slice(-MAX_BATTERY_SAMPLES);
+    });
+
+    if (battery) this.setState({ battery });
+  }
+
+  evaluate(now = Date.now()) {
+    const { tourists, geofences } = dataStore.getState();
+    if (!tourists.loadedAt) return;
+
+    const warnings = {};
+    tourists.list.forEach(tourist => {
+      const level = getBatteryLevel(tourist.batteryLevel);
+      if (level === 'unknown' || !hasLocation(tourist)) return;
+      if (!CURRENT_FRESHNESS.includes(getFreshness(tourist.lastSeenAt, now).id)) return;
+
+      const previous = this.state.warnings[tourist.id];
+      const limit = previous ? LOW_BATTERY_PERCENT + BATTERY_RECOVERY_MARGIN : LOW_BATTERY_PERCENT;
+      if (tourist.batteryLevel > limit) return;
+
+      const remote = getRemoteReason(geofences.list, { lat: tourist.lat, lng: tourist.lng }, new Date(now));
+      if (!remote) return;
+
+      warnings[tourist.id] = {
+        touristId: tourist.id,
+        touristName: tourist.name,
+        batteryLevel: Number(tourist.batteryLevel),
+        // Still counts as low while recovering through the margin
+        level: level === 'ok' ? 'low' : level,
+        fenceId: remote.fence?.id || null,
+        fenceName: remote.fence?.name || null,
+        fenceType: remote.fence?.type || null,
+        distance: remote.distance,
+        lat: tourist.lat,
+        lng: tourist.lng
+      };
+
+      const worsened = previous && previous.level !== 'critical' && warnings[tourist.id].level === 'critical';
+      if (this.seeded && (!previous || worsened)) this._raiseAlert(warnings[tourist.id], tourist.lastSeenAt);
+    });
+
+    this.seeded = true;
+    this.setState({ warnings });
+  }
+
+  async _raiseAlert(entry, seenAt) {
+    if (!can(authSession.getOperator()?.role, 'alerts:raise')) return;
+    const where = entry.fenceName
+      ? `inside ${entry.fenceName}`
+      : `${formatDistance(entry.distance)} from the nearest safe zone`;
+
+    try {
+      const response = await alertAPI.createEmergencyAlert({
+        touristId: entry.touristId,
+        type: LOW_BATTERY_ALERT_TYPE,
+        severity: entry.level === 'critical' ? 'high' : 'medium',
+        message: `${entry.touristName}'s phone is at ${Math.round(entry.batteryLevel)}% battery ${where}`,
+        location: { latitude: entry.lat, longitude: entry.lng }
+      }, { idempotencyKey: `${LOW_BATTERY_ALERT_TYPE}:${entry.touristId}:${entry.level}:${seenAt}` });
+      const alert = response.data?.data?.alert || response.data?.alert;
+      if (alert) dataStore.upsert('alerts', alert);
+    } catch (error) {
+      console.error('Failed to raise low battery alert:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const deviceHealthMonitor = new DeviceHealthMonitor();
+export default deviceHealthMonitor;
@@ -0,0 +1,147 @@
+// Escalation Engine - watches the alert stream and fires the timed steps of
+// the matching escalation policy while an alert stays unacknowledged.
+//
+// Alerts are read from the data store, so live events and the periodic check
+// see the same state. Every fired step is posted to the backend, which keeps
+// it in the alert's escalation history. Only operators who may escalate fire
+// steps, and each step carries an idempotency key so the backend records it
+// once however many of their consoles are open. Components listen with
+// onEscalation() to react, e.g. by bringing the alert back into view.
+import { escalationAPI, alertAPI } from './api';
+import dataStore from './dataStore';
+import authSession from './authSession';
+import Store from './store';
+import { can } from '../utils/permissions';
+import { DEFAULT_ESCALATION_POLICIES, findPolicy, getDueSteps, getStepKey } from '../utils/escalation';
+
+const STORAGE_KEY = 'ys_escalation_policies';
+const CHECK_INTERVAL = 5000;
+const RETRY_DELAY = 30000;
+
+const readStoredPolicies = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : DEFAULT_ESCALATION_POLICIES;
+  } catch (error) {
+    console.warn('Ignoring unreadable escalation policies:', error);
+    return DEFAULT_ESCALATION_POLICIES;
+  }
+};
+
+class EscalationEngine extends Store {
+  constructor() {
+    super({ policies: readStoredPolicies(), loadedAt: null });
+    this.escalationListeners = new Set();
+    this.inflight = new Set(); // step keys being posted, per alert
+    this.retryAt = new Map(); // alertId:stepKey -> epoch ms
+    this.timer = null;
+    this.unsubscribeStore = null;
+    this.lastAlerts = null;
+  }
+
+  // listener({ alert, policy, step }) after a step has been recorded
+  onEscalation(listener) {
+    this.escalationListeners.add(listener);
+    return () => this.escalationListeners.delete(listener);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.loadPolicies();
+    this.timer = setInterval(() => this.evaluate(), CHECK_INTERVAL);
+
+    // Re-check whenever the alert list itself changes, not on every location update
+    this.unsubscribeStore = dataStore.subscribe(() => {
+      const alerts = dataStore.getState().alerts.list;
+      if (alerts !== this.lastAlerts) {
+        this.lastAlerts = alerts;
+        this.evaluate();
+      }
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    this.unsubscribeStore = null;
+    this.lastAlerts = null;
+    this.inflight.clear();
+    this.retryAt.clear();
+  }
+
+  async loadPolicies() {
+    try {
+      const response = await escalationAPI.getPolicies();
+      const policies = response.data.data?.policies || response.data?.policies;
+      if (Array.isArray(policies)) this._update({ policies, loadedAt: Date.now() });
+    } catch (error) {
+      // Keep evaluating with the cached (or default) policies
+      console.warn('Failed to load escalation policies:', error.message);
+    }
+  }
+
+  async savePolicies(policies) {
+    const response = await escalationAPI.savePolicies(policies);
+    const saved = response.data.data?.policies || policies;
+    this._update({ policies: saved, loadedAt: Date.now() });
+    return saved;
+  }
+
+  evaluate(now = Date.now()) {
+    if (!can(authSession.getOperator()?.role, 'alerts:escalate')) return;
+    const { policies } = this.state;
+    dataStore.getState().alerts.list.forEach(alert => {
+      const policy = findPolicy(alert, policies);
+      getDueSteps(alert, policy, now).forEach(step => this._fire(alert, policy, step, now));
+    });
+  }
+
+  async _fire(alert, policy, step, now) {
+    const key = `${alert.id}:${getStepKey(policy, step)}`;
+    if (this.inflight.has(key) || (this.retryAt.get(key) || 0) > now) return;
+
+    const escalation = {
+      stepKey: getStepKey(policy, step),
+      policyId: policy.id,
+      policyName: policy.name,
+      action: step.action,
+      target: step.target || null,
+      afterMinutes: step.afterMinutes
+    };
+
+    this.inflight.add(key);
+    try {
+      const response = await alertAPI.escalate(alert.id, escalation);
+      // Fall back to recording the step locally so it doesn't fire again.
+      // Only the escalations are written: the alert may have been
+      // acknowledged while the request was out, and this snapshot predates it.
+      const current = dataStore.getState().alerts.byId[alert.id] || alert;
+      dataStore.upsert('alerts', response.data.data?.alert || {
+        id: alert.id,
+        escalations: [...(current.escalations || []), { ...escalation, at: new Date().toISOString() }]
+      });
+      this.retryAt.delete(key);
+      const updated = dataStore.getState().alerts.byId[alert.id] || alert;
+      this.escalationListeners.forEach(listener => listener({ alert: updated, policy, step }));
+    } catch (error) {
+      console.warn(`Escalation ${key} failed, retrying later:`, error.message);
+      this.retryAt.set(key, Date.now() + RETRY_DELAY);
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  _update(next) {
+    this.setState(next);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state.policies));
+    } catch (error) {
+      console.warn('Failed to cache escalation policies:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const escalationEngine = new EscalationEngine();
+export default escalationEngine;
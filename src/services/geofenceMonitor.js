@@ -0,0 +1,202 @@
+// Geofence Monitor - relates tourist locations to geofences in the browser.
+//
+// Whenever the tourists or geofences in the data store change, every located
+// tourist is checked against every fence in force (switched on and inside
+// its schedule). Crossing a boundary logs an enter or exit event; staying
+// inside for DWELL_THRESHOLD_MS logs a dwell event, which the periodic check
+// catches for tourists who stop sending locations.
+//
+// Tourists already inside a fence when monitoring starts are counted without
+// an enter event. A fence that is switched off, goes out of schedule or is
+// deleted simply stops counting its occupants - nobody "left" it.
+//
+// The map tiles around every fence are kept loaded, so whoever is inside or
+// near one is in the store whatever the map shows. Checks wait for those
+// tiles after the fences change, so tourists loaded late aren't taken for
+// arrivals.
+import dataStore from './dataStore';
+import viewportLoader from './viewportLoader';
+import Store from './store';
+import { hasLocation } from '../utils/normalizers';
+import { isGeofenceInForce } from '../utils/geofenceSchedules';
+import { getGeofenceBounds } from '../utils/geofenceShapes';
+import { getAreaTiles, isSameTiles } from '../utils/mapTiles';
+import {
+  GEOFENCE_EVENT_TYPES,
+  DWELL_THRESHOLD_MS,
+  isBreachFence,
+  isPointInGeofence
+} from '../utils/geofenceBreaches';
+
+const CHECK_INTERVAL = 30000;
+const MAX_EVENTS = 500;
+
+const toTime = (value, fallback) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : fallback;
+};
+
+const createEvent = (type, fence, tourist, at, extra = {}) => ({
+  id: `${type}:${fence.id}:${tourist.id}:${at}`,
+  type,
+  fenceId: fence.id,
+  fenceName: fence.name,
+  fenceType: fence.type,
+  breach: isBreachFence(fence),
+  touristId: tourist.id,
+  touristName: tourist.name,
+  at: new Date(at).toISOString(),
+  lat: tourist.lat,
+  lng: tourist.lng,
+  ...extra
+});
+
+class GeofenceMonitor extends Store {
+  constructor() {
+    super({
+      events: [], // newest first
+      occupants: {}, // fenceId -> [{ touristId, touristName, enteredAt, dwelling }]
+      breaches: {} // touristId -> [{ fenceId, fenceName, fenceType }] for restricted and warning fences
+    });
+    this.inside = new Map(); // fenceId|touristId -> occupancy entry
+    this.seeded = false;
+    this.timer = null;
+    this.unsubscribeStore = null;
+    this.lastTourists = null;
+    this.lastGeofences = null;
+    this.areaTiles = null; // tiles around the fences
+    this.areaLoaded = false;
+    this.unwatchArea = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    dataStore.load('geofences');
+    this.timer = setInterval(() => this.evaluate(), CHECK_INTERVAL);
+
+    this.unsubscribeStore = dataStore.subscribe(() => {
+      const { tourists, geofences } = dataStore.getState();
+      if (geofences.list !== this.lastGeofences) this._watchArea(geofences.list);
+      if (tourists.list !== this.lastTourists || geofences.list !== this.lastGeofences) {
+        this.lastTourists = tourists.list;
+        this.lastGeofences = geofences.list;
+        this.evaluate();
+      }
+    });
+    this._watchArea(dataStore.getState().geofences.list);
+    this.evaluate();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    this.unsubscribeStore = null;
+    if (this.unwatchArea) this.unwatchArea();
+    this.unwatchArea = null;
+    this.areaTiles = null;
+    this.areaLoaded = false;
+    this.lastTourists = null;
+    this.lastGeofences = null;
+    this.inside.clear();
+    this.seeded = false;
+    this.setState({ events: [], occupants: {}, breaches: {} });
+  }
+
+  evaluate(now = Date.now()) {
+    const { tourists, geofences } = dataStore.getState();
+    if (!this.areaLoaded || !geofences.loadedAt) return;
+
+    const fences = geofences.list.filter(fence => isGeofenceInForce(fence, new Date(now)));
+    const located = tourists.list.filter(hasLocation);
+    const next = new Map();
+    const events = [];
+
+    located.forEach(tourist => {
+      const point = { lat: tourist.lat, lng: tourist.lng };
+      const seenAt = toTime(tourist.lastSeenAt, now);
+
+      fences.forEach(fence => {
+        if (!isPointInGeofence(fence, point)) return;
+        const key = `${fence.id}|${tourist.id}`;
+        const previous = this.inside.get(key);
+        const entry = previous
+          ? { ...previous, touristName: tourist.name, fenceName: fence.name, fenceType: fence.type }
+          : {
+            fenceId: fence.id,
+            fenceName: fence.name,
+            fenceType: fence.type,
+            touristId: tourist.id,
+            touristName: tourist.name,
+            enteredAt: seenAt,
+            dwelling: false
+          };
+
+        if (!previous && this.seeded) events.push(createEvent(GEOFENCE_EVENT_TYPES.ENTER, fence, tourist, seenAt));
+        if (!entry.dwelling && now - entry.enteredAt >= DWELL_THRESHOLD_MS) {
+          entry.dwelling = true;
+          if (this.seeded) {
+            events.push(createEvent(GEOFENCE_EVENT_TYPES.DWELL, fence, tourist, now, { durationMs: now - entry.enteredAt }));
+          }
+        }
+        next.set(key, entry);
+      });
+    });
+
+    const fencesById = new Map(fences.map(fence => [fence.id, fence]));
+    const touristsById = new Map(located.map(tourist => [tourist.id, tourist]));
+    this.inside.forEach((entry, key) => {
+      if (next.has(key)) return;
+      const fence = fencesById.get(entry.fenceId);
+      const tourist = touristsById.get(entry.touristId);
+      if (!fence || !tourist) return;
+      const seenAt = toTime(tourist.lastSeenAt, now);
+      events.push(createEvent(GEOFENCE_EVENT_TYPES.EXIT, fence, tourist, seenAt, { durationMs: seenAt - entry.enteredAt }));
+    });
+
+    const changed = events.length > 0 || next.size !== this.inside.size ||
+      [...next].some(([key, entry]) => {
+        const previous = this.inside.get(key);
+        return !previous || previous.dwelling !== entry.dwelling || previous.touristName !== entry.touristName ||
+          previous.fenceName !== entry.fenceName || previous.fenceType !== entry.fenceType;
+      });
+    this.inside = next;
+    this.seeded = true;
+    if (!changed) return;
+
+    const occupants = {};
+    const breaches = {};
+    next.forEach(({ fenceId, fenceName, fenceType, touristId, touristName, enteredAt, dwelling }) => {
+      (occupants[fenceId] = occupants[fenceId] || []).push({ touristId, touristName, enteredAt, dwelling });
+      if (isBreachFence({ type: fenceType })) {
+        (breaches[touristId] = breaches[touristId] || []).push({ fenceId, fenceName, fenceType });
+      }
+    });
+
+    this.setState({
+      events: events.length > 0
+        ? [...events.sort((a, b) => b.at.localeCompare(a.at)), ...this.state.events].slice(0, MAX_EVENTS)
+        : this.state.events,
+      occupants,
+      breaches
+    });
+  }
+
+  _watchArea(fences) {
+    const tiles = getAreaTiles(fences.map(getGeofenceBounds).filter(Boolean));
+    if (this.areaTiles && isSameTiles(this.areaTiles, tiles)) return;
+    if (this.unwatchArea) this.unwatchArea();
+    this.areaTiles = tiles;
+    this.areaLoaded = false;
+    this.unwatchArea = viewportLoader.watch('tourists', tiles);
+    viewportLoader.load('tourists', tiles).then(() => {
+      if (this.areaTiles !== tiles) return;
+      this.areaLoaded = true;
+      this.evaluate();
+    });
+  }
+}
+
+// Export singleton instance
+const geofenceMonitor = new GeofenceMonitor();
+export default geofenceMonitor;
@@ -0,0 +1,135 @@
+// Group Monitor - watches travel groups for members who stray from the rest.
+//
+// Whenever tourists or groups in the data store change, each group's located
+// members are measured against the centroid of the others (see
+// getGroupSpread). A member who moves beyond the group's allowed spread
+// raises a group separation alert through the backend, once per separation:
+// they must rejoin the group before another one is raised. Every signed-in
+// console runs this monitor, but only operators who may raise alerts post
+// them, keyed by the location update that showed the separation so the
+// backend keeps one however many consoles saw it.
+//
+// Members already apart when monitoring starts are listed as stragglers
+// without raising an alert. Members are loaded by id, wherever the map is,
+// and checks wait for them whenever the membership changes.
+import { alertAPI } from './api';
+import dataStore from './dataStore';
+import authSession from './authSession';
+import Store from './store';
+import { can } from '../utils/permissions';
+import { getGroupSpread } from '../utils/touristGroups';
+import { formatDistance } from '../utils/geo';
+
+export const GROUP_SEPARATION_ALERT_TYPE = 'group_separation';
+
+class GroupMonitor extends Store {
+  constructor() {
+    super({
+      stragglers: {} // groupId -> [{ touristId, touristName, distance, since }]
+    });
+    this.apart = new Map(); // groupId|touristId -> { since }
+    this.seeded = false;
+    this.unsubscribeStore = null;
+    this.lastTourists = null;
+    this.lastGroups = null;
+    this.memberKey = null; // sorted member ids of every group
+    this.membersLoaded = false;
+    this.unwatchMembers = null;
+  }
+
+  start() {
+    if (this.unsubscribeStore) return;
+    dataStore.load('groups');
+
+    this.unsubscribeStore = dataStore.subscribe(() => {
+      const { tourists, groups } = dataStore.getState();
+      if (groups.list !== this.lastGroups) this._watchMembers(groups.list);
+      if (tourists.list !== this.lastTourists || groups.list !== this.lastGroups) {
+        this.lastTourists = tourists.list;
+        this.lastGroups = groups.list;
+        this.evaluate();
+      }
+    });
+    this._watchMembers(dataStore.getState().groups.list);
+    this.evaluate();
+  }
+
+  stop() {
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    this.unsubscribeStore = null;
+    if (this.unwatchMembers) this.unwatchMembers();
+    this.unwatchMembers = null;
+    this.memberKey = null;
+    this.membersLoaded = false;
+    this.lastTourists = null;
+    this.lastGroups = null;
+    this.apart.clear();
+    this.seeded = false;
+    this.setState({ stragglers: {} });
+  }
+
+  evaluate(now = Date.now()) {
+    const { tourists, groups } = dataStore.getState();
+    if (!this.membersLoaded || !groups.loadedAt) return;
+
+    const next = new Map();
+    const stragglers = {};
+
+    groups.list.forEach(group => {
+      getGroupSpread(group, tourists.byId).stragglers.forEach(({ tourist, distance }) => {
+        const key = `${group.id}|${tourist.id}`;
+        const previous = this.apart.get(key);
+        const entry = previous || { since: now };
+        next.set(key, entry);
+        (stragglers[group.id] = stragglers[group.id] || []).push({
+          touristId: tourist.id,
+          touristName: tourist.name,
+          distance,
+          since: entry.since
+        });
+        if (!previous && this.seeded) this._raiseAlert(group, tourist, distance);
+      });
+    });
+
+    this.apart = next;
+    this.seeded = true;
+    this.setState({ stragglers });
+  }
+
+  async _raiseAlert(group, tourist, distance) {
+    if (!can(authSession.getOperator()?.role, 'alerts:raise')) return;
+    try {
+      const response = await alertAPI.createEmergencyAlert({
+        touristId: tourist.id,
+        type: GROUP_SEPARATION_ALERT_TYPE,
+        severity: 'high',
+        message: `${tourist.name} is ${formatDistance(distance)} from the rest of ${group.name}`,
+        location: { latitude: tourist.lat, longitude: tourist.lng },
+        groupId: group.id
+      }, { idempotencyKey: `${GROUP_SEPARATION_ALERT_TYPE}:${group.id}:${tourist.id}:${tourist.lastSeenAt}` });
+      const alert = response.data?.data?.alert || response.data?.alert;
+      if (alert) dataStore.upsert('alerts', alert);
+    } catch (error) {
+      console.error('Failed to raise group separation alert:', error);
+    }
+  }
+
+  _watchMembers(groups) {
+    const ids = [...new Set(groups.flatMap(group => group.memberIds))].sort();
+    const key = ids.join(',');
+    if (key === this.memberKey) return;
+    if (this.unwatchMembers) this.unwatchMembers();
+    this.memberKey = key;
+    this.membersLoaded = false;
+    this.unwatchMembers = dataStore.watchTourists(ids);
+    dataStore.loadTourists(ids).then(() => {
+      if (this.memberKey !== key) return;
+      this.membersLoaded = true;
+      this.evaluate();
+    });
+  }
+}
+
+// Export singleton instance
+const groupMonitor = new GroupMonitor();
+export default groupMonitor;
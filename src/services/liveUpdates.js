@@ -0,0 +1,312 @@
+// Live Updates Service - shared push channel for alerts, locations, geofences,
+// travel groups and planned routes
+//
+// Connects over WebSocket, falls back to Server-Sent Events, and while neither
+// is reachable asks consumers to poll the REST endpoints every 30s.
+//
+// Every event delivered to subscribers has the shape { type, payload }:
+// - alerts:    created | updated (payload: alert), acknowledged (payload: { alertId })
+// - locations: updated (payload: { touristId, latitude, longitude, timestamp, ... })
+// - geofences: created | updated (payload: geofence), deleted (payload: { fenceId })
+// - dispatches: created | updated (payload: dispatch, possibly partial)
+// - groups:    created | updated (payload: group), deleted (payload: { groupId })
+// - routes:    updated (payload: planned route), deleted (payload: { touristId })
+// - any channel: snapshot (payload: full list pushed by the server)
+// - any channel: resync (no payload) - events may have been missed, refetch
+import authSession from './authSession';
+import Store from './store';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://4.186.25.99:3000/api';
+const LIVE_URL = import.meta.env.VITE_LIVE_URL || `${API_BASE_URL}/live`;
+const LIVE_TRANSPORT = import.meta.env.VITE_LIVE_TRANSPORT || 'auto';
+
+const POLL_INTERVAL = 30000;
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 30000;
+// Failed push attempts before polling kicks in while we keep retrying
+const FALLBACK_AFTER_ATTEMPTS = 3;
+// Server sends a heartbeat every 15s; treat 45s of silence as a dead connection
+const HEARTBEAT_TIMEOUT = 45000;
+
+export const LIVE_CHANNELS = ['alerts', 'locations', 'geofences', 'dispatches', 'groups', 'routes'];
+
+export const CONNECTION_STATUS = {
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  RECONNECTING: 'reconnecting',
+  POLLING: 'polling',
+  OFFLINE: 'offline'
+};
+
+const toWebSocketUrl = (url) => url.replace(/^http/, 'ws');
+
+// Browsers can't set headers on WebSocket/EventSource, so the token goes in the query
+const withToken = (url) => {
+  const token = authSession.getAccessToken();
+  return token ? `${url}?token=${encodeURIComponent(token)}` : url;
+};
+
+class LiveUpdatesService {
+  constructor() {
+    this.listeners = {};
+    LIVE_CHANNELS.forEach(channel => { this.listeners[channel] = new Set(); });
+    this.status = new Store({
+      status: CONNECTION_STATUS.OFFLINE,
+      transport: null,
+      lastEventAt: null,
+      nextRetryAt: null
+    });
+
+    this.connection = null;
+    this.active = false;
+    this.hasConnected = false;
+    this.attempt = 0;
+    this.lastSeq = null;
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  connect() {
+    if (this.active) return;
+    this.active = true;
+    this.attempt = 0;
+
+    if (LIVE_TRANSPORT === 'polling') {
+      this._startPolling();
+      return;
+    }
+
+    this._openPushConnection();
+  }
+
+  disconnect() {
+    this.active = false;
+    this._closeConnection();
+    this._stopPolling();
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this._setState({ status: CONNECTION_STATUS.OFFLINE, transport: null, nextRetryAt: null });
+  }
+
+  // Skip the remaining backoff delay and try the push transports right away
+  reconnectNow() {
+    if (!this.active || LIVE_TRANSPORT === 'polling') return;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this._closeConnection();
+    this._openPushConnection();
+  }
+
+  subscribe(channel, handler) {
+    if (!this.listeners[channel]) {
+      throw new Error(`Unknown live channel: ${channel}`);
+    }
+    this.listeners[channel].add(handler);
+    return () => this.listeners[channel].delete(handler);
+  }
+
+  // Connection status, for useSyncExternalStore
+  onStatusChange = (handler) => this.status.subscribe(handler);
+
+  getState = () => this.status.getState();
+
+  // Tell every channel its data may be stale; the data store refetches
+  resync() {
+    LIVE_CHANNELS.forEach(channel => this._emit(channel, { type: 'resync' }));
+  }
+
+  _setState(partial) {
+    this.status.setState(partial);
+  }
+
+  _emit(channel, event) {
+    this.listeners[channel]?.forEach(handler => {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`Live listener for ${channel} failed:`, error);
+      }
+    });
+  }
+
+  _transportOrder() {
+    const order = [];
+    if ((LIVE_TRANSPORT === 'auto' || LIVE_TRANSPORT === 'websocket') && window.WebSocket) {
+      order.push('websocket');
+    }
+    if ((LIVE_TRANSPORT === 'auto' || LIVE_TRANSPORT === 'sse') && window.EventSource) {
+      order.push('sse');
+    }
+    return order;
+  }
+
+  _openPushConnection(transportIndex = 0) {
+    const transports = this._transportOrder();
+    const transport = transports[transportIndex];
+
+    if (!transport) {
+      this._scheduleReconnect();
+      return;
+    }
+
+    if (this.getState().status !== CONNECTION_STATUS.POLLING) {
+      this._setState({
+        status: this.hasConnected ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.CONNECTING,
+        nextRetryAt: null
+      });
+    }
+
+    let opened = false;
+    const handle = { transport, close: () => {} };
+    const onOpen = () => {
+      opened = true;
+      this._handleOpen(transport);
+    };
+    const onFailure = () => {
+      // Ignore close events from connections we already tore down ourselves
+      if (!this.active || this.connection !== handle) return;
+      this._closeConnection();
+      if (opened) {
+        console.warn(`Live ${transport} connection lost`);
+        this._scheduleReconnect();
+      } else {
+        // Never got through on this transport - try the next one straight away
+        this._openPushConnection(transportIndex + 1);
+      }
+    };
+
+    this.connection = handle;
+    try {
+      if (transport === 'websocket') {
+        const socket = new WebSocket(withToken(`${toWebSocketUrl(LIVE_URL)}/ws`));
+        socket.onopen = onOpen;
+        socket.onmessage = (e) => this._handleMessage(e.data);
+        socket.onclose = onFailure;
+        handle.close = () => socket.close();
+      } else {
+        const source = new EventSource(withToken(`${LIVE_URL}/stream`));
+        source.onopen = onOpen;
+        source.onmessage = (e) => this._handleMessage(e.data);
+        // EventSource retries by itself; close it so our backoff stays in charge
+        source.onerror = onFailure;
+        handle.close = () => source.close();
+      }
+    } catch (error) {
+      console.error(`Failed to open live ${transport} connection:`, error);
+      onFailure();
+    }
+  }
+
+  _handleOpen(transport) {
+    const isReconnect = this.hasConnected || this.getState().status === CONNECTION_STATUS.POLLING;
+
+    console.log(`Live updates connected via ${transport}`);
+    this.attempt = 0;
+    this.hasConnected = true;
+    this._stopPolling();
+    this._resetHeartbeat();
+    this._setState({
+      status: CONNECTION_STATUS.LIVE,
+      transport,
+      lastEventAt: Date.now(),
+      nextRetryAt: null
+    });
+
+    // Anything could have happened while we were away
+    if (isReconnect) {
+      this.lastSeq = null;
+      this.resync();
+    }
+  }
+
+  _handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.warn('Ignoring malformed live message:', raw, error);
+      return;
+    }
+
+    this._resetHeartbeat();
+    this._setState({ lastEventAt: Date.now() });
+
+    if (message.type === 'heartbeat') return;
+
+    // Sequence numbers let us notice events dropped by a proxy or a server restart
+    if (typeof message.seq === 'number') {
+      const missedEvents = this.lastSeq !== null && message.seq > this.lastSeq + 1;
+      this.lastSeq = message.seq;
+      if (missedEvents) {
+        console.warn('Live update gap detected, resyncing');
+        this.resync();
+        return;
+      }
+    }
+
+    if (!this.listeners[message.channel]) return;
+    this._emit(message.channel, { type: message.type, payload: message.payload });
+  }
+
+  _resetHeartbeat() {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = setTimeout(() => {
+      console.warn('Live connection went silent, reconnecting');
+      this._closeConnection();
+      this._scheduleReconnect();
+    }, HEARTBEAT_TIMEOUT);
+  }
+
+  _scheduleReconnect() {
+    if (!this.active) return;
+
+    this.attempt += 1;
+    const delay = Math.min(MAX_BACKOFF, BASE_BACKOFF * 2 ** (this.attempt - 1));
+    // Jitter so a control room full of portals doesn't reconnect in lockstep
+    const jitteredDelay = Math.round(delay * (0.8 + Math.random() * 0.4));
+
+    if (this.attempt >= FALLBACK_AFTER_ATTEMPTS) {
+      this._startPolling();
+    } else {
+      this._setState({ status: CONNECTION_STATUS.RECONNECTING });
+    }
+    this._setState({ nextRetryAt: Date.now() + jitteredDelay });
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._openPushConnection();
+    }, jitteredDelay);
+  }
+
+  _startPolling() {
+    if (this.pollTimer) return;
+    console.log('Live push unavailable, polling every', POLL_INTERVAL / 1000, 'seconds');
+    this._setState({ status: CONNECTION_STATUS.POLLING, transport: 'polling' });
+    this.resync();
+    this.pollTimer = setInterval(() => {
+      this.resync();
+      this._setState({ lastEventAt: Date.now() });
+    }, POLL_INTERVAL);
+  }
+
+  _stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  _closeConnection() {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    if (this.connection) {
+      const { close } = this.connection;
+      this.connection = null;
+      try { close(); } catch { /* ignore */ }
+    }
+  }
+}
+
+// Export singleton instance
+const liveUpdates = new LiveUpdatesService();
+export default liveUpdates;
@@ -0,0 +1,73 @@
+// Location History - fetches the history of many tourists over one period for
+// the pages that rebuild their figures from raw tracks.
+//
+// The backend returns at most `limit` updates per request. A window that
+// comes back full is split in half and fetched again, a few times over, so
+// busy trackers aren't silently cut off; tourists still over the limit in
+// the smallest window are reported as truncated.
+import { trackingAPI } from './api';
+
+const DEFAULT_LIMIT = 1000;
+const CONCURRENCY = 4;
+const MAX_SPLIT_DEPTH = 3; // up to 8 windows per tourist
+
+const getLocationTime = (location) => location.timestamp || location.createdAt;
+
+const fetchWindow = async (touristId, from, to, limit, depth) => {
+  const response = await trackingAPI.getLocationHistory(touristId, {
+    startDate: new Date(from).toISOString(),
+    endDate: new Date(to).toISOString(),
+    limit
+  });
+  const locations = (response.data.data || response.data)?.locations || [];
+  if (locations.length < limit) return { locations, truncated: false };
+  if (depth >= MAX_SPLIT_DEPTH) return { locations, truncated: true };
+
+  const middle = Math.round((from + to) / 2);
+  const first = await fetchWindow(touristId, from, middle, limit, depth + 1);
+  const second = await fetchWindow(touristId, middle, to, limit, depth + 1);
+  // An update right on the split can come back in both halves
+  const seen = new Set(first.locations.map(getLocationTime));
+  return {
+    locations: [...first.locations, ...second.locations.filter(location => !seen.has(getLocationTime(location)))],
+    truncated: first.truncated || second.truncated
+  };
+};
+
+// Histories of touristIds between from and to (epoch ms), a few requests at a
+// time so a large roster doesn't flood the API. onHistory(touristId,
+// locations) is called as each one arrives, onProgress({ done, total }) after
+// each tourist. Resolves to { failed, truncated } counts; stops early once
+// isCancelled() returns true.
+export const loadLocationHistories = async (touristIds, {
+  from,
+  to,
+  limit = DEFAULT_LIMIT,
+  onHistory,
+  onProgress,
+  isCancelled = () => false
+}) => {
+  const queue = [...touristIds];
+  const result = { failed: 0, truncated: 0 };
+  let done = 0;
+
+  const worker = async () => {
+    while (queue.length > 0 && !isCancelled()) {
+      const touristId = queue.shift();
+      try {
+        const { locations, truncated } = await fetchWindow(touristId, from, to, limit, 0);
+        if (isCancelled()) return;
+        if (truncated) result.truncated += 1;
+        onHistory(touristId, locations);
+      } catch (err) {
+        console.error(`Failed to load location history for ${touristId}:`, err);
+        result.failed += 1;
+      }
+      done += 1;
+      if (onProgress && !isCancelled()) onProgress({ done, total: touristIds.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, () => worker()));
+  return result;
+};
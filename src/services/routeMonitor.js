@@ -0,0 +1,215 @@
+// Route Monitor - compares tourists with a planned route against their plan.
+//
+// For each planned route the tourist (by id, wherever the map is) and their
+// location history since the route started are loaded once, then every new
+// location from the data store is appended. Stops are ticked off as the tourist comes within
+// WAYPOINT_ARRIVAL_RADIUS of them (see getRouteProgress). Leaving the route
+// corridor raises a route deviation alert; missing a stop's expected time by
+// more than the grace period raises an overdue alert for that stop. Both fire
+// once: the tourist must return to the route (or reach the stop) first. The
+// periodic check catches stops that fall overdue while a tourist is silent.
+//
+// Tourists already off route or overdue when their route is first evaluated
+// are shown without raising an alert. Alerts are only posted by operators who
+// may raise them, keyed by the stop or location update behind them so the
+// backend keeps one however many consoles saw it.
+import { alertAPI } from './api';
+import dataStore from './dataStore';
+import { loadLocationHistories } from './locationHistory';
+import authSession from './authSession';
+import Store from './store';
+import { can } from '../utils/permissions';
+import { formatDistance } from '../utils/geo';
+import {
+  ROUTE_DEVIATION_ALERT_TYPE,
+  ROUTE_OVERDUE_ALERT_TYPE,
+  getRouteStart,
+  findReachedWaypoints,
+  getRouteProgress,
+  toRouteTrack,
+  formatDelay
+} from '../utils/routePlans';
+
+const CHECK_INTERVAL = 30000;
+const MAX_TRACK_SAMPLES = 2000;
+
+// Drops the oldest samples past MAX_TRACK_SAMPLES, keeping the stops they
+// reached so an early arrival isn't later taken for a missed stop
+const trimTrack = (entry) => {
+  const excess = entry.samples.length - MAX_TRACK_SAMPLES;
+  if (excess <= 0) return;
+  entry.reachedBefore = findReachedWaypoints(entry.plan, entry.samples.slice(0, excess), entry.reachedBefore);
+  entry.samples = entry.samples.slice(excess);
+};
+
+class RouteMonitor extends Store {
+  constructor() {
+    super({
+      progress: {} // touristId -> getRouteProgress result plus { touristName }
+    });
+    this.tracks = new Map(); // touristId -> { plan, samples, reachedBefore, loaded }
+    this.raised = new Map(); // touristId -> { offRoute, overdueIndex }
+    this.timer = null;
+    this.unsubscribeStore = null;
+    this.lastTourists = null;
+    this.lastPlans = null;
+    this.plannedKey = null; // sorted ids of the tourists with a route
+    this.unwatchTourists = null;
+  }
+
+  // The samples loaded for a tourist's route so far (empty until loaded)
+  getTrack = (touristId) => this.tracks.get(touristId)?.samples || [];
+
+  start() {
+    if (this.timer) return;
+    dataStore.load('routePlans');
+    this.timer = setInterval(() => this.evaluate(), CHECK_INTERVAL);
+
+    this.unsubscribeStore = dataStore.subscribe(() => {
+      const { tourists, routePlans } = dataStore.getState();
+      if (routePlans.list === this.lastPlans && tourists.list === this.lastTourists) return;
+      if (routePlans.list !== this.lastPlans) {
+        this.lastPlans = routePlans.list;
+        this.syncTracks();
+      }
+      if (tourists.list !== this.lastTourists) {
+        this.lastTourists = tourists.list;
+        this.appendLocations();
+      }
+      this.evaluate();
+    });
+    this.syncTracks();
+    this.evaluate();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    this.unsubscribeStore = null;
+    if (this.unwatchTourists) this.unwatchTourists();
+    this.unwatchTourists = null;
+    this.plannedKey = null;
+    this.lastTourists = null;
+    this.lastPlans = null;
+    this.tracks.clear();
+    this.raised.clear();
+    this.setState({ progress: {} });
+  }
+
+  // Start loading history for new or edited routes and forget removed ones
+  syncTracks() {
+    const { routePlans } = dataStore.getState();
+    const planned = new Set(routePlans.list.map(plan => plan.touristId));
+    const plannedKey = [...planned].sort().join(',');
+    if (plannedKey !== this.plannedKey) {
+      if (this.unwatchTourists) this.unwatchTourists();
+      this.plannedKey = plannedKey;
+      this.unwatchTourists = dataStore.watchTourists([...planned]);
+    }
+
+    [...this.tracks.keys()].forEach(touristId => {
+      if (!planned.has(touristId)) {
+        this.tracks.delete(touristId);
+        this.raised.delete(touristId);
+      }
+    });
+
+    routePlans.list.forEach(plan => {
+      if (this.tracks.get(plan.touristId)?.plan === plan) return;
+      this.tracks.set(plan.touristId, { plan, samples: [], reachedBefore: null, loaded: false });
+      this.raised.delete(plan.touristId);
+      this._loadHistory(plan);
+    });
+  }
+
+  async _loadHistory(plan) {
+    const start = getRouteStart(plan);
+    let samples = [];
+    const touristLoad = dataStore.loadTourists([plan.touristId]);
+    if (start !== null && start < Date.now()) {
+      // Through the shared loader so a long route isn't cut off at the
+      // backend's page size; a failed load starts from live locations only
+      await loadLocationHistories([plan.touristId], {
+        from: start,
+        to: Date.now(),
+        onHistory: (_touristId, locations) => { samples = toRouteTrack(locations); }
+      });
+    }
+    await touristLoad;
+
+    const entry = this.tracks.get(plan.touristId);
+    if (entry?.plan !== plan) return; // edited or removed while loading
+    entry.samples = [...samples, ...entry.samples];
+    entry.loaded = true;
+    trimTrack(entry);
+    this.evaluate();
+  }
+
+  appendLocations() {
+    const { tourists } = dataStore.getState();
+    this.tracks.forEach((entry, touristId) => {
+      const tourist = tourists.byId[touristId];
+      if (!tourist || tourist.lat === null || tourist.lng === null) return;
+      const seenAt = tourist.lastSeenAt ? new Date(tourist.lastSeenAt).getTime() : NaN;
+      const last = entry.samples[entry.samples.length - 1];
+      if (last && last.lat === tourist.lat && last.lng === tourist.lng) return;
+      const at = Number.isFinite(seenAt) ? seenAt : Date.now();
+      if (last && at < last.at) return;
+      entry.samples = [...entry.samples, { lat: tourist.lat, lng: tourist.lng, at }];
+      // Loaded history goes in front of these, so trim only once it is in
+      if (entry.loaded) trimTrack(entry);
+    });
+  }
+
+  evaluate(now = Date.now()) {
+    const { tourists } = dataStore.getState();
+    const progress = {};
+    this.tracks.forEach(({ plan, samples, reachedBefore, loaded }, touristId) => {
+      if (!loaded) return;
+      const tourist = tourists.byId[touristId];
+      const result = getRouteProgress(plan, samples, tourist, now, reachedBefore);
+      progress[touristId] = { ...result, touristName: tourist?.name || 'Unknown Tourist' };
+
+      const previous = this.raised.get(touristId);
+      const overdueIndex = result.overdue ? result.nextIndex : null;
+      if (previous && tourist) {
+        if (result.offRoute && !previous.offRoute) {
+          this._raiseAlert(tourist, ROUTE_DEVIATION_ALERT_TYPE,
+            `${tourist.name} is ${formatDistance(result.deviation)} off their planned route "${plan.name}"`,
+            `${ROUTE_DEVIATION_ALERT_TYPE}:${tourist.id}:${tourist.lastSeenAt}`);
+        }
+        if (overdueIndex !== null && overdueIndex !== previous.overdueIndex) {
+          const stop = plan.waypoints[overdueIndex];
+          this._raiseAlert(tourist, ROUTE_OVERDUE_ALERT_TYPE,
+            `${tourist.name} is ${formatDelay(result.overdueBy)} overdue at ${stop.name || `stop ${overdueIndex + 1}`} on "${plan.name}"`,
+            `${ROUTE_OVERDUE_ALERT_TYPE}:${tourist.id}:${overdueIndex}:${stop.expectedAt}`);
+        }
+      }
+      this.raised.set(touristId, { offRoute: result.offRoute, overdueIndex });
+    });
+
+    this.setState({ progress });
+  }
+
+  async _raiseAlert(tourist, type, message, idempotencyKey) {
+    if (!can(authSession.getOperator()?.role, 'alerts:raise')) return;
+    try {
+      const response = await alertAPI.createEmergencyAlert({
+        touristId: tourist.id,
+        type,
+        severity: 'high',
+        message,
+        location: { latitude: tourist.lat, longitude: tourist.lng }
+      }, { idempotencyKey });
+      const alert = response.data?.data?.alert || response.data?.alert;
+      if (alert) dataStore.upsert('alerts', alert);
+    } catch (error) {
+      console.error('Failed to raise route alert:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const routeMonitor = new RouteMonitor();
+export default routeMonitor;
@@ -0,0 +1,186 @@
+// Silence Monitor - spots tourists whose devices have stopped reporting.
+//
+// The thresholds come from the tracking config (loaded once on start) and
+// depend on where the tourist was last seen: the default applies anywhere,
+// restricted and warning zones (or individual fences) can set shorter ones
+// (see getSilenceRule). The backend's inactive users list is merged in so
+// tourists who went quiet before the portal loaded are caught too; those
+// tourists are loaded by id, the rest are whoever the store already holds.
+//
+// A tourist who goes silent raises an inactivity alert, more severe inside
+// dangerous zones, once: they must report again before another one is raised.
+// Tourists already silent when monitoring starts are listed without an alert.
+// Alerts are only posted by operators who may raise them, keyed by the last
+// report so the backend keeps one however many consoles noticed the silence.
+import { alertAPI, trackingAPI } from './api';
+import dataStore from './dataStore';
+import authSession from './authSession';
+import Store from './store';
+import { can } from '../utils/permissions';
+import { normalizeTrackingConfig, normalizeInactiveUser, hasLocation } from '../utils/normalizers';
+import { formatDwellTime } from '../utils/geofenceBreaches';
+import {
+  SILENCE_ALERT_TYPE,
+  SILENCE_CAUSE_LABELS,
+  getSilenceRule,
+  getSilenceSeverity,
+  getSilenceCause
+} from '../utils/touristSilence';
+
+const CHECK_INTERVAL = 30000;
+const INACTIVE_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+class SilenceMonitor extends Store {
+  constructor() {
+    super({
+      config: normalizeTrackingConfig(),
+      // touristId -> { touristId, touristName, lastSeenAt, thresholdMinutes,
+      //   fenceId, fenceName, fenceType, batteryLevel, lat, lng, cause, severity }
+      silent: {}
+    });
+    this.inactive = new Map(); // touristId -> entry from the backend's inactive list
+    this.ready = false; // config and inactive list loaded (or failed)
+    this.seeded = false;
+    this.timer = null;
+    this.refreshTimer = null;
+    this.unsubscribeStore = null;
+    this.lastTourists = null;
+    this.lastGeofences = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    dataStore.load('geofences');
+    this.timer = setInterval(() => this.evaluate(), CHECK_INTERVAL);
+    this.refreshTimer = setInterval(() => this._loadInactiveUsers().then(() => this.evaluate()), INACTIVE_REFRESH_INTERVAL);
+    // Hold off until the thresholds are known so the first pass seeds with them
+    Promise.all([this._loadConfig(), this._loadInactiveUsers()]).then(() => {
+      if (!this.timer) return;
+      this.ready = true;
+      this.evaluate();
+    });
+
+    this.unsubscribeStore = dataStore.subscribe(() => {
+      const { tourists, geofences } = dataStore.getState();
+      if (tourists.list !== this.lastTourists || geofences.list !== this.lastGeofences) {
+        this.lastTourists = tourists.list;
+        this.lastGeofences = geofences.list;
+        this.evaluate();
+      }
+    });
+    this.evaluate();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearInterval(this.refreshTimer);
+    this.timer = null;
+    this.refreshTimer = null;
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    this.unsubscribeStore = null;
+    this.lastTourists = null;
+    this.lastGeofences = null;
+    this.inactive.clear();
+    this.ready = false;
+    this.seeded = false;
+    this.setState({ config: normalizeTrackingConfig(), silent: {} });
+  }
+
+  async _loadConfig() {
+    try {
+      const response = await trackingAPI.getConfig();
+      const raw = response.data?.data?.config || response.data?.config || response.data?.data || {};
+      this.setState({ config: normalizeTrackingConfig(raw) });
+    } catch (error) {
+      console.error('Failed to load tracking config, using default silence thresholds:', error);
+    }
+  }
+
+  async _loadInactiveUsers() {
+    try {
+      const response = await trackingAPI.getInactiveUsers();
+      const list = response.data?.data?.users || response.data?.users || response.data?.data || [];
+      this.inactive = new Map(
+        (Array.isArray(list) ? list : []).map(normalizeInactiveUser).filter(entry => entry.touristId).map(entry => [entry.touristId, entry])
+      );
+      await dataStore.loadTourists([...this.inactive.keys()]);
+    } catch (error) {
+      console.error('Failed to load inactive users:', error);
+    }
+  }
+
+  evaluate(now = Date.now()) {
+    const { tourists, geofences } = dataStore.getState();
+    if (!this.ready) return;
+
+    const { config } = this.state;
+    const silent = {};
+
+    tourists.list.forEach(tourist => {
+      const backend = this.inactive.get(tourist.id);
+      const lastSeenAt = Math.max(toTime(tourist.lastSeenAt) ?? -Infinity, toTime(backend?.lastSeenAt) ?? -Infinity);
+      const known = Number.isFinite(lastSeenAt);
+      // Never reported anything: there is no signal to lose
+      if (!known && !backend) return;
+
+      const position = hasLocation(tourist) ? { lat: tourist.lat, lng: tourist.lng } : backend?.location || null;
+      const rule = getSilenceRule(config, geofences.list, position, new Date(now));
+      // Without a timestamp, trust the backend's word that they are inactive
+      if (known && now - lastSeenAt <= rule.minutes * 60000) return;
+
+      const batteryLevel = tourist.batteryLevel ?? backend?.batteryLevel ?? null;
+      silent[tourist.id] = {
+        touristId: tourist.id,
+        touristName: tourist.name,
+        lastSeenAt: known ? lastSeenAt : null,
+        thresholdMinutes: rule.minutes,
+        fenceId: rule.fence?.id || null,
+        fenceName: rule.fence?.name || null,
+        fenceType: rule.fence?.type || null,
+        batteryLevel,
+        lat: position?.lat ?? null,
+        lng: position?.lng ?? null,
+        cause: getSilenceCause(config, batteryLevel),
+        severity: getSilenceSeverity(rule.fence)
+      };
+
+      if (this.seeded && !this.state.silent[tourist.id]) this._raiseAlert(silent[tourist.id], now);
+    });
+
+    this.seeded = true;
+    this.setState({ silent });
+  }
+
+  async _raiseAlert(entry, now) {
+    if (!can(authSession.getOperator()?.role, 'alerts:raise')) return;
+    const details = [
+      SILENCE_CAUSE_LABELS[entry.cause],
+      entry.batteryLevel !== null ? `battery ${Math.round(entry.batteryLevel)}%` : null
+    ].filter(Boolean).join(', ');
+    const duration = entry.lastSeenAt !== null ? ` for ${formatDwellTime(now - entry.lastSeenAt)}` : '';
+    const zone = entry.fenceName ? ` inside ${entry.fenceName}` : '';
+
+    try {
+      const response = await alertAPI.createEmergencyAlert({
+        touristId: entry.touristId,
+        type: SILENCE_ALERT_TYPE,
+        severity: entry.severity,
+        message: `${entry.touristName} has not reported${duration}${zone} (${details})`,
+        location: entry.lat !== null ? { latitude: entry.lat, longitude: entry.lng } : undefined
+      }, { idempotencyKey: `${SILENCE_ALERT_TYPE}:${entry.touristId}:${entry.lastSeenAt}` });
+      const alert = response.data?.data?.alert || response.data?.alert;
+      if (alert) dataStore.upsert('alerts', alert);
+    } catch (error) {
+      console.error('Failed to raise inactivity alert:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const silenceMonitor = new SilenceMonitor();
+export default silenceMonitor;
@@ -0,0 +1,29 @@
+// Store - state holder shared by the singleton services that React reads.
+//
+// subscribe and getState are arrow functions so components can hand them to
+// useSyncExternalStore as-is. setState merges and notifies; services that
+// persist their state override it and call super.
+class Store {
+  constructor(state) {
+    this.state = state;
+    this.listeners = new Set();
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getState = () => this.state;
+
+  setState(next) {
+    this.state = { ...this.state, ...next };
+    this.emitChange();
+  }
+
+  emitChange() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+export default Store;
@@ -0,0 +1,211 @@
+// Viewport Loader - fetches map data for the area on screen a tile at a time,
+// so a state-wide deployment never downloads every tourist, safety point or
+// heatmap cell at once.
+//
+// The map asks for the tiles covering its viewport plus a margin (see
+// getViewportTiles). Tiles younger than the layer's TTL are served from
+// cache, concurrent requests for the same tile share one request, at most
+// MAX_CONCURRENT_REQUESTS tiles are fetched at a time, and once a layer holds
+// MAX_CACHED_TILES the least recently used ones are dropped (unwatched first).
+// Tourists and safety points are merged into the data store (so live updates
+// keep moving tourists) and their tiles hold ids; heatmap cells are read back
+// with getItems. Extra query parameters (the heatmap's time window) are part
+// of the cache key, so each window has its own tiles.
+//
+// Callers keep tiles in use with watch(). A resync on the locations channel
+// marks every tourist tile stale and reloads only the watched ones.
+import { trackingAPI, safetyAPI } from './api';
+import dataStore from './dataStore';
+import liveUpdates from './liveUpdates';
+import { normalizeSafetyScore } from '../utils/normalizers';
+import { parseHeatmapPoints } from '../utils/geofenceAnalytics';
+import { formatBbox } from '../utils/mapTiles';
+
+const MAX_CACHED_TILES = 200;
+const MAX_CONCURRENT_REQUESTS = 6;
+
+const LAYERS = {
+  tourists: {
+    fetch: async (bbox) => {
+      const response = await trackingAPI.getAllTouristsWithLocations({ bbox: formatBbox(bbox) });
+      return response.data?.data?.tourists || response.data?.tourists || [];
+    },
+    // Merge the records into the data store and keep their ids on the tile
+    save: (tourists) => {
+      dataStore.merge('tourists', tourists);
+      return tourists.map(raw => raw._id || raw.id).filter(Boolean);
+    },
+    ttl: 15000
+  },
+  safetyScores: {
+    fetch: async (bbox) => {
+      const response = await safetyAPI.getAllForMap({ bbox: formatBbox(bbox) });
+      // Support both { data: { locations: [...] } } and array responses
+      const payload = response.data?.data;
+      return Array.isArray(payload) ? payload : payload?.locations || response.data?.locations || [];
+    },
+    save: (locations) => {
+      dataStore.merge('safetyScores', locations);
+      return locations.map(raw => normalizeSafetyScore(raw)?.id).filter(Boolean);
+    },
+    ttl: 5 * 60000
+  },
+  heatmap: {
+    fetch: async (bbox, params) => {
+      const response = await trackingAPI.getHeatmapData({ ...params, bbox: formatBbox(bbox) });
+      return parseHeatmapPoints(response.data.data?.points || response.data?.points || []);
+    },
+    ttl: 60000
+  }
+};
+
+const toCacheKey = (tileKey, params) => {
+  if (!params) return tileKey;
+  const query = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+  return `${tileKey}?${query}`;
+};
+
+class ViewportLoader {
+  constructor() {
+    this.tiles = {}; // layer -> Map of tile key (plus query) -> { items, loadedAt, usedAt }
+    this.inflight = {}; // 'layer:key' -> promise
+    this.generation = 0; // bumped by reset() so responses from before it are dropped
+    this.watches = {}; // layer -> Set of { tiles } kept loaded across resyncs
+    this.queue = []; // tile fetches waiting for a free request slot
+    this.active = 0;
+    Object.keys(LAYERS).forEach(layer => {
+      this.tiles[layer] = new Map();
+      this.watches[layer] = new Set();
+    });
+
+    liveUpdates.subscribe('locations', ({ type }) => {
+      if (type === 'resync') this.refresh('tourists');
+    });
+  }
+
+  // Load the given tiles ([{ key, bbox }]) of a layer, resolving with their
+  // items once every tile is in. A tile that fails keeps its last items.
+  async load(layer, tiles, { force = false, params = null } = {}) {
+    const config = LAYERS[layer];
+    if (!config) throw new Error(`Unknown viewport layer: ${layer}`);
+
+    const now = Date.now();
+    const cache = this.tiles[layer];
+    const { generation } = this;
+    await Promise.all(tiles.map(({ key: tileKey, bbox }) => {
+      const key = toCacheKey(tileKey, params);
+      const cached = cache.get(key);
+      if (cached) cached.usedAt = now;
+      if (!force && cached && now - cached.loadedAt < config.ttl) return null;
+
+      const id = `${layer}:${key}`;
+      if (!this.inflight[id]) {
+        const request = this._enqueue(() => config.fetch(bbox, params))
+          .then(records => {
+            if (generation !== this.generation) return;
+            const items = config.save ? config.save(records) : records;
+            cache.set(key, { items, loadedAt: Date.now(), usedAt: Date.now() });
+          })
+          .catch(error => {
+            console.error(`Failed to load ${layer} for tile ${tileKey}:`, error);
+          })
+          .finally(() => {
+            if (this.inflight[id] === request) delete this.inflight[id];
+          });
+        this.inflight[id] = request;
+      }
+      return this.inflight[id];
+    }));
+
+    const keep = new Set(tiles.map(tile => toCacheKey(tile.key, params)));
+    this.watches[layer].forEach(watch => watch.tiles.forEach(tile => keep.add(toCacheKey(tile.key, params))));
+    this._evict(layer, keep);
+    return this.getItems(layer, tiles, params);
+  }
+
+  // Items of the given tiles that are in cache; items with an id that sit on
+  // a shared tile edge are only returned once
+  getItems(layer, tiles, params = null) {
+    const cache = this.tiles[layer];
+    const seen = new Set();
+    const items = [];
+    tiles.forEach(({ key }) => {
+      (cache.get(toCacheKey(key, params))?.items || []).forEach(item => {
+        const id = typeof item === 'object' ? item.id : item;
+        if (id !== undefined && id !== null) {
+          if (seen.has(id)) return;
+          seen.add(id);
+        }
+        items.push(item);
+      });
+    });
+    return items;
+  }
+
+  // Forget a layer's tiles so the next load goes to the network
+  invalidate(layer) {
+    this.tiles[layer].clear();
+  }
+
+  // Keep the given tiles (the map's viewport, the area around geofences)
+  // fresh across resyncs until the returned function is called. Loading them
+  // in the first place is up to the caller.
+  watch(layer, tiles) {
+    const watch = { tiles };
+    this.watches[layer].add(watch);
+    return () => this.watches[layer].delete(watch);
+  }
+
+  // Mark a layer's tiles stale and reload the watched ones; the others go to
+  // the network the next time they are asked for
+  refresh(layer) {
+    this.tiles[layer].forEach(cached => { cached.loadedAt = 0; });
+    const watched = new Map();
+    this.watches[layer].forEach(watch => watch.tiles.forEach(tile => watched.set(tile.key, tile)));
+    if (watched.size > 0) this.load(layer, [...watched.values()]);
+  }
+
+  // Drop everything, e.g. when the operator logs out. Tiles still loading
+  // are forgotten and their responses ignored.
+  reset() {
+    this.generation += 1;
+    this.inflight = {};
+    Object.values(this.tiles).forEach(cache => cache.clear());
+  }
+
+  // Run fetch once fewer than MAX_CONCURRENT_REQUESTS are in flight
+  _enqueue(fetch) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fetch, resolve, reject });
+      this._next();
+    });
+  }
+
+  _next() {
+    while (this.active < MAX_CONCURRENT_REQUESTS && this.queue.length > 0) {
+      const { fetch, resolve, reject } = this.queue.shift();
+      this.active += 1;
+      fetch()
+        .then(resolve, reject)
+        .finally(() => {
+          this.active -= 1;
+          this._next();
+        });
+    }
+  }
+
+  // Drop the least recently used tiles past MAX_CACHED_TILES, those outside
+  // keep first; a watched tile dropped here is fetched again on the next refresh
+  _evict(layer, keep) {
+    const cache = this.tiles[layer];
+    if (cache.size <= MAX_CACHED_TILES) return;
+    [...cache.entries()]
+      .sort(([keyA, a], [keyB, b]) => (keep.has(keyA) - keep.has(keyB)) || a.usedAt - b.usedAt)
+      .slice(0, cache.size - MAX_CACHED_TILES)
+      .forEach(([key]) => cache.delete(key));
+  }
+}
+
+// Export singleton instance
+const viewportLoader = new ViewportLoader();
+export default viewportLoader;
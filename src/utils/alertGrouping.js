@@ -0,0 +1,62 @@
+// Groups repeated alerts into one incident: the same tourist pressing SOS
+// several times, or one geofence breach reported more than once. Alerts join
+// a group when they share tourist and type, arrive within the time window of
+// the group's latest alert and lie within the radius of its first location.
+import { normalizeCoordinates } from './normalizers';
+import { distanceMeters } from './geo';
+
+export const GROUP_WINDOW_MS = 10 * 60000;
+export const GROUP_RADIUS_METERS = 300;
+
+const SEVERITY_RANK = { emergency: 6, critical: 5, high: 4, medium: 3, warning: 2, low: 1 };
+
+export const getSeverityRank = (severity) => SEVERITY_RANK[severity] || 0;
+
+const getRaisedAt = (alert) => new Date(alert.createdAt || alert.timestamp).getTime() || 0;
+
+const getTouristKey = (alert) => alert.touristId || alert.tourist?.digitalId || alert.tourist?.email || null;
+
+const isNearby = (a, b, radiusMeters) => {
+  const from = normalizeCoordinates(a.location);
+  const to = normalizeCoordinates(b.location);
+  // Without a position on both sides, tourist and type are enough
+  if (!from || !to) return true;
+  return distanceMeters(from, to) <= radiusMeters;
+};
+
+// Returns groups newest first:
+// { id, primary, alerts (newest first), count, severity, firstAt, lastAt }
+export const groupAlerts = (alerts, { windowMs = GROUP_WINDOW_MS, radiusMeters = GROUP_RADIUS_METERS } = {}) => {
+  const groups = [];
+  const openGroups = {}; // tourist|type -> group still accepting alerts
+
+  [...alerts]
+    .sort((a, b) => getRaisedAt(a) - getRaisedAt(b))
+    .forEach(alert => {
+      const touristKey = getTouristKey(alert);
+      const key = touristKey ? `${touristKey}|${alert.type}` : null;
+      const group = key ? openGroups[key] : null;
+      const raisedAt = getRaisedAt(alert);
+
+      if (group && raisedAt - group.lastAt <= windowMs && isNearby(group.alerts[0], alert, radiusMeters)) {
+        group.alerts.push(alert);
+        group.lastAt = raisedAt;
+        return;
+      }
+
+      // The group is named after its first alert so its id stays put as presses arrive
+      const created = { id: alert.id, alerts: [alert], firstAt: raisedAt, lastAt: raisedAt };
+      groups.push(created);
+      if (key) openGroups[key] = created;
+    });
+
+  return groups
+    .map(group => {
+      const newestFirst = [...group.alerts].reverse();
+      const severity = newestFirst.reduce((worst, a) => (
+        getSeverityRank(a.severity) > getSeverityRank(worst) ? a.severity : worst
+      ), newestFirst[0].severity);
+      return { ...group, alerts: newestFirst, primary: newestFirst[0], count: newestFirst.length, severity };
+    })
+    .sort((a, b) => b.lastAt - a.lastAt);
+};
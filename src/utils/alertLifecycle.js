@@ -0,0 +1,102 @@
+// Alert (incident) lifecycle: the states an alert moves through and which
+// moves are allowed. Every move is made with a reason that the backend keeps
+// in the alert's statusHistory.
+
+export const ALERT_STATUS = {
+  NEW: 'new',
+  ACKNOWLEDGED: 'acknowledged',
+  ASSIGNED: 'assigned',
+  IN_PROGRESS: 'in_progress',
+  ESCALATED: 'escalated',
+  RESOLVED: 'resolved',
+  FALSE_ALARM: 'false_alarm'
+};
+
+export const OPEN_ALERT_STATUSES = [
+  ALERT_STATUS.NEW,
+  ALERT_STATUS.ACKNOWLEDGED,
+  ALERT_STATUS.ASSIGNED,
+  ALERT_STATUS.IN_PROGRESS,
+  ALERT_STATUS.ESCALATED
+];
+
+export const CLOSED_ALERT_STATUSES = [ALERT_STATUS.RESOLVED, ALERT_STATUS.FALSE_ALARM];
+
+// Nobody has picked these up yet: an operator acknowledging, assigning or
+// closing the alert takes it out of this set
+export const UNACKNOWLEDGED_ALERT_STATUSES = [ALERT_STATUS.NEW, ALERT_STATUS.ESCALATED];
+
+export const ALERT_TRANSITIONS = {
+  new: ['acknowledged', 'assigned', 'escalated', 'resolved', 'false_alarm'],
+  acknowledged: ['assigned', 'in_progress', 'escalated', 'resolved', 'false_alarm'],
+  assigned: ['in_progress', 'escalated', 'resolved', 'false_alarm'],
+  in_progress: ['escalated', 'resolved', 'false_alarm'],
+  escalated: ['assigned', 'in_progress', 'resolved', 'false_alarm'],
+  // Closed incidents can be reopened
+  resolved: ['acknowledged'],
+  false_alarm: ['acknowledged']
+};
+
+// Filters offered by the alerts overlay and the incidents page
+export const ALERT_STATUS_FILTERS = [
+  { value: 'open', label: 'Open', statuses: OPEN_ALERT_STATUSES },
+  { value: 'new', label: 'New', statuses: [ALERT_STATUS.NEW] },
+  { value: 'acknowledged', label: 'Acknowledged', statuses: [ALERT_STATUS.ACKNOWLEDGED] },
+  { value: 'assigned', label: 'Assigned', statuses: [ALERT_STATUS.ASSIGNED] },
+  { value: 'in_progress', label: 'In progress', statuses: [ALERT_STATUS.IN_PROGRESS] },
+  { value: 'escalated', label: 'Escalated', statuses: [ALERT_STATUS.ESCALATED] },
+  { value: 'closed', label: 'Closed', statuses: CLOSED_ALERT_STATUSES },
+  { value: 'all', label: 'All', statuses: null }
+];
+
+// Older alerts only know 'active' and 'acknowledged'
+export const getAlertStatus = (alert) => {
+  switch (alert?.status) {
+    case undefined:
+    case null:
+    case 'active':
+    case 'pending':
+      return ALERT_STATUS.NEW;
+    case 'dismissed':
+      return ALERT_STATUS.RESOLVED;
+    default:
+      return alert.status;
+  }
+};
+
+export const isAlertOpen = (alert) => OPEN_ALERT_STATUSES.includes(getAlertStatus(alert));
+
+export const isAlertUnacknowledged = (alert) => UNACKNOWLEDGED_ALERT_STATUSES.includes(getAlertStatus(alert));
+
+export const matchesStatusFilter = (alert, filterValue) => {
+  const filter = ALERT_STATUS_FILTERS.find(f => f.value === filterValue);
+  if (!filter || !filter.statuses) return true;
+  return filter.statuses.includes(getAlertStatus(alert));
+};
+
+export const getAlertStatusStyle = (status) => {
+  switch (status) {
+    case ALERT_STATUS.NEW: return { color: '#dc2626', bg: '#fee2e2', label: 'New' };
+    case ALERT_STATUS.ACKNOWLEDGED: return { color: '#1a73e8', bg: '#e8f0fe', label: 'Acknowledged' };
+    case ALERT_STATUS.ASSIGNED: return { color: '#7c3aed', bg: '#ede9fe', label: 'Assigned' };
+    case ALERT_STATUS.IN_PROGRESS: return { color: '#d97706', bg: '#fef3c7', label: 'In progress' };
+    case ALERT_STATUS.ESCALATED: return { color: '#be123c', bg: '#ffe4e6', label: 'Escalated' };
+    case ALERT_STATUS.RESOLVED: return { color: '#16a34a', bg: '#dcfce7', label: 'Resolved' };
+    case ALERT_STATUS.FALSE_ALARM: return { color: '#6b7280', bg: '#f3f4f6', label: 'False alarm' };
+    default: return { color: '#6b7280', bg: '#f3f4f6', label: status || 'Unknown' };
+  }
+};
+
+// Label for the button that moves an alert into a state
+export const getTransitionLabel = (from, to) => {
+  if (CLOSED_ALERT_STATUSES.includes(from)) return 'Reopen';
+  switch (to) {
+    case ALERT_STATUS.ACKNOWLEDGED: return 'Acknowledge';
+    case ALERT_STATUS.ASSIGNED: return 'Assign';
+    case ALERT_STATUS.IN_PROGRESS: return 'Start work';
+    case ALERT_STATUS.ESCALATED: return 'Escalate';
+    case ALERT_STATUS.RESOLVED: return 'Resolve';
+    case ALERT_STATUS.FALSE_ALARM: return 'False alarm';
+    default: return to;
+  }
+};
@@ -0,0 +1,144 @@
+// Device health: how much a tourist's last reported position can be trusted
+// (how fresh and how accurate it is) and whether their phone is about to run
+// out of battery somewhere help would be slow to reach them.
+import { distanceMeters } from './geo';
+import { isPointInGeofence, isBreachFence } from './geofenceBreaches';
+import { isGeofenceInForce } from './geofenceSchedules';
+import { GEOFENCE_SHAPES, getGeofenceCenter } from './geofenceShapes';
+
+export const LOW_BATTERY_PERCENT = 20;
+export const CRITICAL_BATTERY_PERCENT = 10;
+
+// A low battery warning clears once the level climbs this far above the threshold
+export const BATTERY_RECOVERY_MARGIN = 5;
+
+// Further than this from every safe zone counts as remote
+export const REMOTE_DISTANCE_METERS = 5000;
+
+export const LOW_BATTERY_ALERT_TYPE = 'low_battery';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Levels are checked in order; the first whose limit the age is under wins
+const FRESHNESS_LEVELS = [
+  { id: 'live', label: 'Live', maxAgeMs: 2 * MINUTE_MS, opacity: 1, color: '#16a34a' },
+  { id: 'recent', label: 'Recent', maxAgeMs: 10 * MINUTE_MS, opacity: 0.85, color: '#65a30d' },
+  { id: 'stale', label: 'Stale', maxAgeMs: 30 * MINUTE_MS, opacity: 0.6, color: '#d97706' },
+  { id: 'old', label: 'Old', maxAgeMs: Infinity, opacity: 0.4, color: '#9ca3af' }
+];
+
+const ACCURACY_LEVELS = [
+  { id: 'good', label: 'Good', maxMeters: 20, ring: null, color: '#16a34a' },
+  { id: 'fair', label: 'Fair', maxMeters: 100, ring: '#f59e0b', color: '#d97706' },
+  { id: 'poor', label: 'Poor', maxMeters: Infinity, ring: '#dc2626', color: '#dc2626' }
+];
+
+const UNKNOWN_FRESHNESS = { id: 'unknown', label: 'Never', opacity: 0.4, color: '#9ca3af' };
+const UNKNOWN_ACCURACY = { id: 'unknown', label: 'Unknown', ring: null, color: '#9ca3af' };
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+export const getFreshness = (lastSeenAt, now = Date.now()) => {
+  const seenAt = toTime(lastSeenAt);
+  if (seenAt === null) return UNKNOWN_FRESHNESS;
+  const age = Math.max(0, now - seenAt);
+  return FRESHNESS_LEVELS.find(level => age < level.maxAgeMs);
+};
+
+export const getAccuracyLevel = (accuracy) => {
+  if (accuracy === null || accuracy === undefined || !Number.isFinite(Number(accuracy))) return UNKNOWN_ACCURACY;
+  return ACCURACY_LEVELS.find(level => Number(accuracy) <= level.maxMeters);
+};
+
+export const getBatteryLevel = (batteryLevel) => {
+  if (batteryLevel === null || batteryLevel === undefined) return 'unknown';
+  if (batteryLevel <= CRITICAL_BATTERY_PERCENT) return 'critical';
+  if (batteryLevel <= LOW_BATTERY_PERCENT) return 'low';
+  return 'ok';
+};
+
+export const BATTERY_COLORS = {
+  critical: '#dc2626',
+  low: '#d97706',
+  ok: '#16a34a',
+  unknown: '#9ca3af'
+};
+
+// Location history entries -> [{ at, level }] oldest first, skipping entries
+// without a battery reading
+export const toBatterySamples = (locations) => locations
+  .map(location => ({ at: toTime(location.timestamp), level: location.batteryLevel ?? null }))
+  .filter(sample => sample.at !== null && sample.level !== null && Number.isFinite(Number(sample.level)))
+  .map(sample => ({ at: sample.at, level: Number(sample.level) }))
+  .sort((a, b) => a.at - b.at);
+
+// Merges two sample lists (oldest first), dropping duplicate timestamps
+export const mergeBatterySamples = (a, b) => {
+  const byTime = new Map([...a, ...b].map(sample => [sample.at, sample]));
+  return [...byTime.values()].sort((x, y) => x.at - y.at);
+};
+
+const TREND_WINDOW_MS = 3 * HOUR_MS;
+const MIN_TREND_SPAN_MS = 20 * MINUTE_MS;
+
+// Least-squares slope of the readings in the last few hours, in percent per
+// hour (negative while draining). hoursLeft is only set while draining.
+export const getBatteryTrend = (samples, now = Date.now()) => {
+  const recent = samples.filter(sample => sample.at >= now - TREND_WINDOW_MS);
+  if (recent.length < 2 || recent[recent.length - 1].at - recent[0].at < MIN_TREND_SPAN_MS) return null;
+
+  const meanAt = recent.reduce((sum, s) => sum + s.at, 0) / recent.length;
+  const meanLevel = recent.reduce((sum, s) => sum + s.level, 0) / recent.length;
+  const covariance = recent.reduce((sum, s) => sum + (s.at - meanAt) * (s.level - meanLevel), 0);
+  const variance = recent.reduce((sum, s) => sum + (s.at - meanAt) ** 2, 0);
+  const ratePerHour = variance === 0 ? 0 : (covariance / variance) * HOUR_MS;
+  const level = recent[recent.length - 1].level;
+
+  return {
+    ratePerHour,
+    direction: ratePerHour <= -1 ? 'draining' : ratePerHour >= 1 ? 'charging' : 'steady',
+    hoursLeft: ratePerHour <= -1 ? level / -ratePerHour : null
+  };
+};
+
+export const formatBatteryTrend = (trend) => {
+  if (!trend) return '—';
+  if (trend.direction === 'steady') return 'Steady';
+  const rate = `${Math.abs(trend.ratePerHour).toFixed(0)}%/h`;
+  if (trend.direction === 'charging') return `Charging +${rate}`;
+  const hours = trend.hoursLeft;
+  return `−${rate}, ~${hours < 1 ? `${Math.round(hours * 60)}m` : `${hours.toFixed(1)}h`} left`;
+};
+
+// Distance from a point to a safe fence's edge (0 inside); other shapes are
+// measured to their centre, which is close enough for "far from help"
+const distanceToFence = (fence, point) => {
+  if (fence.shape === GEOFENCE_SHAPES.CIRCLE && fence.center) {
+    return Math.max(0, distanceMeters(fence.center, point) - fence.radius);
+  }
+  const center = getGeofenceCenter(fence);
+  return center ? distanceMeters(center, point) : null;
+};
+
+// Why a position counts as remote, or null when help is close by: inside a
+// restricted or warning zone, or far from every safe zone. Without any safe
+// zones there is nothing to measure against, so only the first applies.
+export const getRemoteReason = (geofences, position, at = new Date()) => {
+  if (!position) return null;
+  const inForce = geofences.filter(fence => isGeofenceInForce(fence, at));
+
+  const dangerous = inForce.find(fence => isBreachFence(fence) && isPointInGeofence(fence, position));
+  if (dangerous) return { fence: dangerous, distance: null };
+
+  const distances = inForce
+    .filter(fence => fence.type === 'safe')
+    .map(fence => distanceToFence(fence, position))
+    .filter(distance => distance !== null);
+  if (distances.length === 0) return null;
+  const nearest = Math.min(...distances);
+  return nearest > REMOTE_DISTANCE_METERS ? { fence: null, distance: nearest } : null;
+};
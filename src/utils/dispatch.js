@@ -0,0 +1,70 @@
+// Dispatch states and how a dispatch moves between them.
+//
+// assigned -> en_route -> on_scene -> resolved, and an assigned or en route
+// unit can be called off (cancelled).
+
+export const DISPATCH_STATUS = {
+  ASSIGNED: 'assigned',
+  EN_ROUTE: 'en_route',
+  ON_SCENE: 'on_scene',
+  RESOLVED: 'resolved',
+  CANCELLED: 'cancelled'
+};
+
+// The happy path, in order, for progress displays
+export const DISPATCH_FLOW = [
+  DISPATCH_STATUS.ASSIGNED,
+  DISPATCH_STATUS.EN_ROUTE,
+  DISPATCH_STATUS.ON_SCENE,
+  DISPATCH_STATUS.RESOLVED
+];
+
+export const NEXT_DISPATCH_STATUSES = {
+  assigned: [DISPATCH_STATUS.EN_ROUTE, DISPATCH_STATUS.CANCELLED],
+  en_route: [DISPATCH_STATUS.ON_SCENE, DISPATCH_STATUS.CANCELLED],
+  on_scene: [DISPATCH_STATUS.RESOLVED],
+  resolved: [],
+  cancelled: []
+};
+
+export const getDispatchStatusStyle = (status) => {
+  switch (status) {
+    case DISPATCH_STATUS.ASSIGNED: return { color: '#1a73e8', bg: '#e8f0fe', label: 'Assigned', icon: '📋' };
+    case DISPATCH_STATUS.EN_ROUTE: return { color: '#d97706', bg: '#fef3c7', label: 'En route', icon: '🚨' };
+    case DISPATCH_STATUS.ON_SCENE: return { color: '#7c3aed', bg: '#ede9fe', label: 'On scene', icon: '📍' };
+    case DISPATCH_STATUS.RESOLVED: return { color: '#16a34a', bg: '#dcfce7', label: 'Resolved', icon: '✅' };
+    case DISPATCH_STATUS.CANCELLED: return { color: '#6b7280', bg: '#f3f4f6', label: 'Cancelled', icon: '✕' };
+    default: return { color: '#6b7280', bg: '#f3f4f6', label: status || 'Unknown', icon: '❔' };
+  }
+};
+
+export const getUnitTypeIcon = (type) => {
+  switch (type) {
+    case 'ambulance': return '🚑';
+    case 'police': return '🚓';
+    case 'fire': return '🚒';
+    case 'rescue': return '🛟';
+    default: return '🚐';
+  }
+};
+
+export const isDispatchActive = (dispatch) => (
+  dispatch.status !== DISPATCH_STATUS.RESOLVED && dispatch.status !== DISPATCH_STATUS.CANCELLED
+);
+
+// The most recent dispatch for an alert, finished or not, so a resolved or
+// called-off dispatch still shows how it ended
+export const getLatestDispatch = (dispatches, alertId) => dispatches
+  .filter(dispatch => dispatch.alertId === alertId)
+  .reduce((latest, dispatch) => (
+    !latest || new Date(dispatch.createdAt || 0) >= new Date(latest.createdAt || 0) ? dispatch : latest
+  ), null);
+
+// "4 min", "< 1 min", "arriving", or null when the backend gave no ETA
+export const formatEta = (etaAt, now = Date.now()) => {
+  if (!etaAt) return null;
+  const seconds = Math.round((new Date(etaAt).getTime() - now) / 1000);
+  if (seconds <= 0) return 'arriving';
+  if (seconds < 60) return '< 1 min';
+  return `${Math.round(seconds / 60)} min`;
+};
@@ -0,0 +1,87 @@
+// Escalation policies for alerts nobody has picked up yet. A policy matches
+// alerts by severity and type and lists timed steps counted from the moment
+// the alert was raised; the first matching policy wins.
+import { isAlertUnacknowledged } from './alertLifecycle';
+
+export const ESCALATION_ACTIONS = {
+  RENOTIFY: 'renotify',
+  SUPERVISOR: 'supervisor',
+  PAGE: 'page'
+};
+
+export const ESCALATION_ACTION_LABELS = {
+  renotify: 'Re-notify operators',
+  supervisor: 'Escalate to supervisor',
+  page: 'Page external number'
+};
+
+// Compact labels for countdown badges
+export const ESCALATION_ACTION_SHORT_LABELS = {
+  renotify: 'Re-notify',
+  supervisor: 'Supervisor',
+  page: 'Page'
+};
+
+export const DEFAULT_ESCALATION_POLICIES = [
+  {
+    id: 'sos',
+    name: 'SOS, panic and medical',
+    severities: [],
+    types: ['sos', 'panic_button', 'medical'],
+    steps: [
+      { id: 'renotify', afterMinutes: 2, action: ESCALATION_ACTIONS.RENOTIFY, target: '' },
+      { id: 'supervisor', afterMinutes: 5, action: ESCALATION_ACTIONS.SUPERVISOR, target: '' },
+      { id: 'page', afterMinutes: 10, action: ESCALATION_ACTIONS.PAGE, target: '112' }
+    ]
+  },
+  {
+    id: 'high-severity',
+    name: 'Emergency and high severity',
+    severities: ['emergency', 'high'],
+    types: [],
+    steps: [
+      { id: 'renotify', afterMinutes: 3, action: ESCALATION_ACTIONS.RENOTIFY, target: '' },
+      { id: 'supervisor', afterMinutes: 8, action: ESCALATION_ACTIONS.SUPERVISOR, target: '' }
+    ]
+  }
+];
+
+// Escalation stops as soon as an operator acknowledges, assigns or closes the alert
+export const isEscalating = isAlertUnacknowledged;
+
+export const findPolicy = (alert, policies) => policies.find(policy =>
+  (policy.severities.length === 0 || policy.severities.includes(alert.severity)) &&
+  (policy.types.length === 0 || policy.types.includes(alert.type))
+) || null;
+
+export const getStepKey = (policy, step) => `${policy.id}:${step.id}`;
+
+const hasFired = (alert, key) => (alert.escalations || []).some(entry => entry.stepKey === key);
+
+const getRaisedAt = (alert) => new Date(alert.createdAt || alert.timestamp).getTime();
+
+// Steps that are due and have not fired yet, oldest first
+export const getDueSteps = (alert, policy, now = Date.now()) => {
+  if (!policy || !isEscalating(alert)) return [];
+  const elapsed = now - getRaisedAt(alert);
+  return [...policy.steps]
+    .sort((a, b) => a.afterMinutes - b.afterMinutes)
+    .filter(step => step.afterMinutes * 60000 <= elapsed && !hasFired(alert, getStepKey(policy, step)));
+};
+
+// The upcoming step and when it is due, for countdown badges
+export const getNextStep = (alert, policy, now = Date.now()) => {
+  if (!policy || !isEscalating(alert)) return null;
+  const raisedAt = getRaisedAt(alert);
+  const step = [...policy.steps]
+    .sort((a, b) => a.afterMinutes - b.afterMinutes)
+    .find(s => raisedAt + s.afterMinutes * 60000 > now && !hasFired(alert, getStepKey(policy, s)));
+  return step ? { step, dueAt: raisedAt + step.afterMinutes * 60000 } : null;
+};
+
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
@@ -0,0 +1,33 @@
+// Helpers for exporting data from the browser as downloadable files
+
+// Spreadsheets run cells starting with these as formulas; a tourist name or
+// note like "=HYPERLINK(...)" must come out as text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ label, value: (row) => any }]
+export const toCsv = (rows, columns) => {
+  const header = columns.map(column => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+// Trigger a browser download of in-memory content
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,156 @@
+// Per-zone analytics rebuilt from raw location history: visits, distinct
+// visitors per hour, dwell times and breaches, plus how much of the location
+// heatmap falls inside each zone. The backend only reports totals across all
+// fences, so everything here is derived in the browser.
+import { normalizeCoordinates } from './normalizers';
+import { getGeofenceArea } from './geofenceShapes';
+import { isGeofenceInForce } from './geofenceSchedules';
+import { isBreachFence, isPointInGeofence } from './geofenceBreaches';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ANALYTICS_PERIODS = [
+  { id: '24h', label: 'Last 24 hours', hours: 24 },
+  { id: '3d', label: 'Last 3 days', hours: 72 },
+  { id: '7d', label: 'Last 7 days', hours: 168 }
+];
+
+export const DWELL_BUCKETS = [
+  { label: '<5m', maxMinutes: 5 },
+  { label: '5-15m', maxMinutes: 15 },
+  { label: '15-30m', maxMinutes: 30 },
+  { label: '30-60m', maxMinutes: 60 },
+  { label: '1-2h', maxMinutes: 120 },
+  { label: '2h+', maxMinutes: Infinity }
+];
+
+// A tourist silent for longer than this while inside a zone is treated as
+// having left at their last sample rather than dwelling through the gap
+export const MAX_SAMPLE_GAP_MS = 30 * 60 * 1000;
+
+export const ZONE_ACTIVITY = {
+  BUSY: 'busy',
+  NORMAL: 'normal',
+  IGNORED: 'ignored'
+};
+
+export const ZONE_ACTIVITY_LABELS = {
+  busy: '🔥 Crowded',
+  normal: 'Normal',
+  ignored: '💤 Ignored'
+};
+
+// Location history entries as time-ordered { lat, lng, at } samples
+export const toTrack = (locations) => locations
+  .map(location => {
+    const coordinates = normalizeCoordinates(location);
+    const at = new Date(location.timestamp || location.createdAt).getTime();
+    return coordinates && Number.isFinite(at) ? { ...coordinates, at } : null;
+  })
+  .filter(Boolean)
+  .sort((a, b) => a.at - b.at);
+
+// Heatmap endpoint points as { lat, lng, intensity, count }; count is the raw
+// tally behind the 0-1 intensity when the backend sends one
+export const parseHeatmapPoints = (points) => points
+  .map(point => ({
+    lng: Number(point.longitude ?? point.lng ?? point.coordinates?.[0]),
+    lat: Number(point.latitude ?? point.lat ?? point.coordinates?.[1]),
+    intensity: Number(point.intensity ?? point.weight ?? 1) || 0,
+    count: Number.isFinite(point.count) ? point.count : null
+  }))
+  .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+
+// Visits of one track to one fence. A visit runs from the first sample inside
+// to the first sample outside; one still going at the end of the track (or cut
+// off by a long silence) ends at its last sample inside and is marked open.
+export const findVisits = (fence, track) => {
+  const visits = [];
+  let current = null;
+
+  track.forEach(sample => {
+    const inside = isPointInGeofence(fence, sample);
+    if (current && sample.at - current.lastAt > MAX_SAMPLE_GAP_MS) {
+      visits.push({ start: current.start, end: current.lastAt, open: true });
+      current = null;
+    }
+    if (inside) {
+      current = current ? { ...current, lastAt: sample.at } : { start: sample.at, lastAt: sample.at };
+    } else if (current) {
+      visits.push({ start: current.start, end: sample.at, open: false });
+      current = null;
+    }
+  });
+  if (current) visits.push({ start: current.start, end: current.lastAt, open: true });
+  return visits;
+};
+
+const emptyStats = (hours, from) => ({
+  visits: 0,
+  visitors: 0,
+  totalDwellMs: 0,
+  averageDwellMs: null,
+  breaches: 0,
+  dwellBuckets: DWELL_BUCKETS.map(() => 0),
+  hourly: Array.from({ length: hours }, (_, i) => ({ start: from + i * HOUR_MS, visitors: 0 })),
+  peakVisitors: 0,
+  heat: 0,
+  heatDensity: 0
+});
+
+// tracks as [{ touristId, points: toTrack(...) }]; from/to in epoch ms.
+// Returns fenceId -> stats over the period.
+export const buildZoneAnalytics = ({ fences, tracks, heatPoints = [], from, to }) => {
+  const hours = Math.max(1, Math.ceil((to - from) / HOUR_MS));
+  const result = {};
+
+  fences.forEach(fence => {
+    const stats = emptyStats(hours, from);
+    const hourlyVisitors = stats.hourly.map(() => new Set());
+    const visitors = new Set();
+
+    tracks.forEach(({ touristId, points }) => {
+      findVisits(fence, points).forEach(visit => {
+        const start = Math.max(visit.start, from);
+        const end = Math.min(visit.end, to);
+        if (end < start) return;
+
+        const dwellMs = end - start;
+        stats.visits += 1;
+        stats.totalDwellMs += dwellMs;
+        const minutes = dwellMs / 60000;
+        stats.dwellBuckets[DWELL_BUCKETS.findIndex(bucket => minutes < bucket.maxMinutes)] += 1;
+        if (isBreachFence(fence) && visit.start >= from && isGeofenceInForce(fence, new Date(visit.start))) {
+          stats.breaches += 1;
+        }
+
+        visitors.add(touristId);
+        const last = Math.min(hours - 1, Math.floor((end - from) / HOUR_MS));
+        for (let i = Math.min(last, Math.floor((start - from) / HOUR_MS)); i <= last; i++) hourlyVisitors[i].add(touristId);
+      });
+    });
+
+    stats.visitors = visitors.size;
+    stats.averageDwellMs = stats.visits > 0 ? stats.totalDwellMs / stats.visits : null;
+    stats.hourly.forEach((bucket, i) => { bucket.visitors = hourlyVisitors[i].size; });
+    stats.peakVisitors = Math.max(0, ...stats.hourly.map(bucket => bucket.visitors));
+
+    stats.heat = heatPoints.reduce((sum, point) => sum + (isPointInGeofence(fence, point) ? point.intensity : 0), 0);
+    const areaKm2 = getGeofenceArea(fence) / 1000000;
+    stats.heatDensity = areaKm2 > 0 ? stats.heat / areaKm2 : 0;
+
+    result[fence.id] = stats;
+  });
+
+  return result;
+};
+
+// Crowded zones are the top quarter by peak hourly visitors (falling back to
+// heat density when nobody visited anything); ignored ones saw nobody at all
+export const getZoneActivity = (stats, allStats) => {
+  if (stats.visits === 0 && stats.heat === 0) return ZONE_ACTIVITY.IGNORED;
+  const measure = allStats.some(s => s.peakVisitors > 0) ? 'peakVisitors' : 'heatDensity';
+  const ranked = allStats.map(s => s[measure]).sort((a, b) => b - a);
+  const threshold = ranked[Math.floor((ranked.length - 1) / 4)];
+  return stats[measure] > 0 && stats[measure] >= threshold ? ZONE_ACTIVITY.BUSY : ZONE_ACTIVITY.NORMAL;
+};
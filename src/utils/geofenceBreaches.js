@@ -0,0 +1,55 @@
+// Geofence containment and the entry/exit/dwell events derived from it.
+// Being inside a restricted or warning fence counts as a breach; safe zones
+// only have their comings and goings logged.
+import { distanceMeters } from './geo';
+import { GEOFENCE_SHAPES, getGeofencePolygons, getGeofenceBounds, isPointInPolygons } from './geofenceShapes';
+
+export const GEOFENCE_EVENT_TYPES = {
+  ENTER: 'enter',
+  EXIT: 'exit',
+  DWELL: 'dwell'
+};
+
+export const GEOFENCE_EVENT_LABELS = {
+  enter: '➡️ Entered',
+  exit: '⬅️ Left',
+  dwell: '⏱️ Still inside'
+};
+
+export const BREACH_FENCE_TYPES = ['restricted', 'warning'];
+
+// A dwell event fires once a tourist has stayed inside a fence this long
+export const DWELL_THRESHOLD_MS = 10 * 60 * 1000;
+
+export const isBreachFence = (fence) => BREACH_FENCE_TYPES.includes(fence.type);
+
+// Corridor outlines are buffered on demand; keep them per fence object so a
+// location update doesn't rebuild every outline
+const outlineCache = new WeakMap();
+
+const getOutline = (fence) => {
+  if (!outlineCache.has(fence)) {
+    outlineCache.set(fence, { bounds: getGeofenceBounds(fence), polygons: getGeofencePolygons(fence) });
+  }
+  return outlineCache.get(fence);
+};
+
+// point as { lat, lng }
+export const isPointInGeofence = (fence, point) => {
+  if (fence.shape === GEOFENCE_SHAPES.CIRCLE) {
+    return Boolean(fence.center) && distanceMeters(fence.center, point) <= fence.radius;
+  }
+  const { bounds, polygons } = getOutline(fence);
+  if (!bounds) return false;
+  const [west, south, east, north] = bounds;
+  if (point.lng < west || point.lng > east || point.lat < south || point.lat > north) return false;
+  return isPointInPolygons(polygons, [point.lng, point.lat]);
+};
+
+export const formatDwellTime = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
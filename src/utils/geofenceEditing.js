@@ -0,0 +1,157 @@
+// Drafts for creating and editing geofences. A draft is the editable form of
+// a fence: plain fields plus the shape as a centre/radius, or as vertex lists
+// without the closing point that GeoJSON rings repeat.
+import { distanceMeters } from './geo';
+import {
+  GEOFENCE_SHAPES,
+  DEFAULT_CORRIDOR_BUFFER,
+  getGeofencePolygons,
+  closeRing,
+  formatGeofenceSize
+} from './geofenceShapes';
+import { normalizeSchedule, describeSchedule } from './geofenceSchedules';
+
+export const toDraft = (fence) => {
+  const polygons = fence.shape === GEOFENCE_SHAPES.POLYGON ? getGeofencePolygons(fence) : [];
+  return {
+    name: fence.name || '',
+    description: fence.description || '',
+    type: fence.type || 'safe',
+    shape: fence.shape,
+    center: fence.center,
+    radius: fence.radius,
+    parts: fence.shape === GEOFENCE_SHAPES.CORRIDOR
+      ? [fence.geometry?.coordinates || []]
+      : polygons.map(([outer]) => outer.slice(0, -1)),
+    // Holes can't be drawn but are kept so editing a vertex doesn't lose them
+    holes: polygons.map(([, ...holes]) => holes),
+    bufferMeters: fence.bufferMeters || DEFAULT_CORRIDOR_BUFFER,
+    schedule: fence.schedule || null
+  };
+};
+
+// Circles need a centre, polygons at least three corners per drawn part and
+// corridors a route of two or more points
+export const isDraftComplete = (draft) => {
+  if (draft.shape === GEOFENCE_SHAPES.CIRCLE) return Boolean(draft.center);
+  if (draft.shape === GEOFENCE_SHAPES.CORRIDOR) return draft.parts[0].length >= 2;
+  const drawn = draft.parts.filter(part => part.length > 0);
+  return drawn.length > 0 && drawn.every(part => part.length >= 3);
+};
+
+export const getDraftGeometry = (draft) => {
+  if (draft.shape === GEOFENCE_SHAPES.CIRCLE) {
+    return draft.center ? { type: 'Point', coordinates: [draft.center.lng, draft.center.lat] } : null;
+  }
+  if (draft.shape === GEOFENCE_SHAPES.CORRIDOR) return { type: 'LineString', coordinates: draft.parts[0] };
+
+  const polygons = draft.parts
+    .map((part, index) => (part.length > 0 ? [closeRing(part), ...(draft.holes?.[index] || [])] : null))
+    .filter(Boolean);
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+};
+
+// A fence-shaped object for the shape helpers (size, polygons, bounds)
+export const draftToFence = (draft) => ({ ...draft, geometry: getDraftGeometry(draft) });
+
+// Shape fields for geofenceAPI.create/update. Circles go as a centre plus
+// radius like they always have; other shapes as GeoJSON geometry.
+export const getShapeFields = (draft) => {
+  switch (draft.shape) {
+    case GEOFENCE_SHAPES.CIRCLE:
+      return {
+        coordinates: { latitude: draft.center.lat, longitude: draft.center.lng },
+        radius: draft.radius
+      };
+    case GEOFENCE_SHAPES.CORRIDOR:
+      return { geometry: getDraftGeometry(draft), bufferMeters: draft.bufferMeters };
+    default:
+      return { geometry: getDraftGeometry(draft) };
+  }
+};
+
+export const getUpdatePayload = (draft) => ({
+  name: draft.name,
+  description: draft.description,
+  type: draft.type,
+  shape: draft.shape,
+  schedule: normalizeSchedule(draft.schedule),
+  ...getShapeFields(draft)
+});
+
+const countMovedVertices = (before, after) => before.reduce((moved, part, i) => (
+  moved + part.filter((point, j) => {
+    const other = after[i]?.[j];
+    return !other || other[0] !== point[0] || other[1] !== point[1];
+  }).length
+), 0);
+
+const formatPoint = (point) => (point ? `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}` : '—');
+
+// Field-by-field differences between a fence and its edited draft:
+// [{ key, label, before, after }]
+export const diffDraft = (original, draft) => {
+  const changes = [];
+  ['name', 'type', 'description'].forEach(key => {
+    if ((original[key] || '') !== (draft[key] || '')) {
+      changes.push({
+        key,
+        label: key.charAt(0).toUpperCase() + key.slice(1),
+        before: original[key] || '—',
+        after: draft[key] || '—'
+      });
+    }
+  });
+
+  const schedule = normalizeSchedule(draft.schedule);
+  if (JSON.stringify(original.schedule || null) !== JSON.stringify(schedule)) {
+    changes.push({
+      key: 'schedule',
+      label: 'Schedule',
+      before: describeSchedule(original.schedule),
+      after: describeSchedule(schedule)
+    });
+  }
+
+  if (draft.shape === GEOFENCE_SHAPES.CIRCLE) {
+    const moved = original.center && draft.center ? distanceMeters(original.center, draft.center) : 0;
+    if (moved >= 0.5) {
+      changes.push({
+        key: 'center',
+        label: `Center (moved ${Math.round(moved)} m)`,
+        before: formatPoint(original.center),
+        after: formatPoint(draft.center)
+      });
+    }
+    if (Math.round(original.radius) !== Math.round(draft.radius)) {
+      changes.push({ key: 'radius', label: 'Radius', before: `${Math.round(original.radius)} m`, after: `${Math.round(draft.radius)} m` });
+    }
+    return changes;
+  }
+
+  const before = toDraft(original);
+  const vertexCount = (parts) => parts.reduce((sum, part) => sum + part.length, 0);
+  const moved = countMovedVertices(before.parts, draft.parts);
+  if (moved > 0 || vertexCount(before.parts) !== vertexCount(draft.parts)) {
+    changes.push({
+      key: 'vertices',
+      label: `Vertices (${moved} moved or removed)`,
+      before: `${vertexCount(before.parts)} points`,
+      after: `${vertexCount(draft.parts)} points`
+    });
+  }
+  if (draft.shape === GEOFENCE_SHAPES.CORRIDOR && before.bufferMeters !== draft.bufferMeters) {
+    changes.push({ key: 'bufferMeters', label: 'Buffer', before: `${before.bufferMeters} m`, after: `${draft.bufferMeters} m` });
+  }
+  if (changes.some(change => change.key === 'vertices' || change.key === 'bufferMeters')) {
+    changes.push({
+      key: 'size',
+      label: 'Size',
+      before: formatGeofenceSize(original),
+      after: formatGeofenceSize(draftToFence(draft))
+    });
+  }
+  return changes;
+};
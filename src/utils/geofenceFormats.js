@@ -0,0 +1,518 @@
+// Geofence import and export. Files are read into "candidates": fence-shaped
+// objects with the problems found in them, which the operator accepts or
+// rejects one by one before anything is created.
+// - GeoJSON: Points (with a radius property) become circles, Polygons and
+//   MultiPolygons polygons, LineStrings corridors
+// - KML: Placemarks with Point, LineString, Polygon or MultiGeometry
+// - GPX: waypoints become circles, routes and tracks corridors
+// Lines that close on themselves are read as polygon outlines. Our own
+// exports carry shape, radius and buffer so they round-trip exactly, except
+// that GPX has no holes: polygons come back as their outer rings.
+import {
+  GEOFENCE_SHAPES,
+  DEFAULT_CORRIDOR_BUFFER,
+  circleToRing,
+  closeRing,
+  getGeofenceCenter,
+  geofencesOverlap
+} from './geofenceShapes';
+import { normalizeSchedule } from './geofenceSchedules';
+
+export const GEOFENCE_TYPES = ['safe', 'warning', 'restricted'];
+
+export const GEOFENCE_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' }
+};
+
+export const IMPORT_ACCEPT = '.geojson,.json,.kml,.gpx';
+
+const DEFAULT_IMPORT_RADIUS = 500;
+
+// ---- Reading ----
+
+const detectFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'kml' || extension === 'gpx') return extension;
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<kml[\s>]/.test(start)) return 'kml';
+  if (/<gpx[\s>]/.test(start)) return 'gpx';
+  return null;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// GeoJSON features as { name, description, properties, geometry }
+const readGeoJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const features = data.type === 'FeatureCollection' ? data.features || []
+    : data.type === 'Feature' ? [data]
+      : data.type ? [{ type: 'Feature', geometry: data, properties: {} }]
+        : null;
+  if (!features) throw new Error('No GeoJSON Feature, FeatureCollection or geometry found');
+
+  // A null feature is kept so it is reported as having no geometry
+  return features.map(feature => {
+    const properties = feature?.properties || {};
+    return {
+      name: properties.name || properties.NAME || properties.title || '',
+      description: properties.description || '',
+      properties,
+      geometry: feature?.geometry
+    };
+  });
+};
+
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('The file is not valid XML');
+  return doc;
+};
+
+// Namespace-agnostic lookups: KML and GPX come with and without prefixes
+const childrenNamed = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+const childNamed = (node, name) => childrenNamed(node, name)[0] || null;
+const textOf = (node, name) => childNamed(node, name)?.textContent.trim() || '';
+
+const readKmlCoordinates = (node) => textOf(node, 'coordinates')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+// No rings at all without an outer boundary, which validation reports
+const readKmlPolygon = (polygon) => {
+  const outer = childNamed(polygon, 'outerBoundaryIs');
+  if (!outer) return [];
+  return [readKmlCoordinates(outer), ...childrenNamed(polygon, 'innerBoundaryIs').map(readKmlCoordinates)];
+};
+
+const readKmlGeometry = (placemark, warnings) => {
+  const polygons = childrenNamed(placemark, 'Polygon');
+  const lines = childrenNamed(placemark, 'LineString');
+  const points = childrenNamed(placemark, 'Point');
+  if (polygons.length > 0) {
+    if (lines.length + points.length > 0) warnings.push('Only the polygons of this mixed geometry were imported');
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: readKmlPolygon(polygons[0]) }
+      : { type: 'MultiPolygon', coordinates: polygons.map(readKmlPolygon) };
+  }
+  if (lines.length > 0) {
+    if (lines.length > 1) warnings.push('Only the first of several lines was imported');
+    return { type: 'LineString', coordinates: readKmlCoordinates(lines[0]) };
+  }
+  if (points.length > 0) return { type: 'Point', coordinates: readKmlCoordinates(points[0])[0] };
+  return null;
+};
+
+const readKml = (text) => {
+  const doc = parseXml(text);
+  return childrenNamed(doc, 'Placemark').map(placemark => {
+    const properties = {};
+    childrenNamed(placemark, 'Data').forEach(data => {
+      properties[data.getAttribute('name')] = textOf(data, 'value');
+    });
+    childrenNamed(placemark, 'SimpleData').forEach(data => {
+      properties[data.getAttribute('name')] = data.textContent.trim();
+    });
+    const warnings = [];
+    return {
+      name: textOf(placemark, 'name'),
+      description: textOf(placemark, 'description'),
+      properties,
+      geometry: readKmlGeometry(placemark, warnings),
+      warnings
+    };
+  });
+};
+
+const readGpxPoint = (point) => [toNumber(point.getAttribute('lon')), toNumber(point.getAttribute('lat'))];
+
+const readGpxExtensions = (node) => {
+  const extensions = childNamed(node, 'extensions');
+  if (!extensions) return {};
+  return Object.fromEntries(Array.from(extensions.getElementsByTagName('*'))
+    .filter(element => element.children.length === 0)
+    .map(element => [element.localName, element.textContent.trim()]));
+};
+
+const readGpxEntry = (node, geometry) => ({
+  name: textOf(node, 'name'),
+  description: textOf(node, 'desc'),
+  properties: { type: textOf(node, 'type'), ...readGpxExtensions(node) },
+  geometry
+});
+
+const readGpx = (text) => {
+  const doc = parseXml(text);
+  const gpx = doc.documentElement;
+  // Waypoints inside routes and tracks have their own names; only take top-level ones
+  const waypoints = Array.from(gpx.children).filter(node => node.localName === 'wpt');
+  return [
+    ...waypoints.map(wpt => readGpxEntry(wpt, { type: 'Point', coordinates: readGpxPoint(wpt) })),
+    ...childrenNamed(gpx, 'rte').map(rte => readGpxEntry(rte, {
+      type: 'LineString',
+      coordinates: childrenNamed(rte, 'rtept').map(readGpxPoint)
+    })),
+    ...childrenNamed(gpx, 'trk').flatMap(trk => {
+      const entry = readGpxEntry(trk, null);
+      const lines = childrenNamed(trk, 'trkseg').map(segment => childrenNamed(segment, 'trkpt').map(readGpxPoint));
+      // Our export writes a polygon fence as one track with a closed segment per part
+      if (entry.properties.shape === GEOFENCE_SHAPES.POLYGON && lines.length > 0 && lines.every(isClosedLine)) {
+        const geometry = lines.length === 1
+          ? { type: 'Polygon', coordinates: [lines[0]] }
+          : { type: 'MultiPolygon', coordinates: lines.map(line => [line]) };
+        return [{ ...entry, geometry }];
+      }
+      return lines.map((line, index) => ({
+        ...entry,
+        name: lines.length > 1 ? `${entry.name} (${index + 1})` : entry.name,
+        geometry: { type: 'LineString', coordinates: line }
+      }));
+    })
+  ];
+};
+
+// ---- Validation ----
+
+const isValidPosition = (position) => Array.isArray(position) &&
+  Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const isClosedLine = (line) => line.length >= 4 && samePosition(line[0], line[line.length - 1]);
+
+const toPositions = (line) => (Array.isArray(line) ? line : [])
+  .map(position => (Array.isArray(position) ? position.slice(0, 2) : null));
+
+// A polygon needs an outer ring, and rings three distinct corners; open rings
+// are closed with a warning
+const validateRings = (rings, errors, warnings) => {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    errors.push('A polygon has no outer ring');
+    return [];
+  }
+  return rings.map(ring => validateRing(ring, errors, warnings));
+};
+
+const validateRing = (ring, errors, warnings) => {
+  const positions = toPositions(ring);
+  if (!positions.every(isValidPosition)) {
+    errors.push('Coordinates are missing or out of range');
+    return positions;
+  }
+  if (positions.length < 3) {
+    errors.push('A polygon ring has fewer than 3 corners');
+    return positions;
+  }
+  if (!samePosition(positions[0], positions[positions.length - 1])) {
+    warnings.push('An open polygon ring was closed');
+  }
+  return closeRing(positions);
+};
+
+const readGeometryShape = (geometry, properties, errors, warnings) => {
+  switch (geometry?.type) {
+    case 'Point': {
+      const position = geometry.coordinates?.slice(0, 2);
+      if (!isValidPosition(position)) {
+        errors.push('Coordinates are missing or out of range');
+        return {};
+      }
+      let radius = toNumber(properties.radius);
+      if (!(radius > 0)) {
+        radius = DEFAULT_IMPORT_RADIUS;
+        warnings.push(`No radius given, using ${DEFAULT_IMPORT_RADIUS} m`);
+      }
+      return {
+        shape: GEOFENCE_SHAPES.CIRCLE,
+        center: { lng: position[0], lat: position[1] },
+        radius,
+        geometry: { type: 'Point', coordinates: position }
+      };
+    }
+
+    case 'Polygon':
+      return {
+        shape: GEOFENCE_SHAPES.POLYGON,
+        geometry: { type: 'Polygon', coordinates: validateRings(geometry.coordinates || [], errors, warnings) }
+      };
+
+    case 'MultiPolygon': {
+      const polygons = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+      if (polygons.length === 0) errors.push('A multi-polygon has no polygons');
+      return {
+        shape: GEOFENCE_SHAPES.POLYGON,
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: polygons.map(rings => validateRings(rings, errors, warnings))
+        }
+      };
+    }
+
+    case 'LineString': {
+      const line = toPositions(geometry.coordinates);
+      if (!line.every(isValidPosition)) {
+        errors.push('Coordinates are missing or out of range');
+        return {};
+      }
+      if (isClosedLine(line) && properties.shape !== GEOFENCE_SHAPES.CORRIDOR) {
+        warnings.push('Closed line imported as a polygon outline');
+        return { shape: GEOFENCE_SHAPES.POLYGON, geometry: { type: 'Polygon', coordinates: [line] } };
+      }
+      if (line.length < 2) {
+        errors.push('A route needs at least 2 points');
+        return {};
+      }
+      let bufferMeters = toNumber(properties.bufferMeters);
+      if (!(bufferMeters > 0)) {
+        bufferMeters = DEFAULT_CORRIDOR_BUFFER;
+        warnings.push(`No corridor width given, using ${DEFAULT_CORRIDOR_BUFFER} m either side`);
+      }
+      return { shape: GEOFENCE_SHAPES.CORRIDOR, geometry: { type: 'LineString', coordinates: line }, bufferMeters };
+    }
+
+    case undefined:
+      errors.push('No geometry');
+      return {};
+
+    default:
+      errors.push(`${geometry.type} geometry is not supported`);
+      return {};
+  }
+};
+
+// Our KML and GPX exports draw circles as polygons and note the real shape
+const restoreCircle = (entry) => {
+  const { properties } = entry;
+  const center = String(properties.center || '').split(',').map(Number);
+  if (properties.shape !== GEOFENCE_SHAPES.CIRCLE || !isValidPosition(center) || !(toNumber(properties.radius) > 0)) {
+    return entry;
+  }
+  return { ...entry, geometry: { type: 'Point', coordinates: center } };
+};
+
+const readSchedule = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return normalizeSchedule(value);
+  try {
+    return normalizeSchedule(JSON.parse(value));
+  } catch {
+    return null;
+  }
+};
+
+const toCandidate = (entry, index) => {
+  const { properties } = entry;
+  const errors = [];
+  const warnings = [...(entry.warnings || [])];
+  const shapeFields = readGeometryShape(entry.geometry, properties, errors, warnings);
+
+  let name = entry.name.trim();
+  if (!name) {
+    name = `Imported zone ${index + 1}`;
+    warnings.push('No name given');
+  }
+  const type = GEOFENCE_TYPES.includes(properties.type) ? properties.type : null;
+
+  const candidate = {
+    id: `import-${index}`,
+    name,
+    description: entry.description,
+    type,
+    schedule: readSchedule(properties.schedule),
+    // KML and GPX carry it as text
+    isActive: properties.isActive !== false && properties.isActive !== 'false',
+    ...shapeFields,
+    errors: [...new Set(errors)],
+    warnings: [...new Set(warnings)]
+  };
+  if (candidate.errors.length === 0 && candidate.shape !== GEOFENCE_SHAPES.CIRCLE) {
+    candidate.center = getGeofenceCenter(candidate);
+  }
+  return candidate;
+};
+
+// Candidates from a GeoJSON, KML or GPX file. Throws when the file can't be
+// read at all; problems with single features are reported on the feature.
+export const parseGeofenceFile = (text, fileName) => {
+  const format = detectFormat(text, fileName);
+  if (!format) throw new Error('Unrecognised file: expected GeoJSON, KML or GPX');
+  const readers = { geojson: readGeoJson, kml: readKml, gpx: readGpx };
+  const entries = readers[format](text);
+  if (entries.length === 0) throw new Error(`No features found in this ${GEOFENCE_FORMATS[format].label} file`);
+  return { format, candidates: entries.map(restoreCircle).map(toCandidate) };
+};
+
+const shapeKey = (fence) => JSON.stringify([fence.shape, fence.geometry, fence.radius, fence.bufferMeters]);
+
+// What a candidate clashes with: existing fences it shares a name with or
+// overlaps, and features earlier in the same file with its name or shape.
+// [{ kind: 'name' | 'overlap' | 'duplicate', fence }]
+export const findImportConflicts = (candidate, fences, candidates = []) => {
+  if (candidate.errors.length > 0) return [];
+  const name = candidate.name.trim().toLowerCase();
+  const existing = fences.flatMap(fence => {
+    if ((fence.name || '').trim().toLowerCase() === name) return [{ kind: 'name', fence }];
+    return geofencesOverlap(candidate, fence) ? [{ kind: 'overlap', fence }] : [];
+  });
+  // Only earlier ones, so the first copy in the file stays importable
+  const earlier = candidates.slice(0, candidates.indexOf(candidate)).filter(other => (
+    other.errors.length === 0 &&
+    (other.name.trim().toLowerCase() === name || shapeKey(other) === shapeKey(candidate))
+  ));
+  return [...existing, ...earlier.map(fence => ({ kind: 'duplicate', fence }))];
+};
+
+// ---- Writing ----
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const exportGeometry = (fence) => (
+  fence.shape === GEOFENCE_SHAPES.CIRCLE
+    ? { type: 'Point', coordinates: [fence.center.lng, fence.center.lat] }
+    : fence.geometry
+);
+
+// Fields every format carries besides the geometry
+const exportProperties = (fence) => ({
+  name: fence.name,
+  description: fence.description || '',
+  type: fence.type,
+  shape: fence.shape,
+  ...(fence.shape === GEOFENCE_SHAPES.CIRCLE ? { radius: fence.radius } : {}),
+  ...(fence.shape === GEOFENCE_SHAPES.CORRIDOR ? { bufferMeters: fence.bufferMeters || DEFAULT_CORRIDOR_BUFFER } : {}),
+  ...(fence.schedule ? { schedule: fence.schedule } : {}),
+  isActive: fence.isActive !== false
+});
+
+export const toGeoJson = (fences) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: fences.map(fence => ({
+    type: 'Feature',
+    geometry: exportGeometry(fence),
+    properties: exportProperties(fence)
+  }))
+}, null, 2);
+
+// KML colours are aabbggrr
+const KML_COLORS = { safe: '4caf50', warning: 'ff9800', restricted: 'f44336' };
+const toKmlColor = (hex, alpha) => `${alpha}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`;
+
+const kmlCoordinates = (positions) => `<coordinates>${positions.map(([lng, lat]) => `${lng},${lat}`).join(' ')}</coordinates>`;
+
+const kmlPolygon = ([outer, ...holes]) => [
+  '<Polygon>',
+  `<outerBoundaryIs><LinearRing>${kmlCoordinates(outer)}</LinearRing></outerBoundaryIs>`,
+  ...holes.map(hole => `<innerBoundaryIs><LinearRing>${kmlCoordinates(hole)}</LinearRing></innerBoundaryIs>`),
+  '</Polygon>'
+].join('');
+
+const kmlGeometry = (fence) => {
+  switch (fence.shape) {
+    case GEOFENCE_SHAPES.CIRCLE:
+      return kmlPolygon([circleToRing(fence.center, fence.radius)]);
+    case GEOFENCE_SHAPES.CORRIDOR:
+      return `<LineString>${kmlCoordinates(fence.geometry.coordinates)}</LineString>`;
+    default:
+      return fence.geometry.type === 'MultiPolygon'
+        ? `<MultiGeometry>${fence.geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`
+        : kmlPolygon(fence.geometry.coordinates);
+  }
+};
+
+const exportExtendedFields = (fence) => {
+  const { name: _name, description: _description, schedule, ...fields } = exportProperties(fence);
+  return {
+    ...fields,
+    ...(fence.shape === GEOFENCE_SHAPES.CIRCLE ? { center: `${fence.center.lng},${fence.center.lat}` } : {}),
+    ...(schedule ? { schedule: JSON.stringify(schedule) } : {})
+  };
+};
+
+export const toKml = (fences) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '<Document>',
+  '<name>Geofences</name>',
+  ...Object.entries(KML_COLORS).map(([type, hex]) => (
+    `<Style id="${type}"><LineStyle><color>${toKmlColor(hex, 'ff')}</color><width>2</width></LineStyle>` +
+    `<PolyStyle><color>${toKmlColor(hex, '40')}</color></PolyStyle></Style>`
+  )),
+  ...fences.map(fence => [
+    '<Placemark>',
+    `<name>${escapeXml(fence.name)}</name>`,
+    fence.description ? `<description>${escapeXml(fence.description)}</description>` : '',
+    `<styleUrl>#${escapeXml(fence.type)}</styleUrl>`,
+    '<ExtendedData>',
+    ...Object.entries(exportExtendedFields(fence)).map(([key, value]) => (
+      `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`
+    )),
+    '</ExtendedData>',
+    kmlGeometry(fence),
+    '</Placemark>'
+  ].join('')),
+  '</Document>',
+  '</kml>'
+].join('\n');
+
+const gpxExtensions = (fence) => `<extensions>${Object.entries(exportExtendedFields(fence))
+  .map(([key, value]) => `<geofence:${key}>${escapeXml(value)}</geofence:${key}>`)
+  .join('')}</extensions>`;
+
+const gpxHeader = (fence) => [
+  `<name>${escapeXml(fence.name)}</name>`,
+  fence.description ? `<desc>${escapeXml(fence.description)}</desc>` : '',
+  `<type>${escapeXml(fence.type)}</type>`,
+  gpxExtensions(fence)
+].join('');
+
+const gpxTrackPoints = (positions) => positions.map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"/>`).join('');
+
+// GPX has no areas: circles become waypoints and polygon outlines closed
+// tracks, one segment per part (holes are left out)
+const gpxFeature = (fence) => {
+  switch (fence.shape) {
+    case GEOFENCE_SHAPES.CIRCLE:
+      return `<wpt lat="${fence.center.lat}" lon="${fence.center.lng}">${gpxHeader(fence)}</wpt>`;
+    case GEOFENCE_SHAPES.CORRIDOR:
+      return `<trk>${gpxHeader(fence)}<trkseg>${gpxTrackPoints(fence.geometry.coordinates)}</trkseg></trk>`;
+    default: {
+      const polygons = fence.geometry.type === 'MultiPolygon' ? fence.geometry.coordinates : [fence.geometry.coordinates];
+      return `<trk>${gpxHeader(fence)}${polygons.map(([outer]) => `<trkseg>${gpxTrackPoints(outer)}</trkseg>`).join('')}</trk>`;
+    }
+  }
+};
+
+export const toGpx = (fences) => {
+  // Waypoints must come before tracks
+  const sorted = [...fences].sort((a, b) => (
+    (b.shape === GEOFENCE_SHAPES.CIRCLE) - (a.shape === GEOFENCE_SHAPES.CIRCLE)
+  ));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Geofence export" xmlns="http://www.topografix.com/GPX/1/1" xmlns:geofence="urn:geofence">',
+    ...sorted.map(gpxFeature),
+    '</gpx>'
+  ].join('\n');
+};
+
+export const serializeGeofences = (fences, format) => {
+  const writers = { geojson: toGeoJson, kml: toKml, gpx: toGpx };
+  return writers[format](fences);
+};
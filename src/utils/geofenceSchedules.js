@@ -0,0 +1,156 @@
+// Geofence schedules. A fence without a schedule is in force all the time;
+// a scheduled fence only applies while every rule it sets matches:
+// - timeWindows: daily windows such as 19:00-06:00 (may run past midnight)
+// - daysOfWeek: 0 (Sunday) to 6
+// - months: 1 to 12, repeating every year (monsoon, tourist season)
+// - dateRanges: one-off periods such as festival days, inclusive
+// Rules are read in the fence's timeZone (IST unless the fence names another),
+// not the operator's, so every console agrees on when a fence is in force.
+
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const DEFAULT_SCHEDULE_TIME_ZONE = 'Asia/Kolkata';
+
+export const EMPTY_SCHEDULE = { timeWindows: [], daysOfWeek: [], months: [], dateRanges: [] };
+
+export const SCHEDULE_PRESETS = [
+  { id: 'night', label: '🌙 Night', schedule: { ...EMPTY_SCHEDULE, timeWindows: [{ start: '19:00', end: '06:00' }] } },
+  { id: 'monsoon', label: '🌧️ Monsoon', schedule: { ...EMPTY_SCHEDULE, months: [6, 7, 8, 9] } },
+  { id: 'weekends', label: '📅 Weekends', schedule: { ...EMPTY_SCHEDULE, daysOfWeek: [0, 6] } }
+];
+
+const isTime = (value) => /^\d{2}:\d{2}$/.test(value || '');
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+const zoneFormats = new Map(); // timeZone -> Intl.DateTimeFormat, or null when unknown
+
+const getZoneFormat = (timeZone) => {
+  if (!zoneFormats.has(timeZone)) {
+    try {
+      zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      }));
+    } catch {
+      zoneFormats.set(timeZone, null);
+    }
+  }
+  return zoneFormats.get(timeZone);
+};
+
+// null when the fence is always in force
+export const normalizeSchedule = (raw) => {
+  if (!raw) return null;
+  const rules = {
+    timeWindows: (raw.timeWindows || []).filter(w => isTime(w.start) && isTime(w.end)),
+    daysOfWeek: (raw.daysOfWeek || []).filter(day => day >= 0 && day <= 6),
+    months: (raw.months || []).filter(month => month >= 1 && month <= 12),
+    dateRanges: (raw.dateRanges || []).filter(range => isDate(range.from) && isDate(range.to))
+  };
+  if (!Object.values(rules).some(list => list.length > 0)) return null;
+  const timeZone = raw.timeZone && getZoneFormat(raw.timeZone) ? raw.timeZone : DEFAULT_SCHEDULE_TIME_ZONE;
+  return { ...rules, timeZone };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const toDateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Value for <input type="datetime-local">, in local time
+export const toDateTimeInputValue = (date) => (
+  `${toDateKey(date)}T${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+);
+
+// Calendar day from year, month (1-12) and day, which may run over into the
+// next or previous month
+const toCalendarDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return { key: date.toISOString().slice(0, 10), dayOfWeek: date.getUTCDay(), month: date.getUTCMonth() + 1 };
+};
+
+// Wall clock of an instant in a time zone
+const getZonedTime = (date, timeZone) => {
+  const format = getZoneFormat(timeZone) || getZoneFormat(DEFAULT_SCHEDULE_TIME_ZONE);
+  const parts = Object.fromEntries(format.formatToParts(date).map(part => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, minutes: parts.hour * 60 + parts.minute };
+};
+
+const matchesCalendar = (schedule, day) => {
+  if (schedule.daysOfWeek.length > 0 && !schedule.daysOfWeek.includes(day.dayOfWeek)) return false;
+  if (schedule.months.length > 0 && !schedule.months.includes(day.month)) return false;
+  if (schedule.dateRanges.length > 0) {
+    return schedule.dateRanges.some(range => range.from <= day.key && day.key <= range.to);
+  }
+  return true;
+};
+
+export const isScheduleActive = (schedule, date = new Date()) => {
+  if (!schedule) return true;
+  const { year, month, day, minutes } = getZonedTime(date, schedule.timeZone || DEFAULT_SCHEDULE_TIME_ZONE);
+  const today = toCalendarDay(year, month, day);
+  if (schedule.timeWindows.length === 0) return matchesCalendar(schedule, today);
+
+  // The part of an overnight window after midnight belongs to the day it started
+  const yesterday = toCalendarDay(year, month, day - 1);
+  return schedule.timeWindows.some(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) return minutes >= start && minutes < end && matchesCalendar(schedule, today);
+    if (minutes >= start) return matchesCalendar(schedule, today);
+    return minutes < end && matchesCalendar(schedule, yesterday);
+  });
+};
+
+// Switched on and inside its schedule
+export const isGeofenceInForce = (fence, date = new Date()) => (
+  fence.isActive !== false && isScheduleActive(fence.schedule, date)
+);
+
+// Collapse consecutive numbers into ranges: [6, 7, 8, 9, 12] -> Jun–Sep, Dec
+const describeList = (values, labelOf) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const runs = [];
+  sorted.forEach(value => {
+    const run = runs[runs.length - 1];
+    if (run && value === run[1] + 1) run[1] = value;
+    else runs.push([value, value]);
+  });
+  return runs.map(([from, to]) => {
+    if (from === to) return labelOf(from);
+    if (to === from + 1) return `${labelOf(from)}, ${labelOf(to)}`;
+    return `${labelOf(from)}–${labelOf(to)}`;
+  }).join(', ');
+};
+
+const formatDay = (key) => new Date(`${key}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+// One-line summary for lists, badges and diffs
+export const describeSchedule = (schedule) => {
+  if (!schedule) return 'Always';
+  const parts = [];
+  if (schedule.timeWindows.length > 0) {
+    parts.push(schedule.timeWindows.map(window => `${window.start}–${window.end}`).join(', '));
+  }
+  if (schedule.daysOfWeek.length > 0) parts.push(describeList(schedule.daysOfWeek, day => DAY_LABELS[day]));
+  if (schedule.months.length > 0) parts.push(describeList(schedule.months, month => MONTH_LABELS[month - 1]));
+  if (schedule.dateRanges.length > 0) {
+    parts.push(schedule.dateRanges.map(range => (
+      `${range.label ? `${range.label} ` : ''}${range.from === range.to ? formatDay(range.from) : `${formatDay(range.from)}–${formatDay(range.to)}`}`
+    )).join(', '));
+  }
+  if (schedule.timeZone && schedule.timeZone !== DEFAULT_SCHEDULE_TIME_ZONE) parts.push(schedule.timeZone);
+  return parts.join(' • ');
+};
@@ -0,0 +1,233 @@
+// Geofence shapes. Fences carry GeoJSON geometry in one of three forms:
+// - circle: Point + radius (metres), the original shape
+// - polygon: Polygon or MultiPolygon, for irregular zones such as forest
+//   reserves or border areas
+// - corridor: LineString + bufferMeters, a band either side of a route such
+//   as a trekking trail
+// Everything is reduced to polygons (rings of [lng, lat]) for rendering.
+import { distanceMeters } from './geo';
+
+export const GEOFENCE_SHAPES = {
+  CIRCLE: 'circle',
+  POLYGON: 'polygon',
+  CORRIDOR: 'corridor'
+};
+
+export const GEOFENCE_SHAPE_LABELS = {
+  circle: '⭕ Circle',
+  polygon: '⬠ Polygon',
+  corridor: '〰️ Corridor'
+};
+
+export const DEFAULT_CORRIDOR_BUFFER = 100;
+
+const METERS_PER_DEGREE = 111320;
+const CIRCLE_POINTS = 64;
+
+// Equirectangular projection around a reference latitude. Accurate enough at
+// geofence scale (a few km) and keeps the buffer and area maths planar.
+const makeProjection = (refLat) => {
+  const metersPerLng = METERS_PER_DEGREE * Math.cos(refLat * Math.PI / 180);
+  return {
+    toXY: ([lng, lat]) => [lng * metersPerLng, lat * METERS_PER_DEGREE],
+    toLngLat: ([x, y]) => [x / metersPerLng, y / METERS_PER_DEGREE]
+  };
+};
+
+export const getGeofenceShape = (fence) => {
+  if (fence.shape) return fence.shape;
+  switch (fence.geometry?.type) {
+    case 'Polygon':
+    case 'MultiPolygon':
+      return GEOFENCE_SHAPES.POLYGON;
+    case 'LineString':
+      return GEOFENCE_SHAPES.CORRIDOR;
+    default:
+      return GEOFENCE_SHAPES.CIRCLE;
+  }
+};
+
+export const closeRing = (ring) => {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+export const circleToRing = ({ lat, lng }, radius, points = CIRCLE_POINTS) => {
+  const { toXY, toLngLat } = makeProjection(lat);
+  const [cx, cy] = toXY([lng, lat]);
+  return Array.from({ length: points + 1 }, (_, i) => {
+    const angle = ((i % points) / points) * 2 * Math.PI;
+    return toLngLat([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+  });
+};
+
+// Points on an arc around `center` from angle `from`, turning by `sweep` radians
+const arcPoints = ([cx, cy], radius, from, sweep, stepsPerHalfTurn) => {
+  const steps = Math.max(1, Math.ceil(Math.abs(sweep) / Math.PI * stepsPerHalfTurn));
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const angle = from + sweep * (i / steps);
+    return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+  });
+};
+
+// Outline of the band `buffer` metres either side of a polyline, with round
+// caps and round joins on the outside of bends. Walks down the left side,
+// round the far end and back up the right side.
+export const bufferLine = (line, buffer, stepsPerHalfTurn = 8) => {
+  if (line.length === 0) return [];
+  if (line.length === 1) return circleToRing({ lng: line[0][0], lat: line[0][1] }, buffer);
+
+  const { toXY, toLngLat } = makeProjection(line[0][1]);
+  const points = line.map(toXY);
+  // Unit normal pointing to the left of each segment
+  const normals = points.slice(1).map(([x, y], i) => {
+    const dx = x - points[i][0];
+    const dy = y - points[i][1];
+    const length = Math.hypot(dx, dy) || 1;
+    return [-dy / length, dx / length];
+  });
+  const angleOf = ([x, y]) => Math.atan2(y, x);
+  const offset = ([x, y], [nx, ny], distance) => [x + nx * distance, y + ny * distance];
+
+  // sign 1 walks the left side, -1 the right side, both from start to end
+  const side = (sign) => points.flatMap((point, i) => {
+    const before = normals[i - 1];
+    const after = normals[i];
+    if (!before) return [offset(point, after, sign * buffer)];
+    if (!after) return [offset(point, before, sign * buffer)];
+
+    const turn = before[0] * after[1] - before[1] * after[0]; // > 0 turns left
+    if (turn * sign < 0) {
+      // Outside of the bend: round join
+      let sweep = angleOf(after) - angleOf(before);
+      if (sweep > Math.PI) sweep -= 2 * Math.PI;
+      if (sweep < -Math.PI) sweep += 2 * Math.PI;
+      const start = angleOf([before[0] * sign, before[1] * sign]);
+      return arcPoints(point, buffer, start, sweep, stepsPerHalfTurn);
+    }
+    // Inside of the bend: mitre point, limited so hairpins don't spike
+    const bisector = [before[0] + after[0], before[1] + after[1]];
+    const length = Math.hypot(...bisector);
+    if (length < 1e-9) return [offset(point, before, sign * buffer)];
+    const unit = [bisector[0] / length, bisector[1] / length];
+    const cosHalf = Math.max(unit[0] * before[0] + unit[1] * before[1], 0.25);
+    return [offset(point, unit, sign * buffer / cosHalf)];
+  });
+
+  const last = points.length - 1;
+  const endNormal = normals[normals.length - 1];
+  const startNormal = normals[0];
+  const ring = [
+    ...side(1),
+    ...arcPoints(points[last], buffer, angleOf(endNormal), -Math.PI, stepsPerHalfTurn).slice(1, -1),
+    ...side(-1).reverse(),
+    ...arcPoints(points[0], buffer, angleOf(startNormal) + Math.PI, -Math.PI, stepsPerHalfTurn).slice(1, -1)
+  ];
+  return closeRing(ring.map(toLngLat));
+};
+
+// Every fence as a list of polygons, each [outerRing, ...holes] of [lng, lat]
+export const getGeofencePolygons = (fence) => {
+  const geometry = fence.geometry;
+  switch (getGeofenceShape(fence)) {
+    case GEOFENCE_SHAPES.POLYGON:
+      if (geometry?.type === 'MultiPolygon') return geometry.coordinates || [];
+      return geometry?.coordinates ? [geometry.coordinates] : [];
+    case GEOFENCE_SHAPES.CORRIDOR:
+      return geometry?.coordinates?.length ? [[bufferLine(geometry.coordinates, fence.bufferMeters || DEFAULT_CORRIDOR_BUFFER)]] : [];
+    default:
+      return fence.center ? [[circleToRing(fence.center, fence.radius)]] : [];
+  }
+};
+
+// [west, south, east, north], or null for a fence without geometry
+export const getGeofenceBounds = (fence) => {
+  const positions = getGeofencePolygons(fence).flat(2);
+  if (positions.length === 0) return null;
+  return positions.reduce(([west, south, east, north], [lng, lat]) => [
+    Math.min(west, lng), Math.min(south, lat), Math.max(east, lng), Math.max(north, lat)
+  ], [Infinity, Infinity, -Infinity, -Infinity]);
+};
+
+export const getGeofenceCenter = (fence) => {
+  const bounds = getGeofenceBounds(fence);
+  return bounds ? { lng: (bounds[0] + bounds[2]) / 2, lat: (bounds[1] + bounds[3]) / 2 } : null;
+};
+
+// Ray casting in degrees; fine at geofence scale
+const isPointInRing = ([x, y], ring) => ring.reduce((inside, [x1, y1], i) => {
+  const [x2, y2] = ring[(i + 1) % ring.length];
+  const crosses = (y1 > y) !== (y2 > y) && x < ((x2 - x1) * (y - y1)) / (y2 - y1) + x1;
+  return crosses ? !inside : inside;
+}, false);
+
+// polygons as returned by getGeofencePolygons; point as [lng, lat]
+export const isPointInPolygons = (polygons, point) => polygons.some(([outer, ...holes]) => (
+  isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole))
+));
+
+const boundsIntersect = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+const segmentsCross = ([ax, ay], [bx, by], [cx, cy], [dx, dy]) => {
+  const side = (px, py, qx, qy, rx, ry) => Math.sign((qx - px) * (ry - py) - (qy - py) * (rx - px));
+  return side(ax, ay, bx, by, cx, cy) !== side(ax, ay, bx, by, dx, dy) &&
+    side(cx, cy, dx, dy, ax, ay) !== side(cx, cy, dx, dy, bx, by);
+};
+
+const edgesOf = (polygons) => polygons.flatMap(rings => rings.flatMap(ring => (
+  ring.slice(1).map((point, i) => [ring[i], point])
+)));
+
+// True when two fences share any ground
+export const geofencesOverlap = (a, b) => {
+  const boundsA = getGeofenceBounds(a);
+  const boundsB = getGeofenceBounds(b);
+  if (!boundsA || !boundsB || !boundsIntersect(boundsA, boundsB)) return false;
+
+  const polygonsA = getGeofencePolygons(a);
+  const polygonsB = getGeofencePolygons(b);
+  if (polygonsA.some(([outer]) => isPointInPolygons(polygonsB, outer[0]))) return true;
+  if (polygonsB.some(([outer]) => isPointInPolygons(polygonsA, outer[0]))) return true;
+
+  const edgesB = edgesOf(polygonsB);
+  return edgesOf(polygonsA).some(([p1, p2]) => edgesB.some(([q1, q2]) => segmentsCross(p1, p2, q1, q2)));
+};
+
+const ringArea = (ring) => {
+  const { toXY } = makeProjection(ring[0][1]);
+  const points = ring.map(toXY);
+  const twiceArea = points.reduce((sum, [x, y], i) => {
+    const [nextX, nextY] = points[(i + 1) % points.length];
+    return sum + x * nextY - nextX * y;
+  }, 0);
+  return Math.abs(twiceArea) / 2;
+};
+
+export const getGeofenceArea = (fence) => getGeofencePolygons(fence).reduce((total, [outer, ...holes]) => (
+  total + ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0)
+), 0);
+
+export const getLineLength = (line) => line.slice(1).reduce((total, [lng, lat], i) => (
+  total + distanceMeters({ lng: line[i][0], lat: line[i][1] }, { lng, lat })
+), 0);
+
+const formatMeters = (meters) => (meters >= 1000 ? `${(meters / 1000).toFixed(1)}km` : `${Math.round(meters)}m`);
+
+const formatArea = (squareMeters) => (
+  squareMeters >= 100000 ? `${(squareMeters / 1000000).toFixed(2)} km²` : `${Math.round(squareMeters)} m²`
+);
+
+// Short size summary for lists and badges
+export const formatGeofenceSize = (fence) => {
+  switch (getGeofenceShape(fence)) {
+    case GEOFENCE_SHAPES.POLYGON: {
+      const parts = getGeofencePolygons(fence).length;
+      return `${formatArea(getGeofenceArea(fence))}${parts > 1 ? ` • ${parts} parts` : ''}`;
+    }
+    case GEOFENCE_SHAPES.CORRIDOR:
+      return `${formatMeters(getLineLength(fence.geometry?.coordinates || []))} × ${formatMeters(2 * (fence.bufferMeters || DEFAULT_CORRIDOR_BUFFER))}`;
+    default:
+      return formatMeters(fence.radius);
+  }
+};
@@ -0,0 +1,115 @@
+// Time windows for the crowd heatmap: a date range, an hour-of-day window
+// inside each day and what the heat is weighted by. Dates are local calendar
+// days as 'YYYY-MM-DD'; hours are local, start inclusive and end exclusive.
+import { toDateKey } from './geofenceSchedules';
+
+export const HEATMAP_WEIGHTS = [
+  { id: 'tourists', label: 'Tourist count', legend: 'Tourists present' },
+  { id: 'alerts', label: 'Alert count', legend: 'Alerts raised' }
+];
+
+export const DEFAULT_HEATMAP_DAYS = 7;
+
+// Animating across more days than this would mean a request per frame for
+// months; planners narrow the range first
+export const MAX_ANIMATION_DAYS = 62;
+
+// Real seconds each day stays on screen while animating
+export const ANIMATION_FRAME_MS = 1500;
+
+const toDay = (key) => new Date(`${key}T00:00`);
+
+const addDays = (key, days) => {
+  const date = toDay(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+export const getDefaultHeatmapFilters = (now = new Date()) => ({
+  from: addDays(toDateKey(now), 1 - DEFAULT_HEATMAP_DAYS),
+  to: toDateKey(now),
+  startHour: 0,
+  endHour: 24,
+  weight: 'tourists'
+});
+
+export const isValidHeatmapRange = ({ from, to }) => (
+  Boolean(from && to) && Number.isFinite(toDay(from).getTime()) && toDay(from) <= toDay(to)
+);
+
+// Calendar days from..to inclusive
+export const getHeatmapDays = ({ from, to }) => {
+  if (!isValidHeatmapRange({ from, to })) return [];
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+// The same number of days ending the day before the given range, as the
+// default period to compare against
+export const getPreviousPeriod = ({ from, to }) => {
+  const length = Math.max(1, getHeatmapDays({ from, to }).length);
+  return { from: addDays(from, -length), to: addDays(from, -1) };
+};
+
+export const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+export const isAllDay = ({ startHour, endHour }) => startHour === 0 && endHour === 24;
+
+export const formatHourWindow = (filters) => (
+  isAllDay(filters) ? 'All day' : `${formatHour(filters.startHour)}–${formatHour(filters.endHour)}`
+);
+
+export const formatDay = (key) => toDay(key).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+
+export const formatPeriod = ({ from, to }) => (from === to ? formatDay(from) : `${formatDay(from)} – ${formatDay(to)}`);
+
+// Query parameters for the heatmap endpoint. `day` narrows the range to one
+// of its days (an animation frame). utcOffset (minutes east of UTC) tells the
+// backend which local day the hour window applies to.
+export const toHeatmapParams = ({ from, to, startHour, endHour, weight }, day = null) => {
+  const params = {
+    startDate: toDay(day || from).toISOString(),
+    endDate: toDay(addDays(day || to, 1)).toISOString(),
+    weight
+  };
+  if (!isAllDay({ startHour, endHour })) {
+    params.startHour = startHour;
+    params.endHour = endHour;
+    params.utcOffset = -new Date().getTimezoneOffset();
+  }
+  return params;
+};
+
+// Points of two periods rescaled to one shared 0-1 scale, so the same colour
+// means the same crowd on both sides. Needs the raw counts; without them each
+// side keeps its own intensity and there are no totals to compare.
+export const toSharedScale = (first, second) => {
+  const points = [...first, ...second];
+  if (!points.every(point => point.count !== null)) return { first, second, totals: null };
+
+  const max = points.reduce((highest, point) => Math.max(highest, point.count), 1);
+  const total = (side) => side.reduce((sum, point) => sum + point.count, 0);
+  const rescale = (side) => side.map(point => ({ ...point, intensity: point.count / max }));
+  return { first: rescale(first), second: rescale(second), totals: [total(first), total(second)] };
+};
+
+// Percentage change from one total to another, or null when it isn't defined
+export const getChangePercent = (before, after) => (before > 0 ? ((after - before) / before) * 100 : null);
+
+// Colour ramp shared by the map layer and the legends
+export const HEATMAP_GRADIENT = [
+  [0.2, 'royalblue'],
+  [0.4, 'cyan'],
+  [0.6, 'lime'],
+  [0.8, 'yellow'],
+  [1, 'red']
+];
+
+export const HEATMAP_LAYER_OPTIONS = {
+  radius: 20,
+  opacity: 0.8,
+  intensity: 1,
+  weight: ['get', 'intensity'],
+  color: ['interpolate', ['linear'], ['heatmap-density'], 0, 'rgba(0,0,255,0)', ...HEATMAP_GRADIENT.flat()]
+};
@@ -0,0 +1,99 @@
+// Location history playback: turns raw history entries into a time-ordered
+// track and works out where the tourist was at any moment between samples.
+import { normalizeCoordinates } from './normalizers';
+import { distanceMeters } from './geo';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// hours: null means a custom from/to range
+export const PLAYBACK_RANGES = [
+  { id: '6h', label: 'Last 6 hours', hours: 6 },
+  { id: '24h', label: 'Last 24 hours', hours: 24 },
+  { id: '3d', label: 'Last 3 days', hours: 72 },
+  { id: '7d', label: 'Last 7 days', hours: 168 },
+  { id: '30d', label: 'Last 30 days', hours: 720 },
+  { id: 'custom', label: 'Custom range', hours: null }
+];
+
+// Seconds of history played per real second
+export const PLAYBACK_SPEEDS = [1, 10, 60, 300, 1800, 3600];
+
+export const DEFAULT_PLAYBACK_SPEED = 300;
+
+export const formatPlaybackSpeed = (speed) => {
+  if (speed >= 3600) return `${speed / 3600} h/s`;
+  return speed >= 60 ? `${speed / 60} min/s` : `${speed}×`;
+};
+
+export const getRangeBounds = (range, custom, now = Date.now()) => {
+  if (range.hours !== null) return { from: now - range.hours * HOUR_MS, to: now };
+  return { from: new Date(custom.from).getTime(), to: new Date(custom.to).getTime() };
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || !Number.isFinite(number) ? null : number;
+};
+
+// History entries as time-ordered samples. Speed is taken from the device
+// when it reports one, otherwise derived from the distance to the previous
+// sample (and flagged so the panel can say so).
+export const toPlaybackTrack = (locations) => {
+  const samples = locations
+    .map(location => {
+      const coordinates = normalizeCoordinates(location);
+      const at = new Date(location.timestamp || location.createdAt).getTime();
+      if (!coordinates || !Number.isFinite(at)) return null;
+      return {
+        ...coordinates,
+        at,
+        speed: toNumber(location.speed),
+        speedDerived: false,
+        heading: toNumber(location.heading),
+        accuracy: toNumber(location.accuracy),
+        altitude: toNumber(location.altitude),
+        batteryLevel: toNumber(location.batteryLevel ?? location.battery)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.at - b.at);
+
+  return samples.map((sample, i) => {
+    if (sample.speed !== null || i === 0) return sample;
+    const previous = samples[i - 1];
+    const seconds = (sample.at - previous.at) / 1000;
+    return seconds > 0
+      ? { ...sample, speed: distanceMeters(previous, sample) / seconds, speedDerived: true }
+      : sample;
+  });
+};
+
+// Index of the last sample at or before time (0 before the first one)
+export const findSampleIndex = (track, time) => {
+  let low = 0;
+  let high = track.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (track[mid].at <= time) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// Where the tourist was at time, interpolated between the surrounding samples.
+// Returns { lat, lng, index } where index is the sample whose readings apply.
+export const getPlaybackPosition = (track, time) => {
+  const index = findSampleIndex(track, time);
+  const sample = track[index];
+  const next = track[index + 1];
+  if (!next || time <= sample.at) return { lat: sample.lat, lng: sample.lng, index };
+
+  const t = (time - sample.at) / (next.at - sample.at);
+  return {
+    lat: sample.lat + (next.lat - sample.lat) * t,
+    lng: sample.lng + (next.lng - sample.lng) * t,
+    index
+  };
+};
+
+export const formatSpeed = (metersPerSecond) => `${(metersPerSecond * 3.6).toFixed(1)} km/h`;
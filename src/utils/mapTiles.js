@@ -0,0 +1,131 @@
+// Web Mercator tiles used to load map data for the area on screen. Tiles are
+// a few zoom levels coarser than the camera so a viewport needs only a
+// handful, and a fixed grid means panning back reuses tiles already loaded.
+
+// Extra area loaded around the viewport, as a share of its size per side
+export const VIEWPORT_MARGIN = 0.25;
+
+// Tiles are this many zoom levels coarser than the camera
+const TILE_ZOOM_OFFSET = 2;
+const MIN_TILE_ZOOM = 4;
+const MAX_TILE_ZOOM = 14;
+
+// A viewport never needs more tiles than this; the tile zoom drops until it fits
+export const MAX_VIEWPORT_TILES = 16;
+
+// Tiles per area passed to getAreaTiles (one geofence), and for all of them
+// together; past the total, the finest tiles are swapped for their parents
+const MAX_AREA_TILES = 4;
+const MAX_AREA_TILES_TOTAL = 48;
+
+const MAX_LATITUDE = 85.0511;
+
+const clampLat = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+
+const latToTileY = (lat, zoom) => {
+  const radians = clampLat(lat) * Math.PI / 180;
+  return Math.floor(((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+const tileXToLng = (x, zoom) => (x / 2 ** zoom) * 360 - 180;
+
+const tileYToLat = (y, zoom) => {
+  const n = Math.PI - (2 * Math.PI * y) / 2 ** zoom;
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+};
+
+// [west, south, east, north] of one tile
+export const getTileBounds = (x, y, zoom) => [
+  tileXToLng(x, zoom),
+  tileYToLat(y + 1, zoom),
+  tileXToLng(x + 1, zoom),
+  tileYToLat(y, zoom)
+];
+
+const getTileRange = ([west, south, east, north], zoom) => {
+  const max = 2 ** zoom - 1;
+  const clamp = (value) => Math.max(0, Math.min(max, value));
+  return {
+    minX: clamp(lngToTileX(west, zoom)),
+    maxX: clamp(lngToTileX(east, zoom)),
+    minY: clamp(latToTileY(north, zoom)),
+    maxY: clamp(latToTileY(south, zoom))
+  };
+};
+
+const addMargin = ([west, south, east, north]) => {
+  const dx = (east - west) * VIEWPORT_MARGIN;
+  const dy = (north - south) * VIEWPORT_MARGIN;
+  return [Math.max(-180, west - dx), clampLat(south - dy), Math.min(180, east + dx), clampLat(north + dy)];
+};
+
+const toTile = ({ zoom, x, y }) => ({ key: `${zoom}/${x}/${y}`, bbox: getTileBounds(x, y, zoom) });
+
+const cellKey = ({ zoom, x, y }) => `${zoom}/${x}/${y}`;
+
+const parentOf = ({ zoom, x, y }) => ({ zoom: zoom - 1, x: Math.floor(x / 2), y: Math.floor(y / 2) });
+
+// Cells without repeats or any that a coarser cell in the list already covers
+const dropCovered = (cells) => {
+  const keys = new Set(cells.map(cellKey));
+  const seen = new Set();
+  return cells.filter(cell => {
+    const key = cellKey(cell);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    for (let parent = parentOf(cell); parent.zoom >= 0; parent = parentOf(parent)) {
+      if (keys.has(cellKey(parent))) return false;
+    }
+    return true;
+  });
+};
+
+// Tile cells ({ zoom, x, y }) covering bounds at zoom, or coarser until there
+// are at most maxTiles
+const coverBounds = (bounds, startZoom, maxTiles) => {
+  let zoom = startZoom;
+  let range = getTileRange(bounds, zoom);
+  const count = ({ minX, maxX, minY, maxY }) => (maxX - minX + 1) * (maxY - minY + 1);
+  while (zoom > 0 && count(range) > maxTiles) {
+    zoom -= 1;
+    range = getTileRange(bounds, zoom);
+  }
+
+  const cells = [];
+  for (let x = range.minX; x <= range.maxX; x += 1) {
+    for (let y = range.minY; y <= range.maxY; y += 1) {
+      cells.push({ zoom, x, y });
+    }
+  }
+  return cells;
+};
+
+// Tiles covering the viewport bounds plus VIEWPORT_MARGIN, as
+// [{ key: 'z/x/y', bbox: [west, south, east, north] }]
+export const getViewportTiles = (bounds, cameraZoom) => coverBounds(
+  addMargin(bounds),
+  Math.max(MIN_TILE_ZOOM, Math.min(MAX_TILE_ZOOM, Math.floor(cameraZoom) - TILE_ZOOM_OFFSET)),
+  MAX_VIEWPORT_TILES
+).map(toTile);
+
+// Tiles covering each of the areas (e.g. geofence bounds) plus
+// VIEWPORT_MARGIN, each at the finest zoom that takes at most MAX_AREA_TILES.
+// Many areas spread over a state are coarsened until they fit in
+// MAX_AREA_TILES_TOTAL, so watching them stays a bounded number of requests.
+export const getAreaTiles = (areas) => {
+  let cells = dropCovered(areas.flatMap(bounds => coverBounds(addMargin(bounds), MAX_TILE_ZOOM, MAX_AREA_TILES)));
+  while (cells.length > MAX_AREA_TILES_TOTAL) {
+    const finest = Math.max(...cells.map(cell => cell.zoom));
+    if (finest === 0) break;
+    cells = dropCovered(cells.map(cell => (cell.zoom === finest ? parentOf(cell) : cell)));
+  }
+  return cells.map(toTile);
+};
+
+// bbox as the "west,south,east,north" query parameter the API expects
+export const formatBbox = (bbox) => bbox.map(value => value.toFixed(6)).join(',');
+
+// Whether two tile lists cover the same tiles in the same order
+export const isSameTiles = (a, b) => a.length === b.length && a.every((tile, i) => tile.key === b[i].key);
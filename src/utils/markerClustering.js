@@ -0,0 +1,44 @@
+// How the map draws tourists. HTML markers (photo, status dot, accuracy ring)
+// are heavy DOM nodes, so they are only used zoomed in and for the tourists
+// in view; otherwise tourists are points on a clustered WebGL layer, which
+// copes with thousands of them.
+
+// Zoomed out further than this, tourists are drawn on the layer
+export const HTML_MARKER_MIN_ZOOM = 13;
+
+// More tourists than this in view (a crowded festival ground) stay on the
+// layer even when zoomed in
+export const HTML_MARKER_LIMIT = 200;
+
+// Pixel radius points are gathered into a cluster within, and the zoom past
+// which every point is drawn on its own
+export const CLUSTER_RADIUS = 45;
+export const CLUSTER_MAX_ZOOM = 16;
+
+// Statuses that colour a cluster as needing a look
+export const ATTENTION_STATUSES = ['warning', 'danger', 'emergency'];
+
+// Share of the viewport added on each side so markers don't pop in at the
+// edges while panning
+const BOUNDS_PADDING = 0.1;
+
+// bounds as [west, south, east, north]
+export const padBounds = ([west, south, east, north], padding = BOUNDS_PADDING) => {
+  const dx = (east - west) * padding;
+  const dy = (north - south) * padding;
+  return [west - dx, south - dy, east + dx, north + dy];
+};
+
+export const isInBounds = ({ lat, lng }, [west, south, east, north]) => (
+  lat >= south && lat <= north && lng >= west && lng <= east
+);
+
+export const getTouristsInView = (tourists, bounds) => {
+  if (!bounds) return [];
+  const padded = padBounds(bounds);
+  return tourists.filter(tourist => isInBounds(tourist, padded));
+};
+
+export const shouldUseHtmlMarkers = (zoom, visibleCount) => (
+  zoom !== null && zoom !== undefined && zoom >= HTML_MARKER_MIN_ZOOM && visibleCount <= HTML_MARKER_LIMIT
+);
@@ -0,0 +1,229 @@
+// Normalizers for backend payloads. The API is inconsistent about ids
+// (_id / id / alertId / fenceId) and coordinates (GeoJSON [lng, lat] arrays
+// vs latitude/longitude fields), so everything goes through here before it
+// reaches the data store.
+import { GEOFENCE_SHAPES, getGeofenceShape, getGeofenceCenter } from './geofenceShapes';
+import { normalizeSchedule } from './geofenceSchedules';
+
+// Returns { lat, lng } from any of the location shapes the API sends, or null
+export const normalizeCoordinates = (location) => {
+  if (!location) return null;
+
+  let lat, lng;
+  if (Array.isArray(location.coordinates) && location.coordinates.length >= 2) {
+    // GeoJSON format: [longitude, latitude]
+    [lng, lat] = location.coordinates;
+  } else if (location.latitude !== undefined && location.longitude !== undefined) {
+    lat = location.latitude;
+    lng = location.longitude;
+  } else if (location.lat !== undefined && location.lng !== undefined) {
+    lat = location.lat;
+    lng = location.lng;
+  } else {
+    return null;
+  }
+
+  lat = Number(lat);
+  lng = Number(lng);
+  if (!isFinite(lat) || !isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return { lat, lng };
+};
+
+export const getTouristId = (tourist) => tourist?._id || tourist?.id || null;
+
+export const getAlertId = (alert) => alert?.alertId || alert?.id || alert?._id || null;
+
+export const getGeofenceId = (fence) => fence?._id || fence?.fenceId || fence?.id || null;
+
+export const normalizeTourist = (raw) => {
+  const location = raw.currentLocation;
+  const coordinates = normalizeCoordinates(location);
+
+  return {
+    id: getTouristId(raw),
+    digitalId: raw.digitalId || null,
+    name: raw.name || 'Unknown Tourist',
+    email: raw.email || '',
+    phone: raw.phone || raw.phoneNumber || null,
+    nationality: raw.nationality || raw.country || null,
+    profilePhoto: raw.profilePhoto || null,
+    firebaseUid: raw.firebaseUid || null,
+    status: raw.status || 'safe',
+    createdAt: raw.createdAt || null,
+    lat: coordinates ? coordinates.lat : null,
+    lng: coordinates ? coordinates.lng : null,
+    lastSeenAt: location?.timestamp || null,
+    batteryLevel: location?.batteryLevel ?? null,
+    accuracy: location?.accuracy ?? null,
+    speed: location?.speed ?? null,
+    altitude: location?.altitude ?? null
+  };
+};
+
+export const hasLocation = (tourist) => tourist.lat !== null && tourist.lng !== null;
+
+// Partial updates (e.g. { alertId, status }) leave touristId undefined so the
+// store keeps the one it has
+export const normalizeAlert = (raw) => ({
+  ...raw,
+  id: getAlertId(raw),
+  touristId: raw.touristId || getTouristId(raw.tourist) || raw.userId || undefined
+});
+
+export const normalizeGeofence = (raw) => {
+  const fence = {
+    ...raw,
+    id: getGeofenceId(raw),
+    type: raw.type || 'safe',
+    shape: getGeofenceShape(raw),
+    // geometry.coordinates is the MongoDB GeoJSON Point; older records use center
+    center: normalizeCoordinates(raw.geometry) || normalizeCoordinates(raw.center),
+    radius: raw.radius || 500,
+    active: raw.isActive !== false,
+    schedule: normalizeSchedule(raw.schedule)
+  };
+
+  // Polygons and corridors are centred on their bounding box
+  if (fence.shape !== GEOFENCE_SHAPES.CIRCLE) fence.center = getGeofenceCenter(fence);
+  return fence;
+};
+
+export const normalizeSafetyScore = (raw) => {
+  const coordinates = normalizeCoordinates(raw.location) ||
+    normalizeCoordinates(raw.geometry) ||
+    normalizeCoordinates(raw);
+  if (!coordinates) return null;
+
+  return {
+    id: raw._id || raw.id || `${raw.name}-${coordinates.lat}-${coordinates.lng}`,
+    name: raw.name,
+    state: raw.state,
+    district: raw.district || '',
+    lat: coordinates.lat,
+    lng: coordinates.lng,
+    safetyScore: Number(raw.safetyScore ?? raw.safety?.score ?? 0) || 0,
+    riskLevel: raw.riskLevel || raw.safety?.riskLevel || 'Unknown',
+    crimeRate: raw.crimeRate
+  };
+};
+
+export const normalizeResponderUnit = (raw) => {
+  const coordinates = normalizeCoordinates(raw.location) || normalizeCoordinates(raw.currentLocation);
+
+  return {
+    id: raw._id || raw.id || raw.unitId || null,
+    name: raw.name || raw.callSign || 'Unnamed unit',
+    agency: raw.agency || '',
+    type: raw.type || 'other', // ambulance | police | fire | rescue | other
+    status: raw.status || 'available', // available | busy | offline
+    phone: raw.phone || null,
+    lat: coordinates ? coordinates.lat : null,
+    lng: coordinates ? coordinates.lng : null
+  };
+};
+
+// Route geometry arrives as a GeoJSON LineString or a bare [[lng, lat], ...] array
+const normalizeRoute = (route) => {
+  const coordinates = Array.isArray(route) ? route : route?.coordinates;
+  if (!Array.isArray(coordinates)) return undefined;
+  return coordinates
+    .map(point => normalizeCoordinates({ coordinates: point }))
+    .filter(Boolean);
+};
+
+// Fields the server leaves out of a partial update stay undefined, so the
+// store keeps what it already had instead of blanking the route or ETA
+export const normalizeDispatch = (raw) => {
+  let etaAt = raw.etaAt;
+  if (!etaAt && raw.etaSeconds !== undefined && raw.etaSeconds !== null) {
+    const from = raw.updatedAt ? new Date(raw.updatedAt).getTime() : Date.now();
+    etaAt = new Date(from + raw.etaSeconds * 1000).toISOString();
+  }
+
+  return {
+    id: raw._id || raw.id || raw.dispatchId || null,
+    alertId: raw.alertId || null,
+    unitId: raw.unitId || raw.unit?._id || raw.unit?.id || null,
+    unit: raw.unit ? normalizeResponderUnit(raw.unit) : undefined,
+    status: raw.status || 'assigned',
+    notes: raw.notes ?? undefined,
+    history: raw.history ?? undefined,
+    destination: normalizeCoordinates(raw.destination) || undefined,
+    unitLocation: normalizeCoordinates(raw.unitLocation) || undefined,
+    route: normalizeRoute(raw.route),
+    etaAt: etaAt || undefined,
+    distanceMeters: raw.distanceMeters ?? undefined,
+    dispatchedBy: raw.dispatchedBy ?? undefined,
+    createdAt: raw.createdAt || undefined,
+    updatedAt: raw.updatedAt || undefined
+  };
+};
+
+// Members may arrive as ids or as populated tourist documents
+export const normalizeGroup = (raw) => ({
+  id: raw._id || raw.id || raw.groupId || null,
+  name: raw.name || 'Unnamed group',
+  color: raw.color || null,
+  memberIds: (raw.memberIds || raw.members || [])
+    .map(member => (typeof member === 'object' ? getTouristId(member) : member))
+    .filter(Boolean),
+  maxSpreadMeters: Number(raw.maxSpreadMeters) || null,
+  notes: raw.notes || '',
+  createdAt: raw.createdAt || null
+});
+
+// Planned routes are keyed by tourist: each tourist has at most one
+export const normalizeRoutePlan = (raw) => {
+  const touristId = raw.touristId || getTouristId(raw.tourist) || null;
+  const graceMinutes = Number(raw.graceMinutes);
+  return {
+    id: touristId,
+    touristId,
+    name: raw.name || 'Planned route',
+    waypoints: (raw.waypoints || [])
+      .map(waypoint => {
+        const coordinates = normalizeCoordinates(waypoint.location || waypoint);
+        return coordinates && {
+          ...coordinates,
+          name: waypoint.name || waypoint.place || '',
+          expectedAt: waypoint.expectedAt || waypoint.expectedArrival || null
+        };
+      })
+      .filter(Boolean),
+    corridorMeters: Number(raw.corridorMeters) || null,
+    graceMinutes: raw.graceMinutes !== undefined && raw.graceMinutes !== null && Number.isFinite(graceMinutes) ? graceMinutes : null,
+    updatedAt: raw.updatedAt || null
+  };
+};
+
+const toPositiveNumber = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const toMinuteMap = (raw) => Object.fromEntries(
+  Object.entries(raw || {}).map(([key, value]) => [key, toPositiveNumber(value)]).filter(([, minutes]) => minutes !== null)
+);
+
+// Tracking config from the backend. Silence thresholds are in minutes: a
+// default, one per geofence type and overrides for individual geofences.
+// Anything missing is left null/empty so the portal's defaults apply.
+export const normalizeTrackingConfig = (raw = {}) => ({
+  silentAfterMinutes: toPositiveNumber(raw.silentAfterMinutes ?? raw.inactivityThresholdMinutes),
+  zoneThresholds: toMinuteMap(raw.zoneThresholds || raw.inactivityThresholds),
+  fenceThresholds: toMinuteMap(raw.geofenceThresholds || raw.fenceThresholds),
+  lowBatteryPercent: toPositiveNumber(raw.lowBatteryPercent)
+});
+
+// Entries from the backend's inactive users list
+export const normalizeInactiveUser = (raw) => {
+  const location = raw.currentLocation || raw.lastLocation || null;
+  return {
+    touristId: raw.touristId || getTouristId(raw.tourist) || getTouristId(raw),
+    lastSeenAt: raw.lastSeenAt || raw.lastActive || location?.timestamp || null,
+    batteryLevel: raw.batteryLevel ?? location?.batteryLevel ?? null,
+    location: normalizeCoordinates(location)
+  };
+};
@@ -0,0 +1,41 @@
+// Operator roles and what each of them may do in the portal.
+// The backend enforces the same rules; these checks keep the UI honest and
+// stop the API client from sending requests that would be rejected anyway.
+
+export const ROLES = {
+  VIEWER: 'viewer',
+  DISPATCHER: 'dispatcher',
+  ADMIN: 'admin'
+};
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  dispatcher: 'Dispatcher',
+  admin: 'Administrator'
+};
+
+export const PERMISSIONS = {
+  'alerts:acknowledge': [ROLES.DISPATCHER, ROLES.ADMIN],
+  'alerts:update': [ROLES.DISPATCHER, ROLES.ADMIN],
+  'alerts:dispatch': [ROLES.DISPATCHER, ROLES.ADMIN],
+  'alerts:delete': [ROLES.ADMIN],
+  'alerts:escalate': [ROLES.DISPATCHER, ROLES.ADMIN],
+  'alerts:raise': [ROLES.DISPATCHER, ROLES.ADMIN],
+  'geofences:edit': [ROLES.DISPATCHER, ROLES.ADMIN],
+  'geofences:delete': [ROLES.ADMIN],
+  'groups:edit': [ROLES.DISPATCHER, ROLES.ADMIN],
+  'routes:edit': [ROLES.DISPATCHER, ROLES.ADMIN],
+  'videos:delete': [ROLES.ADMIN],
+  'tracking:fake-location': [ROLES.ADMIN],
+  'audit:view': [ROLES.ADMIN],
+  'escalation:configure': [ROLES.ADMIN]
+};
+
+export const can = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    console.warn('Unknown permission:', permission);
+    return false;
+  }
+  return allowed.includes(role);
+};
@@ -0,0 +1,140 @@
+// Planned routes: an ordered list of stops with the time the tourist is
+// expected at each. Incoming locations are compared against the plan to
+// spot tourists who leave the route or fall behind schedule.
+import { distanceMeters } from './geo';
+import { normalizeCoordinates } from './normalizers';
+
+export const DEFAULT_ROUTE_CORRIDOR = 300;
+export const DEFAULT_ROUTE_GRACE_MINUTES = 15;
+
+// How close a location must come to a stop for it to count as reached
+export const WAYPOINT_ARRIVAL_RADIUS = 150;
+
+export const ROUTE_STATUS = {
+  NOT_STARTED: 'not_started',
+  ON_ROUTE: 'on_route',
+  OFF_ROUTE: 'off_route',
+  OVERDUE: 'overdue',
+  COMPLETED: 'completed'
+};
+
+export const ROUTE_STATUS_STYLES = {
+  not_started: { label: 'Not started', color: '#6b7280', background: '#f3f4f6' },
+  on_route: { label: 'On route', color: '#15803d', background: '#dcfce7' },
+  off_route: { label: 'Off route', color: '#dc2626', background: '#fee2e2' },
+  overdue: { label: 'Overdue', color: '#c2410c', background: '#ffedd5' },
+  completed: { label: 'Completed', color: '#1d4ed8', background: '#dbeafe' }
+};
+
+export const ROUTE_DEVIATION_ALERT_TYPE = 'route_deviation';
+export const ROUTE_OVERDUE_ALERT_TYPE = 'route_overdue';
+
+const METERS_PER_DEGREE = 111320;
+const MINUTE_MS = 60 * 1000;
+
+// Distance from a { lat, lng } point to the segment a-b, on a local flat
+// projection (stops are at most a few km apart)
+const distanceToSegment = (point, a, b) => {
+  const metersPerLng = METERS_PER_DEGREE * Math.cos(point.lat * Math.PI / 180);
+  const toXY = ({ lat, lng }) => [(lng - point.lng) * metersPerLng, (lat - point.lat) * METERS_PER_DEGREE];
+  const [ax, ay] = toXY(a);
+  const [bx, by] = toXY(b);
+  const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared));
+  return Math.hypot(ax + t * (bx - ax), ay + t * (by - ay));
+};
+
+// Shortest distance from a point to the planned route
+export const distanceToRoute = (point, waypoints) => {
+  if (waypoints.length === 0) return null;
+  if (waypoints.length === 1) return distanceMeters(point, waypoints[0]);
+  return waypoints.slice(1).reduce(
+    (min, waypoint, i) => Math.min(min, distanceToSegment(point, waypoints[i], waypoint)),
+    Infinity
+  );
+};
+
+const getGraceMs = (plan) => (plan.graceMinutes ?? DEFAULT_ROUTE_GRACE_MINUTES) * MINUTE_MS;
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+// History entries as time-ordered { lat, lng, at } samples
+export const toRouteTrack = (locations) => locations
+  .map(location => {
+    const coordinates = normalizeCoordinates(location);
+    const at = toTime(location.timestamp || location.createdAt);
+    return coordinates && at !== null ? { ...coordinates, at } : null;
+  })
+  .filter(Boolean)
+  .sort((a, b) => a.at - b.at);
+
+// When the route starts to matter: the first stop's expected time, less the
+// grace period so a tourist heading out early is tracked too
+export const getRouteStart = (plan) => {
+  const first = toTime(plan.waypoints[0]?.expectedAt);
+  return first === null ? null : first - getGraceMs(plan);
+};
+
+// When each stop was reached (null if not yet), walking the track in order.
+// A tourist may skip a stop; reaching a later one moves past it.
+// reachedBefore is the result for earlier samples no longer in the track.
+export const findReachedWaypoints = (plan, track, reachedBefore = null) => {
+  const reached = reachedBefore ? [...reachedBefore] : plan.waypoints.map(() => null);
+  const start = getRouteStart(plan);
+  let next = reached.reduce((first, at, i) => (at !== null ? i + 1 : first), 0);
+  track.forEach(sample => {
+    if (next >= plan.waypoints.length || (start !== null && sample.at < start)) return;
+    for (let i = next; i < plan.waypoints.length; i++) {
+      if (distanceMeters(sample, plan.waypoints[i]) <= WAYPOINT_ARRIVAL_RADIUS) {
+        reached[i] = sample.at;
+        next = i + 1;
+        break;
+      }
+    }
+  });
+  return reached;
+};
+
+// Where a tourist stands against their plan. Off-route and overdue are
+// reported separately (both can be true); status picks the one to show.
+export const getRouteProgress = (plan, track, tourist, now = Date.now(), reachedBefore = null) => {
+  const reached = findReachedWaypoints(plan, track, reachedBefore);
+  const lastReached = reached.reduce((last, at, i) => (at !== null ? i : last), -1);
+  const nextIndex = lastReached + 1;
+  const completed = nextIndex >= plan.waypoints.length;
+  const start = getRouteStart(plan);
+  const started = start !== null && now >= start;
+
+  const position = tourist && tourist.lat !== null && tourist.lng !== null ? tourist : null;
+  const deviation = position ? distanceToRoute(position, plan.waypoints) : null;
+  const offRoute = started && !completed && deviation !== null && deviation > (plan.corridorMeters || DEFAULT_ROUTE_CORRIDOR);
+
+  const expectedAt = completed ? null : toTime(plan.waypoints[nextIndex].expectedAt);
+  const overdueBy = expectedAt !== null ? now - expectedAt - getGraceMs(plan) : 0;
+  const overdue = !completed && overdueBy > 0;
+
+  let status = ROUTE_STATUS.ON_ROUTE;
+  if (completed) status = ROUTE_STATUS.COMPLETED;
+  else if (!started) status = ROUTE_STATUS.NOT_STARTED;
+  else if (offRoute) status = ROUTE_STATUS.OFF_ROUTE;
+  else if (overdue) status = ROUTE_STATUS.OVERDUE;
+
+  return {
+    status,
+    reached,
+    nextIndex: completed ? null : nextIndex,
+    deviation,
+    offRoute,
+    overdue,
+    overdueBy: overdue ? overdueBy : 0
+  };
+};
+
+export const formatDelay = (ms) => {
+  const minutes = Math.round(ms / MINUTE_MS);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
@@ -0,0 +1,69 @@
+// Travel parties: families and tour groups whose members are shown and
+// watched together. A member further than the group's maxSpreadMeters from
+// the centroid of the others is a straggler.
+import { distanceMeters } from './geo';
+import { hasLocation } from './normalizers';
+
+export const GROUP_COLORS = ['#7c3aed', '#0891b2', '#db2777', '#ea580c', '#65a30d', '#2563eb'];
+
+export const DEFAULT_GROUP_SPREAD = 500;
+
+export const getGroupColor = (group, index = 0) => group.color || GROUP_COLORS[index % GROUP_COLORS.length];
+
+const centroidOf = (tourists) => ({
+  lat: tourists.reduce((sum, t) => sum + t.lat, 0) / tourists.length,
+  lng: tourists.reduce((sum, t) => sum + t.lng, 0) / tourists.length
+});
+
+// Convex hull of [lng, lat] points (monotone chain), as a closed ring.
+// Fewer than three distinct points give back just those points.
+export const convexHull = (points) => {
+  const sorted = [...new Map(points.map(p => [`${p[0]},${p[1]}`, p])).values()]
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = (list) => list.reduce((hull, point) => {
+    while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+    hull.push(point);
+    return hull;
+  }, []);
+
+  const lower = half(sorted);
+  const upper = half([...sorted].reverse());
+  const ring = [...lower.slice(0, -1), ...upper.slice(0, -1)];
+  return ring.length < 3 ? sorted : [...ring, ring[0]];
+};
+
+// Where a group's located members are relative to each other. Each member is
+// measured from the centroid of the *other* members so one straggler can't
+// drag the centre towards themselves.
+export const getGroupSpread = (group, touristsById) => {
+  const members = group.memberIds.map(id => touristsById[id]).filter(Boolean);
+  const located = members.filter(hasLocation);
+  const maxSpread = group.maxSpreadMeters || DEFAULT_GROUP_SPREAD;
+
+  const distances = located.map(tourist => {
+    const others = located.filter(t => t.id !== tourist.id);
+    const distance = others.length > 0 ? distanceMeters(centroidOf(others), tourist) : 0;
+    return { tourist, distance, straggling: distance > maxSpread };
+  });
+  const together = distances.filter(d => !d.straggling).map(d => d.tourist);
+
+  return {
+    members,
+    located,
+    centroid: located.length > 0 ? centroidOf(together.length > 0 ? together : located) : null,
+    distances,
+    stragglers: distances.filter(d => d.straggling)
+  };
+};
+
+// touristId -> [group] for quick lookups in lists
+export const getGroupsByTourist = (groups) => {
+  const byTourist = {};
+  groups.forEach(group => group.memberIds.forEach(id => {
+    (byTourist[id] = byTourist[id] || []).push(group);
+  }));
+  return byTourist;
+};
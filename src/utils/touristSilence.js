@@ -0,0 +1,58 @@
+// Silent tourists: devices that have stopped reporting for longer than the
+// threshold for where they were last seen. Thresholds come from the tracking
+// config (see normalizeTrackingConfig) with these defaults, and are shorter in
+// dangerous zones where a lost signal matters more.
+import { isPointInGeofence } from './geofenceBreaches';
+import { isGeofenceInForce } from './geofenceSchedules';
+
+export const DEFAULT_SILENCE_MINUTES = 30;
+
+export const DEFAULT_ZONE_SILENCE_MINUTES = {
+  restricted: 10,
+  warning: 15
+};
+
+// At or below this the device most likely ran out of battery
+export const DEFAULT_LOW_BATTERY_PERCENT = 15;
+
+export const SILENCE_ALERT_TYPE = 'inactivity';
+
+const ZONE_SEVERITY = {
+  restricted: 'emergency',
+  warning: 'high'
+};
+
+const fenceThreshold = (config, fence) => (
+  config.fenceThresholds[fence.id] ??
+  config.zoneThresholds[fence.type] ??
+  DEFAULT_ZONE_SILENCE_MINUTES[fence.type] ??
+  null
+);
+
+// The threshold that applies at a position: the shortest of the default and
+// every fence in force there. fence is the one that set it, if any.
+export const getSilenceRule = (config, geofences, position, at = new Date()) => {
+  let rule = { minutes: config.silentAfterMinutes || DEFAULT_SILENCE_MINUTES, fence: null };
+  if (!position) return rule;
+  geofences.forEach(fence => {
+    if (!isGeofenceInForce(fence, at) || !isPointInGeofence(fence, position)) return;
+    const minutes = fenceThreshold(config, fence);
+    if (minutes !== null && minutes < rule.minutes) rule = { minutes, fence };
+  });
+  return rule;
+};
+
+export const getSilenceSeverity = (fence) => (fence && ZONE_SEVERITY[fence.type]) || 'medium';
+
+// Why the device probably went quiet, from its last battery reading
+export const getSilenceCause = (config, batteryLevel) => (
+  batteryLevel !== null && batteryLevel !== undefined &&
+  batteryLevel <= (config.lowBatteryPercent || DEFAULT_LOW_BATTERY_PERCENT)
+    ? 'battery'
+    : 'signal'
+);
+
+export const SILENCE_CAUSE_LABELS = {
+  battery: 'Battery likely flat',
+  signal: 'Signal lost'
+};
@@ -0,0 +1,139 @@
+// Builds one chronological timeline for a tourist out of the separate feeds
+// the backend serves: alerts, location history, videos and the itinerary.
+// Runs of location updates with nothing else in between collapse into one
+// entry so a day of GPS pings doesn't bury the alerts.
+import { normalizeCoordinates } from './normalizers';
+import { getAlertStatus, getAlertStatusStyle } from './alertLifecycle';
+
+export const TIMELINE_KINDS = {
+  ALERT: 'alert',
+  LOCATION: 'location',
+  VIDEO: 'video',
+  ITINERARY: 'itinerary',
+  ACCOUNT: 'account'
+};
+
+export const TIMELINE_KIND_ICONS = {
+  alert: '🚨',
+  location: '📍',
+  video: '🎥',
+  itinerary: '🧳',
+  account: '👤'
+};
+
+export const TIMELINE_KIND_LABELS = {
+  alert: 'Alerts',
+  location: 'Locations',
+  video: 'Videos',
+  itinerary: 'Itinerary',
+  account: 'Account'
+};
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const getAlertMessage = (alert) => (
+  typeof alert.message === 'object' ? alert.message?.english : alert.message
+);
+
+const alertEntry = (alert) => {
+  const statusStyle = getAlertStatusStyle(getAlertStatus(alert));
+  return {
+    id: `alert:${alert.id}`,
+    kind: TIMELINE_KINDS.ALERT,
+    at: toTime(alert.createdAt || alert.timestamp),
+    title: `${(alert.severity || 'unknown').toUpperCase()} ${(alert.type || 'alert').replace(/_/g, ' ')}`,
+    detail: getAlertMessage(alert) || '',
+    badge: statusStyle.label,
+    color: statusStyle.color,
+    alert
+  };
+};
+
+const videoEntry = (video) => ({
+  id: `video:${video._id || video.filename}`,
+  kind: TIMELINE_KINDS.VIDEO,
+  at: toTime(video.createdAt || video.uploadedAt),
+  title: video.title || video.filename || 'Video',
+  detail: video.duration ? `${Math.round(video.duration)}s recording` : 'Recording uploaded',
+  color: '#7c3aed',
+  video
+});
+
+const itineraryEntry = (stop, index) => ({
+  id: `itinerary:${stop._id || index}`,
+  kind: TIMELINE_KINDS.ITINERARY,
+  at: toTime(stop.startDate || stop.arrival || stop.date),
+  title: stop.place || stop.name || stop.destination || 'Planned stop',
+  detail: [stop.city, stop.notes].filter(Boolean).join(' • '),
+  color: '#0891b2',
+  stop
+});
+
+const locationRunEntry = (points) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  return {
+    id: `location:${first.at}`,
+    kind: TIMELINE_KINDS.LOCATION,
+    at: last.at,
+    startedAt: first.at,
+    title: points.length === 1 ? 'Location update' : `${points.length} location updates`,
+    detail: `${last.lat.toFixed(5)}, ${last.lng.toFixed(5)}`,
+    color: '#16a34a',
+    points
+  };
+};
+
+// Returns entries newest first: { id, kind, at, title, detail, color, ... }
+export const buildTouristTimeline = ({ tourist, alerts = [], locations = [], videos = [], itinerary = [] }) => {
+  const entries = [
+    ...alerts.map(alertEntry),
+    ...videos.map(videoEntry),
+    ...itinerary.map(itineraryEntry)
+  ];
+  if (tourist?.createdAt) {
+    entries.push({
+      id: 'account:registered',
+      kind: TIMELINE_KINDS.ACCOUNT,
+      at: toTime(tourist.createdAt),
+      title: 'Registered',
+      detail: tourist.digitalId ? `Digital ID ${tourist.digitalId}` : '',
+      color: '#6b7280'
+    });
+  }
+
+  const points = locations
+    .map(location => {
+      const coordinates = normalizeCoordinates(location);
+      const at = toTime(location.timestamp || location.createdAt);
+      return coordinates && at !== null ? { ...coordinates, at } : null;
+    })
+    .filter(Boolean);
+
+  const sorted = [
+    ...entries.filter(entry => entry.at !== null),
+    ...points.map(point => ({ kind: TIMELINE_KINDS.LOCATION, at: point.at, point }))
+  ].sort((a, b) => a.at - b.at);
+
+  // Walk oldest to newest, folding consecutive location points into runs
+  const timeline = [];
+  let run = [];
+  const flushRun = () => {
+    if (run.length > 0) timeline.push(locationRunEntry(run));
+    run = [];
+  };
+  sorted.forEach(entry => {
+    if (entry.point) {
+      run.push(entry.point);
+      return;
+    }
+    flushRun();
+    timeline.push(entry);
+  });
+  flushRun();
+
+  return timeline.reverse();
+};
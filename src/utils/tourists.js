@@ -0,0 +1,40 @@
+// Tourist safety statuses and profile sections as reported by the backend
+
+export const TOURIST_STATUSES = ['safe', 'warning', 'danger', 'emergency'];
+
+export const getTouristStatusColor = (status) => {
+  switch (status) {
+    case 'safe': return '#4caf50';
+    case 'warning': return '#ff9800';
+    case 'danger': return '#f44336';
+    case 'emergency': return '#d32f2f';
+    default: return '#9e9e9e';
+  }
+};
+
+// Profile sections arrive under different names depending on the app version
+// that registered the tourist; these always return arrays
+
+export const getEmergencyContacts = (raw) => {
+  if (Array.isArray(raw?.emergencyContacts)) return raw.emergencyContacts;
+  return raw?.emergencyContact ? [raw.emergencyContact] : [];
+};
+
+export const getItinerary = (raw) => {
+  const stops = raw?.itinerary || raw?.tripItinerary || [];
+  return Array.isArray(stops) ? stops : [];
+};
+
+export const getKycDocuments = (raw) => {
+  const documents = raw?.kycDocuments || raw?.documents || [];
+  return Array.isArray(documents) ? documents : [];
+};
+
+export const getKycStatusStyle = (status) => {
+  switch (status) {
+    case 'verified': return { color: '#16a34a', bg: '#dcfce7' };
+    case 'rejected': return { color: '#dc2626', bg: '#fee2e2' };
+    case 'expired': return { color: '#b45309', bg: '#fef3c7' };
+    default: return { color: '#6b7280', bg: '#f3f4f6' };
+  }
+};